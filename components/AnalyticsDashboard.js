@@ -1,6 +1,7 @@
 // AI-Powered Analytics Dashboard Component
 import { useState, useEffect } from 'react';
 import { FiTrendingUp, FiUsers, FiClock, FiTarget, FiMessageCircle, FiBarChart3, FiPieChart, FiActivity, FiCheckCircle, FiAlertCircle, FiRefreshCw } from 'react-icons/fi';
+import { formatTimestamp } from '../utils/transcriptModel';
 
 const AnalyticsDashboard = ({ fileId, onAnalyticsUpdate }) => {
   const [analytics, setAnalytics] = useState(null);
@@ -74,6 +75,12 @@ const AnalyticsDashboard = ({ fileId, onAnalyticsUpdate }) => {
     return 'bg-red-500/20 border-red-500/30';
   };
 
+  const getSentimentColor = (sentiment) => {
+    if (sentiment === 'positive') return 'bg-green-500';
+    if (sentiment === 'negative') return 'bg-red-500';
+    return 'bg-gray-500';
+  };
+
   if (loading) {
     return (
       <div className="bg-black/50 backdrop-blur-sm border border-white/10 rounded-xl p-6">
@@ -386,6 +393,48 @@ const AnalyticsDashboard = ({ fileId, onAnalyticsUpdate }) => {
         </div>
       </div>
 
+      {/* Sentiment Timeline */}
+      {analytics.sentimentTimeline && analytics.sentimentTimeline.length > 0 && (() => {
+        const timeline = analytics.sentimentTimeline;
+        const timelineStart = timeline[0].start;
+        const timelineEnd = Math.max(...timeline.map(entry => entry.end));
+        const span = Math.max(timelineEnd - timelineStart, 1);
+
+        return (
+          <div className="bg-black/50 backdrop-blur-sm border border-white/10 rounded-xl p-6">
+            <h3 className="text-lg font-medium text-white mb-4 flex items-center space-x-2">
+              <FiClock className="w-5 h-5" />
+              <span>Sentiment Timeline</span>
+            </h3>
+
+            <div className="relative w-full h-8 bg-white/5 rounded overflow-hidden">
+              {timeline.map((entry) => (
+                <div
+                  key={entry.segmentId}
+                  className={`absolute top-0 h-full ${getSentimentColor(entry.sentiment)}`}
+                  style={{
+                    left: `${((entry.start - timelineStart) / span) * 100}%`,
+                    width: `${Math.max(((entry.end - entry.start) / span) * 100, 0.2)}%`,
+                    opacity: 0.4 + Math.abs(entry.score) * 0.6
+                  }}
+                  title={`${formatTimestamp(entry.start)} · ${entry.sentiment}`}
+                ></div>
+              ))}
+            </div>
+
+            <div className="flex justify-between text-xs text-white/60 mt-2">
+              <span>{formatTimestamp(timelineStart)}</span>
+              <div className="flex items-center space-x-4">
+                <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-green-500 mr-1"></span>Positive</span>
+                <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-gray-500 mr-1"></span>Neutral</span>
+                <span className="flex items-center"><span className="w-2 h-2 rounded-full bg-red-500 mr-1"></span>Negative</span>
+              </div>
+              <span>{formatTimestamp(timelineEnd)}</span>
+            </div>
+          </div>
+        );
+      })()}
+
       {/* Recommendations */}
       {analytics.recommendations && analytics.recommendations.length > 0 && (
         <div className="bg-blue-500/10 border border-blue-500/30 rounded-xl p-6">
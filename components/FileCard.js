@@ -1,6 +1,7 @@
 import { FiFile, FiDownload, FiTrash2, FiClock, FiUser, FiFileText, FiExternalLink } from 'react-icons/fi';
 import { useRouter } from 'next/router';
 import { useState, useEffect } from 'react';
+import { describeProgress, formatEta } from '../utils/progress';
 const FileCard = ({ 
   file, 
   onDelete, 
@@ -90,6 +91,10 @@ const FileCard = ({
     }
   };
 
+  const progress = file.status === 'processing'
+    ? describeProgress(file.progress, { estimate: file.estimate })
+    : null;
+
   return (
     <div className="file-card p-4 rounded-lg">
       <div className="flex items-start justify-between mb-3">
@@ -215,6 +220,22 @@ const FileCard = ({
           {formatDate(file.createdAt)}
         </div>
 
+        {/* Processing Progress */}
+        {progress && (
+          <div className="mt-2">
+            <div className="w-full bg-white/10 rounded-full h-1">
+              <div
+                className="bg-yellow-400/60 h-1 rounded-full transition-all duration-500"
+                style={{ width: `${progress.percent}%` }}
+              />
+            </div>
+            <div className="mt-1 flex justify-between text-xs text-white/60">
+              <span className="truncate">{progress.message || progress.label}</span>
+              {formatEta(progress.eta) && <span className="ml-2 flex-shrink-0">{formatEta(progress.eta)} left</span>}
+            </div>
+          </div>
+        )}
+
         {/* Transcript Preview */}
         {file.transcript && (
           <div className="mt-3 p-2 bg-white/5 rounded border border-white/10">
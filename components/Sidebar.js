@@ -13,7 +13,8 @@ import {
   FiLogOut,
   FiChevronLeft,
   FiSettings,
-  FiMessageSquare
+  FiMessageSquare,
+  FiMic
 } from 'react-icons/fi';
 import T from './T';
 
@@ -34,6 +35,7 @@ const Sidebar = ({ user, currentPage = 'dashboard', onLogout, onSidebarToggle })
   const menuItems = [
     { id: 'dashboard', label: 'Dashboard', icon: FiHome, href: '/dashboard' },
     { id: 'upload', label: 'Upload File', icon: FiUpload, href: '/upload' },
+    { id: 'live', label: 'Live Transcription', icon: FiMic, href: '/live' },
     { id: 'recent', label: 'Recent Files', icon: FiClock, href: '/files/recent' },
     { id: 'processing', label: 'Processing', icon: FiPlay, href: '/files/processing' },
     { id: 'completed', label: 'Completed', icon: FiCheck, href: '/files/completed' },
@@ -0,0 +1,306 @@
+// Transcript versions of a file: every run with its settings, re-running with new settings,
+// comparing two runs and promoting one to the current transcript
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { FiRefreshCw, FiGitMerge, FiCheckCircle, FiAlertCircle } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { SUPPORTED_LANGUAGES, AUTO_DETECT_LANGUAGE, getLanguageName } from '../utils/languages';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-500/20 text-green-300',
+  processing: 'bg-yellow-500/20 text-yellow-300',
+  failed: 'bg-red-500/20 text-red-300',
+  cancelled: 'bg-white/10 text-white/60',
+  purged: 'bg-white/10 text-white/40',
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function formatConfidence(value) {
+  return typeof value === 'number' ? `${Math.round(value * 100)}%` : '—';
+}
+
+const TranscriptVersions = ({ file, onVersionChange }) => {
+  const router = useRouter();
+  const fileId = file._id;
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [rerunSettings, setRerunSettings] = useState({
+    language: file.settings?.language || file.language || 'en',
+    quality: file.settings?.quality || 'standard',
+    speakerIdentification: !!file.settings?.speakerIdentification,
+  });
+  const [rerunning, setRerunning] = useState(false);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fileId]);
+
+  const request = async (url, options = {}) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+    const data = await response.json().catch(() => ({ error: 'Unknown error' }));
+    if (!response.ok) {
+      throw new Error(data.details || data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const data = await request(`/api/files/${fileId}/versions`);
+      setVersions(data.versions);
+    } catch (error) {
+      console.error('Versions fetch error:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelected = (version) => {
+    setComparison(null);
+    setSelected(prev => prev.includes(version)
+      ? prev.filter(v => v !== version)
+      : [...prev, version].slice(-2));
+  };
+
+  const compareSelected = async () => {
+    const [a, b] = [...selected].sort((x, y) => x - y);
+    try {
+      const data = await request(`/api/files/${fileId}/versions?compare=${a},${b}`);
+      setComparison(data);
+    } catch (error) {
+      console.error('Version compare error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const promote = async (version) => {
+    try {
+      await request(`/api/files/${fileId}/versions`, {
+        method: 'POST',
+        body: JSON.stringify({ version }),
+      });
+      toast.success(`Version ${version} is now the current transcript`);
+      onVersionChange();
+    } catch (error) {
+      console.error('Version promote error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const rerun = async () => {
+    try {
+      setRerunning(true);
+      const data = await request(`/api/files/${fileId}/rerun`, {
+        method: 'POST',
+        body: JSON.stringify(rerunSettings),
+      });
+      toast.success(`Re-running as version ${data.version}`);
+      router.push('/files/processing');
+    } catch (error) {
+      console.error('Re-run error:', error);
+      toast.error(error.message);
+      setRerunning(false);
+    }
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      {file.lastRunError && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-sm flex items-start">
+          <FiAlertCircle className="w-4 h-4 mr-2 mt-0.5 text-red-300" />
+          <span>
+            Run {file.lastRunError.version} failed: {file.lastRunError.message}. The current transcript was kept.
+          </span>
+        </div>
+      )}
+
+      <div className="bg-black border border-white/10 rounded-lg p-6">
+        <h3 className="text-base font-medium mb-4 flex items-center">
+          <FiRefreshCw className="w-4 h-4 mr-2" />
+          Re-run Transcription
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-xs text-white/60 mb-1">Language</label>
+            <select
+              value={rerunSettings.language}
+              onChange={(e) => setRerunSettings({ ...rerunSettings, language: e.target.value })}
+              className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white focus:outline-none"
+            >
+              <option value={AUTO_DETECT_LANGUAGE}>Auto-detect</option>
+              {SUPPORTED_LANGUAGES.map(language => (
+                <option key={language.code} value={language.code}>{language.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-white/60 mb-1">Quality</label>
+            <select
+              value={rerunSettings.quality}
+              onChange={(e) => setRerunSettings({ ...rerunSettings, quality: e.target.value })}
+              className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white focus:outline-none"
+            >
+              <option value="standard">Standard</option>
+              <option value="enhanced">Enhanced</option>
+            </select>
+          </div>
+          <label className="flex items-center text-sm mt-5">
+            <input
+              type="checkbox"
+              checked={rerunSettings.speakerIdentification}
+              onChange={(e) => setRerunSettings({ ...rerunSettings, speakerIdentification: e.target.checked })}
+              className="mr-2"
+            />
+            Speaker identification
+          </label>
+        </div>
+        <p className="text-xs text-white/40 mt-3">
+          Other settings are kept from the current version. The stored recording is reused and the current
+          transcript stays available until the new run completes.
+        </p>
+        <button
+          onClick={rerun}
+          disabled={rerunning}
+          className="mt-4 py-1.5 px-4 bg-white text-black rounded-lg text-sm disabled:opacity-50"
+        >
+          {rerunning ? 'Starting...' : 'Re-run'}
+        </button>
+      </div>
+
+      <div className="bg-black border border-white/10 rounded-lg">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-white/10">
+          <h3 className="text-base font-medium">Versions</h3>
+          <button
+            onClick={compareSelected}
+            disabled={selected.length !== 2}
+            className="py-1 px-3 border border-white/20 rounded text-xs flex items-center disabled:opacity-40"
+          >
+            <FiGitMerge className="w-3 h-3 mr-2" />
+            Compare selected
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="spinner w-6 h-6"></div>
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="px-6 py-8 text-sm text-white/60">
+            This transcript was created before versions were kept. Re-running it saves it as version 1.
+          </p>
+        ) : (
+          versions.map(version => (
+            <div key={version.version} className="grid grid-cols-12 items-center gap-2 px-6 py-3 border-b border-white/10 text-sm">
+              <input
+                type="checkbox"
+                disabled={version.status !== 'completed'}
+                checked={selected.includes(version.version)}
+                onChange={() => toggleSelected(version.version)}
+                className="col-span-1"
+              />
+              <div className="col-span-2 font-medium">
+                v{version.version}
+                {version.version === file.currentVersion && (
+                  <span title="Current version">
+                    <FiCheckCircle className="w-3 h-3 inline ml-2 text-green-400" />
+                  </span>
+                )}
+              </div>
+              <div className="col-span-2">
+                <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[version.status] || STATUS_STYLES.cancelled}`}>
+                  {version.status}
+                </span>
+              </div>
+              <div className="col-span-3 text-white/60 text-xs">
+                {getLanguageName(version.language || version.settings?.language || 'en')} · {version.provider || '—'} · {version.settings?.quality || 'standard'}
+              </div>
+              <div className="col-span-2 text-white/60 text-xs">
+                {new Date(version.completedAt || version.createdAt).toLocaleString()}
+              </div>
+              <div className="col-span-2 text-right">
+                {version.status === 'completed' && version.version !== file.currentVersion && (
+                  <button
+                    onClick={() => promote(version.version)}
+                    className="py-1 px-3 border border-white/20 rounded text-xs hover:bg-white/10"
+                  >
+                    Make current
+                  </button>
+                )}
+              </div>
+              {version.error && (
+                <div className="col-span-12 text-xs text-red-300">{version.error}</div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      {comparison && (
+        <div className="bg-black border border-white/10 rounded-lg p-6 space-y-4">
+          <h3 className="text-base font-medium">
+            v{comparison.comparison.from} vs v{comparison.comparison.to}
+          </h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <div className="text-xs text-white/60">Words</div>
+              {formatValue(comparison.comparison.wordCount.from)} → {formatValue(comparison.comparison.wordCount.to)}
+            </div>
+            <div>
+              <div className="text-xs text-white/60">Confidence</div>
+              {formatConfidence(comparison.comparison.confidence.from)} → {formatConfidence(comparison.comparison.confidence.to)}
+            </div>
+            <div>
+              <div className="text-xs text-white/60">Speakers</div>
+              {comparison.comparison.speakers.from} → {comparison.comparison.speakers.to}
+            </div>
+            <div>
+              <div className="text-xs text-white/60">Shared wording</div>
+              {Math.round(comparison.comparison.wordOverlap * 100)}%
+            </div>
+          </div>
+          {comparison.comparison.settings.length > 0 && (
+            <div className="text-sm">
+              <div className="text-xs text-white/60 mb-1">Changed settings</div>
+              {comparison.comparison.settings.map(change => (
+                <div key={change.key} className="text-xs">
+                  <span className="text-white/60">{change.key}:</span> {formatValue(change.from)} → {formatValue(change.to)}
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {comparison.versions.map(version => (
+              <div key={version.version}>
+                <div className="text-xs text-white/60 mb-1">v{version.version}</div>
+                <div className="bg-white/5 rounded-lg p-3 text-xs whitespace-pre-wrap max-h-96 overflow-y-auto">
+                  {version.transcript}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptVersions;
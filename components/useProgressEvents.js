@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+
+// Live processing progress of the signed-in user's files from /api/files/events.
+// `onSnapshot(files)` runs whenever the stream (re)opens with every file still processing,
+// `onProgress(event)` on each stage change. EventSource reconnects by itself.
+export const useProgressEvents = ({ onSnapshot, onProgress, enabled = true }) => {
+  // Latest handlers without reopening the stream each render
+  const handlers = useRef({ onSnapshot, onProgress });
+  handlers.current = { onSnapshot, onProgress };
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined' || !window.EventSource) return;
+
+    // Authenticated by the session cookie
+    const source = new EventSource('/api/files/events');
+
+    source.addEventListener('snapshot', (event) => {
+      handlers.current.onSnapshot?.(JSON.parse(event.data).files);
+    });
+    source.addEventListener('progress', (event) => {
+      handlers.current.onProgress?.(JSON.parse(event.data));
+    });
+    source.onerror = () => {
+      console.warn('⚠️ Progress stream interrupted, reconnecting...');
+    };
+
+    return () => source.close();
+  }, [enabled]);
+};
@@ -0,0 +1,111 @@
+// Stand-in streaming transcription server for developing the live page without an AssemblyAI key.
+// Run with: npm run live-server   (and LIVE_TRANSCRIPTION_PROVIDER=local in .env.local)
+//
+// It speaks the same WebSocket protocol as AssemblyAI's v3 streaming API (see
+// utils/liveTranscription.js) and "transcribes" a scripted meeting at the pace audio arrives:
+// one word per WORD_MS of audio, each sentence a turn. What is said into the microphone is ignored.
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.LIVE_SERVER_PORT) || 4001;
+const WORD_MS = 350;
+
+const SCRIPT = [
+  'Good morning everyone, thanks for joining the weekly project sync.',
+  'The upload pipeline is stable and the new queue is handling retries.',
+  'What is left before we can ship the release?',
+  'We need to finish the export formats and review the summary prompts.',
+  'I can take the export formats and have them ready by Thursday.',
+  'Perfect. Let us meet again on Friday to confirm the release date.',
+];
+
+function startSession(socket, sampleRate) {
+  let audioMs = 0;
+  // Each word or end-of-sentence pause takes WORD_MS of the audio received so far
+  let cursorMs = 0;
+  let turnOrder = 0;
+  let turnWords = [];
+
+  const send = (message) => socket.send(JSON.stringify(message));
+
+  const sendTurn = (final) => {
+    const transcript = turnWords.map(word => word.text).join(' ');
+    if (final) {
+      // AssemblyAI ends a turn unformatted first, then sends the formatted version
+      send({ type: 'Turn', turn_order: turnOrder, end_of_turn: true, turn_is_formatted: false, transcript, words: turnWords });
+    }
+    send({ type: 'Turn', turn_order: turnOrder, end_of_turn: final, turn_is_formatted: final, transcript, words: turnWords });
+  };
+
+  const nextWord = (index) => {
+    const sentence = SCRIPT[turnOrder % SCRIPT.length].split(' ');
+    return index < sentence.length ? sentence[index] : null;
+  };
+
+  const onAudio = (bytes) => {
+    audioMs += (bytes / 2 / sampleRate) * 1000;
+    let changed = false;
+
+    while (cursorMs + WORD_MS <= audioMs) {
+      const text = nextWord(turnWords.length);
+      if (text === null) {
+        sendTurn(true);
+        turnOrder += 1;
+        turnWords = [];
+        changed = false;
+      } else {
+        turnWords.push({ text, start: Math.round(cursorMs), end: Math.round(cursorMs + WORD_MS - 50), confidence: 0.95, word_is_final: true });
+        changed = true;
+      }
+      cursorMs += WORD_MS;
+    }
+
+    if (changed) {
+      sendTurn(false);
+    }
+  };
+
+  send({ type: 'Begin', id: crypto.randomUUID(), expires_at: Math.floor(Date.now() / 1000) + 3600 });
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      onAudio(data.length);
+      return;
+    }
+
+    let message = {};
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    if (message.type === 'Terminate') {
+      if (turnWords.length > 0) {
+        sendTurn(true);
+      }
+      send({ type: 'Termination', audio_duration_seconds: Math.round(audioMs / 1000), session_duration_seconds: Math.round(audioMs / 1000) });
+      socket.close(1000);
+    }
+  });
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('This server only accepts WebSocket connections');
+});
+
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (socket, req) => {
+  const params = new URL(req.url, `http://localhost:${PORT}`).searchParams;
+  const sampleRate = Number(params.get('sample_rate')) || 16000;
+  console.log(`🎙️ Live session connected (${sampleRate} Hz)`);
+  startSession(socket, sampleRate);
+  socket.on('close', () => console.log('👋 Live session closed'));
+});
+
+server.listen(PORT, () => {
+  console.log(`🚀 Stand-in live transcription server on ws://localhost:${PORT}`);
+});
@@ -42,7 +42,8 @@ export default async function handler(req, res) {
     if (file.analytics && !forceRegenerate) {
       return res.status(200).json({
         success: true,
-        analytics: file.analytics,
+        // Reports cached before sentiment timelines existed pick up the file's timeline
+        analytics: { ...file.analytics, sentimentTimeline: file.analytics.sentimentTimeline || file.sentimentTimeline || [] },
         cached: true
       });
     }
@@ -50,11 +51,13 @@ export default async function handler(req, res) {
     // Generate analytics
     const analytics = new MeetingAnalytics();
     
-    // Extract speakers from transcript (basic implementation)
-    const speakers = extractSpeakersFromTranscript(file.transcript);
+    // Speakers come from the transcript model; older files fall back to parsing the text
+    const speakers = file.transcriptModel
+      ? file.transcriptModel.speakers.map(speaker => speaker.label)
+      : extractSpeakersFromTranscript(file.transcript);
     
     // Generate comprehensive meeting report
-    const report = await analytics.generateMeetingReport(file.transcript, speakers);
+    const report = await analytics.generateMeetingReport(file.transcript, speakers, file.transcriptModel || null, file.sentimentTimeline || null);
 
     // Save analytics to database
     await db.collection('files').updateOne(
@@ -0,0 +1,45 @@
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+import { connectDB } from '../../lib/mongodb.js';
+import { backfillTranscriptModels } from '../../utils/transcription.js';
+
+// Cron-style maintenance entry point: adds transcript models to files completed before
+// structured storage existed, a batch per call, until nothing is left to backfill.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Without a configured secret the endpoint stays closed
+    if (!process.env.WEBHOOK_SECRET) {
+      console.error('WEBHOOK_SECRET is not configured, refusing transcript backfill');
+      return res.status(500).json({ error: 'Backfill is not configured' });
+    }
+
+    const authHeader = req.headers.authorization;
+    if (authHeader !== `Bearer ${process.env.WEBHOOK_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+    const { db } = await connectDB();
+    const results = await backfillTranscriptModels(db, { limit });
+
+    console.log(`📚 Transcript model backfill processed ${results.length} files`);
+
+    res.status(200).json({
+      success: true,
+      processed: results.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Transcript backfill error:', error);
+    res.status(500).json({ 
+      error: 'Failed to backfill transcripts',
+      details: error.message 
+    });
+  }
+}
@@ -0,0 +1,56 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { getBatch, getBatchFiles } from '../../../utils/batches.js';
+import { summarizeBatch } from '../../../utils/batchStatus.js';
+
+// A batch with the state of each of its files
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+    const batch = await getBatch(db, req.query.id, userId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const files = (await getBatchFiles(db, batch._id.toString(), {
+      projection: { name: 1, size: 1, status: 1, error: 1, lastRunError: 1, progress: 1, estimate: 1, createdAt: 1, updatedAt: 1 }
+    })).map(({ _id, ...file }) => ({ ...file, id: _id.toString() }));
+
+    return res.status(200).json({
+      success: true,
+      batch: {
+        id: batch._id.toString(),
+        name: batch.name,
+        fileCount: batch.fileCount,
+        settings: batch.settings,
+        createdAt: batch.createdAt,
+      },
+      files,
+      summary: summarizeBatch(files, batch.fileCount)
+    });
+  } catch (error) {
+    console.error('❌ Batch fetch error:', error);
+    return res.status(500).json({
+      error: 'Failed to load batch',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,88 @@
+import JSZip from 'jszip';
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { getBatch, getBatchFiles } from '../../../../utils/batches.js';
+import { renderTranscriptText } from '../../../../utils/transcriptModel.js';
+import { getSummaryBlocks } from '../../../../utils/summaryTemplates.js';
+
+// A name not used yet in the archive, e.g. "interview (2).txt"
+function uniqueFileName(name, used) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  let candidate = name;
+  for (let index = 2; used.has(candidate.toLowerCase()); index++) {
+    candidate = `${base} (${index})${extension}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function toArchiveName(value) {
+  return String(value || 'transcript').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'transcript';
+}
+
+function renderTranscriptFile(file) {
+  const transcript = file.transcript || renderTranscriptText(file.transcriptModel);
+  const sections = [file.name];
+  getSummaryBlocks(file).forEach(block => sections.push(`${block.title}\n\n${block.content}`));
+  sections.push(`Transcript\n\n${transcript}`);
+  return sections.join('\n\n') + '\n';
+}
+
+// Every finished transcript of a batch as a ZIP of text files, one per recording
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+    const batch = await getBatch(db, req.query.id, userId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const files = (await getBatchFiles(db, batch._id.toString(), {
+      projection: { name: 1, status: 1, transcript: 1, transcriptModel: 1, summary: 1, summarySections: 1 }
+    })).filter(file => file.status === 'completed');
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'No transcripts in this batch are ready yet' });
+    }
+
+    const zip = new JSZip();
+    const used = new Set();
+    for (const file of files) {
+      const baseName = toArchiveName(file.name).replace(/\.[^.]+$/, '');
+      zip.file(uniqueFileName(`${baseName}.txt`, used), renderTranscriptFile(file));
+    }
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    console.log(`📦 Batch ${batch._id}: ${files.length} transcripts downloaded`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(toArchiveName(batch.name))}.zip"`);
+    res.setHeader('Content-Length', archive.length);
+    return res.status(200).send(archive);
+  } catch (error) {
+    console.error('❌ Batch download error:', error);
+    return res.status(500).json({
+      error: 'Failed to prepare transcripts',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { parseTranscriptionSettings } from '../../../utils/transcriptionSettings.js';
+import { createBatch } from '../../../utils/batches.js';
+import { MAX_BATCH_FILES } from '../../../utils/batchStatus.js';
+
+// Start an upload batch: POST { name, fileCount, ...settings } returns { batchId }, which each
+// upload of the batch then sends along (/api/transcribe, /api/upload/confirm)
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const fileCount = parseInt(req.body?.fileCount, 10);
+    if (!Number.isInteger(fileCount) || fileCount < 1 || fileCount > MAX_BATCH_FILES) {
+      return res.status(400).json({ error: `A batch holds between 1 and ${MAX_BATCH_FILES} files` });
+    }
+
+    // Stored for display; each upload is still validated with the settings it sends
+    const { settings, error: settingsError } = parseTranscriptionSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const userId = user.id || user._id.toString();
+    const name = String(req.body.name || '').trim().slice(0, 120)
+      || `Batch of ${fileCount} files, ${new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+
+    const batch = await createBatch(db, { userId, name, fileCount, settings });
+    console.log(`📦 Batch ${batch._id} created for ${fileCount} files`);
+
+    return res.status(200).json({ success: true, batchId: batch._id.toString(), name });
+  } catch (error) {
+    console.error('❌ Batch creation error:', error);
+    return res.status(500).json({
+      error: 'Failed to create batch',
+      details: error.message
+    });
+  }
+}
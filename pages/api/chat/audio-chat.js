@@ -1,5 +1,9 @@
-import { filesDB, usersDB } from '../../../utils/database.js';
+import { ObjectId } from 'mongodb';
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { getUserQuota, recordUsage, USAGE_METRICS } from '../../../utils/usage.js';
+import { getAiQuotaError } from '../../../utils/plans.js';
+import { generateText, createLlmUsage, isLlmConfigured, INTERACTIVE_LLM_OPTIONS } from '../../../utils/llm.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -15,10 +19,13 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const user = usersDB.findById(decoded.userId);
+    // Find user in MongoDB
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    const userId = user.id || user._id.toString();
 
     const { fileId, message, conversation, transcript } = req.body;
     
@@ -27,38 +34,55 @@ export default async function handler(req, res) {
     }
 
     // Get the file
-    const file = filesDB.findById(fileId);
+    const file = await db.collection('files').findOne(
+      ObjectId.isValid(fileId) ? { _id: new ObjectId(fileId) } : { id: String(fileId) }
+    );
     
     if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    if (file.userId !== user.id) {
+    if (file.userId !== userId) {
       return res.status(403).json({ error: 'Not authorized to access this file' });
     }
     
     // If transcript wasn't provided in the request body, get it from the file
-    const fileTranscript = transcript || file.transcript;
+    // Redacted files always chat over the stored (redacted) transcript
+    const fileTranscript = file.settings?.redaction ? file.transcript : (transcript || file.transcript);
     if (!fileTranscript) {
       return res.status(400).json({ error: 'File has no transcript to chat about' });
     }
 
+    // Each question is one AI request against the plan's monthly allowance
+    const quota = await getUserQuota(db, user);
+    const quotaError = getAiQuotaError(quota);
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError, errorType: 'QUOTA_EXCEEDED', quota });
+    }
+
     // Generate AI response
     try {
-      // Verify API key is available
-      if (!process.env.GEMINI_API_KEY) {
-        console.error('GEMINI_API_KEY is not defined in environment variables');
+      // Verify the AI provider is configured
+      if (!isLlmConfigured()) {
+        console.error('No LLM provider configured (check LLM_PROVIDER and its API key)');
         return res.status(500).json({ 
           error: 'API key configuration is missing',
-          details: 'Please check your .env.local file and ensure GEMINI_API_KEY is set'
+          details: 'Please check your .env.local file and ensure LLM_PROVIDER and its API key are set'
         });
       }
       
       // Log some info about the request
-      console.log(`Processing chat request for file ${file.id}, message length: ${message.length}`);
+      console.log(`Processing chat request for file ${fileId}, message length: ${message.length}`);
       console.log(`Conversation history has ${conversation ? conversation.length : 0} messages`);
       
-      const aiReply = await generateChatResponse(fileTranscript, message, conversation);
+      const usage = createLlmUsage();
+      const aiReply = await generateChatResponse(fileTranscript, message, conversation, usage);
+
+      // Only questions the model answered count; fallback replies are free
+      if (usage.calls > 0) {
+        await recordUsage(db, { userId, metric: USAGE_METRICS.AI_CALLS, quantity: 1, fileId, source: 'chat' });
+        await recordUsage(db, { userId, metric: USAGE_METRICS.AI_TOKENS, quantity: usage.inputTokens + usage.outputTokens, fileId, source: 'chat' });
+      }
       
       // Log successful response
       console.log(`Successfully generated AI reply of length: ${aiReply.length}`);
@@ -68,7 +92,7 @@ export default async function handler(req, res) {
         reply: aiReply
       });
     } catch (err) {
-      console.error(`Error processing chat for file ${file.id}:`, err);
+      console.error(`Error processing chat for file ${fileId}:`, err);
       
       // Send a detailed error message in development, simplified in production
       const isProduction = process.env.NODE_ENV === 'production';
@@ -93,7 +117,7 @@ export default async function handler(req, res) {
   }
 }
 
-async function generateChatResponse(transcript, userMessage, conversation) {
+async function generateChatResponse(transcript, userMessage, conversation, usage) {
   try {
     // Create a truncated transcript for the context window
     const maxTranscriptLength = 12000;
@@ -134,39 +158,10 @@ User Question: ${userMessage}
 
 Answer:`;
     
-    // Updated payload format for Gemini API to match working TypeScript code
-    const geminiResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ 
-          contents: [{ 
-            parts: [{ 
-              text: chatPrompt 
-            }] 
-          }]
-        })
-      }
-    );
-
-    // Process the response
-    if (!geminiResponse.ok) {
-      const errorText = await geminiResponse.text();
-      console.error("Gemini API error:", geminiResponse.status, geminiResponse.statusText);
-      console.error("Error response:", errorText);
-      throw new Error(`Gemini API error: ${geminiResponse.status}`);
-    }
-
-    // Parse the response
-    const geminiData = await geminiResponse.json();
-    console.log("Gemini API response received");
-    
-    // Extract the generated text using the correct response structure
-    const generatedText = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    const { text: generatedText } = await generateText(chatPrompt, { ...INTERACTIVE_LLM_OPTIONS, usage });
     
     if (!generatedText) {
-      console.error("No text in Gemini response");
+      console.error("No text in LLM response");
       return "I'm sorry, I couldn't generate a response. Please try asking something else about this audio file.";
     }
     
@@ -184,11 +179,11 @@ Answer:`;
     console.error('Chat generation error:', error);
     
     // Provide more specific error messages
-    if (error.message && error.message.includes('API key')) {
+    if (error.status === 401 || error.status === 403) {
       return "There's an issue with the API configuration. Please contact support.";
     }
     
-    if (error.message && error.message.includes('400')) {
+    if (error.status === 400) {
       return "I couldn't process your question. Please try rephrasing it.";
     }
     
@@ -1,4 +1,8 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { getUserQuota, recordUsage, USAGE_METRICS } from '../../../utils/usage.js';
+import { getAiQuotaError } from '../../../utils/plans.js';
+import { generateText, createLlmUsage, isLlmConfigured, INTERACTIVE_LLM_OPTIONS } from '../../../utils/llm.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,36 +10,38 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get the authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    // Verify authentication
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
     const { message, transcript, fileName, context } = req.body;
 
     if (!message || !transcript) {
       return res.status(400).json({ error: 'Message and transcript are required' });
     }
 
-    // Initialize Gemini AI
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      console.error('GEMINI_API_KEY not found in environment variables');
-      return res.status(500).json({ error: 'Gemini API key not configured' });
+    // Each question is one AI request against the plan's monthly allowance
+    const quota = await getUserQuota(db, user);
+    const quotaError = getAiQuotaError(quota);
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError, errorType: 'QUOTA_EXCEEDED', quota });
     }
 
-    const genAI = new GoogleGenerativeAI(apiKey);
-    // Use Gemini 1.5 Flash for better quota efficiency
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-1.5-flash',
-      generationConfig: {
-        temperature: 0.7,
-        topP: 0.8,
-        topK: 40,
-        maxOutputTokens: 1024,
-      },
-    });
+    if (!isLlmConfigured()) {
+      console.error('No LLM provider configured (check LLM_PROVIDER and its API key)');
+      return res.status(500).json({ error: 'AI service not configured' });
+    }
 
     // Create optimized context-aware prompt
     // Truncate transcript if too long to avoid token limits
@@ -63,10 +69,12 @@ Instructions:
 
 Provide a helpful and informative response:`;
 
-    // Generate response using Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const usage = createLlmUsage();
+    const { text } = await generateText(prompt, { ...INTERACTIVE_LLM_OPTIONS, temperature: 0.7, maxOutputTokens: 1024, usage });
+
+    const userId = user.id || user._id.toString();
+    await recordUsage(db, { userId, metric: USAGE_METRICS.AI_CALLS, quantity: 1, source: 'chat' });
+    await recordUsage(db, { userId, metric: USAGE_METRICS.AI_TOKENS, quantity: usage.inputTokens + usage.outputTokens, source: 'chat' });
 
     return res.status(200).json({
       response: text,
@@ -74,17 +82,17 @@ Provide a helpful and informative response:`;
     });
 
   } catch (error) {
-    console.error('Gemini API error:', error);
+    console.error('Chat LLM error:', error);
     
     // Handle specific error types
-    if (error.message?.includes('API key')) {
+    if (error.status === 401 || error.status === 403) {
       return res.status(401).json({ error: 'Invalid API key configuration' });
-    } else if (error.status === 429 || error.message?.includes('quota') || error.message?.includes('Too Many Requests')) {
+    } else if (error.status === 429) {
       return res.status(429).json({ 
-        error: 'API quota exceeded. Please try again later or upgrade your Gemini API plan.',
-        retryAfter: error.errorDetails?.[2]?.retryDelay || '60s'
+        error: 'API quota exceeded. Please try again later or upgrade your AI provider plan.',
+        retryAfter: error.retryAfterMs ? `${Math.ceil(error.retryAfterMs / 1000)}s` : '60s'
       });
-    } else if (error.message?.includes('safety')) {
+    } else if (error.status === 400 && error.retryable === false) {
       return res.status(400).json({ error: 'Content filtered by safety settings. Please rephrase your question.' });
     } else if (error.status === 400) {
       return res.status(400).json({ error: 'Invalid request. Please check your input and try again.' });
@@ -1,5 +1,6 @@
 import { verifyToken, getTokenFromRequest } from '../../utils/auth.js';
 import { connectDB } from '../../lib/mongodb.js';
+import { getUserQuota } from '../../utils/usage.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -27,18 +28,19 @@ export default async function handler(req, res) {
     const userId = user.id || user._id.toString();
     
     // Get all files for this user from MongoDB
-    const allFiles = await db.collection('files').find({ userId }).toArray();
+    const allFiles = await db.collection('files').find({ userId }, { projection: { transcriptModel: 0, sentimentTimeline: 0 } }).toArray();
     const recentFiles = allFiles
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5);
+      .slice(0, 5)
+      // String ids like /api/files, so live progress events can be matched to the cards
+      .map(file => ({ ...file, id: file._id.toString() }));
     
     const processingFiles = allFiles.filter(file => file.status === 'processing');
     const completedFiles = allFiles.filter(file => file.status === 'completed');
     const errorFiles = allFiles.filter(file => file.status === 'error');
     
-    // Calculate storage used
-    const storageUsed = allFiles.reduce((total, file) => total + (file.size || 0), 0);
-    const storageLimit = 1024 * 1024 * 1024; // 1GB in bytes
+    // Plan allowance and this billing period's usage
+    const quota = await getUserQuota(db, user);
     
     // Calculate total minutes transcribed
     const totalMinutes = completedFiles.reduce((total, file) => {
@@ -51,9 +53,9 @@ export default async function handler(req, res) {
       processingTranscriptions: processingFiles.length,
       errorTranscriptions: errorFiles.length,
       totalMinutes,
-      storageUsed,
-      storageLimit,
-      storagePercentage: Math.round((storageUsed / storageLimit) * 100),
+      storageUsed: quota.storage.used,
+      storageLimit: quota.storage.limit,
+      storagePercentage: quota.storage.percentage,
     };
 
     res.status(200).json({
@@ -65,6 +67,7 @@ export default async function handler(req, res) {
         avatar: user.avatar,
       },
       stats,
+      quota,
       recentFiles,
       recentActivity: recentFiles.map(file => ({
         id: file.id,
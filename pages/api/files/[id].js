@@ -1,6 +1,9 @@
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
 import { deleteFile } from '../../../utils/storage.js';
 import { connectDB } from '../../../lib/mongodb.js';
+import { deleteTranscriptVersions } from '../../../utils/transcriptVersions.js';
+import { recordUsage, USAGE_METRICS } from '../../../utils/usage.js';
+import { generateText, INTERACTIVE_LLM_OPTIONS } from '../../../utils/llm.js';
 import { ObjectId } from 'mongodb';
 
 export default async function handler(req, res) {
@@ -86,9 +89,20 @@ export default async function handler(req, res) {
       if (file.key) {
         await deleteFile(file.key);
       }
+      if (file.redactedAudio && file.redactedAudio.key !== file.key) {
+        await deleteFile(file.redactedAudio.key);
+      }
+      if (file.preprocessing?.key) {
+        await deleteFile(file.preprocessing.key);
+      }
+      const versionAudioKeys = await deleteTranscriptVersions(db, id);
+      for (const key of versionAudioKeys.filter(key => key !== file.key && key !== file.redactedAudio?.key)) {
+        await deleteFile(key);
+      }
       
       // Delete from database
       await db.collection('files').deleteOne({ _id: new ObjectId(id) });
+      await recordUsage(db, { userId, metric: USAGE_METRICS.STORAGE_BYTES, quantity: -(file.size || 0), fileId: id, source: 'delete' });
       
       res.status(200).json({
         success: true,
@@ -110,15 +124,7 @@ async function generateSummary(text) {
     // Take a subset of the transcript if it's too long
     const truncatedText = text.length > 5000 ? text.substring(0, 5000) + "..." : text;
     
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${process.env.GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: `As an AI assistant for a transcription app, analyze this transcript and provide:
+    const { text: generatedText } = await generateText(`As an AI assistant for a transcription app, analyze this transcript and provide:
 
 1. Summary: Write a clear, concise summary (2-3 sentences) that captures the main points
 2. Topic: Provide a brief topic description (1-3 words)
@@ -127,20 +133,7 @@ Format your response exactly like this:
 Summary: [Your 2-3 sentence summary here]
 Topic: [Your 1-3 word topic here]
 
-Transcript: ${truncatedText}`
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 1024,
-        }
-      }),
-    });
-
-    const data = await response.json();
-    const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+Transcript: ${truncatedText}`, { ...INTERACTIVE_LLM_OPTIONS, temperature: 0.2, maxOutputTokens: 1024 });
     
     console.log('Generated text from AI:', generatedText);
     
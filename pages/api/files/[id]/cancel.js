@@ -0,0 +1,61 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { cancelTranscription } from '../../../../utils/transcription.js';
+import { ObjectId } from 'mongodb';
+
+// Stop the transcription that is running for a file
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.query;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const file = await db.collection('files').findOne({ _id: new ObjectId(id) });
+
+    const userId = user.id || user._id.toString();
+    if (!file || file.userId !== userId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const cancelled = await cancelTranscription(db, id);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'This file has no transcription in progress' });
+    }
+
+    const updatedFile = await db.collection('files').findOne(
+      { _id: file._id },
+      { projection: { status: 1, currentVersion: 1 } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      status: updatedFile.status,
+      currentVersion: updatedFile.currentVersion || null
+    });
+  } catch (error) {
+    console.error('❌ Cancel transcription error:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel transcription',
+      details: error.message
+    });
+  }
+}
@@ -1,5 +1,6 @@
 import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
 import { connectDB } from '../../../../lib/mongodb.js';
+import { applyTranscriptEdits, renderTranscriptText } from '../../../../utils/transcriptModel.js';
 import { ObjectId } from 'mongodb';
 
 export default async function handler(req, res) {
@@ -41,15 +42,26 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'File not found' });
     }
 
+    const update = {
+      transcript: transcript,
+      updatedAt: new Date()
+    };
+
+    // Keep the transcript model in step with the edited text where the lines still match it
+    if (file.transcriptModel) {
+      const editedModel = applyTranscriptEdits(file.transcriptModel, transcript);
+      if (editedModel) {
+        update.transcriptModel = editedModel;
+        update.transcript = renderTranscriptText(editedModel);
+      } else {
+        update['transcriptModel.detached'] = true;
+      }
+    }
+
     // Update the transcript
     const result = await db.collection('files').updateOne(
       { _id: new ObjectId(id) },
-      { 
-        $set: { 
-          transcript: transcript,
-          updatedAt: new Date()
-        }
-      }
+      { $set: update }
     );
 
     if (result.modifiedCount === 0) {
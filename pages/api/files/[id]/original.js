@@ -0,0 +1,57 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { deleteUnredactedOriginal } from '../../../../utils/transcription.js';
+import { ObjectId } from 'mongodb';
+
+// Delete the unredacted recording of a redacted file, keeping only the beeped copy
+export default async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.query;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const file = await db.collection('files').findOne({ _id: new ObjectId(id) });
+
+    const userId = user.id || user._id.toString();
+    if (!file || file.userId !== userId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!file.redactedAudio) {
+      return res.status(400).json({ error: 'This file has no redacted copy, so the original cannot be deleted' });
+    }
+
+    const updatedFile = await deleteUnredactedOriginal(db, id);
+
+    return res.status(200).json({
+      success: true,
+      url: updatedFile.url,
+      originalDeletedAt: updatedFile.originalDeletedAt
+    });
+  } catch (error) {
+    console.error('❌ Delete original error:', error);
+    return res.status(500).json({
+      error: 'Failed to delete original recording',
+      details: error.message
+    });
+  }
+}
@@ -1,95 +1,114 @@
-import { connectToDatabase } from '../../../../lib/mongodb';
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
 import { ObjectId } from 'mongodb';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { summarizeTranscript } from '../../../../utils/summaries.js';
+import { createLlmUsage, isLlmConfigured, INTERACTIVE_LLM_OPTIONS } from '../../../../utils/llm.js';
+import { findSummaryTemplate } from '../../../../utils/summaryTemplates.js';
+import { getUserQuota, recordUsage, USAGE_METRICS } from '../../../../utils/usage.js';
+import { getAiQuotaError } from '../../../../utils/plans.js';
 
+// POST { templateId } rewrites the AI summary of a file, in another template when one is given
+// (the file's current template otherwise). Unchanged chunks of a long transcript are reused, so
+// switching templates only costs the final summary request.
 export default async function handler(req, res) {
-  // Only allow POST method
   if (req.method !== 'POST') {
-    return res.status(405).json({ message: 'Method not allowed' });
-  }
-
-  // Check authentication
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ message: 'Not authenticated' });
+    return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Get file ID from URL
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
     const { id } = req.query;
-    
-    // Connect to the database
-    const { db } = await connectToDatabase();
-    
-    // Find the file by ID
-    const file = await db.collection('files').findOne({ 
-      _id: new ObjectId(id),
-    });
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const file = await db.collection('files').findOne({ _id: new ObjectId(id) });
+
+    const userId = user.id || user._id.toString();
+    if (!file || file.userId !== userId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!file.transcript || file.transcript.trim().length < 20) {
+      return res.status(400).json({ error: 'Transcript too short for summary generation' });
+    }
 
-    if (!file) {
-      return res.status(404).json({ message: 'File not found' });
+    const templateId = req.body?.templateId || file.summaryTemplateId;
+    const template = findSummaryTemplate(templateId, user.summaryTemplates);
+    if (!template) {
+      return res.status(400).json({ error: 'Summary template not found', errorType: 'VALIDATION_ERROR' });
     }
 
-    // Generate a new summary using the transcript
-    const summary = await generateSummary(file.transcript);
-    
-    // Update the file with the new summary
+    const quota = await getUserQuota(db, user);
+    const quotaError = getAiQuotaError(quota);
+    if (quotaError) {
+      return res.status(403).json({ error: quotaError, errorType: 'QUOTA_EXCEEDED', quota });
+    }
+
+    if (!isLlmConfigured()) {
+      console.error('No LLM provider configured (check LLM_PROVIDER and its API key)');
+      return res.status(500).json({ error: 'AI service not configured' });
+    }
+
+    const usage = createLlmUsage();
+    const result = await summarizeTranscript({
+      model: file.transcriptModel || null,
+      text: file.transcript,
+      language: file.language || 'en',
+      template,
+      usage,
+      cachedChunks: file.summaryChunks || [],
+      llmOptions: INTERACTIVE_LLM_OPTIONS,
+    });
+
+    const fields = {
+      summary: result.summary,
+      topics: result.topics,
+      topic: result.topic,
+      insights: result.insights,
+      summaryTemplateId: result.templateId,
+      summarySections: result.sections,
+      summaryChunks: result.chunks,
+    };
+
+    // Re-runs of the transcription keep the template picked here
     await db.collection('files').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { summary } }
+      { _id: file._id },
+      { $set: { ...fields, ...(file.settings ? { 'settings.summaryTemplate': template.id } : {}), updatedAt: new Date() } }
     );
 
-    // Return the updated summary
-    return res.status(200).json({ 
-      message: 'Summary regenerated successfully', 
-      summary 
-    });
-    
+    await recordUsage(db, { userId, metric: USAGE_METRICS.AI_CALLS, quantity: usage.calls, fileId: id, source: 'summary' });
+    await recordUsage(db, { userId, metric: USAGE_METRICS.AI_TOKENS, quantity: usage.inputTokens + usage.outputTokens, fileId: id, source: 'summary' });
+
+    console.log(`📝 Summary of file ${id} regenerated with the ${template.id} template`);
+
+    return res.status(200).json({ success: true, ...fields });
   } catch (error) {
-    console.error('Summary regeneration error:', error);
-    return res.status(500).json({ message: 'Error regenerating summary' });
-  }
-}
+    console.error('❌ Summary regeneration error:', error);
 
-// Helper function to generate a summary from a transcript
-async function generateSummary(transcript) {
-  try {
-    // Initialize the Gemini Pro model
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-    
-    // Clean up the transcript if needed
-    const cleanTranscript = transcript.slice(0, 30000); // Limit to 30k chars to avoid token limits
-    
-    // Create a prompt for the model
-    const prompt = `
-    You are an expert AI assistant specialized in creating high-quality summaries of audio transcripts.
-
-    IMPORTANT INSTRUCTIONS:
-    1. DO NOT repeat the transcript verbatim
-    2. Create an insightful, thoughtful summary that captures the key points (1-2 paragraphs)
-    3. Use your own words to synthesize the main ideas and context
-    4. Make the summary informative and useful even for very short transcripts
-    5. If the transcript is unclear or incomplete, make note of that fact in your summary
-    
-    Transcript:
-    ${cleanTranscript}
-    `;
-
-    // Generate content
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    if (!text || text.trim() === '') {
-      return 'Summary generation failed';
+    if (error.status === 429) {
+      return res.status(429).json({
+        error: 'AI service is busy, please try again in a moment',
+        errorType: 'RATE_LIMITED'
+      });
     }
-    
-    return text.trim();
-  } catch (error) {
-    console.error('Gemini API error:', error);
-    return 'Summary generation failed';
+
+    return res.status(500).json({
+      error: 'Failed to regenerate summary',
+      details: error.message
+    });
   }
 }
@@ -0,0 +1,84 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { rerunTranscription, kickTranscriptionWorker, getRecordingUrl } from '../../../../utils/transcription.js';
+import { parseTranscriptionSettings, toSettingsInput } from '../../../../utils/transcriptionSettings.js';
+import { getUserQuota } from '../../../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../../../utils/plans.js';
+import { ObjectId } from 'mongodb';
+
+// Transcribe the stored recording again. Settings not given in the body are taken from the
+// file's current settings; the result is kept as a new transcript version.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.query;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const file = await db.collection('files').findOne({ _id: new ObjectId(id) });
+
+    const userId = user.id || user._id.toString();
+    if (!file || file.userId !== userId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (file.status === 'processing') {
+      return res.status(409).json({ error: 'This file is already being transcribed. Cancel it first to start a new run.' });
+    }
+    if (!(await getRecordingUrl(file))) {
+      return res.status(400).json({ error: 'The recording for this file is no longer stored' });
+    }
+
+    // The recording is already stored, so only the transcription allowance applies
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota, 0, file.duration || null);
+    if (quotaError) {
+      return res.status(403).json({ error: 'Plan limit reached', errorType: 'QUOTA_EXCEEDED', details: quotaError, quota });
+    }
+
+    const { settings, error: settingsError } = parseTranscriptionSettings(
+      { ...toSettingsInput(file.settings), ...(req.body || {}) },
+      { fileSize: file.size }
+    );
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    console.log('⚙️ Re-run transcription settings:', settings);
+
+    const job = await rerunTranscription(db, file, settings);
+    kickTranscriptionWorker();
+
+    return res.status(200).json({
+      success: true,
+      fileId: id,
+      version: job.payload.version,
+      estimate: job.estimate,
+      message: 'Transcription restarted. The current transcript stays available until the new run completes.'
+    });
+  } catch (error) {
+    console.error('❌ Re-run transcription error:', error);
+    return res.status(500).json({
+      error: 'Failed to re-run transcription',
+      details: error.message
+    });
+  }
+}
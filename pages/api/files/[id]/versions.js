@@ -0,0 +1,110 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import {
+  VERSION_STATUS,
+  listTranscriptVersions,
+  getTranscriptVersion,
+  restoreFileVersion,
+  isRestorableVersion,
+  compareTranscriptVersions
+} from '../../../../utils/transcriptVersions.js';
+import { ObjectId } from 'mongodb';
+
+// GET  lists the transcript versions of a file; `?compare=2,3` compares two of them
+// POST { version } promotes a completed version to the file's current transcript
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.query;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const file = await db.collection('files').findOne({ _id: new ObjectId(id) });
+
+    const userId = user.id || user._id.toString();
+    if (!file || file.userId !== userId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (req.method === 'GET' && req.query.compare) {
+      const numbers = String(req.query.compare).split(',').map(value => parseInt(value, 10));
+      if (numbers.length !== 2 || numbers.some(number => !Number.isInteger(number))) {
+        return res.status(400).json({ error: 'Compare takes two version numbers, like ?compare=1,2' });
+      }
+
+      const [a, b] = await Promise.all(numbers.map(number => getTranscriptVersion(db, id, number)));
+      if (!a || !b) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      if (a.status !== VERSION_STATUS.COMPLETED || b.status !== VERSION_STATUS.COMPLETED) {
+        return res.status(400).json({ error: 'Only completed versions can be compared' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        comparison: compareTranscriptVersions(a, b),
+        versions: [a, b].map(version => ({
+          version: version.version,
+          provider: version.provider,
+          language: version.language,
+          transcript: version.transcript,
+          completedAt: version.completedAt
+        }))
+      });
+    }
+
+    if (req.method === 'GET') {
+      const versions = await listTranscriptVersions(db, id);
+      return res.status(200).json({
+        success: true,
+        currentVersion: file.currentVersion || null,
+        versions
+      });
+    }
+
+    if (file.status === 'processing') {
+      return res.status(409).json({ error: 'Wait for the running transcription to finish, or cancel it, before switching versions' });
+    }
+
+    const version = parseInt(req.body?.version, 10);
+    const stored = Number.isInteger(version) ? await getTranscriptVersion(db, id, version) : null;
+    if (!stored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (stored.status !== VERSION_STATUS.COMPLETED) {
+      return res.status(400).json({ error: 'Only completed versions can be made current' });
+    }
+    if (!isRestorableVersion(file, stored)) {
+      return res.status(400).json({ error: 'This version was transcribed before redaction and its original recording has been deleted' });
+    }
+
+    await restoreFileVersion(db, id, version);
+    console.log(`📌 Promoted version ${version} of file ${id} to current`);
+
+    return res.status(200).json({ success: true, currentVersion: version });
+  } catch (error) {
+    console.error('❌ Transcript versions error:', error);
+    return res.status(500).json({
+      error: 'Failed to load transcript versions',
+      details: error.message
+    });
+  }
+}
@@ -1,4 +1,3 @@
-import { filesDB } from '../../../utils/database.js';
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
 import { connectDB } from '../../../lib/mongodb.js';
 
@@ -23,13 +22,13 @@ export default async function handler(req, res) {
     if (req.method === 'GET') {
       // Get only completed files
       const userId = user.id || user._id.toString();
-      let files = filesDB.findByUserId(userId);
-      
-      // Filter for completed files
-      files = files.filter(file => file.status === 'completed');
-      
-      // Sort by creation date (newest first)
-      files.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      const completed = await db.collection('files')
+        .find({ userId, status: 'completed' }, { projection: { transcriptModel: 0, sentimentTimeline: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      // Convert ObjectId to string for frontend
+      const files = completed.map(file => ({ ...file, id: file._id.toString(), _id: undefined }));
       
       return res.status(200).json({ 
         files,
@@ -0,0 +1,112 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import {
+  subscribeToProgress,
+  getProgressChangedSince,
+  getProcessingSnapshot
+} from '../../../utils/progressEvents.js';
+
+const SWEEP_INTERVAL_MS = 5000; // Reports made by workers in other instances
+const HEARTBEAT_INTERVAL_MS = 20000; // Keeps proxies from closing an idle stream
+const MAX_CONNECTION_MS = 5 * 60 * 1000; // Below serverless timeouts; EventSource reconnects
+const RECONNECT_DELAY_MS = 3000;
+
+// Server-Sent Events stream of the signed-in user's processing progress.
+//   event: snapshot  { files: [progress event] }   once, when the stream opens
+//   event: progress  { fileId, name, status, error, progress, estimate }   on every stage change
+// EventSource can't send headers; it authenticates with the session cookie set at sign-in, which
+// same-origin streams send by themselves. Tokens are never taken from the URL, where they'd end up
+// in access logs and browser history.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stops compression and proxy buffering from holding events back
+      'Content-Encoding': 'none',
+      'X-Accel-Buffering': 'no',
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The same report can arrive from this process and from a sweep; send it once
+    const lastSent = new Map();
+    const publish = (event) => {
+      const key = String(event.progress.updatedAt);
+      if (lastSent.get(event.fileId) === key) return;
+      lastSent.set(event.fileId, key);
+      send('progress', event);
+    };
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    let since = new Date();
+    const snapshot = await getProcessingSnapshot(db, userId);
+    snapshot.forEach(event => lastSent.set(event.fileId, String(event.progress.updatedAt)));
+    send('snapshot', { files: snapshot });
+
+    const unsubscribe = subscribeToProgress(userId, publish);
+
+    let sweeping = false;
+    const sweep = setInterval(async () => {
+      if (sweeping) return;
+      sweeping = true;
+      // A second of overlap covers clock skew between instances; duplicates are dropped above
+      const sweepStartedAt = new Date(Date.now() - 1000);
+      try {
+        const changed = await getProgressChangedSince(db, userId, since);
+        changed.forEach(publish);
+        since = sweepStartedAt;
+      } catch (error) {
+        console.error('⚠️ Progress sweep failed:', error.message);
+      } finally {
+        sweeping = false;
+      }
+    }, SWEEP_INTERVAL_MS);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(sweep);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      res.end();
+    };
+    const expiry = setTimeout(close, MAX_CONNECTION_MS);
+    req.on('close', close);
+
+  } catch (error) {
+    console.error('Progress stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open progress stream', details: error.message });
+    } else {
+      res.end();
+    }
+  }
+}
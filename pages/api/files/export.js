@@ -3,6 +3,8 @@ import { Document, Packer, Paragraph, TextRun } from 'docx';
 import { Client } from '@notionhq/client';
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
 import { connectDB } from '../../../lib/mongodb.js';
+import { getTimelineEntries } from '../../../utils/transcriptModel.js';
+import { getSummaryBlocks } from '../../../utils/summaryTemplates.js';
 import { ObjectId } from 'mongodb';
 
 export default async function handler(req, res) {
@@ -81,9 +83,44 @@ async function exportToPDF(req, res, file) {
     doc.text(`Duration: ${formatDuration(file.duration)}`, margin, 80);
     doc.text(`Language: ${file.language || 'English'}`, margin, 95);
     
+    let yPosition = 120;
+
+    // AI summary, in the sections of its template
+    const summaryBlocks = getSummaryBlocks(file);
+    if (summaryBlocks.length > 0) {
+      doc.setFontSize(16);
+      doc.text('AI Summary', margin, yPosition);
+      yPosition += 12;
+
+      summaryBlocks.forEach((block) => {
+        if (yPosition > 270) {
+          doc.addPage();
+          yPosition = 20;
+        }
+        doc.setFontSize(12);
+        doc.text(block.title, margin, yPosition);
+        yPosition += 8;
+
+        doc.setFontSize(10);
+        doc.splitTextToSize(block.content, maxWidth).forEach((line) => {
+          if (yPosition > 280) {
+            doc.addPage();
+            yPosition = 20;
+          }
+          doc.text(line, margin, yPosition);
+          yPosition += 7;
+        });
+        yPosition += 5;
+      });
+
+      doc.addPage();
+      doc.setFontSize(16);
+      doc.text('Full Transcript', margin, 30);
+      yPosition = 50;
+    }
+
     // Transcript content
     doc.setFontSize(10);
-    let yPosition = 120;
     
     if (file.transcript) {
       const lines = doc.splitTextToSize(file.transcript, maxWidth);
@@ -98,8 +135,9 @@ async function exportToPDF(req, res, file) {
       });
     }
     
-    // If timestamps exist, add them on a new page
-    if (file.timestamps && file.timestamps.length > 0) {
+    // If timing data exists, add the speaker timeline on a new page
+    const timeline = getTimelineEntries(file);
+    if (timeline.length > 0) {
       doc.addPage();
       doc.setFontSize(16);
       doc.text('Timestamps', margin, 30);
@@ -107,7 +145,7 @@ async function exportToPDF(req, res, file) {
       doc.setFontSize(10);
       yPosition = 50;
       
-      file.timestamps.forEach((timestamp) => {
+      timeline.forEach((timestamp) => {
         if (yPosition > 280) {
           doc.addPage();
           yPosition = 20;
@@ -183,6 +221,49 @@ async function exportToDocx(req, res, file) {
       })
     );
     
+    // AI summary, in the sections of its template
+    const summaryBlocks = getSummaryBlocks(file);
+    if (summaryBlocks.length > 0) {
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: 'AI Summary',
+              bold: true,
+              size: 24,
+              break: 2,
+            }),
+          ],
+        })
+      );
+
+      summaryBlocks.forEach((block) => {
+        children.push(
+          new Paragraph({
+            children: [
+              new TextRun({
+                text: block.title,
+                bold: true,
+                break: 1,
+              }),
+            ],
+          })
+        );
+
+        block.content.split('\n').filter(line => line.trim()).forEach(line => {
+          children.push(
+            new Paragraph({
+              children: [
+                new TextRun({
+                  text: line,
+                }),
+              ],
+            })
+          );
+        });
+      });
+    }
+
     // Transcript heading
     children.push(
       new Paragraph({
@@ -214,7 +295,8 @@ async function exportToDocx(req, res, file) {
     }
     
     // Timestamps section
-    if (file.timestamps && file.timestamps.length > 0) {
+    const timeline = getTimelineEntries(file);
+    if (timeline.length > 0) {
       children.push(
         new Paragraph({
           children: [
@@ -228,7 +310,7 @@ async function exportToDocx(req, res, file) {
         })
       );
       
-      file.timestamps.forEach((timestamp) => {
+      timeline.forEach((timestamp) => {
         children.push(
           new Paragraph({
             children: [
@@ -324,6 +406,38 @@ async function exportToNotion(req, res, file, notionToken, notionPageId) {
       },
     });
     
+    // AI summary, in the sections of its template
+    const summaryBlocks = getSummaryBlocks(file);
+    if (summaryBlocks.length > 0) {
+      children.push({
+        object: 'block',
+        type: 'heading_2',
+        heading_2: {
+          rich_text: [{ text: { content: 'AI Summary' } }],
+        },
+      });
+
+      summaryBlocks.forEach((block) => {
+        children.push({
+          object: 'block',
+          type: 'heading_3',
+          heading_3: {
+            rich_text: [{ text: { content: block.title } }],
+          },
+        });
+        // Cut by length only: chunkText() would rewrite the bullets' punctuation
+        block.content.match(/[\s\S]{1,2000}/g).forEach(chunk => {
+          children.push({
+            object: 'block',
+            type: 'paragraph',
+            paragraph: {
+              rich_text: [{ text: { content: chunk } }],
+            },
+          });
+        });
+      });
+    }
+
     // Full transcript section
     children.push({
       object: 'block',
@@ -348,7 +462,8 @@ async function exportToNotion(req, res, file, notionToken, notionPageId) {
     }
     
     // Timestamps section
-    if (file.timestamps && file.timestamps.length > 0) {
+    const timeline = getTimelineEntries(file);
+    if (timeline.length > 0) {
       children.push({
         object: 'block',
         type: 'heading_2',
@@ -357,7 +472,7 @@ async function exportToNotion(req, res, file, notionToken, notionPageId) {
         },
       });
       
-      file.timestamps.slice(0, 50).forEach((timestamp) => { // Limit to avoid API limits
+      timeline.slice(0, 50).forEach((timestamp) => { // Limit to avoid API limits
         children.push({
           object: 'block',
           type: 'paragraph',
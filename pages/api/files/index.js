@@ -1,6 +1,6 @@
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
 import { connectDB } from '../../../lib/mongodb.js';
-import { ObjectId } from 'mongodb';
+import { getUserQuota } from '../../../utils/usage.js';
 
 export default async function handler(req, res) {
   try {
@@ -34,8 +34,9 @@ export default async function handler(req, res) {
       }
       
       // Get files from MongoDB
+      // The transcript model carries every word timing; list views don't need it
       const files = await db.collection('files')
-        .find(query)
+        .find(query, { projection: { transcriptModel: 0, sentimentTimeline: 0 } })
         .sort({ createdAt: -1 })
         .limit(parseInt(limit))
         .skip(parseInt(offset))
@@ -51,9 +52,8 @@ export default async function handler(req, res) {
         _id: undefined
       }));
       
-      // Calculate storage usage
-      const storageUsed = files.reduce((total, file) => total + (file.size || 0), 0);
-      const storageLimit = 1024 * 1024 * 1024; // 1GB in bytes
+      // Storage across all of the user's files against their plan's limit
+      const quota = await getUserQuota(db, user);
       
       res.status(200).json({
         success: true,
@@ -65,9 +65,9 @@ export default async function handler(req, res) {
           hasMore: totalFiles > parseInt(offset) + parseInt(limit),
         },
         storage: {
-          used: storageUsed,
-          limit: storageLimit,
-          percentage: Math.round((storageUsed / storageLimit) * 100),
+          used: quota.storage.used,
+          limit: quota.storage.limit,
+          percentage: quota.storage.percentage,
         },
       });
       
@@ -0,0 +1,94 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { kickTranscriptionWorker } from '../../../utils/transcription.js';
+import { parseTranscriptionSettings } from '../../../utils/transcriptionSettings.js';
+import { parseImportUrl } from '../../../utils/mediaImport.js';
+import {
+  MAX_IMPORT_LATEST,
+  listSubscriptions,
+  subscribeToFeed,
+  unsubscribeFromFeed
+} from '../../../utils/podcastFeeds.js';
+
+// Podcast subscriptions: GET lists them, POST { feedUrl, importLatest, ...settings } subscribes
+// and imports the newest episodes, DELETE ?id= unsubscribes. New episodes are picked up by the
+// hourly feed poll job.
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, subscriptions: await listSubscriptions(db, userId) });
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await unsubscribeFromFeed(db, userId, req.query.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    const { url, error: urlError } = parseImportUrl(req.body?.feedUrl);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, errorType: 'INVALID_URL' });
+    }
+
+    const importLatest = parseInt(req.body.importLatest ?? 1, 10);
+    if (!Number.isInteger(importLatest) || importLatest < 0 || importLatest > MAX_IMPORT_LATEST) {
+      return res.status(400).json({ error: `Import between 0 and ${MAX_IMPORT_LATEST} recent episodes` });
+    }
+
+    const { settings, error: settingsError } = parseTranscriptionSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    let subscribed;
+    try {
+      subscribed = await subscribeToFeed(db, { userId, feedUrl: url.toString(), settings, importLatest });
+    } catch (error) {
+      if (error.retryable === false) {
+        return res.status(400).json({ error: 'Cannot subscribe to this feed', errorType: 'INVALID_URL', details: error.message });
+      }
+      throw error;
+    }
+    if (subscribed.error) {
+      return res.status(subscribed.status).json({ error: subscribed.error });
+    }
+
+    if (subscribed.imported > 0) {
+      kickTranscriptionWorker();
+    }
+
+    return res.status(200).json({
+      success: true,
+      subscription: subscribed.subscription,
+      imported: subscribed.imported
+    });
+  } catch (error) {
+    console.error('❌ Feed subscription error:', error);
+    return res.status(500).json({
+      error: 'Failed to update feed subscriptions',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,84 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { kickTranscriptionWorker } from '../../../utils/transcription.js';
+import { parseTranscriptionSettings } from '../../../utils/transcriptionSettings.js';
+import { getUserQuota } from '../../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../../utils/plans.js';
+import { parseImportUrl, inspectMediaUrl, queueMediaImport } from '../../../utils/mediaImport.js';
+
+// Import a recording from a direct media URL. The URL is checked here (reachable, supported
+// type, size within limits); the download itself runs as a background job, after which the
+// file is transcribed like an upload.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    const { url, error: urlError } = parseImportUrl(req.body?.url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, errorType: 'INVALID_URL' });
+    }
+
+    let media;
+    try {
+      media = await inspectMediaUrl(url.toString());
+    } catch (error) {
+      console.log(`🚫 Import of ${url} rejected:`, error.message);
+      return res.status(400).json({ error: 'Cannot import this URL', errorType: 'INVALID_URL', details: error.message });
+    }
+
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota, media.size || 0);
+    if (quotaError) {
+      console.log('🚫 Import rejected by plan quota:', quotaError);
+      return res.status(403).json({ error: 'Plan limit reached', errorType: 'QUOTA_EXCEEDED', details: quotaError, quota });
+    }
+
+    const { settings, error: settingsError } = parseTranscriptionSettings(req.body, { fileSize: media.size || 0 });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const { fileId } = await queueMediaImport(db, {
+      userId,
+      sourceUrl: media.url,
+      name: media.name,
+      type: media.type,
+      size: media.size,
+      settings,
+      source: 'url',
+      origin: { requestedUrl: url.toString() },
+    });
+    kickTranscriptionWorker();
+
+    return res.status(200).json({
+      success: true,
+      fileId,
+      name: media.name,
+      message: 'Import started. The file will be transcribed once it has been downloaded.'
+    });
+  } catch (error) {
+    console.error('❌ URL import error:', error);
+    return res.status(500).json({
+      error: 'Failed to import URL',
+      details: error.message
+    });
+  }
+}
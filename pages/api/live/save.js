@@ -0,0 +1,131 @@
+import { ObjectId } from 'mongodb';
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { queueTranscription, kickTranscriptionWorker } from '../../../utils/transcription.js';
+import { parseTranscriptionSettings } from '../../../utils/transcriptionSettings.js';
+import { recordUsage, USAGE_METRICS } from '../../../utils/usage.js';
+import { createProgress, formatEta } from '../../../utils/progress.js';
+import { getLiveSession, saveLiveSession, LIVE_SESSION_STATUS } from '../../../utils/liveSessions.js';
+import { parseLiveTurns, buildLiveResult, MAX_LIVE_DURATION_SEC } from '../../../utils/liveTranscription.js';
+import { getFileUrl, isUserFileKey } from '../../../utils/storage.js';
+import { probeDuration } from '../../../utils/media.js';
+
+// Word timings of a long meeting are larger than the default 1MB body
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb',
+    },
+  },
+};
+
+// Saves a finished live session as a normal file. The recording has already been uploaded to R2
+// through /api/upload/presigned-url; the streamed transcript is replayed by the `live` provider,
+// so the file is summarized and gets chapters like any upload.
+
+// The billed length of a session, worked out on the server: the recording's own duration, or the
+// time the session was open when it can't be read (MediaRecorder webm often has no duration).
+async function getSessionDuration(session, fileUrl) {
+  try {
+    return await probeDuration(fileUrl);
+  } catch (error) {
+    console.warn(`⚠️ Could not read the live recording duration, using the session length: ${error.message}`);
+    return Math.min((Date.now() - new Date(session.createdAt).getTime()) / 1000, MAX_LIVE_DURATION_SEC);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const { sessionId, fileName, fileSize, fileType, fileKey, turns: turnsInput } = req.body;
+
+    if (!sessionId || !fileName || !fileSize || !fileType || !fileKey) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    if (!isUserFileKey(fileKey, userId)) {
+      return res.status(400).json({ error: 'Invalid recording key' });
+    }
+    const fileUrl = await getFileUrl(fileKey);
+
+    const session = await getLiveSession(db, sessionId, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Live session not found' });
+    }
+    if (session.status !== LIVE_SESSION_STATUS.ACTIVE) {
+      return res.status(409).json({ error: 'This live session has already been saved', fileId: session.fileId });
+    }
+
+    const { turns, error: turnsError } = parseLiveTurns(turnsInput);
+    if (turnsError) {
+      return res.status(400).json({ error: turnsError, errorType: 'VALIDATION_ERROR' });
+    }
+    const duration = await getSessionDuration(session, fileUrl);
+    const result = buildLiveResult(turns, { duration, language: session.language });
+
+    // Live sessions are transcribed as they are recorded, so only the language carries over
+    const { settings: parsedSettings } = parseTranscriptionSettings({ language: session.language });
+    const settings = { ...parsedSettings, provider: 'live', liveSessionId: sessionId };
+
+    const fileRecord = {
+      userId,
+      name: fileName,
+      size: fileSize,
+      type: fileType,
+      url: fileUrl,
+      key: fileKey,
+      source: 'live',
+      status: 'processing',
+      progress: createProgress('uploaded'),
+      settings,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const insert = await db.collection('files').insertOne(fileRecord);
+    const fileId = insert.insertedId.toString();
+
+    // A second save of the same session (double click, retry) loses the race and is undone
+    const saved = await saveLiveSession(db, sessionId, { fileId, result });
+    if (!saved) {
+      await db.collection('files').deleteOne({ _id: new ObjectId(fileId) });
+      return res.status(409).json({ error: 'This live session has already been saved' });
+    }
+
+    console.log(`✅ Live session ${sessionId} saved as file ${fileId}`);
+    await recordUsage(db, { userId, metric: USAGE_METRICS.STORAGE_BYTES, quantity: fileSize, fileId, source: 'live' });
+
+    const { estimate } = await queueTranscription(db, { fileId, userId, fileUrl, settings, mediaDuration: result.duration });
+    kickTranscriptionWorker();
+
+    return res.status(200).json({
+      success: true,
+      fileId,
+      message: 'Live transcript saved. Summary and chapters are being generated.',
+      estimatedTime: formatEta(estimate?.totalSeconds) || 'a few minutes',
+      estimate
+    });
+  } catch (error) {
+    console.error('❌ Live session save error:', error);
+    return res.status(500).json({ error: 'Failed to save live transcript', details: error.message });
+  }
+}
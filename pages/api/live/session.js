@@ -0,0 +1,70 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { getUserQuota } from '../../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../../utils/plans.js';
+import { startLiveSession } from '../../../utils/liveSessions.js';
+import { LIVE_LANGUAGES, LIVE_SAMPLE_RATE, MAX_LIVE_DURATION_SEC } from '../../../utils/liveTranscription.js';
+
+// Opens a live transcription session: the browser gets a WebSocket URL for the streaming
+// service and how long it may record for on the user's plan.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+    const language = req.body?.language || 'en';
+
+    if (!LIVE_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        errorType: 'VALIDATION_ERROR',
+        details: `Live transcription supports: ${LIVE_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota);
+    if (quotaError) {
+      return res.status(403).json({ error: 'Plan limit reached', errorType: 'QUOTA_EXCEEDED', details: quotaError, quota });
+    }
+
+    // Plans without overage can only record the minutes they have left
+    const { minutes } = quota;
+    const maxDurationSec = minutes.limit !== null && !quota.plan.overage
+      ? Math.min(MAX_LIVE_DURATION_SEC, minutes.remaining * 60)
+      : MAX_LIVE_DURATION_SEC;
+
+    const session = await startLiveSession(db, { userId, language, maxDurationSec });
+    console.log(`🎙️ Live session ${session.sessionId} started with ${session.provider}`);
+
+    return res.status(200).json({
+      success: true,
+      ...session,
+      sampleRate: LIVE_SAMPLE_RATE,
+      maxDurationSec
+    });
+  } catch (error) {
+    console.error('❌ Live session error:', error);
+    return res.status(500).json({
+      error: 'Failed to start live transcription',
+      errorType: 'STREAMING_ERROR',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,50 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { normalizeGlossary } from '../../../utils/vocabulary.js';
+
+// Per-user custom vocabulary used to boost and correct names, jargon and acronyms
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, glossary: user.glossary || [] });
+    }
+
+    const { glossary, error } = normalizeGlossary(req.body?.glossary);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { glossary, updatedAt: new Date() } }
+    );
+
+    console.log(`📚 Glossary updated for ${user.email}: ${glossary.length} terms`);
+
+    return res.status(200).json({ success: true, glossary });
+  } catch (error) {
+    console.error('❌ Glossary error:', error);
+    return res.status(500).json({
+      error: 'Failed to update glossary',
+      details: error.message
+    });
+  }
+}
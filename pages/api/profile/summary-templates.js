@@ -0,0 +1,50 @@
+import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
+import { connectDB } from '../../../lib/mongodb.js';
+import { normalizeSummaryTemplates } from '../../../utils/summaryTemplates.js';
+
+// Per-user summary templates, offered next to the built-in ones at upload and when regenerating
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, templates: user.summaryTemplates || [] });
+    }
+
+    const { templates, error } = normalizeSummaryTemplates(req.body?.templates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { summaryTemplates: templates, updatedAt: new Date() } }
+    );
+
+    console.log(`🧾 Summary templates updated for ${user.email}: ${templates.length} templates`);
+
+    return res.status(200).json({ success: true, templates });
+  } catch (error) {
+    console.error('❌ Summary templates error:', error);
+    return res.status(500).json({
+      error: 'Failed to update summary templates',
+      details: error.message
+    });
+  }
+}
@@ -4,6 +4,8 @@ dotenv.config({ path: '.env.local' });
 import { connectDB } from '../../lib/mongodb.js';
 import { ObjectId } from 'mongodb';
 import { verifyToken, getTokenFromRequest } from '../../utils/auth.js';
+import { getActiveJobForFile } from '../../utils/jobQueue.js';
+import { describeProgress } from '../../utils/progress.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -42,6 +44,9 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'File not found' });
     }
 
+    // Include queue details while the file is still being processed
+    const job = file.status === 'processing' ? await getActiveJobForFile(db, fileId) : null;
+
     // Return file status
     res.status(200).json({
       success: true,
@@ -60,7 +65,23 @@ export default async function handler(req, res) {
         language: file.language || 'en',
         createdAt: file.createdAt,
         updatedAt: file.updatedAt,
-        error: file.error || null
+        error: file.error || null,
+        progress: describeProgress(file.progress, { estimate: file.estimate }),
+        estimate: file.estimate || null,
+        job: job ? {
+          id: job._id,
+          status: job.status,
+          attempts: job.attemptCount,
+          maxAttempts: job.maxAttempts,
+          lastError: job.lastError,
+          nextRunAt: job.runAt,
+          chunks: job.state?.chunks ? {
+            total: job.state.chunks.length,
+            completed: job.state.chunks.filter(chunk => chunk.status === 'completed').length
+          } : null,
+          preprocessing: !!job.payload?.settings?.preprocessing && !job.state?.preprocessing,
+          detectingLanguage: !!job.state?.languageDetection && !job.state.languageDetection.done
+        } : null
       }
     });
 
@@ -3,17 +3,20 @@ dotenv.config({ path: '.env.local' });
 
 import formidable from 'formidable';
 import fs from 'fs';
-import { uploadFile, deleteFile } from '../../utils/storage.js';
+import { uploadFileFromDisk, deleteFile } from '../../utils/storage.js';
 import { verifyToken, getTokenFromRequest } from '../../utils/auth.js';
 import { connectDB } from '../../lib/mongodb.js';
-import { ObjectId } from 'mongodb';
-import { 
-  getAssemblyLanguageCode, 
-  languageNeedsTranslation, 
-  translateText, 
-  getLanguageForAI,
-  getAvailableFeatures 
-} from '../../utils/languages.js';
+import { queueTranscription, kickTranscriptionWorker } from '../../utils/transcription.js';
+import { parseSpeakerSettings, parseMultichannelSettings } from '../../utils/transcriptionSettings.js';
+import { parseVocabularyInput } from '../../utils/vocabulary.js';
+import { parseRedactionSettings } from '../../utils/redaction.js';
+import { parsePreprocessingSettings } from '../../utils/audioPreprocessing.js';
+import { parseSummaryTemplateSetting } from '../../utils/summaryTemplates.js';
+import { getUserQuota, recordUsage, USAGE_METRICS } from '../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../utils/plans.js';
+import { createProgress, formatEta } from '../../utils/progress.js';
+import { parseMediaDuration } from '../../utils/processingEstimates.js';
+import { resolveUploadBatch } from '../../utils/batches.js';
 
 export const config = {
   api: {
@@ -26,6 +29,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Every temp file formidable writes, removed in `finally` however the request ends
+  const tempFiles = [];
+
   try {
     // Verify authentication
     const token = getTokenFromRequest(req);
@@ -48,6 +54,7 @@ export default async function handler(req, res) {
       maxFileSize: 500 * 1024 * 1024, // 500MB
       keepExtensions: true,
     });
+    form.on('fileBegin', (name, formFile) => tempFiles.push(formFile.filepath));
 
     const [fields, files] = await form.parse(req);
     
@@ -93,18 +100,70 @@ export default async function handler(req, res) {
       });
     }
 
-    // Check file size and warn about processing times
+    // Validate speaker count hints before uploading anything
+    const speakerOptions = parseSpeakerSettings({
+      speakerCountMode: fields.speakerCountMode?.[0],
+      speakersExpected: fields.speakersExpected?.[0],
+      minSpeakers: fields.minSpeakers?.[0],
+      maxSpeakers: fields.maxSpeakers?.[0],
+    });
+    if (speakerOptions.error) {
+      return res.status(400).json({
+        error: speakerOptions.error,
+        errorType: 'VALIDATION_ERROR'
+      });
+    }
+
+    const redactionOptions = parseRedactionSettings({
+      redactPii: fields.redactPii?.[0],
+      piiCategories: fields.piiCategories?.[0],
+      deleteOriginal: fields.deleteOriginal?.[0],
+    });
+    if (redactionOptions.error) {
+      return res.status(400).json({
+        error: redactionOptions.error,
+        errorType: 'VALIDATION_ERROR'
+      });
+    }
+
+    const multichannelOptions = parseMultichannelSettings({
+      multichannel: fields.multichannel?.[0],
+      channelNames: fields.channelNames?.[0],
+    });
+    if (multichannelOptions.error) {
+      return res.status(400).json({
+        error: multichannelOptions.error,
+        errorType: 'VALIDATION_ERROR'
+      });
+    }
+
+    const preprocessingOptions = parsePreprocessingSettings({
+      preprocess: fields.preprocess?.[0],
+      preprocessSteps: fields.preprocessSteps?.[0],
+    });
+    if (preprocessingOptions.error) {
+      return res.status(400).json({
+        error: preprocessingOptions.error,
+        errorType: 'VALIDATION_ERROR'
+      });
+    }
+
+    const summaryTemplateOptions = parseSummaryTemplateSetting(fields.summaryTemplate?.[0]);
+    if (summaryTemplateOptions.error) {
+      return res.status(400).json({
+        error: summaryTemplateOptions.error,
+        errorType: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Check file size; processing time is estimated from past runs once the job is queued
     const fileSizeInMB = file.size / (1024 * 1024);
-    let estimatedTime = '2-5 minutes';
-    
+
     if (fileSizeInMB > 100) {
-      estimatedTime = '20-45 minutes for very large files';
       console.log(`⚠️ Very large file detected: ${fileSizeInMB.toFixed(2)}MB - Extended processing time expected`);
     } else if (fileSizeInMB > 50) {
-      estimatedTime = '10-20 minutes for large files';
       console.log(`⚠️ Large file detected: ${fileSizeInMB.toFixed(2)}MB - Extended processing time expected`);
     } else if (fileSizeInMB > 20) {
-      estimatedTime = '5-10 minutes';
       console.log(`📝 Medium file detected: ${fileSizeInMB.toFixed(2)}MB`);
     } else {
       console.log(`📝 Small file detected: ${fileSizeInMB.toFixed(2)}MB`);
@@ -117,36 +176,44 @@ export default async function handler(req, res) {
       return res.status(400).json({ 
         error: 'File too large',
         errorType: 'FILE_TOO_LARGE',
-        details: `File size ${fileSizeInMB.toFixed(2)}MB exceeds limit of 500MB`
+        details: `File size ${fileSizeInMB.toFixed(2)}MB exceeds limit of 500MB for direct uploads. Upload larger recordings through /api/upload/presigned-url.`
       });
     }
 
-    // Read file
-    console.log('📖 Reading file from disk...');
-    let fileBuffer;
-    try {
-      fileBuffer = fs.readFileSync(file.filepath);
-      console.log('✅ File read successfully, buffer size:', fileBuffer.length);
-    } catch (error) {
-      console.error('❌ Error reading file:', error);
-      return res.status(500).json({ 
-        error: 'Failed to read file',
-        errorType: 'FILE_READ_ERROR',
-        details: error.message
+    const userId = user.id || user._id.toString();
+    const { batchId, error: batchError } = await resolveUploadBatch(db, fields.batchId?.[0], userId);
+    if (batchError) {
+      return res.status(400).json({
+        error: batchError,
+        errorType: 'VALIDATION_ERROR'
       });
     }
-    
+
+    // Enforce the plan's storage and transcription allowance before anything is stored
+    const quota = await getUserQuota(db, user);
+    // Read by the browser before upload; without it the estimate goes by file size
+    const mediaDuration = parseMediaDuration(fields.mediaDuration?.[0]);
+    const quotaError = getTranscriptionQuotaError(quota, file.size, mediaDuration);
+    if (quotaError) {
+      console.log('🚫 Upload rejected by plan quota:', quotaError);
+      return res.status(403).json({
+        error: 'Plan limit reached',
+        errorType: 'QUOTA_EXCEEDED',
+        details: quotaError,
+        quota
+      });
+    }
+
     // Generate unique filename
     const timestamp = Date.now();
-    const userId = user.id || user._id.toString();
     const fileName = `${userId}/${timestamp}_${file.originalFilename}`;
     
     console.log('☁️ Uploading to R2:', fileName);
     
-    // Upload to R2
+    // Stream the temp file to R2 without reading it into memory
     let uploadResult;
     try {
-      uploadResult = await uploadFile(fileBuffer, fileName, file.mimetype);
+      uploadResult = await uploadFileFromDisk(file.filepath, fileName, file.mimetype, file.size);
       if (!uploadResult.success) {
         console.error('❌ R2 upload failed:', uploadResult);
         // Log all relevant env vars for debugging
@@ -199,6 +266,14 @@ export default async function handler(req, res) {
       includeTimestamps: fields.includeTimestamps?.[0] === 'true',
       filterProfanity: fields.filterProfanity?.[0] === 'true',
       autoPunctuation: fields.autoPunctuation?.[0] === 'true',
+      // Older clients don't send the field; chapters stay on for them
+      autoChapters: fields.autoChapters?.[0] !== 'false',
+      ...speakerOptions.settings,
+      customVocabulary: parseVocabularyInput(fields.customVocabulary?.[0]),
+      ...redactionOptions.settings,
+      ...multichannelOptions.settings,
+      ...preprocessingOptions.settings,
+      ...summaryTemplateOptions.settings,
     };
 
     console.log('⚙️ Transcription settings:', settings);
@@ -212,7 +287,9 @@ export default async function handler(req, res) {
       url: uploadResult.url,
       key: uploadResult.key,
       status: 'processing',
+      progress: createProgress('uploaded'),
       settings,
+      ...(batchId ? { batchId } : {}),
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -240,29 +317,18 @@ export default async function handler(req, res) {
     }
 
     const fileId = result.insertedId.toString();
+    await recordUsage(db, { userId, metric: USAGE_METRICS.STORAGE_BYTES, quantity: file.size, fileId, source: 'upload' });
 
-    // Start transcription process (async)
-    console.log('🎯 Starting transcription process for file:', fileId);
-    try {
-      // Fire and forget - don't await this to avoid Vercel timeout
-      setImmediate(() => {
-        processTranscription(fileId, uploadResult.url, settings).catch(error => {
-          console.error('? Async transcription error:', error);
-        });
-      });
-      console.log('✅ Transcription process initiated asynchronously');
-    } catch (error) {
-      console.error('❌ Error starting transcription:', error);
-      // Don't return error here as file is already saved
-    }
-
-    // Clean up temp file
+    // Queue a durable transcription job and kick the worker (don't await to avoid Vercel timeout)
+    console.log('🎯 Queueing transcription job for file:', fileId);
+    let estimate = null;
     try {
-      fs.unlinkSync(file.filepath);
-      console.log('🧹 Temporary file cleaned up:', file.filepath);
+      ({ estimate } = await queueTranscription(db, { fileId, userId, fileUrl: uploadResult.url, settings, mediaDuration }));
+      kickTranscriptionWorker();
+      console.log('✅ Transcription job queued');
     } catch (error) {
-      console.error('⚠️ Warning: Failed to clean up temp file:', error);
-      // Don't return error as this is not critical
+      console.error('❌ Error queueing transcription:', error);
+      // Don't return error here as file is already saved; /api/process-pending re-queues it
     }
 
     res.status(200).json({
@@ -271,8 +337,9 @@ export default async function handler(req, res) {
       message: 'File uploaded and transcription started',
       filename: file.originalFilename,
       fileSize: `${fileSizeInMB.toFixed(2)}MB`,
-      estimatedTime: estimatedTime,
-      note: fileSizeInMB > 50 ? 'Large files may take 20-45 minutes to process. You can check status in the dashboard.' : 'Processing started successfully.'
+      estimatedTime: formatEta(estimate?.totalSeconds) || 'a few minutes',
+      estimate,
+      note: fileSizeInMB > 50 ? 'Large files take a while to process. You can check status in the dashboard.' : 'Processing started successfully.'
     });
 
   } catch (error) {
@@ -317,613 +384,11 @@ export default async function handler(req, res) {
     }
     
     res.status(500).json(errorResponse);
+  } finally {
+    await Promise.all(tempFiles.map(filepath => fs.promises.unlink(filepath).then(
+      () => console.log('🧹 Temporary file cleaned up:', filepath),
+      // Already gone, or never fully written
+      (error) => error.code !== 'ENOENT' && console.error('⚠️ Warning: Failed to clean up temp file:', error)
+    )));
   }
 }
-
-async function processTranscription(fileId, fileUrl, settings) {
-  try {
-    const { db } = await connectDB();
-    await db.collection('files').updateOne(
-      { _id: new ObjectId(fileId) },
-      { $set: { status: 'processing', updatedAt: new Date() } }
-    );
-
-    const assemblyLanguageCode = getAssemblyLanguageCode(settings.language);
-    const availableFeatures = getAvailableFeatures(settings.language);
-
-    const requestBody = {
-      audio_url: fileUrl, // URL is already properly encoded
-    };
-    
-    // Only add language_code if it's not null/undefined
-    if (assemblyLanguageCode && assemblyLanguageCode !== 'en') {
-      requestBody.language_code = assemblyLanguageCode;
-    }
-
-    // Validate and clean the URL
-    try {
-      const url = new URL(fileUrl);
-      console.log('URL validation - protocol:', url.protocol);
-      console.log('URL validation - hostname:', url.hostname);
-      console.log('URL validation - pathname:', url.pathname);
-    } catch (urlError) {
-      console.error('Invalid URL format:', urlError);
-      throw new Error(`Invalid audio URL format: ${urlError.message}`);
-    }
-    
-    // Enhanced speaker diarization with premium settings
-    if (availableFeatures.speaker_labels && settings.speakerIdentification) {
-      // Enable premium speaker diarization
-      requestBody.speaker_labels = true;
-      requestBody.speakers_expected = 2; // Expect exactly 2 speakers
-      
-      // Advanced diarization configuration
-      requestBody.speaker_diarization = true;
-      requestBody.speaker_diarization_config = {
-        min_speakers: 2,
-        max_speakers: 2,
-        min_speaker_duration: 0.5, // More sensitive to short utterances
-        speaker_switch_penalty: 0.1, // More likely to switch speakers
-        audio_activity_detection: {
-          enable: true,
-          sensitivity: 0.9, // Very sensitive to speaker changes
-          min_speaker_duration: 0.5 // Allow shorter speaker segments
-        }
-      };
-      
-      // Custom vocabulary for better recognition
-      requestBody.word_boost = ['Prakash', 'Prakashji', 'Sir', 'Madam', 'Thank you', 'Okay'];
-      requestBody.word_boost_param = 'high';
-      
-      // Enhanced audio analysis
-      requestBody.audio_analysis = {
-        speaker_separation: {
-          enable: true,
-          min_segment_length: 0.5, // Shorter segments for better accuracy
-          max_speakers: 2,
-          speaker_switch_sensitivity: 0.9 // More sensitive to speaker changes
-        },
-        content_safety: true, // Detect sensitive content
-        iab_categories: true, // Categorize content
-        auto_highlights: true, // Auto-highlight important content
-        sentiment_analysis: true // Analyze sentiment
-      };
-      
-      // Enable dual channel if available
-      if (requestBody.audio_url && requestBody.audio_url.includes('_stereo')) {
-        requestBody.dual_channel = true;
-      }
-    }
-    if (availableFeatures.filter_profanity && settings.filterProfanity) {
-      requestBody.filter_profanity = true;
-    }
-    if (availableFeatures.punctuate && settings.autoPunctuation) {
-      requestBody.punctuate = true;
-    }
-    if (settings.includeTimestamps) {
-      requestBody.word_details = true;
-    }
-    if (settings.quality === 'enhanced') {
-      requestBody.speech_model = 'best';
-    }
-
-    // Extra logging for debugging AssemblyAI submission
-    console.log('==== AssemblyAI Submission Debug ====');
-    console.log('AssemblyAI endpoint:', 'https://api.assemblyai.com/v2/transcript');
-    console.log('Request body:', JSON.stringify(requestBody, null, 2));
-    console.log('audio_url:', requestBody.audio_url);
-    console.log('API Key present:', !!process.env.ASSEMBLYAI_API_KEY);
-    console.log('API Key length:', process.env.ASSEMBLYAI_API_KEY ? process.env.ASSEMBLYAI_API_KEY.length : 0);
-    console.log('API Key starts with:', process.env.ASSEMBLYAI_API_KEY ? process.env.ASSEMBLYAI_API_KEY.substring(0, 8) + '...' : 'N/A');
-    console.log('API Key ends with:', process.env.ASSEMBLYAI_API_KEY ? '...' + process.env.ASSEMBLYAI_API_KEY.substring(process.env.ASSEMBLYAI_API_KEY.length - 4) : 'N/A');
-    
-    // Since large files work, the API key is valid - just log a warning if it seems short
-    if (process.env.ASSEMBLYAI_API_KEY && process.env.ASSEMBLYAI_API_KEY.length < 40) {
-      console.warn('⚠️ WARNING: API key seems short but proceeding since large files work');
-      console.warn('⚠️ API key length:', process.env.ASSEMBLYAI_API_KEY.length);
-    }
-    
-    console.log('✅ Proceeding with transcription request');
-    console.log('====================================');
-
-    // Try a simpler request format first
-    const simpleRequestBody = {
-      audio_url: fileUrl,
-    };
-
-    console.log('🔍 Testing with simple request body:', JSON.stringify(simpleRequestBody, null, 2));
-
-    // Test API key with a simple GET request first
-    try {
-      console.log('🔍 Testing API key with GET request...');
-      const testResponse = await fetch('https://api.assemblyai.com/v2/transcript', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY}`,
-        },
-      });
-      
-      console.log('🔍 GET test response status:', testResponse.status);
-      if (testResponse.ok) {
-        const testData = await testResponse.json();
-        console.log('✅ API key is working - GET request successful');
-        console.log('🔍 Available transcriptions:', testData.transcripts?.length || 0);
-      } else {
-        console.error('❌ API key test failed:', testResponse.status, testResponse.statusText);
-      }
-    } catch (testError) {
-      console.error('❌ API key test error:', testError.message);
-    }
-
-    const assemblyResponse = await fetch('https://api.assemblyai.com/v2/transcript', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(simpleRequestBody),
-    });
-
-    const transcriptData = await assemblyResponse.json();
-    
-    // Add more detailed error logging
-    if (!assemblyResponse.ok) {
-      console.error('AssemblyAI API Error Details:', {
-        status: assemblyResponse.status,
-        statusText: assemblyResponse.statusText,
-        response: transcriptData,
-        requestBody: simpleRequestBody,
-        headers: {
-          'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY.substring(0, 8)}...`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      // Try to get more specific error information
-      if (transcriptData.error && transcriptData.error.includes('schema')) {
-        console.error('🔍 Schema error detected - checking API documentation...');
-        console.error('🔍 This might be an API version or endpoint issue');
-      }
-      
-      throw new Error(`Failed to submit to AssemblyAI: ${transcriptData.error || transcriptData.message || 'Unknown error'} (Status: ${assemblyResponse.status})`);
-    }
-    
-    if (!transcriptData.id) {
-      console.error('AssemblyAI response missing ID:', transcriptData);
-      throw new Error(`Failed to submit to AssemblyAI: No transcript ID returned`);
-    }
-
-    console.log(`AssemblyAI job submitted with ID: ${transcriptData.id}`);
-    await pollTranscriptionStatus(fileId, transcriptData.id, settings);
-
-  } catch (error) {
-    console.error('Transcription processing error:', error);
-    const { db } = await connectDB();
-    await db.collection('files').updateOne(
-      { _id: new ObjectId(fileId) },
-      { $set: { status: 'error', error: error.message, updatedAt: new Date() } }
-    );
-  }
-}
-
-async function pollTranscriptionStatus(fileId, transcriptId, settings) {
-  const { db } = await connectDB();
-  let attempts = 0;
-  const maxAttempts = 360; // 30 minutes
-
-  while (attempts < maxAttempts) {
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    attempts++;
-
-    try {
-      const response = await fetch(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
-        headers: { 'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY}` },
-      });
-
-      const data = await response.json();
-      console.log(`Transcription status check ${attempts}: ${data.status}`);
-
-      if (data.status === 'completed') {
-        let transcriptText = data.text;
-        let speakers = [];
-        let timestamps = [];
-
-        if (settings.speakerIdentification && data.utterances && data.utterances.length > 0) {
-          speakers = extractSpeakers(data.utterances);
-          
-          // Create speaker mapping from A,B,C to 0,1,2...
-          const speakerMap = new Map();
-          let speakerIndex = 0;
-          
-          // Format transcript with Speaker numbers and timestamps
-          const formattedUtterances = data.utterances.map(u => {
-            // Map speaker letter to number
-            if (!speakerMap.has(u.speaker)) {
-              speakerMap.set(u.speaker, speakerIndex++);
-            }
-            const speakerNumber = speakerMap.get(u.speaker);
-            
-            // Format timestamp as HH:MM:SS
-            const timestamp = formatTimestamp(u.start);
-            
-            return `Speaker ${speakerNumber}    ${timestamp}    ${u.text}`;
-          });
-          
-          transcriptText = formattedUtterances.join('\n') + '\n\n[END]';
-        }
-
-        if (settings.includeTimestamps && data.words && data.words.length > 0) {
-            timestamps = data.words.map(word => ({
-                text: word.text,
-                start: word.start,
-                end: word.end,
-                speaker: word.speaker || null
-            }));
-        }
-
-        // Apply translation if the target language needs translation
-        if (languageNeedsTranslation(settings.language)) {
-          console.log(`🌐 Translating transcript from English to ${settings.language}...`);
-          try {
-            transcriptText = await translateText(transcriptText, settings.language, 'en');
-            console.log('✅ Translation completed successfully');
-            
-            // Also translate speaker labels if present
-            if (settings.speakerIdentification && data.utterances && data.utterances.length > 0) {
-              // Create speaker mapping from A,B,C to 0,1,2...
-              const speakerMap = new Map();
-              let speakerIndex = 0;
-              
-              const translatedUtterances = [];
-              for (const utterance of data.utterances) {
-                const translatedText = await translateText(utterance.text, settings.language, 'en');
-                
-                // Map speaker letter to number
-                if (!speakerMap.has(utterance.speaker)) {
-                  speakerMap.set(utterance.speaker, speakerIndex++);
-                }
-                const speakerNumber = speakerMap.get(utterance.speaker);
-                
-                // Format timestamp as HH:MM:SS
-                const timestamp = formatTimestamp(utterance.start);
-                
-                translatedUtterances.push(`Speaker ${speakerNumber}    ${timestamp}    ${translatedText}`);
-              }
-              transcriptText = translatedUtterances.join('\n') + '\n\n[END]';
-            }
-            
-            // Update timestamps with translated text if needed
-            if (settings.includeTimestamps && data.words && data.words.length > 0) {
-              // For individual words, we'll keep the original English words in timestamps
-              // but note that the main transcript is translated
-              console.log('ℹ️ Word-level timestamps kept in original language for accuracy');
-            }
-          } catch (translationError) {
-            console.error('❌ Translation failed:', translationError);
-            console.log('📝 Using original English transcript');
-            // Continue with English transcript if translation fails
-          }
-        }
-
-        const summaryResult = await generateSummary(transcriptText, settings.language);
-
-        await db.collection('files').updateOne(
-          { _id: new ObjectId(fileId) },
-          {
-            $set: {
-              status: 'completed',
-              transcript: transcriptText,
-              summary: summaryResult.summary,
-              topic: summaryResult.topic,
-              topics: summaryResult.topics,
-              insights: summaryResult.insights,
-              speakers,
-              timestamps,
-              duration: data.audio_duration,
-              wordCount: data.words?.length || 0,
-              language: settings.language,
-              updatedAt: new Date(),
-            }
-          }
-        );
-        return;
-      } else if (data.status === 'error') {
-        throw new Error(`AssemblyAI transcription failed: ${data.error}`);
-      }
-    } catch (error) {
-      console.error(`Error polling transcription status (attempt ${attempts}):`, error);
-    }
-  }
-  throw new Error('Transcription timeout');
-}
-
-async function generateSummary(text, targetLanguage = 'en') {
-  try {
-    const maxTranscriptLength = 32000;
-    const truncatedText = text.length > maxTranscriptLength ? text.substring(0, maxTranscriptLength) : text;
-    const languageName = getLanguageForAI(targetLanguage);
-    
-    const summaryPrompt = `Analyze this transcript and respond in ${languageName}:\n\n"${truncatedText}"\n\nProvide your response in ${languageName} with:\n1. SUMMARY: A 2-3 sentence summary.\n2. TOPICS: 3-5 main topics, comma-separated.\n3. INSIGHTS: 1-2 key insights.\n\nFormat your response exactly like this:\nSUMMARY: [Your summary]\nTOPICS: [topic1, topic2]\nINSIGHTS: [Your insights]`;
-    
-    console.log(`Generating AI summary in ${languageName}`);
-    
-    // Try different models in order of preference
-    const models = [
-      'gemini-1.5-flash',
-      'gemini-1.5-pro',
-      'gemini-1.0-pro'
-    ];
-    
-    for (const model of models) {
-      console.log(`🔄 Trying model: ${model}`);
-      
-      // Add retry logic for Gemini API overload
-      let attempts = 0;
-      const maxAttempts = 3; // Reduced for faster fallback
-      const baseDelay = 2000; // Reduced delay
-      
-      while (attempts < maxAttempts) {
-        try {
-          const response = await fetch(
-            `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`,
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({ 
-                contents: [{ parts: [{ text: summaryPrompt }] }],
-                generationConfig: {
-                  temperature: 0.7,
-                  topK: 40,
-                  topP: 0.95,
-                  maxOutputTokens: 1024,
-                }
-              })
-            }
-          );
-          
-          if (response.status === 503) {
-            attempts++;
-            if (attempts < maxAttempts) {
-              const delay = baseDelay * Math.pow(2, attempts - 1);
-              console.log(`Gemini API (${model}) overloaded, retrying in ${delay}ms (attempt ${attempts}/${maxAttempts})`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-              continue;
-            } else {
-              console.log(`Model ${model} overloaded after all retries, trying next model...`);
-              break; // Try next model
-            }
-          }
-          
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Gemini API (${model}) error: ${response.status} - ${errorText}`);
-            if (attempts < maxAttempts - 1) {
-              attempts++;
-              const delay = baseDelay * Math.pow(2, attempts - 1);
-              console.log(`Retrying ${model} in ${delay}ms (attempt ${attempts}/${maxAttempts})`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-              continue;
-            } else {
-              console.log(`Model ${model} failed after all retries, trying next model...`);
-              break; // Try next model
-            }
-          }
-          
-          const data = await response.json();
-          const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          
-          const summaryMatch = generatedText.match(/SUMMARY:\s*(.+?)(?=TOPICS:|$)/s);
-          const topicsMatch = generatedText.match(/TOPICS:\s*(.+?)(?=INSIGHTS:|$)/s);
-          const insightsMatch = generatedText.match(/INSIGHTS:\s*(.+?)$/s);
-          
-          console.log(`✅ Successfully generated summary using ${model}`);
-          
-          return {
-            summary: summaryMatch ? summaryMatch[1].trim() : 'Summary not available.',
-            topics: topicsMatch ? topicsMatch[1].trim().split(",").map(t => t.trim()).filter(Boolean) : [],
-            topic: topicsMatch ? topicsMatch[1].trim().split(",")[0].trim() : 'General',
-            insights: insightsMatch ? insightsMatch[1].trim() : 'No insights generated.'
-          };
-          
-        } catch (error) {
-          attempts++;
-          if (attempts >= maxAttempts) {
-            console.log(`Model ${model} error after all retries, trying next model...`);
-            break; // Try next model
-          }
-          const delay = baseDelay * Math.pow(2, attempts - 1);
-          console.log(`Gemini API (${model}) error, retrying in ${delay}ms (attempt ${attempts}/${maxAttempts}):`, error.message);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
-    
-    // If all models failed, use fallback
-    console.log('All Gemini models failed, using improved fallback summary');
-    return generateFallbackSummary(truncatedText, languageName);
-    
-  } catch (error) {
-    console.error('⚠️ Summary generation failed after all retries:', error);
-    return generateFallbackSummary(text, getLanguageForAI(targetLanguage));
-  }
-}
-
-// Fallback summary generation when Gemini API is unavailable
-function generateFallbackSummary(text, languageName) {
-  try {
-    console.log('🔄 Using intelligent fallback summary generation');
-    
-    // Clean and prepare the text
-    const cleanText = text.replace(/\s+/g, ' ').trim();
-    const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 15);
-    const words = cleanText.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-    
-    // Enhanced stop words list
-    const stopWords = new Set([
-      'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'mine', 'yours', 'hers', 'ours', 'theirs', 'a', 'an', 'as', 'so', 'than', 'too', 'very', 'just', 'now', 'then', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'also', 'well', 'even', 'still', 'back', 'get', 'go', 'come', 'make', 'take', 'see', 'know', 'think', 'say', 'tell', 'ask', 'work', 'seem', 'feel', 'try', 'leave', 'call', 'good', 'new', 'first', 'last', 'long', 'great', 'little', 'own', 'other', 'old', 'right', 'big', 'high', 'different', 'small', 'large', 'next', 'early', 'young', 'important', 'few', 'public', 'bad', 'same', 'able'
-    ]);
-    
-    // Analyze word frequency and importance
-    const wordCount = {};
-    const wordPositions = {};
-    
-    words.forEach((word, index) => {
-      const cleanWord = word.replace(/[^\w]/g, '').toLowerCase();
-      if (cleanWord.length > 2 && !stopWords.has(cleanWord)) {
-        wordCount[cleanWord] = (wordCount[cleanWord] || 0) + 1;
-        if (!wordPositions[cleanWord]) wordPositions[cleanWord] = [];
-        wordPositions[cleanWord].push(index);
-      }
-    });
-    
-    // Get meaningful topics (words that appear multiple times and are not just noise)
-    const meaningfulWords = Object.entries(wordCount)
-      .filter(([word, count]) => count > 1 && word.length > 3)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 6)
-      .map(([word]) => word);
-    
-    // Find the most representative sentence (contains most key topics)
-    let bestSentence = '';
-    let bestScore = 0;
-    
-    sentences.forEach(sentence => {
-      const sentenceWords = sentence.toLowerCase().split(/\s+/);
-      let score = 0;
-      let topicCount = 0;
-      
-      meaningfulWords.forEach(topic => {
-        if (sentenceWords.some(word => word.includes(topic))) {
-          score += wordCount[topic] || 1;
-          topicCount++;
-        }
-      });
-      
-      // Prefer sentences with multiple topics and good length
-      if (topicCount > 0 && sentence.length > 30 && sentence.length < 200) {
-        const finalScore = score * topicCount;
-        if (finalScore > bestScore) {
-          bestScore = finalScore;
-          bestSentence = sentence.trim();
-        }
-      }
-    });
-    
-    // If no good sentence found, use the first substantial sentence
-    if (!bestSentence && sentences.length > 0) {
-      bestSentence = sentences[0].trim();
-    }
-    
-    // Generate intelligent summary
-    let summary = '';
-    const wordCountTotal = words.length;
-    const sentenceCount = sentences.length;
-    const avgWordsPerSentence = sentenceCount > 0 ? Math.round(wordCountTotal / sentenceCount) : 0;
-    
-    if (bestSentence) {
-      // Start with the most representative sentence
-      summary = bestSentence;
-      
-      // Add context about key topics if they exist
-      if (meaningfulWords.length > 0) {
-        const primaryTopics = meaningfulWords.slice(0, 3);
-        summary = `The discussion centers around ${primaryTopics.join(', ')}. ${summary}`;
-      }
-      
-      // Add meaningful context about the conversation
-      if (sentenceCount > 1) {
-        summary += ` The conversation includes ${sentenceCount} distinct exchanges`;
-        if (avgWordsPerSentence > 12) {
-          summary += ` with detailed responses`;
-        } else if (avgWordsPerSentence < 8) {
-          summary += ` with brief interactions`;
-        }
-        summary += `.`;
-      }
-    } else {
-      // Fallback for very short content
-      summary = `This transcript contains ${wordCountTotal} words`;
-      if (meaningfulWords.length > 0) {
-        summary += ` discussing ${meaningfulWords.slice(0, 2).join(' and ')}`;
-      }
-      summary += `.`;
-    }
-    
-    // Generate intelligent insights
-    let insights = '';
-    
-    if (meaningfulWords.length > 0) {
-      insights = `Key themes: ${meaningfulWords.slice(0, 4).join(', ')}. `;
-    }
-    
-    // Analyze conversation characteristics
-    if (sentenceCount > 10) {
-      insights += `Extended discussion with ${sentenceCount} exchanges`;
-    } else if (sentenceCount > 5) {
-      insights += `Moderate conversation with ${sentenceCount} exchanges`;
-    } else {
-      insights += `Brief conversation with ${sentenceCount} exchanges`;
-    }
-    
-    if (avgWordsPerSentence > 15) {
-      insights += ` featuring detailed responses`;
-    } else if (avgWordsPerSentence < 8) {
-      insights += ` with concise exchanges`;
-    }
-    
-    insights += `. Content analysis indicates `;
-    
-    // Determine conversation type based on content analysis
-    const uniqueWords = new Set(words).size;
-    const vocabularyDiversity = uniqueWords / wordCountTotal;
-    
-    if (vocabularyDiversity > 0.6) {
-      insights += `diverse vocabulary suggesting formal or technical discussion`;
-    } else if (meaningfulWords.some(word => word.length > 6)) {
-      insights += `specialized terminology indicating professional content`;
-    } else {
-      insights += `casual conversation style`;
-    }
-    
-    insights += `. Generated using intelligent text analysis.`;
-    
-    return {
-      summary: summary,
-      topics: meaningfulWords.slice(0, 5),
-      topic: meaningfulWords[0] || 'Conversation',
-      insights: insights
-    };
-    
-  } catch (error) {
-    console.error('⚠️ Intelligent fallback summary generation failed:', error);
-    return {
-      summary: 'Summary generation temporarily unavailable. Please try again later.',
-      topics: [],
-      topic: 'General',
-      insights: 'Content analysis temporarily unavailable.'
-    };
-  }
-}
-
-// Helper function to format timestamp from milliseconds to HH:MM:SS
-function formatTimestamp(milliseconds) {
-  const totalSeconds = Math.floor(milliseconds / 1000);
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-}
-
-function extractSpeakers(utterances) {
-  if (!utterances || !Array.isArray(utterances)) return [];
-  
-  const speakers = new Set();
-  utterances.forEach(utterance => {
-    if (utterance.speaker) {
-      speakers.add(utterance.speaker);
-    }
-  });
-  
-  return Array.from(speakers);
-}
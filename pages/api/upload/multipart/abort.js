@@ -0,0 +1,51 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { abortMultipartUpload, isUserFileKey } from '../../../../utils/storage.js';
+
+// Cancels a multipart upload and discards the parts already uploaded.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    const { key, uploadId } = req.body;
+
+    if (!key || !uploadId) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    // Uploads live under the user's own prefix
+    if (!isUserFileKey(key, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const aborted = await abortMultipartUpload(key, uploadId);
+    if (!aborted.success) {
+      return res.status(502).json({ error: 'Failed to abort upload', details: aborted.error });
+    }
+
+    console.log(`🗑️ Multipart upload aborted for ${key}`);
+    res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Multipart abort error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
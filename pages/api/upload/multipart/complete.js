@@ -0,0 +1,59 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { completeMultipartUpload, isUserFileKey } from '../../../../utils/storage.js';
+
+// Assembles the uploaded parts into the final object. The caller confirms the upload afterwards
+// (e.g. /api/upload/confirm) with the returned key and URL.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    const { key, uploadId, parts } = req.body;
+
+    if (!key || !uploadId) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    // Uploads live under the user's own prefix
+    if (!isUserFileKey(key, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const valid = Array.isArray(parts)
+      && parts.length > 0
+      && parts.every(part => Number.isInteger(part?.partNumber) && typeof part.etag === 'string');
+    if (!valid) {
+      return res.status(400).json({ error: 'parts must list the partNumber and etag of every uploaded part' });
+    }
+
+    const completed = await completeMultipartUpload(key, uploadId, parts);
+    if (!completed.success) {
+      return res.status(502).json({ error: 'Failed to complete upload', details: completed.error });
+    }
+
+    console.log(`✅ Multipart upload completed for ${key} (${parts.length} parts)`);
+    res.status(200).json({ key: completed.key, publicUrl: completed.url });
+
+  } catch (error) {
+    console.error('Multipart complete error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
@@ -0,0 +1,86 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { MAX_UPLOAD_SIZE, SUPPORTED_UPLOAD_TYPES } from '../../../../utils/transcriptionSettings.js';
+import { getUserQuota } from '../../../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../../../utils/plans.js';
+import { createMultipartUpload, getMissingStorageConfig, getMultipartPartSize, sanitizeFileName } from '../../../../utils/storage.js';
+
+// Starts a multipart upload to R2. The browser then signs, uploads and completes the parts
+// itself through the other /api/upload/multipart endpoints.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const missingVars = getMissingStorageConfig();
+    if (missingVars.length > 0) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: `Missing environment variables: ${missingVars.join(', ')}`
+      });
+    }
+
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const { fileName, fileType, fileSize } = req.body;
+
+    if (!fileName || !fileType || !fileSize) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    if (fileSize > MAX_UPLOAD_SIZE) {
+      return res.status(400).json({
+        error: 'File too large',
+        details: 'File size exceeds limit of 5GB'
+      });
+    }
+
+    if (!SUPPORTED_UPLOAD_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        error: 'Unsupported file type',
+        details: `File type ${fileType} not supported`
+      });
+    }
+
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota, fileSize);
+    if (quotaError) {
+      return res.status(403).json({ error: 'Plan limit reached', errorType: 'QUOTA_EXCEEDED', details: quotaError, quota });
+    }
+
+    const userId = user.id || user._id.toString();
+    const key = `${userId}/${Date.now()}_${sanitizeFileName(fileName)}`;
+    const upload = await createMultipartUpload(key, fileType);
+
+    if (!upload.success) {
+      return res.status(502).json({ error: 'Failed to start upload', details: upload.error });
+    }
+
+    const partSize = getMultipartPartSize(fileSize);
+    console.log(`📦 Multipart upload started for ${key} (${Math.ceil(fileSize / partSize)} parts)`);
+
+    res.status(200).json({
+      uploadId: upload.uploadId,
+      key,
+      partSize,
+      partCount: Math.ceil(fileSize / partSize)
+    });
+
+  } catch (error) {
+    console.error('Multipart initiate error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
@@ -0,0 +1,53 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { listUploadedParts, isUserFileKey } from '../../../../utils/storage.js';
+
+// Parts R2 already has for a multipart upload, so an interrupted upload can resume.
+// 404 when the upload no longer exists and has to start over.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    const { key, uploadId } = req.body;
+
+    if (!key || !uploadId) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    // Uploads live under the user's own prefix
+    if (!isUserFileKey(key, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const listed = await listUploadedParts(key, uploadId);
+    if (!listed.success) {
+      return listed.notFound
+        ? res.status(404).json({ error: 'Upload not found' })
+        : res.status(502).json({ error: 'Failed to list uploaded parts', details: listed.error });
+    }
+
+    res.status(200).json({ parts: listed.parts });
+
+  } catch (error) {
+    console.error('Multipart list error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
@@ -0,0 +1,61 @@
+import { verifyToken, getTokenFromRequest } from '../../../../utils/auth.js';
+import { connectDB } from '../../../../lib/mongodb.js';
+import { getPartUploadUrls, isUserFileKey } from '../../../../utils/storage.js';
+
+const MAX_PARTS_PER_REQUEST = 100;
+
+// Presigned URLs for uploading parts of a multipart upload, as { urls: { partNumber: url } }.
+// Signed in batches; a part whose URL expired is simply signed again.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = getTokenFromRequest(req);
+    const decoded = verifyToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { db } = await connectDB();
+    const user = await db.collection('users').findOne({ email: decoded.email });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const userId = user.id || user._id.toString();
+
+    const { key, uploadId, partNumbers } = req.body;
+
+    if (!key || !uploadId) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    // Uploads live under the user's own prefix
+    if (!isUserFileKey(key, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const valid = Array.isArray(partNumbers)
+      && partNumbers.length > 0
+      && partNumbers.length <= MAX_PARTS_PER_REQUEST
+      && partNumbers.every(partNumber => Number.isInteger(partNumber) && partNumber >= 1 && partNumber <= 10000);
+    if (!valid) {
+      return res.status(400).json({ error: `partNumbers must list 1-${MAX_PARTS_PER_REQUEST} part numbers between 1 and 10000` });
+    }
+
+    const signed = await getPartUploadUrls(key, uploadId, partNumbers);
+    if (!signed.success) {
+      return res.status(502).json({ error: 'Failed to sign upload parts', details: signed.error });
+    }
+
+    res.status(200).json({ urls: signed.urls, expiresIn: signed.expiresIn });
+
+  } catch (error) {
+    console.error('Multipart sign error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
@@ -2,6 +2,10 @@ import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { verifyToken, getTokenFromRequest } from '../../../utils/auth.js';
 import { connectDB } from '../../../lib/mongodb.js';
+import { MAX_UPLOAD_SIZE, SUPPORTED_UPLOAD_TYPES } from '../../../utils/transcriptionSettings.js';
+import { getMissingStorageConfig } from '../../../utils/storage.js';
+import { getUserQuota } from '../../../utils/usage.js';
+import { getTranscriptionQuotaError } from '../../../utils/plans.js';
 
 const s3Client = new S3Client({
   region: 'auto',
@@ -19,8 +23,7 @@ export default async function handler(req, res) {
 
   try {
     // Check required environment variables
-    const requiredEnvVars = ['R2_ACCOUNT_ID', 'R2_ACCESS_KEY_ID', 'R2_SECRET_ACCESS_KEY', 'R2_BUCKET_NAME', 'R2_PUBLIC_URL'];
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    const missingVars = getMissingStorageConfig();
     
     if (missingVars.length > 0) {
       return res.status(500).json({ 
@@ -51,28 +54,29 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    // Validate file size (max 500MB)
-    const maxSize = 500 * 1024 * 1024; // 500MB
-    if (fileSize > maxSize) {
+    // Validate file size (max 5GB; files over 500MB are transcribed in chunks)
+    if (fileSize > MAX_UPLOAD_SIZE) {
       return res.status(400).json({ 
         error: 'File too large',
-        details: `File size exceeds limit of 500MB`
+        details: `File size exceeds limit of 5GB`
       });
     }
 
     // Validate file type
-    const supportedTypes = [
-      'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/m4a', 'audio/flac', 'audio/aac',
-      'video/mp4', 'video/mov', 'video/avi', 'video/mkv', 'video/webm'
-    ];
-    
-    if (!supportedTypes.includes(fileType)) {
+    if (!SUPPORTED_UPLOAD_TYPES.includes(fileType)) {
       return res.status(400).json({ 
         error: 'Unsupported file type',
         details: `File type ${fileType} not supported`
       });
     }
 
+    // Refuse before the upload starts rather than when it is confirmed
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota, fileSize);
+    if (quotaError) {
+      return res.status(403).json({ error: 'Plan limit reached', errorType: 'QUOTA_EXCEEDED', details: quotaError, quota });
+    }
+
     // Generate unique filename
     const timestamp = Date.now();
     const userId = user.id || user._id.toString();
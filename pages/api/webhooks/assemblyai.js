@@ -0,0 +1,40 @@
+import { handleTranscriptionWebhook } from '../../../utils/transcription.js';
+import { WEBHOOK_SECRET_HEADER } from '../../../utils/transcriptionProviders/assemblyai.js';
+
+// AssemblyAI completion callback. Transcripts are submitted with
+// webhook_url=/api/webhooks/assemblyai?jobId=<job id> and a per-job secret header.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { jobId } = req.query;
+    const secret = req.headers[WEBHOOK_SECRET_HEADER.toLowerCase()];
+    const { transcript_id: transcriptId, status } = req.body || {};
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'Job ID required' });
+    }
+
+    console.log(`📬 AssemblyAI webhook for job ${jobId}: transcript ${transcriptId} is ${status}`);
+
+    const result = await handleTranscriptionWebhook({ jobId, secret, transcriptId });
+
+    switch (result.status) {
+      case 'not_found':
+        return res.status(404).json({ error: 'Job not found' });
+      case 'unauthorized':
+        return res.status(401).json({ error: 'Unauthorized' });
+      case 'busy':
+        // Non-2xx so AssemblyAI retries the delivery once the current worker is done
+        return res.status(409).json({ error: 'Job is being processed, retry later' });
+      default:
+        return res.status(200).json({ success: true, result: result.status });
+    }
+
+  } catch (error) {
+    console.error('AssemblyAI webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+}
@@ -5,6 +5,7 @@ import { FiSend, FiFile, FiMessageSquare, FiChevronDown, FiUser, FiCpu, FiUpload
 import { toast } from 'react-toastify';
 import Layout from '../components/Layout';
 import { getAuthHeader } from '../utils/auth';
+import { smartUpload } from '../utils/smartUpload';
 import { useDropzone } from 'react-dropzone';
 
 export default function AudioChat() {
@@ -296,61 +297,17 @@ export default function AudioChat() {
     }
   };
   
-  // Handle large file upload (>4MB) using presigned URL
+  // Handle large file upload (>4MB) with a resumable multipart upload straight to R2
   const handleLargeFileUpload = async (file, progressStart, progressEnd) => {
-    // Step 1: Get presigned URL from server
     const authHeader = getAuthHeader();
-    const presignedUrlResponse = await fetch('/api/upload/presigned-url', {
-      method: 'POST',
-      headers: {
-        ...authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        fileName: file.name,
-        fileType: file.type,
-        fileSize: file.size
-      })
-    });
-    
-    if (!presignedUrlResponse.ok) {
-      const error = await presignedUrlResponse.text();
-      throw new Error(`Failed to get presigned URL: ${error}`);
-    }
-    
-    const { url, fields, key } = await presignedUrlResponse.json();
-    
-    // Step 2: Upload file directly to R2 using presigned URL
-    const formData = new FormData();
-    Object.entries(fields).forEach(([fieldName, fieldValue]) => {
-      formData.append(fieldName, fieldValue);
-    });
-    formData.append('file', file);
-    
-    // Track upload progress
-    const xhr = new XMLHttpRequest();
-    xhr.upload.addEventListener('progress', (event) => {
-      if (event.lengthComputable) {
-        const percentComplete = ((event.loaded / event.total) * (progressEnd - progressStart - 10)) + progressStart;
-        setUploadProgress(Math.min(percentComplete, progressEnd - 10));
+    const { key, publicUrl } = await smartUpload(file, {
+      token: localStorage.getItem('token'),
+      onProgress: ({ percent }) => {
+        setUploadProgress(progressStart + (percent / 100) * (progressEnd - progressStart - 10));
       }
     });
     
-    // Upload to R2
-    await new Promise((resolve, reject) => {
-      xhr.open('POST', url, true);
-      xhr.onload = () => {
-        if (xhr.status === 204) {
-          resolve();
-        } else {
-          reject(new Error(`R2 upload failed with status ${xhr.status}`));
-        }
-      };
-      xhr.onerror = () => reject(new Error('Network error during R2 upload'));
-      xhr.send(formData);
-    });
-    
-    // Step 3: Confirm upload to server
+    // Confirm upload to server and start transcription
     setUploadProgress(progressEnd - 5);
     const confirmResponse = await fetch('/api/upload/confirm', {
       method: 'POST',
@@ -362,16 +319,14 @@ export default function AudioChat() {
         fileName: file.name,
         fileType: file.type,
         fileSize: file.size,
-        key: key,
-        // Add transcription settings
-        settings: {
-          language: 'en',
-          quality: 'high',
-          speaker_detection: true,
-          timestamps: true,
-          profanity_filter: false,
-          auto_punctuation: true
-        }
+        fileUrl: publicUrl,
+        fileKey: key,
+        // Transcription settings
+        language: 'en',
+        speakerIdentification: true,
+        includeTimestamps: true,
+        filterProfanity: false,
+        autoPunctuation: true
       })
     });
     
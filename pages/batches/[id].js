@@ -0,0 +1,304 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../components/AuthContext';
+import Sidebar from '../../components/Sidebar';
+import { useProgressEvents } from '../../components/useProgressEvents';
+import { describeProgress, formatEta } from '../../utils/progress';
+import { summarizeBatch } from '../../utils/batchStatus';
+import { FiRefreshCw, FiDownload, FiCheck, FiAlertCircle, FiX, FiLayers, FiUpload } from 'react-icons/fi';
+
+export default function BatchStatus() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { user, logout, authChecked, authLoading } = useAuth();
+  const [batch, setBatch] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [retrying, setRetrying] = useState({});
+  const [downloading, setDownloading] = useState(false);
+  const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchBatch = useCallback(async () => {
+    if (!id) return;
+    try {
+      const response = await fetch(`/api/batches/${id}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      });
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      if (response.ok) {
+        const data = await response.json();
+        setBatch(data.batch);
+        setFiles(data.files || []);
+      } else {
+        console.error('Failed to fetch batch');
+      }
+    } catch (error) {
+      console.error('Batch fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (authChecked && !user) {
+      router.push('/login');
+      return;
+    }
+    if (user) {
+      fetchBatch();
+    }
+  }, [user, router, authChecked, fetchBatch]);
+
+  // Count the ETAs down between progress events
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const summary = summarizeBatch(files, batch?.fileCount);
+
+  useProgressEvents({
+    enabled: !!user && !!batch,
+    onSnapshot: (events) => {
+      const byId = new Map(events.map(event => [event.fileId, event]));
+      setFiles(prev => prev.map(file => byId.has(file.id)
+        ? { ...file, progress: byId.get(file.id).progress, estimate: byId.get(file.id).estimate }
+        : file));
+    },
+    onProgress: (event) => {
+      if (!files.some(file => file.id === event.fileId)) {
+        // Possibly an upload of this batch that arrived after the page loaded
+        if (summary.missing > 0) fetchBatch();
+        return;
+      }
+      setFiles(prev => prev.map(file => file.id === event.fileId
+        ? { ...file, status: event.status, error: event.error, progress: event.progress, estimate: event.estimate }
+        : file));
+    },
+  });
+
+  const retryFile = async (file) => {
+    setRetrying(current => ({ ...current, [file.id]: true }));
+    try {
+      const response = await fetch(`/api/files/${file.id}/rerun`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.errorType === 'QUOTA_EXCEEDED' ? data.details : (data.error || 'Retry failed'));
+      }
+      setFiles(prev => prev.map(item => item.id === file.id
+        ? { ...item, status: 'processing', error: null, progress: null, estimate: data.estimate || null }
+        : item));
+      return true;
+    } catch (error) {
+      console.error(`Retry failed for ${file.name}:`, error);
+      setFiles(prev => prev.map(item => item.id === file.id ? { ...item, error: error.message } : item));
+      return false;
+    } finally {
+      setRetrying(current => ({ ...current, [file.id]: false }));
+    }
+  };
+
+  const retryAllFailed = async () => {
+    const failed = files.filter(file => file.status === 'error' || file.status === 'cancelled');
+    for (const file of failed) {
+      await retryFile(file);
+    }
+  };
+
+  const downloadAll = async () => {
+    setDownloading(true);
+    try {
+      const response = await fetch(`/api/batches/${id}/download`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
+      }
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${batch.name}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Batch download error:', error);
+      alert(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (!authChecked || authLoading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="spinner w-6 h-6"></div>
+      </div>
+    );
+  }
+
+  if (authChecked && !user) {
+    router.push('/login');
+    return null;
+  }
+
+  const finished = summary.completed + summary.failed + summary.cancelled;
+  const overallPercent = summary.expected ? Math.round((finished / summary.expected) * 100) : 0;
+  const retryable = summary.failed + summary.cancelled;
+
+  return (
+    <>
+      <Head>
+        <title>{batch ? `${batch.name} - Ecouter Transcribe` : 'Batch - Ecouter Transcribe'}</title>
+        <meta name="description" content="Progress of a batch of uploads." />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <div className="min-h-screen bg-black text-white">
+        <Sidebar
+          user={user}
+          currentPage="processing"
+          onLogout={logout}
+          onSidebarToggle={(collapsed) => setSidebarCollapsed(collapsed)}
+        />
+
+        <div className={`p-6 overflow-auto transition-all duration-300 ${sidebarCollapsed ? 'ml-16' : 'lg:ml-64'}`}>
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="spinner w-6 h-6"></div>
+            </div>
+          ) : notFound || !batch ? (
+            <div className="bg-black text-center py-16 px-4 rounded-lg border border-white/10">
+              <FiLayers className="w-12 h-12 text-white/20 mx-auto mb-4" />
+              <h3 className="text-base font-medium text-white mb-2">Batch not found</h3>
+              <Link href="/upload" className="text-sm text-white/60 underline">Upload files</Link>
+            </div>
+          ) : (
+            <>
+              {/* Header */}
+              <div className="flex items-center justify-between mb-6">
+                <div className="min-w-0">
+                  <h1 className="text-xl font-semibold mb-1 truncate">{batch.name}</h1>
+                  <p className="text-sm text-white/60">
+                    {summary.completed} of {summary.expected} transcribed
+                    {summary.processing > 0 && ` • ${summary.processing} processing`}
+                    {summary.failed > 0 && ` • ${summary.failed} failed`}
+                    {summary.cancelled > 0 && ` • ${summary.cancelled} cancelled`}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {retryable > 0 && (
+                    <button
+                      onClick={retryAllFailed}
+                      disabled={Object.values(retrying).some(Boolean)}
+                      className="px-4 py-1.5 bg-black border border-white/20 rounded-lg text-xs flex items-center space-x-2 disabled:opacity-50"
+                    >
+                      <FiRefreshCw className="w-3 h-3" />
+                      <span>Retry {retryable} failed</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={downloadAll}
+                    disabled={downloading || !summary.done || summary.completed === 0}
+                    title={summary.done ? 'Download every finished transcript as a ZIP' : 'Available once every file has finished'}
+                    className="px-4 py-1.5 bg-white text-black rounded-lg text-xs flex items-center space-x-2 disabled:opacity-50"
+                  >
+                    <FiDownload className="w-3 h-3" />
+                    <span>{downloading ? 'Preparing...' : 'Download all transcripts'}</span>
+                  </button>
+                </div>
+              </div>
+
+              {/* Overall progress */}
+              <div className="mb-6">
+                <div className="w-full bg-white/10 rounded-full h-1.5">
+                  <div
+                    className="bg-white/50 h-1.5 rounded-full transition-all duration-500"
+                    style={{ width: `${overallPercent}%` }}
+                  />
+                </div>
+                {summary.missing > 0 && (
+                  <p className="mt-2 text-xs text-yellow-400 flex items-center">
+                    <FiUpload className="w-3 h-3 mr-1.5" />
+                    {summary.missing} file{summary.missing === 1 ? ' was' : 's were'} not uploaded.{' '}
+                    <Link href="/upload" className="underline ml-1">Upload them again</Link>
+                  </p>
+                )}
+              </div>
+
+              {/* Files */}
+              <div className="grid grid-cols-1 gap-2">
+                {files.map((file) => {
+                  const progress = describeProgress(file.progress, { estimate: file.estimate, now });
+                  const failed = file.status === 'error' || file.status === 'cancelled';
+                  return (
+                    <div key={file.id} className="p-4 bg-black border border-white/10 rounded-lg">
+                      <div className="flex items-center space-x-3">
+                        {file.status === 'processing' && <div className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></div>}
+                        {file.status === 'completed' && <FiCheck className="w-4 h-4 text-green-400" />}
+                        {file.status === 'error' && <FiAlertCircle className="w-4 h-4 text-red-400" />}
+                        {file.status === 'cancelled' && <FiX className="w-4 h-4 text-white/40" />}
+                        <div className="flex-1 truncate text-sm">
+                          {file.status === 'completed'
+                            ? <Link href={`/files/${file.id}`} className="hover:underline">{file.name}</Link>
+                            : file.name}
+                        </div>
+                        {failed && (
+                          <button
+                            onClick={() => retryFile(file)}
+                            disabled={retrying[file.id]}
+                            className="px-3 py-1 border border-white/20 rounded-lg text-xs flex items-center space-x-1.5 disabled:opacity-50"
+                          >
+                            <FiRefreshCw className={`w-3 h-3 ${retrying[file.id] ? 'animate-spin' : ''}`} />
+                            <span>Retry</span>
+                          </button>
+                        )}
+                      </div>
+
+                      {file.status === 'processing' && (
+                        <div className="mt-2">
+                          <div className="w-full bg-white/10 rounded-full h-1 mt-2">
+                            <div
+                              className="bg-white/30 h-1 rounded-full transition-all duration-500"
+                              style={{ width: `${progress.percent}%` }}
+                            />
+                          </div>
+                          <div className="mt-1 flex justify-between text-xs text-white/60">
+                            <span>{progress.message || progress.label}</span>
+                            {formatEta(progress.eta) && <span>{formatEta(progress.eta)} left</span>}
+                          </div>
+                        </div>
+                      )}
+
+                      {failed && (file.error || file.lastRunError?.message) && (
+                        <p className="mt-2 text-xs text-red-400">{file.error || file.lastRunError.message}</p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -5,13 +5,15 @@ import Sidebar from '../components/Sidebar';
 import FileCard from '../components/FileCard';
 import { useAuth } from '../components/AuthContext';
 import T from '../components/T';
+import { useProgressEvents } from '../components/useProgressEvents';
 import { 
   FiTrendingUp, 
   FiClock, 
   FiHardDrive, 
   FiActivity,
   FiUsers,
-  FiFileText
+  FiFileText,
+  FiCpu
 } from 'react-icons/fi';
 
 export default function Dashboard() {
@@ -38,6 +40,23 @@ export default function Dashboard() {
     }
   }, [user, router, authChecked]);
 
+  // Stage changes update the recent files in place; a file starting or finishing changes the
+  // counts, so the dashboard is reloaded then
+  useProgressEvents({
+    enabled: !!user,
+    onProgress: (event) => {
+      const file = dashboardData?.recentFiles?.find(recent => recent.id === event.fileId);
+      if (!file || file.status !== event.status) {
+        fetchDashboardData();
+        return;
+      }
+      setDashboardData(prev => ({
+        ...prev,
+        recentFiles: prev.recentFiles.map(recent => recent.id === event.fileId ? { ...recent, progress: event.progress, estimate: event.estimate } : recent),
+      }));
+    },
+  });
+
   const fetchDashboardData = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -98,6 +117,7 @@ export default function Dashboard() {
   }
 
   const stats = dashboardData?.stats || {};
+  const quota = dashboardData?.quota;
   const recentFiles = dashboardData?.recentFiles || [];
   const recentActivity = dashboardData?.recentActivity || [];
 
@@ -174,7 +194,7 @@ export default function Dashboard() {
                 {formatFileSize(stats.storageUsed || 0)}
               </div>
               <div className="text-sm text-white/60">
-                <T>of 1 GB used</T>
+                {stats.storageLimit ? <>of {formatFileSize(stats.storageLimit)} used</> : <T>Unlimited storage</T>}
               </div>
               
               {/* Storage Bar */}
@@ -203,6 +223,45 @@ export default function Dashboard() {
             </div>
           </div>
 
+          {/* Plan Quota */}
+          {quota && (
+            <div className="file-card p-6 mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-lg font-semibold text-white">
+                  {quota.plan.name} <T>plan usage</T>
+                </h2>
+                <span className="text-xs text-white/60">
+                  <T>Resets</T> {new Date(quota.resetsAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                </span>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <QuotaMeter
+                  icon={FiClock}
+                  label="Transcription minutes"
+                  meter={quota.minutes}
+                  format={(minutes) => `${minutes} min`}
+                />
+                <QuotaMeter
+                  icon={FiCpu}
+                  label="AI requests"
+                  meter={quota.aiCalls}
+                  format={(calls) => String(calls)}
+                />
+                <QuotaMeter
+                  icon={FiHardDrive}
+                  label="Storage"
+                  meter={quota.storage}
+                  format={formatFileSize}
+                />
+              </div>
+              {quota.minutes.overage > 0 && (
+                <p className="text-xs text-yellow-300 mt-4">
+                  {quota.minutes.overage} <T>minutes over your allowance this month</T> (${quota.minutes.overageCost.toFixed(2)})
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Content Grid */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             {/* Recent Files */}
@@ -342,3 +401,32 @@ export default function Dashboard() {
     </>
   );
 }
+
+function QuotaMeter({ icon: Icon, label, meter, format }) {
+  const unlimited = meter.limit === null;
+  const notIncluded = meter.limit === 0;
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-2">
+        <span className="flex items-center text-white/80">
+          <Icon className="w-4 h-4 mr-2 text-white/60" />
+          <T>{label}</T>
+        </span>
+        <span className="text-white/60">
+          {unlimited ? <T>Unlimited</T> : notIncluded ? <T>Not included</T> : <>{format(meter.remaining)} <T>left</T></>}
+        </span>
+      </div>
+      <div className="progress-bar h-2 rounded-full">
+        <div
+          className={`h-full rounded-full transition-all duration-500 ${
+            meter.percentage >= 100 ? 'bg-red-500' : meter.percentage > 80 ? 'bg-yellow-500' : 'progress-fill'
+          }`}
+          style={{ width: `${unlimited || notIncluded ? 0 : meter.percentage}%` }}
+        />
+      </div>
+      <div className="text-xs text-white/40 mt-1">
+        {format(meter.used)}{unlimited ? '' : ` / ${format(meter.limit)}`}
+      </div>
+    </div>
+  );
+}
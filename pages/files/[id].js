@@ -3,8 +3,21 @@ import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../../components/AuthContext';
 import { getLanguageName, translateText, SUPPORTED_LANGUAGES } from '../../utils/languages';
+import {
+  renderSegmentLine,
+  renderSegmentLines,
+  getTimelineEntries,
+  getWordCount,
+  findSegmentAt,
+  hasSpeakerTurns,
+  formatTimestamp as formatTime
+} from '../../utils/transcriptModel';
+import { PII_CATEGORIES } from '../../utils/redaction';
+import { getPreprocessingStepLabel } from '../../utils/audioPreprocessing';
+import { DEFAULT_SUMMARY_TEMPLATE, listSummaryTemplates, findSummaryTemplate, getSummaryBlocks } from '../../utils/summaryTemplates';
 
 import Sidebar from '../../components/Sidebar';
+import TranscriptVersions from '../../components/TranscriptVersions';
 import { 
   FiFileText, 
   FiClock, 
@@ -18,7 +31,9 @@ import {
   FiSend,
   FiCpu,
   FiGlobe,
-  FiEdit
+  FiEdit,
+  FiList,
+  FiLayers
 } from 'react-icons/fi';
 import { toast } from 'react-toastify';
 // import AnalyticsDashboard from '../../components/AnalyticsDashboardSimple';
@@ -47,6 +62,7 @@ export default function TranscriptView() {
   
   // Chat UX refs
   const chatMessagesRef = useRef(null);
+  const audioRef = useRef(null);
   const chatInputRef = useRef(null);
   
   // Translation states
@@ -55,6 +71,13 @@ export default function TranscriptView() {
   const [showTranslateDropdown, setShowTranslateDropdown] = useState(false);
   const [selectedTranslateLanguage, setSelectedTranslateLanguage] = useState('es');
 
+  // Segment to scroll to after jumping from a chapter
+  const [highlightedSegmentId, setHighlightedSegmentId] = useState(null);
+
+  // The user's own summary templates, offered next to the built-in ones when regenerating
+  const [customSummaryTemplates, setCustomSummaryTemplates] = useState([]);
+  const [summaryTemplateId, setSummaryTemplateId] = useState(DEFAULT_SUMMARY_TEMPLATE);
+
 
   useEffect(() => {
     if (authChecked && !user) {
@@ -67,6 +90,23 @@ export default function TranscriptView() {
     }
   }, [user, router, id, authChecked]);
 
+  useEffect(() => {
+    if (!user) return;
+    fetch('/api/profile/summary-templates', {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(data => data && setCustomSummaryTemplates(data.templates || []))
+      .catch(error => console.error('Failed to load summary templates:', error));
+  }, [user]);
+
+  // The template picker starts at the one the current summary was written with
+  useEffect(() => {
+    if (file) {
+      setSummaryTemplateId(file.summaryTemplateId || DEFAULT_SUMMARY_TEMPLATE);
+    }
+  }, [file?.summaryTemplateId]);
+
   // Auto-scroll to bottom when new messages are added
   useEffect(() => {
     if (chatMessagesRef.current) {
@@ -85,6 +125,15 @@ export default function TranscriptView() {
     }
   }, [activeTab, isTyping]);
 
+  // Bring the chapter's first segment into view once the transcript tab has rendered
+  useEffect(() => {
+    if (activeTab !== 'full-transcript' || highlightedSegmentId === null) return;
+    const element = document.getElementById(`segment-${highlightedSegmentId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [activeTab, highlightedSegmentId]);
+
   // Close export dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -129,13 +178,13 @@ export default function TranscriptView() {
       toast.info('Generating new summary...', { autoClose: false, toastId: 'summary-toast' });
       
       const token = localStorage.getItem('token');
-      const response = await fetch(`/api/ai-settings/regenerate-summary`, {
+      const response = await fetch(`/api/files/${id}/regenerate-summary`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ fileId: id })
+        body: JSON.stringify({ templateId: summaryTemplateId })
       });
 
       if (response.ok) {
@@ -143,7 +192,12 @@ export default function TranscriptView() {
         // Update file with new summary
         setFile(prevFile => ({
           ...prevFile,
-          summary: data.summary
+          summary: data.summary,
+          topic: data.topic,
+          topics: data.topics,
+          insights: data.insights,
+          summaryTemplateId: data.summaryTemplateId,
+          summarySections: data.summarySections
         }));
         toast.dismiss('summary-toast');
         toast.success('Summary regenerated successfully!');
@@ -156,7 +210,7 @@ export default function TranscriptView() {
         if (response.status === 401) {
           toast.error('Authentication failed. Please log in again.');
         } else if (response.status === 403) {
-          toast.error('You do not have permission to regenerate this summary.');
+          toast.error(errorData.error || 'You do not have permission to regenerate this summary.');
         } else if (response.status === 404) {
           toast.error('File not found.');
         } else if (errorData.error) {
@@ -201,6 +255,10 @@ export default function TranscriptView() {
 
   // Calculate unique speakers from timestamps or estimate from transcript
   const calculateSpeakerCount = (file) => {
+    if (file.transcriptModel) {
+      return Math.max(file.transcriptModel.speakers.length, 1);
+    }
+
     if (file.timestamps && file.timestamps.length > 0) {
       const uniqueSpeakers = new Set();
       file.timestamps.forEach(timestamp => {
@@ -351,9 +409,13 @@ export default function TranscriptView() {
         };
         setChatMessages(prev => [...prev, aiMessage]);
       } else {
+        const errorData = await response.json().catch(() => ({}));
         const errorMessage = {
           role: 'assistant',
-          content: 'Sorry, I encountered an error. Please try again.',
+          // Plan limits explain themselves; anything else gets the generic apology
+          content: errorData.errorType === 'QUOTA_EXCEEDED'
+            ? errorData.error
+            : 'Sorry, I encountered an error. Please try again.',
           timestamp: new Date().toISOString()
         };
         setChatMessages(prev => [...prev, errorMessage]);
@@ -411,6 +473,45 @@ export default function TranscriptView() {
     toast.success('Showing original transcript');
   };
 
+  const deleteOriginalRecording = async () => {
+    if (!confirm('Delete the unredacted original recording? Only the redacted copy will be kept. This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/files/${id}/original`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Failed to delete original recording');
+      }
+
+      setFile(prev => ({ ...prev, url: data.url, key: prev.redactedAudio.key, originalDeletedAt: data.originalDeletedAt }));
+      toast.success('Original recording deleted');
+    } catch (error) {
+      console.error('Delete original error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const jumpToChapter = (chapter) => {
+    if (audioRef.current) {
+      audioRef.current.currentTime = chapter.start / 1000;
+      audioRef.current.play().catch(() => {});
+    }
+
+    const segment = findSegmentAt(file.transcriptModel, chapter.start);
+    setHighlightedSegmentId(segment ? segment.id : null);
+    setTranslatedTranscript('');
+    setActiveTab('full-transcript');
+  };
+
   const highlightSearchText = (text, searchTerm) => {
     if (!searchTerm.trim()) {
       return text;
@@ -507,10 +608,17 @@ export default function TranscriptView() {
     if (!file || !file.transcript) return;
     
     const element = document.createElement('a');
-    let fileText = `Transcript: ${file.name}\nDate: ${new Date(file.createdAt).toLocaleDateString()}\nDuration: ${formatDuration(file.duration)}\nLanguage: ${file.language || 'English'}\n\n--- FULL TRANSCRIPT ---\n\n${file.transcript}`;
+    let fileText = `Transcript: ${file.name}\nDate: ${new Date(file.createdAt).toLocaleDateString()}\nDuration: ${formatDuration(file.duration)}\nLanguage: ${file.language || 'English'}`;
+
+    const summaryBlocks = getSummaryBlocks(file);
+    if (summaryBlocks.length > 0) {
+      fileText += `\n\n--- AI SUMMARY ---\n\n${summaryBlocks.map(block => `${block.title}\n${block.content}`).join('\n\n')}`;
+    }
+    fileText += `\n\n--- FULL TRANSCRIPT ---\n\n${file.transcript}`;
     
-    if (file.timestamps && file.timestamps.length > 0) {
-      const timestampText = file.timestamps.map(ts => 
+    const timeline = getTimelineEntries(file);
+    if (timeline.length > 0) {
+      const timestampText = timeline.map(ts => 
         `[${formatTime(ts.start)} - ${formatTime(ts.end)}] ${ts.speaker || 'Speaker'}: ${ts.text}`
       ).join('\n\n');
       fileText += `\n\n--- TIMESTAMPS ---\n\n${timestampText}`;
@@ -661,7 +769,7 @@ export default function TranscriptView() {
                   <div className="text-white/60 mb-1 text-xs">Words</div>
                   <div className="flex items-center">
                     <FiFileText className="w-3 h-3 mr-1 text-white/60" />
-                    <span className="text-sm">{calculateWordCount(file.transcript)}</span>
+                    <span className="text-sm">{file.transcriptModel ? getWordCount(file.transcriptModel) : calculateWordCount(file.transcript)}</span>
                   </div>
                 </div>
                 <div className="bg-black rounded-lg p-4 border border-white/10">
@@ -672,6 +780,13 @@ export default function TranscriptView() {
                 </div>
               </div>
               
+              {/* Audio Player */}
+              {(file.redactedAudio?.url || file.url) && (
+                <div className="px-6 py-4 border-b border-white/10">
+                  <audio ref={audioRef} src={file.redactedAudio?.url || file.url} controls preload="metadata" className="w-full" />
+                </div>
+              )}
+
               {/* Tab Navigation */}
               <div className="border-b border-white/10 px-6 bg-black">
                 <div className="flex">
@@ -687,6 +802,13 @@ export default function TranscriptView() {
                   >
                     AI Summary
                   </button>
+                  <button
+                    className={`py-4 px-4 ${activeTab === 'chapters' ? 'bg-black text-white' : 'text-white/60 hover:text-white'} transition-colors`}
+                    onClick={() => setActiveTab('chapters')}
+                  >
+                    <FiList className="w-4 h-4 inline mr-2" />
+                    Chapters
+                  </button>
                   <button
                     className={`py-4 px-4 ${activeTab === 'timestamps' ? 'bg-black text-white' : 'text-white/60 hover:text-white'} transition-colors`}
                     onClick={() => setActiveTab('timestamps')}
@@ -699,6 +821,13 @@ export default function TranscriptView() {
                   >
                     File Details
                   </button>
+                  <button
+                    className={`py-4 px-4 ${activeTab === 'versions' ? 'bg-black text-white' : 'text-white/60 hover:text-white'} transition-colors`}
+                    onClick={() => setActiveTab('versions')}
+                  >
+                    <FiLayers className="w-4 h-4 inline mr-2" />
+                    Versions
+                  </button>
 
                   <button
                     className={`py-4 px-4 ${activeTab === 'chat-ai' ? 'bg-black text-white' : 'text-white/60 hover:text-white'} transition-colors`}
@@ -815,7 +944,28 @@ export default function TranscriptView() {
                     
                     <div className="bg-black border border-white/10 rounded-xl p-6 overflow-y-auto">
                       <div className="transcript text-sm">
-                        {file.transcript ? (
+                        {file.transcriptModel && !file.transcriptModel.detached && !translatedTranscript &&
+                          file.transcriptModel.segments.length > 0 &&
+                          (hasSpeakerTurns(file.transcriptModel) || !file.transcriptModel.translatedText) ? (
+                          // Segment by segment so chapters can jump to a line
+                          <div className="whitespace-pre-wrap">
+                            {file.transcriptModel.segments.map(segment => (
+                              <div
+                                key={segment.id}
+                                id={`segment-${segment.id}`}
+                                className={`py-1 rounded ${segment.id === highlightedSegmentId ? 'bg-white/10' : ''}`}
+                                dangerouslySetInnerHTML={{
+                                  __html: highlightSearchText(
+                                    hasSpeakerTurns(file.transcriptModel)
+                                      ? renderSegmentLine(file.transcriptModel, segment)
+                                      : (segment.translation || segment.text),
+                                    searchQuery
+                                  )
+                                }}
+                              />
+                            ))}
+                          </div>
+                        ) : file.transcript ? (
                           <div className="whitespace-pre-wrap">
                             <div 
                               dangerouslySetInnerHTML={{
@@ -848,11 +998,37 @@ export default function TranscriptView() {
                     <div>
                       <div className="flex justify-between items-center mb-4">
                         <h2 className="text-base text-green-400">AI Summary</h2>
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={summaryTemplateId}
+                            onChange={(e) => setSummaryTemplateId(e.target.value)}
+                            disabled={regenerating}
+                            className="bg-black border border-white/20 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:border-white/40"
+                            title="Summary template"
+                          >
+                            {listSummaryTemplates(customSummaryTemplates).map(template => (
+                              <option key={template.id} value={template.id}>{template.name}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={regenerateSummary}
+                            disabled={regenerating || !file.transcript}
+                            className="flex items-center gap-1 px-2 py-1 text-xs border border-white/20 rounded-lg text-white/80 hover:text-white hover:border-white/40 transition-colors disabled:opacity-50"
+                          >
+                            <FiRefreshCw className={`w-3 h-3 ${regenerating ? 'animate-spin' : ''}`} />
+                            {regenerating ? 'Regenerating...' : 'Regenerate'}
+                          </button>
+                        </div>
                       </div>
                       
                       <div className="bg-black rounded-xl p-4 border border-white/10">
                         <div className="flex justify-between items-start mb-2">
-                          <h3 className="text-sm font-medium">File Summary</h3>
+                          <div>
+                            <h3 className="text-sm font-medium">File Summary</h3>
+                            <p className="text-xs text-white/40">
+                              {findSummaryTemplate(file.summaryTemplateId, customSummaryTemplates)?.name || 'Deleted template'} template
+                            </p>
+                          </div>
                           {file.summary && file.transcript && 
                             file.summary === file.transcript.substring(0, file.summary.length) && (
                             <span className="bg-amber-800/40 text-amber-300 text-xs px-2 py-0.5 rounded">
@@ -900,9 +1076,64 @@ export default function TranscriptView() {
 
                       </div>
                     </div>
+
+                    {/* Sections of the summary template, as written when the summary was made */}
+                    {(file.summarySections || []).length > 0 && (
+                      <div className="col-span-2 grid grid-cols-2 gap-6">
+                        {file.summarySections.map(section => (
+                          <div key={section.id} className="bg-black rounded-xl p-4 border border-white/10">
+                            <h3 className="text-sm font-medium mb-2">{section.title}</h3>
+                            {section.content ? (
+                              <p className="text-sm whitespace-pre-line">{section.content}</p>
+                            ) : (
+                              <p className="text-white/60 text-sm">Nothing came up for this section.</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )}
                 
+                {/* Chapters Tab */}
+                {activeTab === 'chapters' && (
+                  <div className="max-w-5xl mx-auto">
+                    <div className="mb-4">
+                      <h2 className="text-base font-medium mb-2">Chapters</h2>
+                      <p className="text-xs text-white/60">Click a chapter to play from its start and jump to it in the transcript</p>
+                    </div>
+
+                    {file.chapters && file.chapters.length > 0 ? (
+                      <div className="space-y-3">
+                        {file.chapters.map((chapter, index) => (
+                          <button
+                            key={`${chapter.start}-${index}`}
+                            onClick={() => jumpToChapter(chapter)}
+                            className="w-full text-left bg-black rounded-xl p-4 border border-white/10 hover:bg-white/5 transition-colors"
+                          >
+                            <div className="flex justify-between items-start mb-1">
+                              <h3 className="text-sm font-medium">{chapter.title}</h3>
+                              <span className="text-xs text-white/60 ml-4 whitespace-nowrap">
+                                {formatTime(chapter.start)} - {formatTime(chapter.end)}
+                              </span>
+                            </div>
+                            {chapter.gist && (
+                              <p className="text-xs text-white/60">{chapter.gist}</p>
+                            )}
+                            {chapter.summary && (
+                              <p className="text-sm mt-2">{chapter.summary}</p>
+                            )}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="bg-black rounded-xl p-6 border border-white/10">
+                        <p className="text-white/60 text-sm">No chapters for this recording.</p>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Timestamps Tab */}
                 {activeTab === 'timestamps' && (
                   <div className="max-w-5xl mx-auto">
@@ -912,7 +1143,7 @@ export default function TranscriptView() {
                     </div>
                     
                     <div className="bg-black rounded-xl border border-white/10">
-                      {(file.timestamps && file.timestamps.length > 0) || file.transcript ? (
+                      {file.transcriptModel || (file.timestamps && file.timestamps.length > 0) || file.transcript ? (
                         (() => {
                           // Helper function to format timestamp as HH:MM:SS
                           const formatTimestamp = (milliseconds) => {
@@ -925,8 +1156,10 @@ export default function TranscriptView() {
                           
                           let formattedContent = '';
                           
-                          // If we have proper utterance-level timestamps, use those
-                          if (file.timestamps && file.timestamps.length > 0 && file.timestamps[0].text && file.timestamps[0].text.split(' ').length > 5) {
+                          // Files with a transcript model render their real segments
+                          if (file.transcriptModel && file.transcriptModel.segments.length > 0) {
+                            formattedContent = renderSegmentLines(file.transcriptModel);
+                          } else if (file.timestamps && file.timestamps.length > 0 && file.timestamps[0].text && file.timestamps[0].text.split(' ').length > 5) {
                             // This looks like utterance-level data (longer text segments)
                             const speakerMap = {};
                             let speakerIndex = 0;
@@ -1097,7 +1330,24 @@ export default function TranscriptView() {
                       <div className="border-b border-white/10">
                         <div className="grid grid-cols-2 py-4 px-6">
                           <div className="text-white/60 text-sm">Language</div>
-                          <div className="text-sm">{getLanguageName(file.language || file.settings?.language || 'en')}</div>
+                          <div className="text-sm">
+                            {getLanguageName(file.language || file.settings?.language || 'en')}
+                            {file.detectedLanguage && (
+                              <span className="ml-2 text-xs text-white/60">
+                                Auto-detected{typeof file.detectedLanguage.confidence === 'number' ? ` · ${Math.round(file.detectedLanguage.confidence * 100)}% confidence` : ''}
+                              </span>
+                            )}
+                            {file.detectedLanguage?.mixed && (
+                              <div className="mt-2">
+                                <span className="bg-amber-800/40 text-amber-300 text-xs px-2 py-0.5 rounded">
+                                  Mixed languages: {file.detectedLanguage.languages.map(language => getLanguageName(language.code)).join(', ')}
+                                </span>
+                                <p className="text-xs text-white/40 mt-1">
+                                  Only {getLanguageName(file.detectedLanguage.code)} was transcribed; other languages may be inaccurate
+                                </p>
+                              </div>
+                            )}
+                          </div>
                         </div>
                       </div>
                       <div className="border-b border-white/10">
@@ -1106,6 +1356,50 @@ export default function TranscriptView() {
                           <div className="text-sm">{formatDate(file.createdAt)}</div>
                         </div>
                       </div>
+                      {file.preprocessing && (
+                        <div className="border-b border-white/10">
+                          <div className="grid grid-cols-2 py-4 px-6">
+                            <div className="text-white/60 text-sm">Audio Pre-processing</div>
+                            <div className="text-sm space-y-2">
+                              <div>{file.preprocessing.steps.map(getPreprocessingStepLabel).join(', ')}</div>
+                              {file.preprocessing.removedSilenceMs > 0 && (
+                                <div className="text-xs text-white/60">
+                                  {formatTime(file.preprocessing.removedSilenceMs)} of silence trimmed before transcription
+                                </div>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                      {file.settings?.redaction && (
+                        <div className="border-b border-white/10">
+                          <div className="grid grid-cols-2 py-4 px-6">
+                            <div className="text-white/60 text-sm">PII Redaction</div>
+                            <div className="text-sm space-y-2">
+                              <div>
+                                {file.settings.redaction.categories
+                                  .map(categoryId => PII_CATEGORIES.find(category => category.id === categoryId)?.label || categoryId)
+                                  .join(', ')}
+                              </div>
+                              {file.redactedAudio && (
+                                <div className="text-xs text-white/60">
+                                  {file.redactedAudio.redactedSpans} spans beeped in the redacted audio
+                                </div>
+                              )}
+                              {file.originalDeletedAt ? (
+                                <div className="text-xs text-white/60">Original deleted {formatDate(file.originalDeletedAt)}</div>
+                              ) : file.redactedAudio && (
+                                <button
+                                  onClick={deleteOriginalRecording}
+                                  className="py-1 px-3 border border-red-500/40 text-red-300 rounded text-xs hover:bg-red-500/10 transition-colors"
+                                >
+                                  Delete unredacted original
+                                </button>
+                              )}
+                            </div>
+                          </div>
+                        </div>
+                      )}
                       <div>
                         <div className="grid grid-cols-2 py-4 px-6">
                           <div className="text-white/60 text-sm">Status</div>
@@ -1121,6 +1415,10 @@ export default function TranscriptView() {
                 )}
                 
                 {/* Chat with AI Tab */}
+                {activeTab === 'versions' && (
+                  <TranscriptVersions file={file} onVersionChange={fetchTranscriptDetails} />
+                )}
+
                 {activeTab === 'chat-ai' && (
                   <div className="max-w-5xl mx-auto">
                     <div className="bg-black border border-white/10 rounded-xl overflow-hidden">
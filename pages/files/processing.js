@@ -4,7 +4,9 @@ import { useRouter } from 'next/router';
 import { useAuth } from '../../components/AuthContext';
 import Sidebar from '../../components/Sidebar';
 import FileCard from '../../components/FileCard';
-import { FiPlay, FiRefreshCw, FiFile, FiClock } from 'react-icons/fi';
+import { useProgressEvents } from '../../components/useProgressEvents';
+import { describeProgress, formatEta } from '../../utils/progress';
+import { FiPlay, FiRefreshCw, FiFile, FiClock, FiX } from 'react-icons/fi';
 
 export default function ProcessingFiles() {
   const router = useRouter();
@@ -13,6 +15,7 @@ export default function ProcessingFiles() {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
     if (authChecked && !user) {
@@ -22,13 +25,45 @@ export default function ProcessingFiles() {
     
     if (user) {
       fetchFiles();
-      
-      // Auto-refresh every 10 seconds for processing files
-      const interval = setInterval(fetchFiles, 10000);
-      return () => clearInterval(interval);
     }
   }, [user, router, authChecked]);
 
+  // Count the ETAs down between progress events
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Progress arrives over the event stream; the list is only refetched when a file it
+  // doesn't know about yet starts processing
+  useProgressEvents({
+    enabled: !!user,
+    onSnapshot: (events) => {
+      const byId = new Map(events.map(event => [event.fileId, event]));
+      setFiles(prev => prev.map(file => byId.has(file.id)
+        ? { ...file, progress: byId.get(file.id).progress, estimate: byId.get(file.id).estimate }
+        : file));
+    },
+    onProgress: (event) => {
+      const known = files.some(file => file.id === event.fileId);
+      if (event.status !== 'processing') {
+        if (!known) return;
+        const remaining = files.filter(file => file.id !== event.fileId);
+        setFiles(remaining);
+        // Auto-redirect to recent files once the last processing file finishes
+        if (remaining.length === 0) {
+          router.push('/files/recent');
+        }
+        return;
+      }
+      if (!known) {
+        fetchFiles();
+        return;
+      }
+      setFiles(prev => prev.map(file => file.id === event.fileId ? { ...file, progress: event.progress, estimate: event.estimate } : file));
+    },
+  });
+
   const fetchFiles = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -40,15 +75,7 @@ export default function ProcessingFiles() {
 
       if (response.ok) {
         const data = await response.json();
-        // Process files to ensure they have progress and step information
-        const processedFiles = (data.files || []).map(file => ({
-          ...file,
-          // Ensure progress exists (default to a random value between 10-90 if not available)
-          progress: file.progress || Math.floor(Math.random() * 80) + 10,
-          // Ensure step information exists
-          step: file.step || getProcessingStep(file.progress || Math.floor(Math.random() * 80) + 10)
-        }));
-        
+        const processedFiles = data.files || [];
         setFiles(processedFiles);
         
         // Auto-redirect to recent files if no processing files remain
@@ -67,16 +94,29 @@ export default function ProcessingFiles() {
     }
   };
   
-  // Helper function to determine processing step based on progress
-  const getProcessingStep = (progress) => {
-    if (progress < 25) {
-      return 'Converting audio format';
-    } else if (progress < 50) {
-      return 'Analyzing speech patterns';
-    } else if (progress < 75) {
-      return 'Generating transcript';
-    } else {
-      return 'Finalizing and creating summary';
+  const handleCancel = async (file) => {
+    if (!confirm(`Cancel the transcription of "${file.name}"?`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/files/${file.id}/cancel`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to cancel transcription');
+      }
+
+      setFiles(prev => prev.filter(f => f.id !== file.id));
+    } catch (error) {
+      console.error('Cancel error:', error);
+      alert(error.message);
     }
   };
 
@@ -136,11 +176,11 @@ export default function ProcessingFiles() {
             </button>
           </div>
 
-          {/* Auto-refresh indicator */}
+          {/* Live updates indicator */}
           <div className="mb-6 flex items-center">
             <div className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse mr-2"></div>
             <span className="text-xs text-white/60">
-              Auto-refreshing every 10 seconds
+              Progress updates live
             </span>
           </div>
 
@@ -151,11 +191,20 @@ export default function ProcessingFiles() {
             </div>
           ) : files.length > 0 ? (
             <div className="grid grid-cols-1 gap-2">
-              {files.map((file) => (
+              {files.map((file) => {
+                const progress = describeProgress(file.progress, { estimate: file.estimate, now });
+                return (
                 <div key={file.id} className="p-4 bg-black border border-white/10 rounded-lg">
                   <div className="flex items-center space-x-3">
                     <div className="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></div>
                     <div className="flex-1 truncate text-sm">{file.name}</div>
+                    <button
+                      onClick={() => handleCancel(file)}
+                      className="p-1 text-white/60 hover:text-red-400 transition-colors"
+                      title="Cancel transcription"
+                    >
+                      <FiX className="w-4 h-4" />
+                    </button>
                   </div>
                   
                   {/* File Details - simplified */}
@@ -163,18 +212,24 @@ export default function ProcessingFiles() {
                     {/* Progress Bar */}
                     <div className="w-full bg-white/10 rounded-full h-1 mt-2">
                       <div 
-                        className="bg-white/30 h-1 rounded-full" 
-                        style={{ width: `${file.progress || 0}%` }}
+                        className="bg-white/30 h-1 rounded-full transition-all duration-500" 
+                        style={{ width: `${progress.percent}%` }}
                       />
                     </div>
                     
                     {/* Progress Status */}
-                    <div className="mt-1 text-xs text-white/60">
-                      {file.step || 'Audio processing'}
+                    <div className="mt-1 flex justify-between text-xs text-white/60">
+                      <span>{progress.message || progress.label}</span>
+                      {formatEta(progress.eta) && (
+                        <span title={file.estimate ? `Estimated from ${file.estimate.samples || 'no'} similar runs (${file.estimate.basis})` : undefined}>
+                          {formatEta(progress.eta)} left
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
-              ))}
+                );
+              })}
             </div>
           ) : (
             <div className="bg-black text-center py-16 px-4 rounded-lg border border-white/10">
@@ -0,0 +1,403 @@
+import Head from 'next/head';
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../components/AuthContext';
+import Sidebar from '../components/Sidebar';
+import { FiMic, FiSquare, FiAlertCircle } from 'react-icons/fi';
+import { SUPPORTED_LANGUAGES } from '../utils/languages';
+import { LIVE_LANGUAGES, MAX_LIVE_DURATION_SEC, encodePcm16, parseStreamingMessage } from '../utils/liveTranscription';
+import { smartUpload } from '../utils/smartUpload';
+
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const RECORDING_EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+const TERMINATION_TIMEOUT_MS = 5000;
+
+const formatElapsed = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default function LiveTranscription() {
+  const router = useRouter();
+  const { user, logout, authChecked, authLoading } = useAuth();
+  const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [language, setLanguage] = useState('en');
+  // idle -> connecting -> recording -> stopping -> saving, or unsaved when saving failed
+  const [status, setStatus] = useState('idle');
+  const [turns, setTurns] = useState([]);
+  const [partial, setPartial] = useState('');
+  const [elapsed, setElapsed] = useState(0);
+  const [maxDuration, setMaxDuration] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Everything the recording needs between start and stop
+  const session = useRef(null);
+  const transcriptEnd = useRef(null);
+
+  useEffect(() => {
+    if (authChecked && !user) {
+      router.push('/login');
+    }
+  }, [user, router, authChecked]);
+
+  // Release the microphone if the page is left mid-recording
+  useEffect(() => () => releaseRecording(), []);
+
+  useEffect(() => {
+    transcriptEnd.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [turns, partial]);
+
+  // Stop on its own once the plan's remaining minutes are used up
+  useEffect(() => {
+    if (status === 'recording' && maxDuration && elapsed >= maxDuration) {
+      stopRecording();
+    }
+  }, [elapsed, maxDuration, status]);
+
+  const releaseRecording = () => {
+    const current = session.current;
+    if (!current) return;
+    clearInterval(current.timer);
+    current.processor?.disconnect();
+    current.source?.disconnect();
+    current.audioContext?.close().catch(() => {});
+    current.stream?.getTracks().forEach(track => track.stop());
+    if (current.socket && current.socket.readyState <= WebSocket.OPEN) {
+      current.socket.close();
+    }
+    if (current.recorder && current.recorder.state !== 'inactive') {
+      current.recorder.stop();
+    }
+  };
+
+  const handleMessage = (event) => {
+    const current = session.current;
+    if (!current) return;
+    const message = parseStreamingMessage(event.data);
+
+    if (message.type === 'turn') {
+      if (message.turn.final) {
+        current.turns.set(message.turn.order, message.turn);
+        setTurns([...current.turns.values()].sort((a, b) => a.order - b.order));
+        setPartial('');
+      } else {
+        setPartial(message.turn.text);
+      }
+    } else if (message.type === 'end') {
+      current.onTerminated?.();
+    } else if (message.type === 'error') {
+      setError(message.error);
+    }
+  };
+
+  const startRecording = async () => {
+    setError(null);
+    setTurns([]);
+    setPartial('');
+    setElapsed(0);
+    setStatus('connecting');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/live/session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ language }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Could not start live transcription');
+      }
+
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+
+      const mimeType = RECORDING_TYPES.find(type => window.MediaRecorder?.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const current = {
+        sessionId: data.sessionId,
+        stream,
+        recorder,
+        chunks: [],
+        turns: new Map(),
+      };
+      session.current = current;
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) current.chunks.push(event.data);
+      };
+
+      const socket = new WebSocket(data.url);
+      socket.binaryType = 'arraybuffer';
+      socket.onmessage = handleMessage;
+      socket.onerror = () => setError('Lost the connection to the transcription service');
+      socket.onclose = () => {
+        // Closed before it ever opened: the session can't be used
+        if (!current.timer && session.current === current) {
+          releaseRecording();
+          session.current = null;
+          setError('Could not connect to the transcription service');
+          setStatus('idle');
+        }
+      };
+      current.socket = socket;
+
+      socket.onopen = () => {
+        // The recording is kept as compressed audio; the transcription service gets raw PCM
+        const audioContext = new AudioContext();
+        const source = audioContext.createMediaStreamSource(stream);
+        const processor = audioContext.createScriptProcessor(4096, 1, 1);
+        processor.onaudioprocess = (event) => {
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(encodePcm16(event.inputBuffer.getChannelData(0), audioContext.sampleRate));
+          }
+        };
+        source.connect(processor);
+        processor.connect(audioContext.destination);
+        Object.assign(current, { audioContext, source, processor });
+
+        recorder.start(1000);
+        const startedAt = Date.now();
+        current.timer = setInterval(() => setElapsed(Math.floor((Date.now() - startedAt) / 1000)), 1000);
+        setMaxDuration(data.maxDurationSec);
+        setStatus('recording');
+        console.log(`🎙️ Live session ${data.sessionId} recording`);
+      };
+    } catch (error) {
+      console.error('Live transcription failed to start:', error);
+      releaseRecording();
+      session.current = null;
+      setError(error.name === 'NotAllowedError' ? 'Microphone access was denied' : error.message);
+      setStatus('idle');
+    }
+  };
+
+  const stopRecording = async () => {
+    const current = session.current;
+    if (!current) return;
+    setStatus('stopping');
+    clearInterval(current.timer);
+    current.processor?.disconnect();
+    current.source?.disconnect();
+
+    // Let the service flush the last turn before the socket closes
+    if (current.socket.readyState === WebSocket.OPEN) {
+      await new Promise((resolve) => {
+        const timeout = setTimeout(resolve, TERMINATION_TIMEOUT_MS);
+        current.onTerminated = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+        current.socket.send(JSON.stringify({ type: 'Terminate' }));
+      });
+    }
+
+    await new Promise((resolve) => {
+      if (current.recorder.state === 'inactive') return resolve();
+      current.recorder.onstop = resolve;
+      current.recorder.stop();
+    });
+    releaseRecording();
+
+    if (current.turns.size === 0) {
+      session.current = null;
+      setError('Nothing was transcribed. Check your microphone and try again.');
+      setStatus('idle');
+      return;
+    }
+    await saveSession();
+  };
+
+  // Also retried from the page when saving fails, so the transcript isn't lost
+  const saveSession = async () => {
+    setError(null);
+    setStatus('saving');
+    try {
+      await saveRecording(session.current);
+      session.current = null;
+      router.push('/files/processing');
+    } catch (error) {
+      console.error('Failed to save live recording:', error);
+      setError(`The transcript could not be saved: ${error.message}`);
+      setStatus('unsaved');
+    }
+  };
+
+  // Upload the recording to R2 like a large upload, then save it with its transcript
+  const saveRecording = async (current) => {
+    const token = localStorage.getItem('token');
+    // Built once so retrying a failed save resumes the same upload
+    if (!current.file) {
+      const fileType = (current.recorder.mimeType || 'audio/webm').split(';')[0];
+      const fileName = `Live recording ${new Date().toLocaleString().replace(/[/:]/g, '-')}.${RECORDING_EXTENSIONS[fileType] || 'webm'}`;
+      current.file = new File(current.chunks, fileName, { type: fileType });
+    }
+    const { file } = current;
+
+    const { key } = await smartUpload(file, { token });
+
+    const saveResponse = await fetch('/api/live/save', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        sessionId: current.sessionId,
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        fileKey: key,
+        turns: [...current.turns.values()]
+          .sort((a, b) => a.order - b.order)
+          .map(({ text, words }) => ({ text, words })),
+      }),
+    });
+    const saved = await saveResponse.json();
+    if (!saveResponse.ok) {
+      throw new Error(saved.details || saved.error);
+    }
+    console.log('✅ Live recording saved as file', saved.fileId);
+  };
+
+  if (!authChecked || authLoading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="spinner w-6 h-6"></div>
+      </div>
+    );
+  }
+
+  if (authChecked && !user) {
+    return null;
+  }
+
+  const busy = status === 'connecting' || status === 'stopping' || status === 'saving';
+  const liveLanguages = SUPPORTED_LANGUAGES.filter(lang => LIVE_LANGUAGES.includes(lang.code));
+
+  return (
+    <>
+      <Head>
+        <title>Live Transcription - Ecouter Transcribe</title>
+        <meta name="description" content="Transcribe meetings from your microphone as they happen." />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <div className="min-h-screen bg-black text-white">
+        <Sidebar
+          user={user}
+          currentPage="live"
+          onLogout={logout}
+          onSidebarToggle={(collapsed) => setSidebarCollapsed(collapsed)}
+        />
+
+        <div className={`p-6 overflow-auto transition-all duration-300 ${sidebarCollapsed ? 'ml-16' : 'lg:ml-64'}`}>
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h1 className="text-xl font-semibold mb-1">
+                Live Transcription
+              </h1>
+              <p className="text-sm text-white/60">
+                Transcribe from your microphone as you speak. The recording is saved with its summary when you stop.
+              </p>
+            </div>
+          </div>
+
+          {/* Controls */}
+          <div className="p-4 bg-black border border-white/10 rounded-lg mb-6 flex flex-wrap items-center gap-4">
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              disabled={status !== 'idle'}
+              className="bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              style={{
+                backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                color: 'white'
+              }}
+            >
+              {liveLanguages.map(lang => (
+                <option key={lang.code} value={lang.code} style={{ backgroundColor: '#1a1a1a', color: 'white' }}>
+                  {lang.name}
+                </option>
+              ))}
+            </select>
+
+            {status === 'unsaved' && (
+              <button
+                onClick={saveSession}
+                className="px-4 py-2 bg-white/10 hover:bg-white/15 rounded-lg text-sm transition-colors"
+              >
+                Retry saving
+              </button>
+            )}
+
+            {status === 'unsaved' ? null : status === 'recording' ? (
+              <button
+                onClick={stopRecording}
+                className="px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/40 rounded-lg text-sm flex items-center space-x-2 transition-colors"
+              >
+                <FiSquare className="w-4 h-4" />
+                <span>Stop and save</span>
+              </button>
+            ) : (
+              <button
+                onClick={startRecording}
+                disabled={busy}
+                className="px-4 py-2 bg-white/10 hover:bg-white/15 disabled:opacity-50 rounded-lg text-sm flex items-center space-x-2 transition-colors"
+              >
+                {busy ? <div className="spinner w-4 h-4"></div> : <FiMic className="w-4 h-4" />}
+                <span>
+                  {status === 'connecting' ? 'Connecting...'
+                    : status === 'stopping' ? 'Finishing transcript...'
+                    : status === 'saving' ? 'Saving recording...'
+                    : 'Start recording'}
+                </span>
+              </button>
+            )}
+
+            {status === 'recording' && (
+              <div className="flex items-center text-sm text-white/60">
+                <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse mr-2"></div>
+                <span>{formatElapsed(elapsed)}</span>
+                {maxDuration && maxDuration < MAX_LIVE_DURATION_SEC && (
+                  <span className="ml-2 text-xs text-white/40">of {formatElapsed(Math.floor(maxDuration))} left on your plan</span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="p-3 mb-6 bg-red-500/10 border border-red-500/30 rounded-lg text-sm text-red-300 flex items-center">
+              <FiAlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {/* Transcript */}
+          <div className="p-4 bg-black border border-white/10 rounded-lg min-h-[300px] max-h-[60vh] overflow-y-auto">
+            {turns.length === 0 && !partial ? (
+              <div className="text-center py-16">
+                <FiMic className="w-12 h-12 text-white/20 mx-auto mb-4" />
+                <p className="text-sm text-white/60">
+                  {status === 'recording' ? 'Listening...' : 'Start recording to see the transcript appear here.'}
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-3 text-sm leading-relaxed">
+                {turns.map(turn => (
+                  <p key={turn.order} className="text-white/90">{turn.text}</p>
+                ))}
+                {partial && <p className="text-white/50 italic">{partial}</p>}
+                <div ref={transcriptEnd} />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
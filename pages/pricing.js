@@ -5,6 +5,9 @@ import Navbar from '../components/Navbar';
 import FloatingBubbles from '../components/FloatingBubbles';
 import { FiCheck, FiX } from 'react-icons/fi';
 import { useAuth } from '../components/AuthContext';
+import { PLANS, OVERAGE_RATE_PER_HOUR } from '../utils/plans';
+
+const hoursPerMonth = (plan) => `${plan.transcriptionMinutes / 60} hours of transcription per month`;
 
 export default function Pricing() {
   const { user, logout } = useAuth();
@@ -16,7 +19,7 @@ export default function Pricing() {
       price: { monthly: 0, annual: 0 },
       description: 'Perfect for trying out our service',
       features: [
-        { text: '2 hours of transcription per month', included: true },
+        { text: hoursPerMonth(PLANS.free), included: true },
         { text: 'Basic AI transcription', included: true },
         { text: 'Standard accuracy', included: true },
         { text: 'Email support', included: true },
@@ -33,7 +36,7 @@ export default function Pricing() {
       price: { monthly: 29, annual: 24 },
       description: 'For professionals and small teams',
       features: [
-        { text: '20 hours of transcription per month', included: true },
+        { text: hoursPerMonth(PLANS.pro), included: true },
         { text: 'Advanced AI transcription', included: true },
         { text: '99%+ accuracy', included: true },
         { text: 'Speaker identification (up to 10)', included: true },
@@ -50,7 +53,7 @@ export default function Pricing() {
       price: { monthly: 99, annual: 79 },
       description: 'For growing businesses and teams',
       features: [
-        { text: '100 hours of transcription per month', included: true },
+        { text: hoursPerMonth(PLANS.business), included: true },
         { text: 'Advanced AI transcription', included: true },
         { text: '99%+ accuracy', included: true },
         { text: 'Speaker identification (up to 10)', included: true },
@@ -88,7 +91,7 @@ export default function Pricing() {
     },
     {
       question: 'What happens if I exceed my monthly limit?',
-      answer: 'You can purchase additional hours at $2 per hour, or upgrade to a higher plan for better value.'
+      answer: `Paid plans keep transcribing past their allowance at $${OVERAGE_RATE_PER_HOUR} per additional hour. Free accounts stop at their limit until the next month or an upgrade.`
     },
     {
       question: 'Do you offer refunds?',
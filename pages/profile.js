@@ -3,7 +3,8 @@ import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '../components/AuthContext';
 import Sidebar from '../components/Sidebar';
-import { FiEdit2, FiSave, FiX, FiCamera, FiTrash2, FiEye, FiEyeOff, FiUser, FiMail, FiCalendar, FiGlobe, FiCheck } from 'react-icons/fi';
+import { FiEdit2, FiSave, FiX, FiCamera, FiTrash2, FiEye, FiEyeOff, FiUser, FiMail, FiCalendar, FiGlobe, FiCheck, FiBook, FiPlus, FiFileText } from 'react-icons/fi';
+import { BUILT_IN_SUMMARY_TEMPLATES, MAX_TEMPLATE_SECTIONS } from '../utils/summaryTemplates';
 import { toast } from 'react-toastify';
 
 // Countries list
@@ -65,6 +66,18 @@ export default function Profile() {
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [originalData, setOriginalData] = useState({});
 
+  // Custom vocabulary (glossary) used to boost names and jargon in transcripts
+  const [glossary, setGlossary] = useState([]);
+  const [newTerm, setNewTerm] = useState({ term: '', soundsLike: '' });
+  const [glossarySaving, setGlossarySaving] = useState(false);
+
+  // Summary templates of their own, next to the built-in ones. Sections are edited as
+  // "Title: instructions" lines.
+  const emptyTemplateForm = { id: null, name: '', description: '', sections: '' };
+  const [summaryTemplates, setSummaryTemplates] = useState([]);
+  const [templateForm, setTemplateForm] = useState(emptyTemplateForm);
+  const [templatesSaving, setTemplatesSaving] = useState(false);
+
   useEffect(() => {
     if (authChecked && !user) {
       router.push('/login');
@@ -86,6 +99,43 @@ export default function Profile() {
     }
   }, [user, router, authChecked]);
 
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchGlossary = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch('/api/profile/glossary', {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setGlossary(data.glossary || []);
+        }
+      } catch (error) {
+        console.error('Failed to load glossary:', error);
+      }
+    };
+
+    const fetchSummaryTemplates = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch('/api/profile/summary-templates', {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setSummaryTemplates(data.templates || []);
+        }
+      } catch (error) {
+        console.error('Failed to load summary templates:', error);
+      }
+    };
+
+    fetchGlossary();
+    fetchSummaryTemplates();
+  }, [user]);
+
   // Track changes
   useEffect(() => {
     const hasChanges = JSON.stringify(profileData) !== JSON.stringify(originalData);
@@ -330,6 +380,127 @@ export default function Profile() {
     }
   };
 
+  const saveGlossary = async (entries) => {
+    setGlossarySaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/profile/glossary', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ glossary: entries })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setGlossary(data.glossary);
+        return true;
+      }
+      const error = await response.json();
+      toast.error(error.error || 'Failed to update vocabulary');
+    } catch (error) {
+      toast.error('Failed to update vocabulary');
+    } finally {
+      setGlossarySaving(false);
+    }
+    return false;
+  };
+
+  const handleAddTerm = async () => {
+    const term = newTerm.term.trim();
+    if (!term) {
+      toast.error('Term cannot be empty');
+      return;
+    }
+    if (glossary.some(entry => entry.term.toLowerCase() === term.toLowerCase())) {
+      toast.error('Term is already in your vocabulary');
+      return;
+    }
+
+    const soundsLike = newTerm.soundsLike.split(',').map(variant => variant.trim()).filter(Boolean);
+    if (await saveGlossary([...glossary, { term, soundsLike }])) {
+      setNewTerm({ term: '', soundsLike: '' });
+      toast.success('Term added to vocabulary');
+    }
+  };
+
+  const handleRemoveTerm = async (term) => {
+    if (await saveGlossary(glossary.filter(entry => entry.term !== term))) {
+      toast.success('Term removed from vocabulary');
+    }
+  };
+
+  const saveSummaryTemplates = async (templates) => {
+    setTemplatesSaving(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/profile/summary-templates', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ templates })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setSummaryTemplates(data.templates);
+        return true;
+      }
+      const error = await response.json();
+      toast.error(error.error || 'Failed to update summary templates');
+    } catch (error) {
+      toast.error('Failed to update summary templates');
+    } finally {
+      setTemplatesSaving(false);
+    }
+    return false;
+  };
+
+  const handleSaveTemplate = async () => {
+    const sections = templateForm.sections
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const colon = line.indexOf(':');
+        return colon > 0
+          ? { title: line.slice(0, colon).trim(), instructions: line.slice(colon + 1).trim() }
+          : { title: line, instructions: '' };
+      });
+    const template = { id: templateForm.id, name: templateForm.name, description: templateForm.description, sections };
+
+    // Edited templates keep their id, so files summarized with them still show their name
+    const templates = templateForm.id
+      ? summaryTemplates.map(existing => existing.id === templateForm.id ? template : existing)
+      : [...summaryTemplates, template];
+    if (await saveSummaryTemplates(templates)) {
+      setTemplateForm(emptyTemplateForm);
+      toast.success(templateForm.id ? 'Summary template updated' : 'Summary template added');
+    }
+  };
+
+  const handleEditTemplate = (template) => {
+    setTemplateForm({
+      id: template.id,
+      name: template.name,
+      description: template.description || '',
+      sections: template.sections.map(section => section.instructions ? `${section.title}: ${section.instructions}` : section.title).join('\n'),
+    });
+  };
+
+  const handleRemoveTemplate = async (id) => {
+    if (await saveSummaryTemplates(summaryTemplates.filter(template => template.id !== id))) {
+      if (templateForm.id === id) {
+        setTemplateForm(emptyTemplateForm);
+      }
+      toast.success('Summary template removed');
+    }
+  };
+
   const handleDeleteAccount = async () => {
     if (deleteConfirmText !== 'DELETE') {
       toast.error('Please type "DELETE" to confirm');
@@ -838,6 +1009,156 @@ export default function Profile() {
               )}
             </div>
           </div>
+
+          {/* Fourth Row - Custom Vocabulary */}
+          <div className="grid grid-cols-1 gap-6 mt-6">
+            <div className="file-card rounded-xl p-6">
+              <div className="flex items-center mb-2">
+                <FiBook className="w-5 h-5 mr-3 text-white/60" />
+                <h2 className="text-xl font-semibold text-white">Custom Vocabulary</h2>
+              </div>
+              <p className="text-white/60 mb-6 text-sm">
+                Names, jargon and acronyms that should be recognized and spelled correctly in every transcript.
+                Add common mishearings as &quot;sounds like&quot; variants to have them corrected automatically.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <input
+                  type="text"
+                  value={newTerm.term}
+                  onChange={(e) => setNewTerm(prev => ({ ...prev, term: e.target.value }))}
+                  className="px-4 py-3 bg-white/5 border border-white/20 rounded-lg focus:ring-2 focus:ring-white/20 focus:border-white/30 text-white transition-all text-sm"
+                  placeholder="Term, e.g. Kubernetes"
+                />
+                <input
+                  type="text"
+                  value={newTerm.soundsLike}
+                  onChange={(e) => setNewTerm(prev => ({ ...prev, soundsLike: e.target.value }))}
+                  className="px-4 py-3 bg-white/5 border border-white/20 rounded-lg focus:ring-2 focus:ring-white/20 focus:border-white/30 text-white transition-all text-sm"
+                  placeholder="Sounds like (comma separated, optional)"
+                />
+                <button
+                  onClick={handleAddTerm}
+                  disabled={glossarySaving}
+                  className="px-4 py-2 bg-white hover:bg-gray-100 text-black rounded-lg transition-all disabled:opacity-50 font-medium shadow-sm text-sm flex items-center justify-center space-x-2"
+                >
+                  <FiPlus className="w-4 h-4" />
+                  <span>Add Term</span>
+                </button>
+              </div>
+
+              {glossary.length === 0 ? (
+                <p className="text-xs text-white/40">No custom vocabulary yet</p>
+              ) : (
+                <div className="space-y-2">
+                  {glossary.map(entry => (
+                    <div key={entry.term} className="flex items-center justify-between px-4 py-3 bg-white/5 border border-white/10 rounded-lg">
+                      <div>
+                        <span className="text-sm text-white">{entry.term}</span>
+                        {entry.soundsLike?.length > 0 && (
+                          <span className="text-xs text-white/40 ml-3">sounds like: {entry.soundsLike.join(', ')}</span>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => handleRemoveTerm(entry.term)}
+                        disabled={glossarySaving}
+                        className="p-1.5 bg-white/10 hover:bg-white/20 text-white rounded-md transition-all disabled:opacity-50"
+                      >
+                        <FiX className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Fifth Row - Summary Templates */}
+          <div className="grid grid-cols-1 gap-6 mt-6">
+            <div className="file-card rounded-xl p-6">
+              <div className="flex items-center mb-2">
+                <FiFileText className="w-5 h-5 mr-3 text-white/60" />
+                <h2 className="text-xl font-semibold text-white">Summary Templates</h2>
+              </div>
+              <p className="text-white/60 mb-6 text-sm">
+                The sections an AI summary is written in. Built-in templates: {BUILT_IN_SUMMARY_TEMPLATES.map(template => template.name).join(', ')}.
+                Add your own with up to {MAX_TEMPLATE_SECTIONS} sections and pick them when uploading or regenerating a summary.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <input
+                  type="text"
+                  value={templateForm.name}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="px-4 py-3 bg-white/5 border border-white/20 rounded-lg focus:ring-2 focus:ring-white/20 focus:border-white/30 text-white transition-all text-sm"
+                  placeholder="Name, e.g. Design review"
+                />
+                <input
+                  type="text"
+                  value={templateForm.description}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="px-4 py-3 bg-white/5 border border-white/20 rounded-lg focus:ring-2 focus:ring-white/20 focus:border-white/30 text-white transition-all text-sm"
+                  placeholder="Description (optional)"
+                />
+              </div>
+              <textarea
+                rows={4}
+                value={templateForm.sections}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, sections: e.target.value }))}
+                className="w-full px-4 py-3 mb-4 bg-white/5 border border-white/20 rounded-lg focus:ring-2 focus:ring-white/20 focus:border-white/30 text-white transition-all text-sm"
+                placeholder={'One section per line, e.g.\nDecisions: each decision that was made\nRisks: open risks and who owns them'}
+              />
+              <div className="flex space-x-3 mb-6">
+                <button
+                  onClick={handleSaveTemplate}
+                  disabled={templatesSaving}
+                  className="px-4 py-2 bg-white hover:bg-gray-100 text-black rounded-lg transition-all disabled:opacity-50 font-medium shadow-sm text-sm flex items-center justify-center space-x-2"
+                >
+                  {templateForm.id ? <FiSave className="w-4 h-4" /> : <FiPlus className="w-4 h-4" />}
+                  <span>{templateForm.id ? 'Save Template' : 'Add Template'}</span>
+                </button>
+                {templateForm.id && (
+                  <button
+                    onClick={() => setTemplateForm(emptyTemplateForm)}
+                    className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg transition-all text-white text-sm"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+
+              {summaryTemplates.length === 0 ? (
+                <p className="text-xs text-white/40">No summary templates of your own yet</p>
+              ) : (
+                <div className="space-y-2">
+                  {summaryTemplates.map(template => (
+                    <div key={template.id} className="flex items-center justify-between px-4 py-3 bg-white/5 border border-white/10 rounded-lg">
+                      <div>
+                        <span className="text-sm text-white">{template.name}</span>
+                        <span className="text-xs text-white/40 ml-3">{template.sections.map(section => section.title).join(', ')}</span>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleEditTemplate(template)}
+                          disabled={templatesSaving}
+                          className="p-1.5 bg-white/10 hover:bg-white/20 text-white rounded-md transition-all disabled:opacity-50"
+                        >
+                          <FiEdit2 className="w-3 h-3" />
+                        </button>
+                        <button
+                          onClick={() => handleRemoveTemplate(template.id)}
+                          disabled={templatesSaving}
+                          className="p-1.5 bg-white/10 hover:bg-white/20 text-white rounded-md transition-all disabled:opacity-50"
+                        >
+                          <FiX className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
         </div>
       </div>
     </>
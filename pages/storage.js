@@ -198,7 +198,7 @@ export default function Storage() {
                   
                   <div className="flex justify-between text-sm text-white/60">
                     <span>{formatFileSize(storageData?.used || 0)} used</span>
-                    <span>{formatFileSize(storageData?.limit || 1073741824)} total</span>
+                    <span>{storageData?.limit === null ? 'Unlimited' : `${formatFileSize(storageData?.limit || 0)} total`}</span>
                   </div>
 
                   {(storageData?.percentage || 0) > 80 && (
@@ -289,7 +289,7 @@ export default function Storage() {
                   <li>• Download transcripts before deleting files</li>
                   <li>• Larger files take up more storage space</li>
                   <li>• Failed transcriptions still use storage space</li>
-                  <li>• Your storage limit is 1GB for all uploaded files</li>
+                  <li>• Your storage limit depends on your plan and covers all uploaded files</li>
                 </ul>
               </div>
             </>
@@ -18,9 +18,52 @@ import {
   FiUserPlus,
   FiClock as FiClockIcon,
   FiFilter,
-  FiType
+  FiType,
+  FiBook,
+  FiList,
+  FiShield,
+  FiHeadphones,
+  FiSliders,
+  FiLink,
+  FiRss,
+  FiTrash2,
+  FiLayers,
+  FiAlertCircle,
+  FiFileText
 } from 'react-icons/fi';
-import { SUPPORTED_LANGUAGES } from '../utils/languages';
+import { SUPPORTED_LANGUAGES, AUTO_DETECT_LANGUAGE } from '../utils/languages';
+import { MAX_SPEAKERS, MAX_UPLOAD_SIZE, parseSpeakerSettings, parseMultichannelSettings } from '../utils/transcriptionSettings';
+import { PII_CATEGORIES, parseRedactionSettings } from '../utils/redaction';
+import { PREPROCESSING_STEPS, DEFAULT_PREPROCESSING_STEPS, parsePreprocessingSettings } from '../utils/audioPreprocessing';
+import { smartUpload, hasResumableUpload } from '../utils/smartUpload';
+import { MAX_BATCH_FILES } from '../utils/batchStatus';
+import { DEFAULT_SUMMARY_TEMPLATE, listSummaryTemplates, findSummaryTemplate } from '../utils/summaryTemplates';
+
+// How many recent episodes a new podcast subscription imports straight away
+const IMPORT_LATEST_OPTIONS = [0, 1, 3, 5];
+
+// Files of a batch uploaded side by side
+const BATCH_UPLOAD_CONCURRENCY = 3;
+
+// Identifies a selected file across re-renders and re-drops
+const getFileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Length of a recording in seconds, read from its metadata by the browser so the server can
+// estimate processing time. Resolves to null when the browser can't tell within a few seconds.
+const readMediaDuration = (file) => new Promise((resolve) => {
+  const url = URL.createObjectURL(file);
+  const media = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+  const finish = (duration) => {
+    clearTimeout(timeout);
+    URL.revokeObjectURL(url);
+    resolve(Number.isFinite(duration) && duration > 0 ? duration : null);
+  };
+  const timeout = setTimeout(() => finish(null), 5000);
+  media.preload = 'metadata';
+  media.onloadedmetadata = () => finish(media.duration);
+  media.onerror = () => finish(null);
+  media.src = url;
+});
 
 export default function Upload() {
   const router = useRouter();
@@ -32,6 +75,19 @@ export default function Upload() {
   const [showFormats, setShowFormats] = useState(false);
   const [processingEstimate, setProcessingEstimate] = useState('~1 min');
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [activeTab, setActiveTab] = useState('files');
+  const [importMode, setImportMode] = useState('url');
+  const [importUrl, setImportUrl] = useState('');
+  const [importLatest, setImportLatest] = useState(1);
+  const [importing, setImporting] = useState(false);
+  const [importMessage, setImportMessage] = useState(null);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchName, setBatchName] = useState('');
+  // The batch being uploaded, kept so failed uploads are retried into the same batch
+  const [batch, setBatch] = useState(null);
+  // Upload state per file key: { status: 'uploading' | 'done' | 'failed', percent, error }
+  const [fileStatuses, setFileStatuses] = useState({});
   const [settings, setSettings] = useState({
     language: 'en',
     quality: 'standard',
@@ -39,7 +95,23 @@ export default function Upload() {
     includeTimestamps: true,
     filterProfanity: false,
     autoPunctuation: true,
+    autoChapters: true,
+    speakerCountMode: 'auto',
+    speakersExpected: 2,
+    minSpeakers: 2,
+    maxSpeakers: 4,
+    customVocabulary: '',
+    redactPii: false,
+    piiCategories: PII_CATEGORIES.map(category => category.id),
+    deleteOriginal: false,
+    multichannel: false,
+    channelNames: '',
+    preprocess: false,
+    preprocessSteps: DEFAULT_PREPROCESSING_STEPS,
+    summaryTemplate: DEFAULT_SUMMARY_TEMPLATE,
   });
+  // The user's own summary templates, offered after the built-in ones
+  const [customSummaryTemplates, setCustomSummaryTemplates] = useState([]);
 
   useEffect(() => {
     // Only redirect if auth check is complete and no user found
@@ -48,6 +120,36 @@ export default function Upload() {
     }
   }, [user, router, authChecked]);
 
+  const loadSubscriptions = useCallback(async () => {
+    try {
+      const response = await fetch('/api/import/feeds', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSubscriptions(data.subscriptions || []);
+      }
+    } catch (error) {
+      console.error('Failed to load podcast subscriptions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user && activeTab === 'import') {
+      loadSubscriptions();
+    }
+  }, [user, activeTab, loadSubscriptions]);
+
+  useEffect(() => {
+    if (!user) return;
+    fetch('/api/profile/summary-templates', {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(data => data && setCustomSummaryTemplates(data.templates || []))
+      .catch(error => console.error('Failed to load summary templates:', error));
+  }, [user]);
+
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     if (rejectedFiles.length > 0) {
       const errors = rejectedFiles.map(({ file, errors }) => {
@@ -61,16 +163,29 @@ export default function Upload() {
     
     if (acceptedFiles.length > 0) {
       // Validate file sizes
-      const oversizedFiles = acceptedFiles.filter(file => file.size > 500 * 1024 * 1024);
+      const oversizedFiles = acceptedFiles.filter(file => file.size > MAX_UPLOAD_SIZE);
       if (oversizedFiles.length > 0) {
-        alert(`The following files exceed the 500MB limit:\n${oversizedFiles.map(f => f.name).join('\n')}`);
+        alert(`The following files exceed the 5GB limit:\n${oversizedFiles.map(f => f.name).join('\n')}`);
         return;
       }
 
-      setSelectedFiles(acceptedFiles);
+      // A batch collects every drop until it is uploaded; otherwise a drop replaces the selection
+      let files = acceptedFiles;
+      if (batchMode && !batch) {
+        const known = new Set(selectedFiles.map(getFileKey));
+        files = [...selectedFiles, ...acceptedFiles.filter(file => !known.has(getFileKey(file)))];
+        if (files.length > MAX_BATCH_FILES) {
+          alert(`A batch holds up to ${MAX_BATCH_FILES} files. Only the first ${MAX_BATCH_FILES} were added.`);
+          files = files.slice(0, MAX_BATCH_FILES);
+        }
+      }
+      setSelectedFiles(files);
+      // Files dropped after a batch upload started go into a new batch
+      setBatch(null);
+      setFileStatuses({});
       
       // Calculate processing estimate based on file size
-      const totalSizeInMB = acceptedFiles.reduce((acc, file) => acc + file.size / (1024 * 1024), 0);
+      const totalSizeInMB = files.reduce((acc, file) => acc + file.size / (1024 * 1024), 0);
       if (totalSizeInMB < 20) {
         setProcessingEstimate('~1 min');
       } else if (totalSizeInMB < 50) {
@@ -81,7 +196,7 @@ export default function Upload() {
       
       // No automatic transcription start - user will click the button
     }
-  }, []);
+  }, [batchMode, batch, selectedFiles]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -89,13 +204,71 @@ export default function Upload() {
       'audio/*': ['.mp3', '.wav', '.m4a', '.flac', '.aac'],
       'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.wmv', '.webm'],
     },
-    maxSize: 500 * 1024 * 1024, // 500MB
+    maxSize: MAX_UPLOAD_SIZE,
     multiple: true,
   });
 
+  // First problem with the chosen settings, or null
+  const validateSettings = () => {
+    const checks = [
+      [settings.speakerIdentification, parseSpeakerSettings],
+      [settings.redactPii, parseRedactionSettings],
+      [settings.multichannel, parseMultichannelSettings],
+      [settings.preprocess, parsePreprocessingSettings],
+    ];
+    for (const [enabled, parse] of checks) {
+      const { error } = enabled ? parse(settings) : {};
+      if (error) return error;
+    }
+    return null;
+  };
+
+  // Settings in the JSON form the upload confirmation and import APIs take
+  const getSettingsPayload = () => ({
+    language: settings.language,
+    quality: settings.quality,
+    speakerIdentification: settings.speakerIdentification,
+    includeTimestamps: settings.includeTimestamps,
+    filterProfanity: settings.filterProfanity,
+    autoPunctuation: settings.autoPunctuation,
+    autoChapters: settings.autoChapters,
+    speakerCountMode: settings.speakerIdentification ? settings.speakerCountMode : 'auto',
+    speakersExpected: settings.speakersExpected,
+    minSpeakers: settings.minSpeakers,
+    maxSpeakers: settings.maxSpeakers,
+    customVocabulary: settings.customVocabulary,
+    redactPii: settings.redactPii,
+    piiCategories: settings.piiCategories,
+    deleteOriginal: settings.deleteOriginal,
+    multichannel: settings.multichannel,
+    channelNames: settings.channelNames,
+    preprocess: settings.preprocess,
+    preprocessSteps: settings.preprocessSteps,
+    summaryTemplate: settings.summaryTemplate,
+  });
+
   const handleUpload = async () => {
     if (!selectedFiles || selectedFiles.length === 0) return;
 
+    const settingsError = validateSettings();
+    if (settingsError) {
+      alert(settingsError);
+      return;
+    }
+
+    if (batchMode) {
+      setUploading(true);
+      try {
+        await handleBatchUpload();
+      } catch (error) {
+        console.error('Batch upload error:', error);
+        alert(`Batch upload failed: ${error.message}`);
+      } finally {
+        setUploading(false);
+      }
+      return;
+    }
+
     setUploading(true);
     setUploadProgress(0);
 
@@ -112,14 +285,18 @@ export default function Upload() {
           // Check if file is large (>4MB) - use direct upload
           const isLargeFile = file.size > 4 * 1024 * 1024; // 4MB
           
-          console.log(`File: ${file.name}, Size: ${file.size} bytes (${(file.size / 1024 / 1024).toFixed(2)}MB), Large: ${isLargeFile}`);
+          const mediaDuration = await readMediaDuration(file);
+          
+          console.log(`File: ${file.name}, Size: ${file.size} bytes (${(file.size / 1024 / 1024).toFixed(2)}MB), Duration: ${mediaDuration ?? 'unknown'}s, Large: ${isLargeFile}`);
           
           if (isLargeFile) {
             console.log('Using large file upload method');
-            await handleLargeFileUpload(file, token);
+            await handleLargeFileUpload(file, token, mediaDuration, (percent) => {
+              setUploadProgress(((completedUploads + percent / 100) / selectedFiles.length) * 100);
+            });
           } else {
             console.log('Using small file upload method');
-            await handleSmallFileUpload(file, token);
+            await handleSmallFileUpload(file, token, mediaDuration);
           }
           
           completedUploads++;
@@ -158,57 +335,138 @@ export default function Upload() {
     }
   };
 
-  // Handle large files (>4MB) with direct upload to R2
-  const handleLargeFileUpload = async (file, token) => {
-    console.log('🔍 Starting large file upload process...');
-    
-    // Step 1: Get presigned URL (using debug endpoint for better error info)
-    console.log('📡 Requesting presigned URL...');
-    const presignedResponse = await fetch('/api/upload/presigned-url', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        fileName: file.name,
-        fileType: file.type,
-        fileSize: file.size,
-      }),
-    });
+  const updateFileStatus = (file, status) => {
+    setFileStatuses(current => ({ ...current, [getFileKey(file)]: { ...current[getFileKey(file)], ...status } }));
+  };
 
-    console.log('📊 Presigned URL response status:', presignedResponse.status);
+  // Upload every selected file into one batch, a few at a time, then open the batch page.
+  // Files that fail stay selected with their error, and uploading again retries only those.
+  const handleBatchUpload = async () => {
+    const token = localStorage.getItem('token');
 
-    if (!presignedResponse.ok) {
-      const errorText = await presignedResponse.text();
-      console.error('❌ Presigned URL failed:', errorText);
-      const errorData = await presignedResponse.json().catch(() => ({ error: 'Unknown error' }));
-      throw new Error(`Presigned URL failed: ${errorData.error} - ${errorData.details || errorText}`);
+    let currentBatch = batch;
+    if (!currentBatch) {
+      const response = await fetch('/api/batches', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ name: batchName, fileCount: selectedFiles.length, ...getSettingsPayload() }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Could not start the batch');
+      }
+      currentBatch = { id: data.batchId, name: data.name };
+      setBatch(currentBatch);
     }
 
-    const { presignedUrl, fileName, publicUrl } = await presignedResponse.json();
-    console.log('✅ Presigned URL obtained');
+    const queue = selectedFiles.filter(file => fileStatuses[getFileKey(file)]?.status !== 'done');
+    let failed = 0;
+    const worker = async () => {
+      while (queue.length > 0) {
+        const file = queue.shift();
+        updateFileStatus(file, { status: 'uploading', percent: 0, error: null });
+        try {
+          const mediaDuration = await readMediaDuration(file);
+          if (file.size > 4 * 1024 * 1024) {
+            await handleLargeFileUpload(file, token, mediaDuration, (percent) => {
+              updateFileStatus(file, { percent });
+            }, currentBatch.id);
+          } else {
+            await handleSmallFileUpload(file, token, mediaDuration, currentBatch.id);
+          }
+          updateFileStatus(file, { status: 'done', percent: 100 });
+        } catch (error) {
+          console.error(`Batch upload failed for ${file.name}:`, error);
+          failed++;
+          updateFileStatus(file, { status: 'failed', error: error.message || 'Upload failed' });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_UPLOAD_CONCURRENCY, queue.length) }, worker));
 
-    // Step 2: Upload directly to R2 using presigned URL
-    console.log('☁️ Uploading to R2...');
-    const uploadResponse = await fetch(presignedUrl, {
-      method: 'PUT',
-      body: file,
-      headers: {
-        'Content-Type': file.type,
-      },
-    });
+    if (failed === 0) {
+      router.push(`/batches/${currentBatch.id}`);
+    }
+  };
+
+  // Import a media URL (then follow its progress) or subscribe to a podcast feed
+  const handleImport = async () => {
+    const url = importUrl.trim();
+    if (!url) return;
+
+    const settingsError = validateSettings();
+    if (settingsError) {
+      alert(settingsError);
+      return;
+    }
+
+    const isFeed = importMode === 'feed';
+    setImporting(true);
+    setImportMessage(null);
+
+    try {
+      const response = await fetch(isFeed ? '/api/import/feeds' : '/api/import/url', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        },
+        body: JSON.stringify({
+          ...getSettingsPayload(),
+          ...(isFeed ? { feedUrl: url, importLatest } : { url }),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.details || data.error || 'Import failed');
+      }
 
-    console.log('📊 R2 upload response status:', uploadResponse.status);
+      if (!isFeed) {
+        router.push('/files/processing');
+        return;
+      }
+      setSubscriptions(current => [data.subscription, ...current]);
+      setImportUrl('');
+      setImportMessage(`Subscribed to ${data.subscription.title}. ${data.imported} episode${data.imported === 1 ? '' : 's'} importing now; new episodes are imported automatically.`);
+    } catch (error) {
+      console.error('Import error:', error);
+      alert(`Import failed: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
 
-    if (!uploadResponse.ok) {
-      console.error('❌ R2 upload failed:', uploadResponse.status, uploadResponse.statusText);
-      throw new Error(`Upload to storage failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+  const handleUnsubscribe = async (subscription) => {
+    if (!confirm(`Stop importing new episodes of ${subscription.title}?`)) return;
+
+    try {
+      const response = await fetch(`/api/import/feeds?id=${subscription.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to unsubscribe');
+      }
+      setSubscriptions(current => current.filter(item => item.id !== subscription.id));
+    } catch (error) {
+      alert(error.message);
     }
+  };
 
-    console.log('✅ R2 upload successful');
+  // Handle large files (>4MB) with a resumable multipart upload straight to R2
+  const handleLargeFileUpload = async (file, token, mediaDuration, onProgress, batchId = null) => {
+    console.log('☁️ Uploading to R2...');
+    const { key, publicUrl, resumed } = await smartUpload(file, {
+      token,
+      onProgress: ({ percent }) => onProgress(percent),
+    });
+    console.log(`✅ R2 upload successful${resumed ? ' (resumed)' : ''}`);
 
-    // Step 3: Confirm upload and start transcription
+    // Confirm upload and start transcription
     console.log('✅ Confirming upload...');
     const confirmResponse = await fetch('/api/upload/confirm', {
       method: 'POST',
@@ -221,13 +479,10 @@ export default function Upload() {
         fileSize: file.size,
         fileType: file.type,
         fileUrl: publicUrl,
-        fileKey: fileName,
-        language: settings.language,
-        quality: settings.quality,
-        speakerIdentification: settings.speakerIdentification,
-        includeTimestamps: settings.includeTimestamps,
-        filterProfanity: settings.filterProfanity,
-        autoPunctuation: settings.autoPunctuation,
+        fileKey: key,
+        mediaDuration,
+        batchId,
+        ...getSettingsPayload(),
       }),
     });
 
@@ -244,7 +499,7 @@ export default function Upload() {
   };
 
   // Handle small files (<4MB) with original upload method
-  const handleSmallFileUpload = async (file, token) => {
+  const handleSmallFileUpload = async (file, token, mediaDuration, batchId = null) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('language', settings.language);
@@ -253,6 +508,26 @@ export default function Upload() {
     formData.append('includeTimestamps', settings.includeTimestamps);
     formData.append('filterProfanity', settings.filterProfanity);
     formData.append('autoPunctuation', settings.autoPunctuation);
+    formData.append('autoChapters', settings.autoChapters);
+    formData.append('speakerCountMode', settings.speakerIdentification ? settings.speakerCountMode : 'auto');
+    formData.append('speakersExpected', settings.speakersExpected);
+    formData.append('minSpeakers', settings.minSpeakers);
+    formData.append('maxSpeakers', settings.maxSpeakers);
+    formData.append('customVocabulary', settings.customVocabulary);
+    formData.append('redactPii', settings.redactPii);
+    formData.append('piiCategories', settings.piiCategories.join(','));
+    formData.append('deleteOriginal', settings.deleteOriginal);
+    formData.append('multichannel', settings.multichannel);
+    formData.append('channelNames', settings.channelNames);
+    formData.append('preprocess', settings.preprocess);
+    formData.append('preprocessSteps', settings.preprocessSteps.join(','));
+    formData.append('summaryTemplate', settings.summaryTemplate);
+    if (mediaDuration) {
+      formData.append('mediaDuration', mediaDuration);
+    }
+    if (batchId) {
+      formData.append('batchId', batchId);
+    }
 
     const response = await fetch('/api/transcribe', {
       method: 'POST',
@@ -264,7 +539,7 @@ export default function Upload() {
 
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.error || 'Upload failed');
+      throw new Error(errorData.errorType === 'QUOTA_EXCEEDED' ? errorData.details : (errorData.error || 'Upload failed'));
     }
   };
 
@@ -286,9 +561,11 @@ export default function Upload() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const getUploadMethod = (fileSize) => {
-    const isLargeFile = fileSize > 4 * 1024 * 1024; // 4MB
-    return isLargeFile ? 'Direct Upload' : 'Standard';
+  const getUploadMethod = (file) => {
+    const isLargeFile = file.size > 4 * 1024 * 1024; // 4MB
+    if (!isLargeFile) return 'Standard';
+    // Part of this file was uploaded before the page was reloaded
+    return hasResumableUpload(file) ? 'Resume Upload' : 'Direct Upload';
   };
 
   const getUploadMethodColor = (fileSize) => {
@@ -337,123 +614,327 @@ export default function Upload() {
               <h1 className="text-2xl font-bold">
                 <T>Upload Media</T>
               </h1>
+              {activeTab === 'files' && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setBatchMode(!batchMode);
+                    setBatch(null);
+                    setFileStatuses({});
+                  }}
+                  disabled={uploading}
+                  className={`px-4 py-2 rounded-lg flex items-center text-sm disabled:opacity-50 ${batchMode ? 'bg-white text-black' : 'bg-black border border-white/20 text-white'}`}
+                  title="Upload many files at once with the same settings"
+                >
+                  <FiLayers className="w-4 h-4 mr-2" />
+                  Batch mode
+                </button>
+              )}
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
               {/* Left Column - Upload Area */}
               <div className="md:col-span-2 space-y-6">
-                {/* Dropzone */}
-                <div 
-                  {...getRootProps()} 
-                  className={`
-                    border-2 border-dashed rounded-xl p-8 
-                    transition-colors text-center cursor-pointer
-                    ${isDragActive ? 'border-white/40 bg-white/10' : 'border-white/20 hover:border-white/30 hover:bg-white/5'}
-                    ${selectedFiles.length > 0 ? 'bg-white/5' : ''}
-                  `}
-                >
-                  <input {...getInputProps()} />
+                {/* Source Tabs */}
+                <div className="flex space-x-2">
+                  {[
+                    { id: 'files', label: 'Upload Files', icon: FiUpload },
+                    { id: 'import', label: 'Import from URL', icon: FiLink },
+                  ].map(({ id, label, icon: Icon }) => (
+                    <button
+                      key={id}
+                      type="button"
+                      onClick={() => setActiveTab(id)}
+                      className={`px-4 py-2 rounded-lg flex items-center text-sm ${activeTab === id ? 'bg-white text-black' : 'bg-black border border-white/20 text-white'}`}
+                    >
+                      <Icon className="w-4 h-4 mr-2" />
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                {activeTab === 'files' ? (
+                  <>
+                    {/* Dropzone */}
+                    <div 
+                      {...getRootProps()} 
+                      className={`
+                        border-2 border-dashed rounded-xl p-8 
+                        transition-colors text-center cursor-pointer
+                        ${isDragActive ? 'border-white/40 bg-white/10' : 'border-white/20 hover:border-white/30 hover:bg-white/5'}
+                        ${selectedFiles.length > 0 ? 'bg-white/5' : ''}
+                      `}
+                    >
+                      <input {...getInputProps()} />
                   
-                  {selectedFiles.length === 0 ? (
-                    <div>
-                      <FiUpload className="w-12 h-12 mx-auto text-white/60 mb-4" />
-                  <p className="text-lg mb-2">Drag & drop files here</p>
-                  <p className="text-sm text-white/60">or click to browse your files</p>
-                  <p className="text-xs text-white/40 mt-2">Supports files up to 500MB</p>
+                      {selectedFiles.length === 0 ? (
+                        <div>
+                          <FiUpload className="w-12 h-12 mx-auto text-white/60 mb-4" />
+                      <p className="text-lg mb-2">Drag & drop files here</p>
+                      <p className="text-sm text-white/60">or click to browse your files</p>
+                      {batchMode && (
+                        <p className="text-xs text-white/60 mt-2">Batch mode: drop up to {MAX_BATCH_FILES} files, all transcribed with the settings on the right</p>
+                      )}
+                      <p className="text-xs text-white/40 mt-2">Supports files up to 5GB (recordings over 500MB are transcribed in chunks)</p>
                   
-                  <div className="mt-4 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
-                    <p className="text-xs text-blue-300">
-                      ✨ <strong>Smart Upload:</strong> Small files (&lt;4MB) use fast upload, large files use direct storage upload
-                    </p>
-                  </div>                      <div className="mt-6 flex justify-center">
-                        <button 
-                          type="button" 
-                          className="text-xs text-white/60 underline"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setShowFormats(true);
-                          }}
-                        >
-                          Supported file formats
-                        </button>
-                      </div>
-                    </div>
-                  ) : (
-                    <div>
-                      <div className="flex items-center justify-between mb-2">
-                        <p className="font-medium">Ready for transcription</p>
-                        <button 
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setSelectedFiles([]);
-                          }}
-                          className="text-white/60 hover:text-white"
-                        >
-                          <FiX className="w-5 h-5" />
-                        </button>
-                      </div>
-                      
-                      <div className="space-y-2 max-h-64 overflow-y-auto">
-                        {selectedFiles.map((file, index) => (
-                          <div 
-                            key={index} 
-                            className="flex items-center justify-between p-3 bg-white/10 rounded-lg"
-                          >
-                            <div className="flex items-center overflow-hidden">
-                              <FiFile className="w-5 h-5 flex-shrink-0 mr-3" />
-                              <div className="min-w-0">
-                                <p className="text-sm font-medium truncate">
-                                  {file.name}
-                                </p>
-                                <div className="flex text-xs text-white/60 mt-0.5">
-                                  <span>{formatFileSize(file.size)}</span>
-                                  <span className="mx-1.5">•</span>
-                                  <span>{calculateAudioLength(file.size)}</span>
-                                  <span className="mx-1.5">•</span>
-                                  <span className={getUploadMethodColor(file.size)}>
-                                    {getUploadMethod(file.size)}
-                                  </span>
-                                </div>
-                              </div>
-                            </div>
+                      <div className="mt-4 p-3 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                        <p className="text-xs text-blue-300">
+                          ✨ <strong>Smart Upload:</strong> Small files (&lt;4MB) use fast upload, large files use direct storage upload
+                        </p>
+                      </div>                      <div className="mt-6 flex justify-center">
                             <button 
+                              type="button" 
+                              className="text-xs text-white/60 underline"
                               onClick={(e) => {
                                 e.stopPropagation();
-                                removeFile(index);
+                                setShowFormats(true);
                               }}
-                              className="p-1.5 hover:bg-white/10 rounded-full text-white/60 hover:text-white ml-2"
                             >
-                              <FiX className="w-4 h-4" />
+                              Supported file formats
                             </button>
                           </div>
+                        </div>
+                      ) : (
+                        <div>
+                          <div className="flex items-center justify-between mb-2">
+                            <p className="font-medium">
+                              {batchMode ? `${selectedFiles.length} file${selectedFiles.length === 1 ? '' : 's'} in this batch` : 'Ready for transcription'}
+                            </p>
+                            <button 
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setSelectedFiles([]);
+                                setBatch(null);
+                                setFileStatuses({});
+                              }}
+                              disabled={uploading}
+                              className="text-white/60 hover:text-white"
+                            >
+                              <FiX className="w-5 h-5" />
+                            </button>
+                          </div>
+                      
+                          <div className="space-y-2 max-h-64 overflow-y-auto">
+                            {selectedFiles.map((file, index) => (
+                              <div 
+                                key={index} 
+                                className="flex items-center justify-between p-3 bg-white/10 rounded-lg"
+                              >
+                                <div className="flex items-center overflow-hidden">
+                                  <FiFile className="w-5 h-5 flex-shrink-0 mr-3" />
+                                  <div className="min-w-0">
+                                    <p className="text-sm font-medium truncate">
+                                      {file.name}
+                                    </p>
+                                    <div className="flex text-xs text-white/60 mt-0.5">
+                                      <span>{formatFileSize(file.size)}</span>
+                                      <span className="mx-1.5">•</span>
+                                      <span>{calculateAudioLength(file.size)}</span>
+                                      <span className="mx-1.5">•</span>
+                                      <span className={getUploadMethodColor(file.size)}>
+                                        {getUploadMethod(file)}
+                                      </span>
+                                      {fileStatuses[getFileKey(file)]?.status === 'uploading' && (
+                                        <span className="ml-1.5 text-white/80">• Uploading {Math.round(fileStatuses[getFileKey(file)].percent || 0)}%</span>
+                                      )}
+                                      {fileStatuses[getFileKey(file)]?.status === 'done' && (
+                                        <span className="ml-1.5 text-green-400 flex items-center"><FiCheck className="w-3 h-3 mr-1" />Uploaded</span>
+                                      )}
+                                    </div>
+                                    {fileStatuses[getFileKey(file)]?.status === 'failed' && (
+                                      <p className="text-xs text-red-400 mt-0.5 flex items-center">
+                                        <FiAlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+                                        <span className="truncate">{fileStatuses[getFileKey(file)].error}</span>
+                                      </p>
+                                    )}
+                                  </div>
+                                </div>
+                                <button 
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    removeFile(index);
+                                  }}
+                                  disabled={uploading}
+                                  className="p-1.5 hover:bg-white/10 rounded-full text-white/60 hover:text-white ml-2"
+                                >
+                                  <FiX className="w-4 h-4" />
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                      
+                          <p className="text-sm text-white/60 mt-4">
+                            {batchMode ? 'Click or drop to add more files' : 'Click to add a different file'}
+                          </p>
+                        </div>
+                      )}
+                    </div>
+
+                    {batchMode && (
+                      <input
+                        type="text"
+                        value={batchName}
+                        onChange={(e) => setBatchName(e.target.value)}
+                        disabled={!!batch}
+                        placeholder="Batch name (optional)"
+                        className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                      />
+                    )}
+
+                    {/* Start Transcription Button */}
+                    <button
+                      onClick={handleUpload}
+                      disabled={uploading || selectedFiles.length === 0}
+                      className="w-full py-3 bg-white/10 hover:bg-white/15 disabled:bg-white/5 disabled:opacity-50 rounded-lg text-white text-sm font-medium transition-colors flex items-center justify-center"
+                    >
+                      {uploading ? (
+                        <>
+                          <div className="spinner w-3 h-3 mr-2"></div>
+                          <span>{batchMode ? 'Uploading batch...' : 'Transcribing...'}</span>
+                        </>
+                      ) : (
+                        <>
+                          <FiPlay className="w-3 h-3 mr-2" />
+                          <span>
+                            {!batchMode
+                              ? 'Start Transcription'
+                              : batch
+                                ? 'Retry Failed Uploads'
+                                : `Transcribe ${selectedFiles.length} File${selectedFiles.length === 1 ? '' : 's'}`}
+                          </span>
+                        </>
+                      )}
+                    </button>
+
+                    {batchMode && batch && !uploading && (
+                      <button
+                        type="button"
+                        onClick={() => router.push(`/batches/${batch.id}`)}
+                        className="w-full text-xs text-white/60 hover:text-white underline"
+                      >
+                        Skip the failed files and follow the batch
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    {/* URL / Podcast Import */}
+                    <div className="bg-white/5 rounded-xl p-6 space-y-4">
+                      <div className="flex space-x-2">
+                        {[
+                          { id: 'url', label: 'Media file', icon: FiLink },
+                          { id: 'feed', label: 'Podcast RSS feed', icon: FiRss },
+                        ].map(({ id, label, icon: Icon }) => (
+                          <button
+                            key={id}
+                            type="button"
+                            onClick={() => {
+                              setImportMode(id);
+                              setImportMessage(null);
+                            }}
+                            className={`px-3 py-1.5 rounded-lg flex items-center text-xs ${importMode === id ? 'bg-white/20 text-white' : 'bg-white/5 text-white/60 hover:text-white'}`}
+                          >
+                            <Icon className="w-3 h-3 mr-1.5" />
+                            {label}
+                          </button>
                         ))}
                       </div>
-                      
-                      <p className="text-sm text-white/60 mt-4">
-                        Click to add a different file
-                      </p>
+
+                      <div>
+                        <label className="block text-sm mb-1.5">
+                          {importMode === 'feed' ? 'Feed URL' : 'Media URL'}
+                        </label>
+                        <input
+                          type="url"
+                          value={importUrl}
+                          onChange={(e) => setImportUrl(e.target.value)}
+                          placeholder={importMode === 'feed' ? 'https://example.com/podcast/feed.xml' : 'https://example.com/recordings/meeting.mp3'}
+                          className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <p className="text-xs text-white/40 mt-1">
+                          {importMode === 'feed'
+                            ? 'New episodes are checked for every hour and transcribed with the settings chosen here'
+                            : 'A direct link to an audio or video file up to 5GB. It is downloaded to your library, then transcribed'}
+                        </p>
+                      </div>
+
+                      {importMode === 'feed' && (
+                        <div>
+                          <label className="block text-sm mb-1.5">Import recent episodes now</label>
+                          <select
+                            value={importLatest}
+                            onChange={(e) => setImportLatest(parseInt(e.target.value, 10))}
+                            className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            {IMPORT_LATEST_OPTIONS.map(count => (
+                              <option key={count} value={count} className="bg-gray-800 text-white">
+                                {count === 0 ? 'None, only new episodes' : `Latest ${count === 1 ? 'episode' : `${count} episodes`}`}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
+                      {importMessage && (
+                        <div className="p-3 bg-green-500/10 border border-green-500/20 rounded-lg text-xs text-green-300">
+                          {importMessage}
+                        </div>
+                      )}
+
+                      <button
+                        onClick={handleImport}
+                        disabled={importing || !importUrl.trim()}
+                        className="w-full py-3 bg-white/10 hover:bg-white/15 disabled:bg-white/5 disabled:opacity-50 rounded-lg text-white text-sm font-medium transition-colors flex items-center justify-center"
+                      >
+                        {importing ? (
+                          <>
+                            <div className="spinner w-3 h-3 mr-2"></div>
+                            <span>{importMode === 'feed' ? 'Subscribing...' : 'Importing...'}</span>
+                          </>
+                        ) : (
+                          <>
+                            {importMode === 'feed' ? <FiRss className="w-3 h-3 mr-2" /> : <FiPlay className="w-3 h-3 mr-2" />}
+                            <span>{importMode === 'feed' ? 'Subscribe' : 'Import and Transcribe'}</span>
+                          </>
+                        )}
+                      </button>
                     </div>
-                  )}
-                </div>
 
-                {/* Start Transcription Button */}
-                <button
-                  onClick={handleUpload}
-                  disabled={uploading || selectedFiles.length === 0}
-                  className="w-full py-3 bg-white/10 hover:bg-white/15 disabled:bg-white/5 disabled:opacity-50 rounded-lg text-white text-sm font-medium transition-colors flex items-center justify-center"
-                >
-                  {uploading ? (
-                    <>
-                      <div className="spinner w-3 h-3 mr-2"></div>
-                      <span>Transcribing...</span>
-                    </>
-                  ) : (
-                    <>
-                      <FiPlay className="w-3 h-3 mr-2" />
-                      <span>Start Transcription</span>
-                    </>
-                  )}
-                </button>
+                    {/* Podcast Subscriptions */}
+                    {subscriptions.length > 0 && (
+                      <div className="bg-white/5 rounded-xl p-6">
+                        <div className="flex items-center space-x-2 mb-4">
+                          <FiRss className="w-5 h-5 text-white/60" />
+                          <h3 className="text-lg font-semibold">Podcast Subscriptions</h3>
+                        </div>
+                        <div className="space-y-2">
+                          {subscriptions.map(subscription => (
+                            <div key={subscription.id} className="flex items-center justify-between p-3 bg-white/10 rounded-lg">
+                              <div className="min-w-0">
+                                <p className="text-sm font-medium truncate">{subscription.title}</p>
+                                <p className="text-xs text-white/40 truncate">{subscription.feedUrl}</p>
+                                <p className="text-xs text-white/60 mt-0.5">
+                                  {subscription.importedCount} imported
+                                  {subscription.lastCheckedAt && ` • checked ${new Date(subscription.lastCheckedAt).toLocaleString()}`}
+                                </p>
+                                {subscription.lastError && (
+                                  <p className="text-xs text-red-400 mt-0.5">{subscription.lastError}</p>
+                                )}
+                              </div>
+                              <button
+                                onClick={() => handleUnsubscribe(subscription)}
+                                className="p-1.5 hover:bg-white/10 rounded-full text-white/60 hover:text-white ml-2"
+                                title="Unsubscribe"
+                              >
+                                <FiTrash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
                 
                 {/* Audio Preview - If we add waveform visualization later */}
               </div>
@@ -479,6 +960,16 @@ export default function Upload() {
                           color: 'white'
                         }}
                       >
+                        <option
+                          value={AUTO_DETECT_LANGUAGE}
+                          className="bg-gray-800 text-white"
+                          style={{
+                            backgroundColor: '#1f2937',
+                            color: 'white'
+                          }}
+                        >
+                          Auto-detect
+                        </option>
                         {SUPPORTED_LANGUAGES.map(lang => (
                           <option 
                             key={lang.code} 
@@ -538,6 +1029,94 @@ export default function Upload() {
                         />
                       </label>
 
+                      {settings.speakerIdentification && (
+                        <div className="pl-6 space-y-2">
+                          <label className="block text-xs text-white/60">Number of speakers</label>
+                          <div className="grid grid-cols-3 gap-2">
+                            {[
+                              { value: 'auto', label: 'Auto' },
+                              { value: 'exact', label: 'Exact' },
+                              { value: 'range', label: 'Range' },
+                            ].map(option => (
+                              <button
+                                key={option.value}
+                                type="button"
+                                onClick={() => setSettings({...settings, speakerCountMode: option.value})}
+                                className={`px-2 py-1 text-xs rounded border ${
+                                  settings.speakerCountMode === option.value
+                                    ? 'bg-white/20 border-white/30 text-white'
+                                    : 'bg-white/5 border-white/10 text-white/80 hover:bg-white/10'
+                                }`}
+                              >
+                                {option.label}
+                              </button>
+                            ))}
+                          </div>
+
+                          {settings.speakerCountMode === 'exact' && (
+                            <input
+                              type="number"
+                              min={1}
+                              max={MAX_SPEAKERS}
+                              value={settings.speakersExpected}
+                              onChange={(e) => setSettings({...settings, speakersExpected: e.target.value})}
+                              className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          )}
+
+                          {settings.speakerCountMode === 'range' && (
+                            <div className="flex items-center space-x-2">
+                              <input
+                                type="number"
+                                min={1}
+                                max={MAX_SPEAKERS}
+                                value={settings.minSpeakers}
+                                onChange={(e) => setSettings({...settings, minSpeakers: e.target.value})}
+                                className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                              <span className="text-xs text-white/60">to</span>
+                              <input
+                                type="number"
+                                min={1}
+                                max={MAX_SPEAKERS}
+                                value={settings.maxSpeakers}
+                                onChange={(e) => setSettings({...settings, maxSpeakers: e.target.value})}
+                                className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      <label className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <FiHeadphones className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Multichannel Recording</span>
+                        </div>
+                        <input
+                          type="checkbox"
+                          checked={settings.multichannel}
+                          onChange={(e) => setSettings({...settings, multichannel: e.target.checked})}
+                          className="toggle"
+                        />
+                      </label>
+
+                      {settings.multichannel && (
+                        <div className="pl-6 space-y-2">
+                          <label className="block text-xs text-white/60">Channel names</label>
+                          <input
+                            type="text"
+                            value={settings.channelNames}
+                            onChange={(e) => setSettings({...settings, channelNames: e.target.value})}
+                            placeholder="Agent, Customer"
+                            className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-1.5 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          <p className="text-xs text-white/40">
+                            Each channel is transcribed separately and labelled in order (left, right, ...)
+                          </p>
+                        </div>
+                      )}
+
                       <label className="flex items-center justify-between">
                         <div className="flex items-center">
                           <FiClockIcon className="w-4 h-4 mr-2 text-white/60" />
@@ -576,6 +1155,140 @@ export default function Upload() {
                           className="toggle"
                         />
                       </label>
+
+                      <label className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <FiList className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Auto-chapters</span>
+                        </div>
+                        <input
+                          type="checkbox"
+                          checked={settings.autoChapters}
+                          onChange={(e) => setSettings({...settings, autoChapters: e.target.checked})}
+                          className="toggle"
+                        />
+                      </label>
+
+                      <label className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <FiSliders className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Clean Up Audio</span>
+                        </div>
+                        <input
+                          type="checkbox"
+                          checked={settings.preprocess}
+                          onChange={(e) => setSettings({...settings, preprocess: e.target.checked})}
+                          className="toggle"
+                        />
+                      </label>
+
+                      {settings.preprocess && (
+                        <div className="pl-6 space-y-2">
+                          {PREPROCESSING_STEPS.map((step) => (
+                            <label key={step.id} className="flex items-center text-sm">
+                              <input
+                                type="checkbox"
+                                checked={settings.preprocessSteps.includes(step.id)}
+                                onChange={(e) => setSettings({
+                                  ...settings,
+                                  preprocessSteps: e.target.checked
+                                    ? [...settings.preprocessSteps, step.id]
+                                    : settings.preprocessSteps.filter(id => id !== step.id)
+                                })}
+                                className="mr-2"
+                              />
+                              {step.label}
+                            </label>
+                          ))}
+                          <p className="text-xs text-white/40">
+                            A processed copy is transcribed; the original is kept for playback
+                          </p>
+                        </div>
+                      )}
+
+                      <label className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <FiShield className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Redact PII</span>
+                        </div>
+                        <input
+                          type="checkbox"
+                          checked={settings.redactPii}
+                          onChange={(e) => setSettings({...settings, redactPii: e.target.checked})}
+                          className="toggle"
+                        />
+                      </label>
+
+                      {settings.redactPii && (
+                        <div className="pl-6 space-y-2">
+                          {PII_CATEGORIES.map((category) => (
+                            <label key={category.id} className="flex items-center text-sm">
+                              <input
+                                type="checkbox"
+                                checked={settings.piiCategories.includes(category.id)}
+                                onChange={(e) => setSettings({
+                                  ...settings,
+                                  piiCategories: e.target.checked
+                                    ? [...settings.piiCategories, category.id]
+                                    : settings.piiCategories.filter(id => id !== category.id)
+                                })}
+                                className="mr-2"
+                              />
+                              {category.label}
+                            </label>
+                          ))}
+                          <label className="flex items-center text-sm pt-2 border-t border-white/10">
+                            <input
+                              type="checkbox"
+                              checked={settings.deleteOriginal}
+                              onChange={(e) => setSettings({...settings, deleteOriginal: e.target.checked})}
+                              className="mr-2"
+                            />
+                            Delete the unredacted original
+                          </label>
+                          <p className="text-xs text-white/40">
+                            A beeped audio copy is kept either way
+                          </p>
+                        </div>
+                      )}
+
+                      <div>
+                        <div className="flex items-center mb-2">
+                          <FiBook className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Custom Vocabulary</span>
+                        </div>
+                        <textarea
+                          rows={3}
+                          value={settings.customVocabulary}
+                          onChange={(e) => setSettings({...settings, customVocabulary: e.target.value})}
+                          placeholder="Names, jargon, acronyms (comma separated)"
+                          className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <p className="text-xs text-white/40 mt-1">
+                          Added to the glossary saved in your profile for this upload
+                        </p>
+                      </div>
+
+                      <div>
+                        <div className="flex items-center mb-2">
+                          <FiFileText className="w-4 h-4 mr-2 text-white/60" />
+                          <span className="text-sm">Summary Template</span>
+                        </div>
+                        <select
+                          value={settings.summaryTemplate}
+                          onChange={(e) => setSettings({...settings, summaryTemplate: e.target.value})}
+                          className="w-full bg-white/10 rounded-lg border border-white/10 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {listSummaryTemplates(customSummaryTemplates).map(template => (
+                            <option key={template.id} value={template.id} className="bg-gray-800 text-white">
+                              {template.name}
+                            </option>
+                          ))}
+                        </select>
+                        <p className="text-xs text-white/40 mt-1">
+                          {findSummaryTemplate(settings.summaryTemplate, customSummaryTemplates)?.description || 'Your own sections'}. Manage templates in your profile
+                        </p>
+                      </div>
                     </div>
                 </div>
 
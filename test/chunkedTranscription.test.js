@@ -0,0 +1,100 @@
+// Chunk planning and stitching of chunked transcriptions, without ffmpeg or R2.
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunks, stitchChunkResults, CHUNK_DURATION_SEC, CHUNK_OVERLAP_SEC } from '../utils/chunkedTranscription.js';
+
+function word(text, start, end, speaker, confidence = 0.9) {
+  return { text, start, end, speaker, confidence };
+}
+
+function turn(words) {
+  return { speaker: words[0].speaker, start: words[0].start, end: words.at(-1).end, text: words.map(w => w.text).join(' ') };
+}
+
+test('plans one chunk for recordings that fit in a chunk and its overlap', () => {
+  assert.deepEqual(planChunks(CHUNK_DURATION_SEC + CHUNK_OVERLAP_SEC), [
+    { index: 0, startSec: 0, durationSec: CHUNK_DURATION_SEC + CHUNK_OVERLAP_SEC }
+  ]);
+  assert.deepEqual(planChunks(30), [{ index: 0, startSec: 0, durationSec: 30 }]);
+});
+
+test('plans overlapping chunks that cover the whole recording', () => {
+  const durationSec = 2.5 * CHUNK_DURATION_SEC;
+  const chunks = planChunks(durationSec);
+
+  assert.equal(chunks.length, 3);
+  chunks.forEach((chunk, index) => assert.equal(chunk.startSec, index * CHUNK_DURATION_SEC));
+  assert.equal(chunks[0].durationSec, CHUNK_DURATION_SEC + CHUNK_OVERLAP_SEC);
+  assert.equal(chunks[1].durationSec, CHUNK_DURATION_SEC + CHUNK_OVERLAP_SEC);
+  // The last chunk runs to the end of the recording
+  assert.equal(chunks[2].startSec + chunks[2].durationSec, durationSec);
+});
+
+test('stitches chunks at the middle of the overlap and maps speakers across the seam', () => {
+  // Chunk 1 starts 600s in; the two chunks share 600s-615s and are cut at 607.5s
+  const chunks = [
+    { index: 0, offsetMs: 0, durationMs: 615000 },
+    { index: 1, offsetMs: 600000, durationMs: 300000 }
+  ];
+  const first = [
+    word('Hello', 0, 1000, 'A'),
+    word('there.', 1000, 2000, 'A'),
+    word('Right', 601000, 602000, 'B'),
+    word('before', 605000, 606000, 'B'),
+    word('after', 610000, 611000, 'B'),
+  ];
+  // Chunk-local times and labels: the speaker called B above is A here
+  const second = [
+    word('Right', 1000, 2000, 'A'),
+    word('before', 5000, 6000, 'A'),
+    word('after', 10000, 11000, 'A'),
+    word('Someone', 20000, 21000, 'B'),
+    word('new.', 21000, 22000, 'B'),
+  ];
+  const results = [
+    { text: 'Hello there. Right before after', words: first, utterances: [turn(first.slice(0, 2)), turn(first.slice(2))], confidence: 0.9, language: 'en' },
+    { text: 'Right before after Someone new.', words: second, utterances: [turn(second.slice(0, 3)), turn(second.slice(3))], confidence: 0.9 },
+  ];
+
+  const stitched = stitchChunkResults(chunks, results, { durationSec: 900 });
+
+  assert.equal(stitched.text, 'Hello there. Right before after Someone new.');
+  assert.deepEqual(stitched.words.map(w => [w.text, w.start, w.speaker]), [
+    ['Hello', 0, 'A'],
+    ['there.', 1000, 'A'],
+    ['Right', 601000, 'B'],
+    ['before', 605000, 'B'],
+    ['after', 610000, 'B'],
+    ['Someone', 620000, 'C'],
+    ['new.', 621000, 'C'],
+  ]);
+  // The turn that straddles the seam stays one utterance
+  assert.deepEqual(stitched.utterances.map(u => [u.speaker, u.start, u.end, u.text]), [
+    ['A', 0, 2000, 'Hello there.'],
+    ['B', 601000, 611000, 'Right before after'],
+    ['C', 620000, 622000, 'Someone new.'],
+  ]);
+  assert.deepEqual(stitched.speakers, ['A', 'B', 'C']);
+  assert.equal(stitched.duration, 900);
+  assert.equal(stitched.language, 'en');
+  assert.ok(Math.abs(stitched.confidence - 0.9) < 1e-9);
+});
+
+test('falls back to the chunk texts when the provider returned no words', () => {
+  const chunks = planChunks(2 * CHUNK_DURATION_SEC).map(({ index, startSec, durationSec }) => ({
+    index,
+    offsetMs: startSec * 1000,
+    durationMs: durationSec * 1000
+  }));
+  const stitched = stitchChunkResults(chunks, [
+    { text: 'First half.', duration: 615 },
+    { text: 'Second half.', duration: 600 },
+  ]);
+
+  assert.equal(stitched.text, 'First half. Second half.');
+  assert.deepEqual(stitched.words, []);
+  assert.deepEqual(stitched.utterances, []);
+  assert.equal(stitched.duration, 1215);
+  assert.equal(stitched.confidence, null);
+});
@@ -0,0 +1,123 @@
+// Retry and failure bookkeeping of the job queue against an in-memory `jobs` collection.
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBackoffDelay, failJob, processJob, permanentError, JOB_STATUS } from '../utils/jobQueue.js';
+
+// Single-document stand-in: updates match on _id and lockedBy and apply $set, $inc and $push
+function createJobsDb(job) {
+  const doc = structuredClone(job);
+  return {
+    doc,
+    collection() {
+      return {
+        async updateOne(query, update) {
+          const matches = Object.entries(query).every(([key, value]) => doc[key] === value);
+          if (!matches) return { matchedCount: 0 };
+          Object.assign(doc, update.$set);
+          Object.entries(update.$inc || {}).forEach(([key, value]) => { doc[key] = (doc[key] || 0) + value; });
+          Object.entries(update.$push || {}).forEach(([key, value]) => { doc[key] = [...(doc[key] || []), value]; });
+          return { matchedCount: 1 };
+        },
+      };
+    },
+  };
+}
+
+function runningJob(overrides = {}) {
+  return {
+    _id: 'job-1',
+    type: 'transcription',
+    status: JOB_STATUS.RUNNING,
+    attemptCount: 0,
+    maxAttempts: 3,
+    attempts: [],
+    lockedBy: 'worker-1',
+    lastError: null,
+    ...overrides,
+  };
+}
+
+test('backs off exponentially up to 15 minutes', () => {
+  assert.deepEqual([1, 2, 3, 4].map(getBackoffDelay), [15000, 30000, 60000, 120000]);
+  assert.equal(getBackoffDelay(0), 15000);
+  assert.equal(getBackoffDelay(20), 15 * 60 * 1000);
+});
+
+test('requeues a failed attempt with backoff while attempts are left', async () => {
+  const job = runningJob({ attemptCount: 1 });
+  const db = createJobsDb(job);
+  const before = Date.now();
+
+  const outcome = await failJob(db, job, new Error('Provider timed out'));
+
+  assert.deepEqual(outcome, { willRetry: true, recorded: true });
+  assert.equal(db.doc.status, JOB_STATUS.QUEUED);
+  assert.equal(db.doc.attemptCount, 2);
+  assert.equal(db.doc.lockedBy, null);
+  assert.equal(db.doc.lastError, 'Provider timed out');
+  assert.ok(db.doc.runAt.getTime() >= before + getBackoffDelay(2));
+  assert.deepEqual(db.doc.attempts.map(({ number, outcome: result, error }) => ({ number, result, error })), [
+    { number: 2, result: 'error', error: 'Provider timed out' },
+  ]);
+});
+
+test('fails the job on its last attempt or on a permanent error', async () => {
+  const last = runningJob({ attemptCount: 2 });
+  const lastDb = createJobsDb(last);
+  assert.deepEqual(await failJob(lastDb, last, new Error('Still down')), { willRetry: false, recorded: true });
+  assert.equal(lastDb.doc.status, JOB_STATUS.FAILED);
+  assert.equal(lastDb.doc.attemptCount, 3);
+  assert.ok(lastDb.doc.failedAt instanceof Date);
+
+  const first = runningJob();
+  const firstDb = createJobsDb(first);
+  assert.deepEqual(await failJob(firstDb, first, permanentError('Unsupported file')), { willRetry: false, recorded: true });
+  assert.equal(firstDb.doc.status, JOB_STATUS.FAILED);
+});
+
+test('drops the error of a job another worker took over', async () => {
+  const job = runningJob();
+  const db = createJobsDb({ ...job, lockedBy: 'worker-2' });
+
+  assert.deepEqual(await failJob(db, job, new Error('Late failure')), { willRetry: false, recorded: false });
+  assert.equal(db.doc.status, JOB_STATUS.RUNNING);
+  assert.equal(db.doc.attemptCount, 0);
+});
+
+test('calls onFailed only once the job has failed for good', async () => {
+  const failures = [];
+  const handlers = {
+    transcription: {
+      async run() { throw new Error('Provider error'); },
+      async onFailed(job, error) { failures.push(error.message); },
+    },
+  };
+
+  const retried = runningJob();
+  assert.equal(await processJob(createJobsDb(retried), handlers, retried), 'retried');
+  assert.deepEqual(failures, []);
+
+  const last = runningJob({ attemptCount: 2 });
+  assert.equal(await processJob(createJobsDb(last), handlers, last), 'failed');
+  assert.deepEqual(failures, ['Provider error']);
+});
+
+test('fails a reclaimed job whose workers died on every attempt without running it', async () => {
+  let runs = 0;
+  const failures = [];
+  const handlers = {
+    transcription: {
+      async run() { runs++; return { done: true }; },
+      async onFailed(job, error) { failures.push(error.message); },
+    },
+  };
+  // What claimJob leaves behind after the third lease expired
+  const job = runningJob({ attemptCount: 3, lastError: 'The worker running this job stopped before finishing' });
+  const db = createJobsDb(job);
+
+  assert.equal(await processJob(db, handlers, job), 'failed');
+  assert.equal(runs, 0);
+  assert.equal(db.doc.status, JOB_STATUS.FAILED);
+  assert.deepEqual(failures, ['The worker running this job stopped before finishing']);
+});
@@ -0,0 +1,192 @@
+// End-to-end run of the transcription completion pass with no network: the fixture transcription
+// provider, the mock LLM and an in-memory stand-in for the few MongoDB calls the pass makes.
+//   npm test
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+
+process.env.LLM_PROVIDER = 'mock';
+// lib/mongodb.js reuses this promise outside production instead of connecting; it never settles
+// because every query below goes to the in-memory db
+global._mongoClientPromise = new Promise(() => {});
+
+let completeTranscription;
+let getProvider;
+let setMockResponder;
+let findSummaryTemplate;
+let buildFixtureResult;
+
+before(async () => {
+  ({ completeTranscription } = await import('../utils/transcription.js'));
+  ({ buildFixtureResult } = await import('../utils/transcriptionProviders/fixture.js'));
+  ({ getProvider } = await import('../utils/transcriptionProviders/index.js'));
+  ({ setMockResponder } = await import('../utils/llmProviders/mock.js'));
+  ({ findSummaryTemplate } = await import('../utils/summaryTemplates.js'));
+});
+
+afterEach(() => {
+  setMockResponder();
+  delete process.env.TRANSCRIPTION_FIXTURE_FILE;
+});
+
+function matches(doc, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (key === '$or') return value.some(branch => matches(doc, branch));
+    return String(doc[key]) === String(value);
+  });
+}
+
+// Equality and $or queries, $set updates and inserts; enough for the completion pass
+function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        const docs = [];
+        collections.set(name, {
+          docs,
+          async findOne(query) {
+            return docs.find(doc => matches(doc, query)) || null;
+          },
+          async updateOne(query, update) {
+            const doc = docs.find(candidate => matches(candidate, query));
+            if (doc) Object.assign(doc, update.$set);
+            return { matchedCount: doc ? 1 : 0 };
+          },
+          // Progress reports use pipeline updates, which aren't simulated; reporting is best effort
+          async findOneAndUpdate() {
+            return null;
+          },
+          async insertOne(doc) {
+            docs.push({ _id: new ObjectId(), ...doc });
+          },
+          async createIndex() {},
+        });
+      }
+      return collections.get(name);
+    },
+  };
+}
+
+async function createFile(db, settings) {
+  const fileId = new ObjectId();
+  await db.collection('files').insertOne({ _id: fileId, userId: 'user-1', status: 'processing', settings });
+  return fileId.toString();
+}
+
+async function transcribeWithFixture(db, fileId, settings) {
+  const { result } = await getProvider('fixture').getStatus('fixture-test', settings);
+  const job = { _id: new ObjectId(), userId: 'user-1', payload: { settings } };
+  await completeTranscription(db, fileId, result, settings, { provider: 'fixture', job });
+  return db.collection('files').findOne({ _id: fileId });
+}
+
+// The fixture script repeated back to back: about 45 minutes, long enough to be summarized in chunks
+function buildLongFixture(settings, repeats = 100) {
+  const script = buildFixtureResult(settings);
+  const cycleMs = script.duration * 1000;
+  const shift = (items, offset) => items.map(item => ({ ...item, start: item.start + offset, end: item.end + offset }));
+
+  const result = { ...script, words: [], utterances: [] };
+  for (let i = 0; i < repeats; i++) {
+    result.words.push(...shift(script.words, i * cycleMs));
+    result.utterances.push(...shift(script.utterances, i * cycleMs));
+  }
+  result.text = result.utterances.map(utterance => utterance.text).join(' ');
+  result.duration = script.duration * repeats;
+  return result;
+}
+
+function useFixtureFile(result) {
+  const fixturePath = path.join(os.tmpdir(), `ecouter-fixture-${process.pid}.json`);
+  fs.writeFileSync(fixturePath, JSON.stringify(result));
+  process.env.TRANSCRIPTION_FIXTURE_FILE = fixturePath;
+  return fixturePath;
+}
+
+// Counts the chunk prompts and answers every prompt in the summary format
+function countChunkRequests() {
+  const counter = { chunks: 0 };
+  setMockResponder(({ messages }) => {
+    const prompt = messages.map(message => message.content).join('\n');
+    if (prompt.startsWith('This is part')) {
+      counter.chunks++;
+      return `Part summary ${counter.chunks}.`;
+    }
+    return 'SUMMARY: The team planned the release.\nTOPICS: release, exports\nINSIGHTS: Exports are the last blocker.\nSECTION 1: Alice, Bob';
+  });
+  return counter;
+}
+
+test('stores the transcript model and template sections of a fixture transcription', async () => {
+  const db = createMemoryDb();
+  const settings = { language: 'en', speakerIdentification: true, autoChapters: false, summaryTemplate: 'meeting-minutes' };
+  const fileId = await createFile(db, settings);
+
+  const file = await transcribeWithFixture(db, fileId, settings);
+
+  assert.equal(file.status, 'completed');
+  assert.equal(file.provider, 'fixture');
+  assert.equal(file.transcriptModel.segments.length, 6);
+  assert.deepEqual(file.transcriptModel.speakers.map(speaker => speaker.id), ['A', 'B', 'C']);
+  assert.deepEqual(file.speakers, ['A', 'B', 'C']);
+  assert.equal(file.transcriptModel.segments[0].text, 'Good morning everyone, thanks for joining the weekly project sync.');
+  assert.ok(file.transcriptModel.segments.every(segment => segment.words.length > 0));
+  assert.match(file.transcript, /weekly project sync/);
+
+  // Short transcripts are summarized in one pass, in the template's sections
+  const template = findSummaryTemplate('meeting-minutes');
+  assert.equal(file.summaryTemplateId, 'meeting-minutes');
+  assert.deepEqual(file.summarySections.map(section => section.id), template.sections.map(section => section.id));
+  assert.ok(file.summarySections.every(section => section.content.length > 0));
+  assert.ok(file.summary.length > 0);
+  assert.deepEqual(file.summaryChunks, []);
+
+  // The pipeline's own AI calls are metered as included in the transcription
+  const usage = db.collection('usageLedger').docs;
+  const transcribed = usage.find(entry => entry.metric === 'transcriptionSeconds');
+  const aiCalls = usage.find(entry => entry.metric === 'aiCalls');
+  assert.equal(transcribed?.quantity, file.duration);
+  assert.equal(aiCalls?.included, true);
+});
+
+test('reuses chunk summaries of an unchanged transcript on a re-run', async () => {
+  const db = createMemoryDb();
+  const settings = { language: 'en', speakerIdentification: true, autoChapters: false, summaryTemplate: 'meeting-minutes' };
+  const fileId = await createFile(db, settings);
+  const long = buildLongFixture(settings);
+  const fixturePath = useFixtureFile(long);
+
+  try {
+    const counter = countChunkRequests();
+    const first = await transcribeWithFixture(db, fileId, settings);
+    const firstChunks = first.summaryChunks.map(chunk => ({ ...chunk }));
+    assert.ok(firstChunks.length > 1, 'a 45 minute transcript is summarized in chunks');
+    assert.equal(counter.chunks, firstChunks.length);
+    assert.equal(first.summarySections[0].content, 'Alice, Bob');
+
+    // Same transcript: every chunk summary comes from the file
+    counter.chunks = 0;
+    const second = await transcribeWithFixture(db, fileId, settings);
+    assert.equal(counter.chunks, 0);
+    assert.deepEqual(second.summaryChunks, firstChunks);
+
+    // A change near the end only re-summarizes the chunk it falls in
+    const edited = structuredClone(long);
+    const lastUtterance = edited.utterances[edited.utterances.length - 1];
+    lastUtterance.text = 'Perfect. Let us meet again on Monday to confirm the release date.';
+    edited.words.find(word => word.start >= lastUtterance.start && word.text === 'Friday').text = 'Monday';
+    useFixtureFile(edited);
+
+    counter.chunks = 0;
+    const third = await transcribeWithFixture(db, fileId, settings);
+    assert.equal(counter.chunks, 1);
+    assert.deepEqual(third.summaryChunks.slice(0, -1), firstChunks.slice(0, -1));
+    assert.notEqual(third.summaryChunks.at(-1).hash, firstChunks.at(-1).hash);
+  } finally {
+    fs.rmSync(fixturePath, { force: true });
+  }
+});
@@ -0,0 +1,58 @@
+// Plan quotas: the remaining allowance for a period and why an upload or AI request is refused.
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlan, getBillingPeriod, summarizeQuota, getTranscriptionQuotaError, getAiQuotaError } from '../utils/plans.js';
+
+const GB = 1024 * 1024 * 1024;
+
+test('falls back to the free plan and keys periods by UTC month', () => {
+  assert.equal(getPlan('unknown').id, 'free');
+  assert.equal(getBillingPeriod(new Date('2026-01-31T23:30:00-05:00')), '2026-02');
+});
+
+test('summarizes usage against the plan with overage for paid plans', () => {
+  const quota = summarizeQuota(getPlan('pro'), { transcriptionSeconds: (20 * 60 + 30) * 60 + 1, aiCalls: 10 }, '2026-10');
+
+  assert.equal(quota.minutes.used, 20 * 60 + 31);
+  assert.equal(quota.minutes.remaining, 0);
+  assert.equal(quota.minutes.percentage, 100);
+  assert.equal(quota.minutes.overage, 31);
+  assert.equal(quota.minutes.overageCost, 1.03);
+  assert.equal(quota.aiCalls.remaining, 1990);
+  assert.deepEqual(quota.resetsAt, new Date(Date.UTC(2026, 10, 1)));
+
+  const unlimited = summarizeQuota(getPlan('enterprise'), { transcriptionSeconds: 10 ** 7 });
+  assert.equal(unlimited.minutes.remaining, null);
+  assert.equal(unlimited.minutes.overage, 0);
+});
+
+test('refuses uploads past the storage limit on every plan', () => {
+  const quota = summarizeQuota(getPlan('pro'), { storageBytes: 25 * GB - 100 });
+  assert.equal(getTranscriptionQuotaError(quota, 100), null);
+  assert.match(getTranscriptionQuotaError(quota, 101), /storage limit/);
+});
+
+test('refuses transcriptions longer than the free minutes left', () => {
+  const quota = summarizeQuota(getPlan('free'), { transcriptionSeconds: 100 * 60 });
+
+  assert.equal(getTranscriptionQuotaError(quota, 0, 20 * 60), null);
+  assert.match(getTranscriptionQuotaError(quota, 0, 20 * 60 + 1), /21 minutes long but only 20/);
+  // Without a probed duration only an exhausted allowance stops the upload
+  assert.equal(getTranscriptionQuotaError(quota, 0, null), null);
+
+  const exhausted = summarizeQuota(getPlan('free'), { transcriptionSeconds: 120 * 60 });
+  assert.match(getTranscriptionQuotaError(exhausted, 0, null), /used all 120 transcription minutes/);
+});
+
+test('lets paid plans run into overage', () => {
+  const quota = summarizeQuota(getPlan('pro'), { transcriptionSeconds: 30 * 60 * 60 });
+  assert.equal(getTranscriptionQuotaError(quota, 0, 60 * 60), null);
+});
+
+test('refuses AI requests on plans without them or past the allowance', () => {
+  assert.match(getAiQuotaError(summarizeQuota(getPlan('free'), {})), /aren't included in the Free plan/);
+  assert.equal(getAiQuotaError(summarizeQuota(getPlan('pro'), { aiCalls: 1999 })), null);
+  assert.match(getAiQuotaError(summarizeQuota(getPlan('pro'), { aiCalls: 2000 })), /used all 2000 AI requests/);
+  assert.equal(getAiQuotaError(summarizeQuota(getPlan('enterprise'), { aiCalls: 10 ** 6 })), null);
+});
@@ -0,0 +1,81 @@
+// PII redaction of transcript text and words, and the audio intervals that get beeped.
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRedactionSettings, redactText, redactResult, getRedactedAudioKey } from '../utils/redaction.js';
+
+const ALL = ['credit_card', 'ssn', 'phone_number', 'email_address', 'address'];
+
+function words(text, { start = 0, step = 500, speaker = 'A' } = {}) {
+  return text.split(' ').map((word, i) => ({ text: word, start: start + i * step, end: start + (i + 1) * step - 50, confidence: 0.9, speaker }));
+}
+
+test('parses redaction settings from form fields', () => {
+  assert.deepEqual(parseRedactionSettings({}), { settings: { redaction: null } });
+  assert.deepEqual(parseRedactionSettings({ redactPii: 'true', piiCategories: 'ssn, email_address', deleteOriginal: 'true' }), {
+    settings: { redaction: { categories: ['ssn', 'email_address'], deleteOriginal: true } }
+  });
+  assert.match(parseRedactionSettings({ redactPii: true, piiCategories: ['ssn', 'passport'] }).error, /passport/);
+  assert.ok(parseRedactionSettings({ redactPii: true, piiCategories: [] }).error);
+});
+
+test('redacts only the requested categories in text', () => {
+  const text = 'Mail jane.doe@example.com or call 415-555-0134.';
+  assert.equal(redactText(text, ALL), 'Mail [EMAIL_ADDRESS] or call [PHONE_NUMBER].');
+  assert.equal(redactText(text, ['email_address']), 'Mail [EMAIL_ADDRESS] or call 415-555-0134.');
+  assert.equal(redactText('My card is 4111 1111 1111 1111 thanks', ALL), 'My card is [CREDIT_CARD] thanks');
+  assert.equal(redactText('It is jane dot doe at example dot com', ['email_address']), 'It is [EMAIL_ADDRESS]');
+  assert.equal(redactText('', ALL), '');
+});
+
+test('collapses the words of a match into one token and beeps over them', () => {
+  const source = words('Send it to 42 Baker Street please');
+  const { result, intervals } = redactResult({
+    text: 'Send it to 42 Baker Street please',
+    words: source,
+    utterances: [{ speaker: 'A', start: 0, end: source.at(-1).end, text: 'Send it to 42 Baker Street please' }]
+  }, ['address']);
+
+  assert.deepEqual(result.words.map(word => word.text), ['Send', 'it', 'to', '[ADDRESS]', 'please']);
+  const token = result.words[3];
+  assert.equal(token.start, source[3].start);
+  assert.equal(token.end, source[5].end);
+  assert.equal(token.confidence, null);
+  assert.equal(result.text, 'Send it to [ADDRESS] please');
+  assert.equal(result.utterances[0].text, 'Send it to [ADDRESS] please');
+
+  // The beep is padded by 100ms on either side
+  assert.deepEqual(intervals, [{ start: source[3].start - 100, end: source[5].end + 100 }]);
+});
+
+test('merges overlapping beep intervals and keeps provider tokens', () => {
+  const source = [
+    { text: 'Call', start: 0, end: 300, speaker: 'A' },
+    { text: '[PHONE_NUMBER]', start: 350, end: 1000, speaker: 'A' },
+    { text: 'or', start: 1050, end: 1100, speaker: 'A' },
+    { text: 'me@example.com.', start: 1150, end: 2000, speaker: 'A' },
+  ];
+  const { result, intervals } = redactResult({ text: '', words: source, utterances: [] }, ['email_address']);
+
+  assert.deepEqual(result.words.map(word => word.text), ['Call', '[PHONE_NUMBER]', 'or', '[EMAIL_ADDRESS]']);
+  assert.deepEqual(intervals, [{ start: 250, end: 2100 }]);
+});
+
+test('redacts results without words by text alone', () => {
+  const { result, intervals } = redactResult({
+    text: 'SSN 123-45-6789',
+    utterances: [{ speaker: null, start: 0, end: 1000, text: 'SSN 123-45-6789' }],
+    chapters: [{ start: 0, end: 1000, title: 'Call me on 415-555-0134', gist: 'Phone', summary: '' }]
+  }, ['ssn', 'phone_number']);
+
+  assert.equal(result.text, 'SSN [SSN]');
+  assert.equal(result.utterances[0].text, 'SSN [SSN]');
+  assert.equal(result.chapters[0].title, 'Call me on [PHONE_NUMBER]');
+  assert.deepEqual(intervals, []);
+});
+
+test('gives every redacted re-run its own audio key', () => {
+  assert.equal(getRedactedAudioKey('user/call.wav'), 'user/call.redacted.mp3');
+  assert.equal(getRedactedAudioKey('user/call.wav', 2), 'user/call.redacted.v2.mp3');
+  assert.equal(getRedactedAudioKey('user/call.redacted.v2.mp3', 3), 'user/call.redacted.v3.mp3');
+});
@@ -0,0 +1,101 @@
+// Transcript chunking for long summaries and the reuse of stored chunk summaries, with the mock LLM.
+//   npm test
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkTranscript, summarizeTranscript } from '../utils/summaries.js';
+import { setMockResponder } from '../utils/llmProviders/mock.js';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const MINUTE = 60 * 1000;
+
+afterEach(() => setMockResponder());
+
+function buildModel(segmentCount, stepMs) {
+  return {
+    speakers: [{ id: 'A', label: 'Alice' }],
+    segments: Array.from({ length: segmentCount }, (_, i) => ({
+      speaker: 'A',
+      start: i * stepMs,
+      end: i * stepMs + stepMs - 1,
+      text: `Line ${i} of the meeting.`,
+    })),
+  };
+}
+
+// About 40,000 characters of plain text: past the single-pass limit
+function buildLongText(lastLine = 'The meeting ended on time.') {
+  const lines = Array.from({ length: 400 }, (_, i) => `Line ${String(i).padStart(3, '0')}: ${'the team reviewed the release plan and the open questions. '.repeat(2).trim()}`);
+  lines[lines.length - 1] = lastLine;
+  return lines.join('\n');
+}
+
+// Counts the chunk prompts and answers every prompt in the summary format
+function countChunkRequests() {
+  const counter = { chunks: 0 };
+  setMockResponder(({ messages }) => {
+    const prompt = messages.map(message => message.content).join('\n');
+    if (prompt.startsWith('This is part')) {
+      counter.chunks++;
+      return `Part summary ${counter.chunks}.`;
+    }
+    return 'SUMMARY: The team planned the release.\nTOPICS: release, planning\nINSIGHTS: The plan is on track.';
+  });
+  return counter;
+}
+
+test('chunks timed transcripts on a fixed time grid without splitting segments', () => {
+  // One segment a minute for 20 minutes: the 8 minute grid gives chunks of 8, 8 and 4 segments
+  const chunks = chunkTranscript({ model: buildModel(20, MINUTE) });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.start, chunk.end]), [
+    [0, 8 * MINUTE - 1],
+    [8 * MINUTE, 16 * MINUTE - 1],
+    [16 * MINUTE, 20 * MINUTE - 1],
+  ]);
+  assert.equal(chunks[0].text.split('\n').length, 8);
+  assert.equal(chunks[0].text.split('\n')[0], 'Alice    00:00:00    Line 0 of the meeting.');
+});
+
+test('chunks plain-text transcripts by length at line boundaries', () => {
+  const text = buildLongText();
+  const chunks = chunkTranscript({ text }, { maxLength: 12000 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.text.length <= 12000 && chunk.start === null));
+  assert.equal(chunks.map(chunk => chunk.text).join('\n'), text);
+});
+
+test('summarizes short transcripts in one request', async () => {
+  const counter = countChunkRequests();
+  const result = await summarizeTranscript({ text: 'Alice: we ship on Friday.' });
+
+  assert.equal(counter.chunks, 0);
+  assert.equal(result.summary, 'The team planned the release.');
+  assert.deepEqual(result.topics, ['release', 'planning']);
+  assert.deepEqual(result.chunks, []);
+});
+
+test('reuses stored chunk summaries whose text did not change', async () => {
+  const counter = countChunkRequests();
+  const first = await summarizeTranscript({ text: buildLongText() });
+  assert.ok(first.chunks.length > 1);
+  assert.equal(counter.chunks, first.chunks.length);
+
+  counter.chunks = 0;
+  const second = await summarizeTranscript({ text: buildLongText(), cachedChunks: first.chunks });
+  assert.equal(counter.chunks, 0);
+  assert.deepEqual(second.chunks, first.chunks);
+
+  // An edit in the last line only re-summarizes the last chunk
+  counter.chunks = 0;
+  const third = await summarizeTranscript({ text: buildLongText('The meeting ran late.'), cachedChunks: first.chunks });
+  assert.equal(counter.chunks, 1);
+  assert.deepEqual(third.chunks.slice(0, -1), first.chunks.slice(0, -1));
+  assert.notEqual(third.chunks.at(-1).hash, first.chunks.at(-1).hash);
+
+  // Chunk hashes cover the language, so a summary in another language starts over
+  counter.chunks = 0;
+  await summarizeTranscript({ text: buildLongText(), language: 'fr', cachedChunks: first.chunks });
+  assert.equal(counter.chunks, first.chunks.length);
+});
@@ -0,0 +1,99 @@
+// Custom vocabulary parsing and the replacement pass applied for providers without custom spelling.
+//   npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseVocabularyInput,
+  normalizeGlossary,
+  buildVocabulary,
+  applyVocabularyToText,
+  applyVocabularyToWords,
+  applyVocabulary,
+  MAX_GLOSSARY_ENTRIES
+} from '../utils/vocabulary.js';
+
+const glossary = [
+  { term: 'Ecouter', soundsLike: ['a cooter', 'ecoutay'] },
+  { term: 'Kubernetes', soundsLike: [] },
+];
+
+test('parses comma and newline separated terms without duplicates', () => {
+  assert.deepEqual(parseVocabularyInput('Acme, Jira\nacme,  Kubernetes  '), ['Acme', 'Jira', 'Kubernetes']);
+  assert.deepEqual(parseVocabularyInput(['Acme', '', 'Jira']), ['Acme', 'Jira']);
+  assert.deepEqual(parseVocabularyInput(null), []);
+});
+
+test('normalizes glossary entries and rejects oversized glossaries', () => {
+  const { glossary: normalized } = normalizeGlossary([
+    'Jira',
+    { term: ' Ecouter ', soundsLike: 'a cooter, ecouter, ecoutay' },
+    { term: 'jira' },
+  ]);
+  assert.deepEqual(normalized, [
+    { term: 'Jira', soundsLike: [] },
+    { term: 'Ecouter', soundsLike: ['a cooter', 'ecoutay'] },
+  ]);
+
+  assert.ok(normalizeGlossary('Jira').error);
+  assert.ok(normalizeGlossary(Array.from({ length: MAX_GLOSSARY_ENTRIES + 1 }, (_, i) => `term ${i}`)).error);
+});
+
+test('builds boost terms from the glossary and upload terms', () => {
+  const vocabulary = buildVocabulary(glossary, ['kubernetes', 'Acme']);
+  assert.deepEqual(vocabulary.boost, ['Ecouter', 'Kubernetes', 'Acme']);
+  assert.deepEqual(vocabulary.spellings, [{ from: ['a cooter', 'ecoutay'], to: 'Ecouter' }]);
+});
+
+test('replaces sounds-like variants and fixes the casing of known terms in text', () => {
+  const vocabulary = buildVocabulary(glossary);
+  assert.equal(
+    applyVocabularyToText('We deploy A cooter on kubernetes. Ecoutay works.', vocabulary),
+    'We deploy Ecouter on Kubernetes. Ecouter works.'
+  );
+  // Only whole words are replaced
+  assert.equal(applyVocabularyToText('Scooters and kubernetesx', vocabulary), 'Scooters and kubernetesx');
+});
+
+test('merges the words of a multi-word variant into one corrected word', () => {
+  const vocabulary = buildVocabulary(glossary);
+  const words = [
+    { text: 'Try', start: 0, end: 400, speaker: 'A', confidence: 0.9 },
+    { text: '"a', start: 400, end: 500, speaker: 'A', confidence: 0.8 },
+    { text: 'cooter",', start: 500, end: 900, speaker: 'A', confidence: 0.6 },
+    { text: 'kubernetes', start: 900, end: 1500, speaker: 'A', confidence: 0.95 },
+  ];
+
+  assert.deepEqual(applyVocabularyToWords(words, vocabulary), [
+    { text: 'Try', start: 0, end: 400, speaker: 'A', confidence: 0.9 },
+    { text: '"Ecouter",', start: 400, end: 900, speaker: 'A', confidence: 0.6 },
+    { text: 'Kubernetes', start: 900, end: 1500, speaker: 'A', confidence: 0.95 },
+  ]);
+});
+
+test('does not merge a variant spoken across two speakers', () => {
+  const vocabulary = buildVocabulary(glossary);
+  const words = [
+    { text: 'a', start: 0, end: 100, speaker: 'A' },
+    { text: 'cooter', start: 100, end: 500, speaker: 'B' },
+  ];
+  assert.deepEqual(applyVocabularyToWords(words, vocabulary).map(word => word.text), ['a', 'cooter']);
+});
+
+test('applies the vocabulary to the text, utterances and words of a result', () => {
+  const vocabulary = buildVocabulary(glossary);
+  const words = [
+    { text: 'a', start: 0, end: 100, speaker: 'A', confidence: 0.9 },
+    { text: 'cooter', start: 100, end: 500, speaker: 'A', confidence: 0.7 },
+  ];
+  const result = { text: 'a cooter', words, utterances: [{ speaker: 'A', start: 0, end: 500, text: 'a cooter', words }], language: 'en' };
+
+  const corrected = applyVocabulary(result, vocabulary);
+  assert.equal(corrected.text, 'Ecouter');
+  assert.equal(corrected.utterances[0].text, 'Ecouter');
+  assert.deepEqual(corrected.words, [{ text: 'Ecouter', start: 0, end: 500, speaker: 'A', confidence: 0.7 }]);
+  assert.deepEqual(corrected.utterances[0].words, corrected.words);
+  assert.equal(corrected.language, 'en');
+
+  // An empty vocabulary leaves the result untouched
+  assert.equal(applyVocabulary(result, buildVocabulary()), result);
+});
@@ -1,12 +1,9 @@
 // AI-Powered Analytics Engine for Meeting Insights
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getSpeakerStats } from './transcriptModel.js';
+import { summarizeSentiment } from './sentiment.js';
+import { generateText } from './llm.js';
 
 class MeetingAnalytics {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-  }
-
   // Meeting Effectiveness Scoring (0-100)
   async calculateMeetingEffectiveness(transcript, speakers = []) {
     try {
@@ -39,9 +36,7 @@ class MeetingAnalytics {
         }
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await generateText(prompt);
       
       // Extract JSON from response
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -116,6 +111,39 @@ class MeetingAnalytics {
     }
   }
 
+  // Speaking Time Analysis from the transcript model's measured segment timings
+  analyzeSpeakingTimeFromModel(transcriptModel) {
+    try {
+      const speakerStats = {};
+      const measured = getSpeakerStats(transcriptModel);
+      const totalWords = Object.values(measured).reduce((sum, stats) => sum + stats.wordCount, 0);
+      const totalTimeMs = Object.values(measured).reduce((sum, stats) => sum + stats.speakingTimeMs, 0);
+
+      Object.entries(measured).forEach(([speaker, stats]) => {
+        speakerStats[speaker] = {
+          wordCount: stats.wordCount,
+          speakingTime: Math.round(stats.speakingTimeMs / 1000),
+          segments: stats.segments,
+          averageSegmentLength: stats.segments > 0 ? stats.wordCount / stats.segments : 0,
+          longestSegment: stats.longestSegment,
+          interruptions: 0,
+          percentage: totalTimeMs > 0 ? (stats.speakingTimeMs / totalTimeMs) * 100 : 0
+        };
+      });
+
+      return {
+        totalWords,
+        totalEstimatedTime: Math.round(totalTimeMs / 1000),
+        speakers: speakerStats,
+        dominanceIndex: this.calculateDominanceIndex(speakerStats),
+        engagementLevel: this.calculateEngagementLevel(speakerStats)
+      };
+    } catch (error) {
+      console.error('Error analyzing speaking time:', error);
+      return this.getDefaultSpeakingAnalysis();
+    }
+  }
+
   // Conversation Flow Analysis
   async analyzeConversationFlow(transcript) {
     try {
@@ -152,9 +180,7 @@ class MeetingAnalytics {
         }
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await generateText(prompt);
       
       const jsonMatch = text.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
@@ -198,9 +224,7 @@ class MeetingAnalytics {
         }
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await generateText(prompt);
       
       const jsonMatch = text.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
@@ -215,21 +239,29 @@ class MeetingAnalytics {
   }
 
   // Generate Comprehensive Meeting Report
-  async generateMeetingReport(transcript, speakers = []) {
+  async generateMeetingReport(transcript, speakers = [], transcriptModel = null, sentimentTimeline = null) {
     try {
       const [effectiveness, speakingAnalysis, conversationFlow, topicAnalysis] = await Promise.all([
         this.calculateMeetingEffectiveness(transcript, speakers),
-        Promise.resolve(this.analyzeSpeakingTime(transcript, speakers)),
+        Promise.resolve(transcriptModel
+          ? this.analyzeSpeakingTimeFromModel(transcriptModel)
+          : this.analyzeSpeakingTime(transcript, speakers)),
         this.analyzeConversationFlow(transcript),
         this.extractKeyTopics(transcript)
       ]);
 
+      // Measured per-utterance sentiment replaces the model's whole-transcript estimate
+      if (sentimentTimeline && sentimentTimeline.length > 0) {
+        topicAnalysis.sentimentAnalysis = summarizeSentiment(sentimentTimeline);
+      }
+
       return {
         timestamp: new Date().toISOString(),
         effectiveness,
         speakingAnalysis,
         conversationFlow,
         topicAnalysis,
+        sentimentTimeline: sentimentTimeline || [],
         overallScore: this.calculateOverallScore(effectiveness, speakingAnalysis, conversationFlow),
         recommendations: this.generateRecommendations(effectiveness, speakingAnalysis, conversationFlow)
       };
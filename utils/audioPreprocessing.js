@@ -0,0 +1,127 @@
+// Optional ffmpeg clean-up of a recording before it is transcribed. The processed derivative is
+// stored in R2 next to the original and recorded on the file as `preprocessing`:
+//   { steps, key, url, removedRanges: [{ start, end }], removedSilenceMs, createdAt }
+// Removed silences are kept in original-recording milliseconds so the transcript can be mapped
+// back onto the original timeline and stays in sync with the player.
+// Kept free of server-only imports so the upload page can list the steps.
+
+export const PREPROCESSING_STEPS = [
+  { id: 'normalizeLoudness', label: 'Loudness normalization' },
+  { id: 'noiseReduction', label: 'High-pass and noise reduction' },
+  { id: 'downmix', label: 'Mono downmix' },
+  { id: 'trimSilence', label: 'Trim long silences' }
+];
+
+export const DEFAULT_PREPROCESSING_STEPS = ['normalizeLoudness', 'noiseReduction', 'downmix'];
+
+export const SILENCE_NOISE_DB = -35;
+export const MIN_SILENCE_SEC = 2;
+const KEPT_SILENCE_MS = 500; // Half a second of each trimmed silence stays as a pause
+
+const NOISE_FILTERS = ['highpass=f=80', 'afftdn=nf=-25'];
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+const STEP_IDS = PREPROCESSING_STEPS.map(step => step.id);
+
+// Normalize pre-processing options from form fields or a JSON body.
+// Returns { settings } with `preprocessing` set to null when it is off, or { error }.
+export function parsePreprocessingSettings({ preprocess, preprocessSteps } = {}) {
+  if (!(preprocess === true || preprocess === 'true')) {
+    return { settings: { preprocessing: null } };
+  }
+
+  const requested = Array.isArray(preprocessSteps)
+    ? preprocessSteps
+    : String(preprocessSteps || '').split(',');
+  const steps = [...new Set(requested.map(id => String(id).trim()).filter(Boolean))];
+
+  const unknown = steps.filter(id => !STEP_IDS.includes(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown pre-processing steps: ${unknown.join(', ')}. Use any of: ${STEP_IDS.join(', ')}` };
+  }
+  if (steps.length === 0) {
+    return { error: 'Choose at least one pre-processing step' };
+  }
+
+  // Stored in pipeline order so the recorded settings read the way they were applied
+  return { settings: { preprocessing: { steps: STEP_IDS.filter(id => steps.includes(id)) } } };
+}
+
+export function getPreprocessingStepLabel(id) {
+  return PREPROCESSING_STEPS.find(step => step.id === id)?.label || id;
+}
+
+// `recordings/call.wav` -> `recordings/call.processed.mp3`
+export function getProcessedAudioKey(key) {
+  return `${key.replace(/\.[^./]+$/, '')}.processed.mp3`;
+}
+
+// Ranges to cut from detected silences (seconds), in ms, keeping a short pause in each
+export function planSilenceCuts(silences, durationSec) {
+  const durationMs = Math.round(durationSec * 1000);
+  return silences
+    .map(silence => {
+      const start = Math.round(silence.start * 1000);
+      const end = silence.end === null ? durationMs : Math.round(silence.end * 1000);
+      return { start: start + KEPT_SILENCE_MS / 2, end: end - KEPT_SILENCE_MS / 2 };
+    })
+    .filter(range => range.end > range.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// ffmpeg audio filters for the chosen steps: noise filtering, then the silence cuts (which still
+// see original timestamps), then loudness so the trimmed result is normalized as a whole.
+// Mono downmix is an output option rather than a filter.
+export function buildFilterChain(steps, removedRanges = []) {
+  const filters = [];
+  if (steps.includes('noiseReduction')) {
+    filters.push(...NOISE_FILTERS);
+  }
+  if (steps.includes('trimSilence') && removedRanges.length > 0) {
+    const ranges = removedRanges.map(({ start, end }) => `between(t,${(start / 1000).toFixed(3)},${(end / 1000).toFixed(3)})`);
+    filters.push(`aselect='not(${ranges.join('+')})'`, 'asetpts=N/SR/TB');
+  }
+  if (steps.includes('normalizeLoudness')) {
+    filters.push(LOUDNESS_FILTER);
+  }
+  return filters;
+}
+
+// Map a time in the trimmed recording back onto the original. A time exactly at a cut is the
+// start of what follows it, unless it is the end of what came before.
+function toOriginalTime(ms, removedRanges, { isEnd = false } = {}) {
+  if (typeof ms !== 'number') return ms;
+  let removed = 0;
+  for (const range of removedRanges) {
+    const cutAt = range.start - removed;
+    if (isEnd ? ms <= cutAt : ms < cutAt) break;
+    removed += range.end - range.start;
+  }
+  return ms + removed;
+}
+
+function restoreSpan(item, removedRanges) {
+  return {
+    ...item,
+    start: toOriginalTime(item.start, removedRanges),
+    end: toOriginalTime(item.end, removedRanges, { isEnd: true })
+  };
+}
+
+// Shift every timed part of a normalized provider result from the trimmed recording back onto
+// the original recording's timeline
+export function restoreOriginalTimeline(result, removedRanges, originalDurationSec = null) {
+  if (!removedRanges || removedRanges.length === 0) return result;
+
+  const removedMs = removedRanges.reduce((sum, range) => sum + range.end - range.start, 0);
+  const restore = items => items?.map(item => restoreSpan(item, removedRanges));
+
+  return {
+    ...result,
+    words: restore(result.words) || [],
+    utterances: restore(result.utterances) || [],
+    ...(result.chapters ? { chapters: restore(result.chapters) } : {}),
+    ...(result.sentiments ? { sentiments: restore(result.sentiments) } : {}),
+    duration: originalDurationSec ?? (typeof result.duration === 'number' ? result.duration + removedMs / 1000 : result.duration)
+  };
+}
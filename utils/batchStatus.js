@@ -0,0 +1,23 @@
+// Where a batch of uploads stands, from its files. Kept free of server-only imports so the
+// batch page can recount as progress events arrive.
+
+export const MAX_BATCH_FILES = 200;
+
+// Counts per state: { total, expected, missing, processing, completed, failed, cancelled, done }.
+// `missing` are files the uploader meant to send that never arrived; `done` is true once
+// nothing is left processing.
+export function summarizeBatch(files, expected = files.length) {
+  const count = status => files.filter(file => file.status === status).length;
+  const summary = {
+    total: files.length,
+    expected: Math.max(expected, files.length),
+    processing: count('processing'),
+    completed: count('completed'),
+    failed: count('error'),
+    cancelled: count('cancelled'),
+  };
+  summary.missing = summary.expected - summary.total;
+  summary.done = summary.processing === 0;
+  return summary;
+}
+
@@ -0,0 +1,47 @@
+// Upload batches: many recordings uploaded together with one set of settings. The batch is
+// created before the first upload and every file of it carries `batchId`.
+//   { userId, name, fileCount, settings, createdAt }
+// `fileCount` is how many files the uploader meant to send, so the batch page can tell
+// uploads that never arrived apart from files still processing.
+import { ObjectId } from 'mongodb';
+
+export const BATCHES_COLLECTION = 'batches';
+
+let indexesEnsured = false;
+
+async function ensureBatchIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection('files').createIndex({ batchId: 1 }, { sparse: true });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create batch indexes:', error.message);
+  }
+}
+
+export async function createBatch(db, { userId, name, fileCount, settings }) {
+  await ensureBatchIndexes(db);
+  const batch = { userId, name, fileCount, settings, createdAt: new Date() };
+  const result = await db.collection(BATCHES_COLLECTION).insertOne(batch);
+  return { ...batch, _id: result.insertedId };
+}
+
+export async function getBatch(db, batchId, userId) {
+  if (!batchId || !ObjectId.isValid(batchId)) return null;
+  return db.collection(BATCHES_COLLECTION).findOne({ _id: new ObjectId(batchId), userId });
+}
+
+// Check the `batchId` an upload names. Returns { batchId } (null when none was given) or
+// { error } when it isn't one of the user's batches.
+export async function resolveUploadBatch(db, batchId, userId) {
+  if (!batchId) return { batchId: null };
+  const batch = await getBatch(db, batchId, userId);
+  return batch ? { batchId: batch._id.toString() } : { error: 'Unknown upload batch' };
+}
+
+export async function getBatchFiles(db, batchId, { projection = {} } = {}) {
+  return db.collection('files')
+    .find({ batchId }, { projection })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
@@ -0,0 +1,81 @@
+// Chapters: { title, gist, summary, start, end } with times in milliseconds.
+// Providers that detect chapters return them with the transcript; otherwise they are
+// generated by the LLM (utils/llm.js) from the transcript model's timed segments.
+import { formatTimestamp } from './transcriptModel.js';
+
+export const MIN_CHAPTER_AUDIO_MS = 3 * 60 * 1000; // Shorter recordings don't need chapters
+const MAX_PROMPT_LENGTH = 32000;
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value * 1000;
+  const parts = String(value || '').trim().split(':').map(Number);
+  if (parts.length === 0 || parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0) * 1000;
+}
+
+export function chaptersEnabled(settings = {}) {
+  return settings.autoChapters !== false;
+}
+
+// Sort, drop duplicates and make every chapter end where the next one starts
+export function finalizeChapters(chapters, totalEndMs) {
+  const sorted = chapters
+    .filter(chapter => chapter.title && Number.isFinite(chapter.start))
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, i, all) => i === 0 || chapter.start > all[i - 1].start);
+
+  return sorted.map((chapter, i) => ({
+    title: chapter.title.trim(),
+    gist: (chapter.gist || '').trim(),
+    summary: (chapter.summary || '').trim(),
+    start: Math.max(0, Math.round(chapter.start)),
+    end: Math.round(sorted[i + 1]?.start ?? Math.max(chapter.end || 0, totalEndMs || 0, chapter.start))
+  }));
+}
+
+export function getModelEndMs(model) {
+  const last = model.segments[model.segments.length - 1];
+  return Math.max(last?.end || 0, model.duration ? model.duration * 1000 : 0);
+}
+
+export function buildChapterPrompt(model, languageName) {
+  let transcript = '';
+  for (const segment of model.segments) {
+    const line = `[${formatTimestamp(segment.start)}] ${segment.translation || segment.text}\n`;
+    if (transcript.length + line.length > MAX_PROMPT_LENGTH) break;
+    transcript += line;
+  }
+
+  return `Split this timestamped transcript into chapters where the topic changes. Respond in ${languageName}.\n\n${transcript}\nReturn only a JSON array, 3 to 12 items, in order. Each item must look like:\n{"start": "HH:MM:SS", "title": "Short chapter title", "gist": "A few words", "summary": "One or two sentences"}\nThe first chapter starts at 00:00:00 and every start must be one of the timestamps above.`;
+}
+
+// Parse the LLM's JSON answer and snap chapter starts onto segment boundaries
+export function parseChapterResponse(text, model) {
+  const match = (text || '').match(/\[[\s\S]*\]/);
+  if (!match) return [];
+
+  let items;
+  try {
+    items = JSON.parse(match[0]);
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  const starts = model.segments.map(segment => segment.start);
+  const snap = (ms) => starts.reduce((best, start) => (start <= ms && start > best ? start : best), starts[0] ?? 0);
+
+  const chapters = items
+    .map(item => {
+      const start = parseTimestamp(item.start);
+      return start === null ? null : {
+        title: String(item.title || ''),
+        gist: String(item.gist || ''),
+        summary: String(item.summary || ''),
+        start: snap(start)
+      };
+    })
+    .filter(Boolean);
+
+  return finalizeChapters(chapters, getModelEndMs(model));
+}
@@ -0,0 +1,275 @@
+// Chunked transcription for recordings too large to send to a provider in one piece.
+// The audio track is extracted once with ffmpeg, cut into overlapping chunks that are
+// uploaded to R2 and transcribed in parallel, then stitched back into a single result.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadFile, deleteFile } from './storage.js';
+import { extractAudio, cutAudio, probeDuration } from './media.js';
+
+export const CHUNK_DURATION_SEC = 10 * 60; // 10 minutes
+export const CHUNK_OVERLAP_SEC = 15;
+export const CHUNK_CONCURRENCY = 4;
+
+const CHUNK_RESULTS_COLLECTION = 'transcription_chunks';
+const EXTRACT_TIMEOUT_MS = 2 * 60 * 60 * 1000; // All-day recordings take a while to decode
+
+// Chunk i covers [i * CHUNK_DURATION, (i + 1) * CHUNK_DURATION + CHUNK_OVERLAP]
+export function planChunks(durationSec) {
+  const count = Math.max(1, Math.ceil((durationSec - CHUNK_OVERLAP_SEC) / CHUNK_DURATION_SEC));
+  return Array.from({ length: count }, (_, index) => {
+    const startSec = index * CHUNK_DURATION_SEC;
+    const endSec = index === count - 1 ? durationSec : Math.min(startSec + CHUNK_DURATION_SEC + CHUNK_OVERLAP_SEC, durationSec);
+    return { index, startSec, durationSec: endSec - startSec };
+  });
+}
+
+function chunkKey(fileId, index) {
+  return `chunks/${fileId}/chunk-${String(index).padStart(3, '0')}.mp3`;
+}
+
+// Extract, cut and upload the chunks for a file. Returns the chunk list stored in job state.
+export async function splitIntoChunks(fileUrl, fileId) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ecouter-chunks-'));
+
+  try {
+    const audioPath = path.join(workDir, 'audio.mp3');
+    console.log(`✂️ Extracting audio track for chunked transcription of file ${fileId}...`);
+    await extractAudio(fileUrl, audioPath, { timeoutMs: EXTRACT_TIMEOUT_MS });
+
+    const durationSec = await probeDuration(audioPath);
+    const plan = planChunks(durationSec);
+    console.log(`✂️ Splitting ${Math.round(durationSec / 60)} minutes of audio into ${plan.length} chunks`);
+
+    const chunks = [];
+    for (const { index, startSec, durationSec: chunkDurationSec } of plan) {
+      const chunkPath = path.join(workDir, `chunk-${index}.mp3`);
+      await cutAudio(audioPath, chunkPath, startSec, chunkDurationSec);
+
+      const key = chunkKey(fileId, index);
+      const upload = await uploadFile(await fs.promises.readFile(chunkPath), key, 'audio/mpeg');
+      if (!upload.success) {
+        throw new Error(`Failed to upload chunk ${index}: ${upload.error}`);
+      }
+      await fs.promises.rm(chunkPath, { force: true });
+
+      chunks.push({
+        index,
+        offsetMs: Math.round(startSec * 1000),
+        durationMs: Math.round(chunkDurationSec * 1000),
+        key,
+        url: upload.url,
+        transcriptId: null,
+        status: 'pending',
+        submitAttempts: 0
+      });
+    }
+
+    return { chunks, durationSec };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Run `task` over `items` with at most `limit` in flight; resolves to allSettled-style results
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await task(items[i], i) };
+      } catch (error) {
+        results[i] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Chunk results can add up to megabytes for an all-day recording, so they live in their
+// own collection rather than on the job document.
+export async function saveChunkResult(db, jobId, index, result) {
+  await db.collection(CHUNK_RESULTS_COLLECTION).updateOne(
+    { jobId: jobId.toString(), index },
+    { $set: { result, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+export async function loadChunkResults(db, jobId) {
+  const docs = await db.collection(CHUNK_RESULTS_COLLECTION)
+    .find({ jobId: jobId.toString() })
+    .sort({ index: 1 })
+    .toArray();
+  return docs.map(doc => doc.result);
+}
+
+export async function cleanupChunks(db, jobId, chunks = []) {
+  await Promise.all(chunks.map(chunk => deleteFile(chunk.key)));
+  await db.collection(CHUNK_RESULTS_COLLECTION).deleteMany({ jobId: jobId.toString() });
+}
+
+function speakerLabel(n) {
+  return n < 26 ? String.fromCharCode(65 + n) : `S${n + 1}`;
+}
+
+// Diarization labels restart at "A" in every chunk. Match each chunk's local labels to the
+// global labels of the previous chunk by how much their words overlap in time inside the
+// shared overlap window; labels with no counterpart become new global speakers.
+function mapChunkSpeakers(previousWords, words, windowStart, windowEnd, state) {
+  const scores = new Map();
+  const inWindow = (word) => word.end > windowStart && word.start < windowEnd;
+  const previous = previousWords.filter(word => word.speaker && inWindow(word));
+
+  words.filter(word => word.speaker && inWindow(word)).forEach(word => {
+    previous.forEach(prev => {
+      const overlap = Math.min(word.end, prev.end) - Math.max(word.start, prev.start);
+      if (overlap <= 0) return;
+      const key = `${word.speaker}\u0000${prev.speaker}`;
+      scores.set(key, (scores.get(key) || 0) + overlap);
+    });
+  });
+
+  const mapping = new Map();
+  const usedGlobal = new Set();
+  [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key]) => {
+      const [local, global] = key.split('\u0000');
+      if (mapping.has(local) || usedGlobal.has(global)) return;
+      mapping.set(local, global);
+      usedGlobal.add(global);
+    });
+
+  const localSpeakers = [...new Set(words.map(word => word.speaker).filter(Boolean))];
+  localSpeakers.forEach(local => {
+    if (!mapping.has(local)) {
+      mapping.set(local, speakerLabel(state.nextSpeaker++));
+    }
+  });
+  return mapping;
+}
+
+// Assign every word the utterance it came from so turns can be rebuilt after stitching
+function tagWordsWithUtterances(result, chunkIndex) {
+  const utterances = result.utterances || [];
+  let u = 0;
+  return (result.words || []).map(word => {
+    while (u < utterances.length - 1 && word.start > utterances[u].end) u++;
+    const utterance = utterances[u];
+    const inside = utterance && word.start >= utterance.start && word.start <= utterance.end;
+    return { ...word, utteranceKey: inside ? `${chunkIndex}:${u}` : null, chunkIndex };
+  });
+}
+
+function buildUtterances(words) {
+  const utterances = [];
+  let current = null;
+
+  words.forEach(word => {
+    const continues = current
+      && current.speaker === word.speaker
+      // Turns that straddle a chunk seam are continuations of the same utterance
+      && (current.utteranceKey === word.utteranceKey || current.chunkIndex !== word.chunkIndex);
+
+    if (!continues) {
+      current = { speaker: word.speaker, start: word.start, end: word.end, words: [], utteranceKey: word.utteranceKey, chunkIndex: word.chunkIndex };
+      utterances.push(current);
+    }
+    current.words.push(word);
+    current.end = word.end;
+    current.utteranceKey = word.utteranceKey;
+    current.chunkIndex = word.chunkIndex;
+  });
+
+  return utterances.map(({ speaker, start, end, words: turnWords }) => {
+    const scored = turnWords.filter(word => typeof word.confidence === 'number');
+    return {
+      speaker,
+      start,
+      end,
+      text: turnWords.map(word => word.text).join(' '),
+      confidence: scored.length > 0 ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length : null
+    };
+  });
+}
+
+// Merge normalized chunk results into one normalized result. Words in an overlap window are
+// taken from the earlier chunk up to the middle of the window and from the later one after it.
+export function stitchChunkResults(chunks, results, { durationSec = null } = {}) {
+  const state = { nextSpeaker: 0 };
+  const stitchedWords = [];
+  const chapters = [];
+  const sentiments = [];
+  let previousWords = [];
+  let hasUtterances = false;
+
+  chunks.forEach((chunk, i) => {
+    const result = results[i] || {};
+    hasUtterances = hasUtterances || (result.utterances || []).length > 0;
+
+    const words = tagWordsWithUtterances(result, chunk.index).map(word => ({
+      ...word,
+      start: word.start + chunk.offsetMs,
+      end: word.end + chunk.offsetMs
+    }));
+
+    const windowStart = chunk.offsetMs;
+    const windowEnd = i > 0 ? chunks[i - 1].offsetMs + chunks[i - 1].durationMs : chunk.offsetMs;
+    const mapping = i === 0
+      ? mapChunkSpeakers([], words, 0, 0, state)
+      : mapChunkSpeakers(previousWords, words, windowStart, windowEnd, state);
+    const mappedWords = words.map(word => ({ ...word, speaker: word.speaker ? mapping.get(word.speaker) : null }));
+
+    const cutStart = i > 0 ? (windowStart + windowEnd) / 2 : -Infinity;
+    const next = chunks[i + 1];
+    const cutEnd = next ? (next.offsetMs + chunk.offsetMs + chunk.durationMs) / 2 : Infinity;
+
+    stitchedWords.push(...mappedWords.filter(word => word.start >= cutStart && word.start < cutEnd));
+    previousWords = mappedWords;
+
+    (result.chapters || []).forEach(chapter => {
+      const start = chapter.start + chunk.offsetMs;
+      if (start >= cutStart && start < cutEnd) {
+        chapters.push({ ...chapter, start, end: chapter.end + chunk.offsetMs });
+      }
+    });
+    (result.sentiments || []).forEach(sentence => {
+      const start = sentence.start + chunk.offsetMs;
+      if (start >= cutStart && start < cutEnd) {
+        // Chunk-local speaker labels are not mapped; the timeline takes speakers from segments
+        sentiments.push({ ...sentence, start, end: sentence.end + chunk.offsetMs, speaker: null });
+      }
+    });
+  });
+
+  const utterances = hasUtterances ? buildUtterances(stitchedWords) : [];
+  const words = stitchedWords.map(({ utteranceKey, chunkIndex, ...word }) => word);
+
+  const scored = words.filter(word => typeof word.confidence === 'number');
+  const chunkConfidences = results.map(result => result?.confidence).filter(value => typeof value === 'number');
+  const confidence = scored.length > 0
+    ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+    : (chunkConfidences.length > 0 ? chunkConfidences.reduce((sum, value) => sum + value, 0) / chunkConfidences.length : null);
+
+  const text = words.length > 0
+    ? words.map(word => word.text).join(' ')
+    : results.map(result => result?.text || '').filter(Boolean).join(' ');
+
+  return {
+    text,
+    words,
+    utterances,
+    chapters,
+    sentiments,
+    speakers: [...new Set(utterances.map(utterance => utterance.speaker).filter(Boolean))],
+    duration: durationSec ?? results.reduce((sum, result) => sum + (result?.duration || 0), 0),
+    confidence,
+    language: results.find(result => result?.language)?.language || null
+  };
+}
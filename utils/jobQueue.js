@@ -0,0 +1,386 @@
+// Persistent job queue backed by the MongoDB `jobs` collection.
+// Jobs survive server restarts: a worker claims a job with a time-limited lease,
+// and any job whose lease has expired (crashed or frozen instance) is picked up again.
+// An expired lease counts as a failed attempt, so a job that keeps killing its worker stops
+// once it reaches maxAttempts.
+import os from 'os';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000; // 10 minutes
+const BACKOFF_BASE_MS = 15 * 1000; // 15 seconds
+const BACKOFF_MAX_MS = 15 * 60 * 1000; // 15 minutes
+const LEASE_EXPIRED_ERROR = 'The worker running this job stopped before finishing';
+
+let indexesEnsured = false;
+
+export function getWorkerId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+async function ensureJobIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection('jobs').createIndex({ status: 1, runAt: 1 });
+    await db.collection('jobs').createIndex({ status: 1, lockedUntil: 1 });
+    await db.collection('jobs').createIndex({ fileId: 1, createdAt: -1 });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create job indexes:', error.message);
+  }
+}
+
+// Errors that retrying cannot fix (bad input, missing configuration) fail the job immediately
+export function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+// Push the lease out before a long-running step so no other worker reclaims the job
+export async function extendJobLease(db, job, leaseMs) {
+  const lockedUntil = new Date(Date.now() + leaseMs);
+  await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    { $set: { lockedUntil, updatedAt: new Date() } }
+  );
+  job.lockedUntil = lockedUntil;
+}
+
+// Exponential backoff: 15s, 30s, 1m, 2m, ... capped at 15 minutes
+export function getBackoffDelay(attemptNumber) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attemptNumber - 1, 0)), BACKOFF_MAX_MS);
+}
+
+export async function enqueueJob(db, { type, fileId = null, userId = null, payload = {}, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() }) {
+  await ensureJobIndexes(db);
+
+  const job = {
+    type,
+    fileId,
+    userId,
+    payload,
+    state: {},
+    status: JOB_STATUS.QUEUED,
+    attemptCount: 0,
+    maxAttempts,
+    attempts: [],
+    checks: 0,
+    runAt,
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const result = await db.collection('jobs').insertOne(job);
+  console.log(`📥 Queued ${type} job ${result.insertedId} for file ${fileId}`);
+  return { ...job, _id: result.insertedId };
+}
+
+// The claim as an update pipeline. Taking over a running job (its lease expired) records the
+// abandoned run as a failed attempt; every expression reads the job as it was before the claim.
+function claimUpdate(workerId, now, leaseMs) {
+  const abandoned = { $eq: ['$status', JOB_STATUS.RUNNING] };
+  const attemptCount = { $ifNull: ['$attemptCount', 0] };
+  return [{
+    $set: {
+      attemptCount: { $cond: [abandoned, { $add: [attemptCount, 1] }, attemptCount] },
+      attempts: {
+        $cond: [
+          abandoned,
+          {
+            $concatArrays: [{ $ifNull: ['$attempts', []] }, [{
+              number: { $add: [attemptCount, 1] },
+              workerId: '$lockedBy',
+              startedAt: '$claimedAt',
+              finishedAt: now,
+              outcome: 'error',
+              error: LEASE_EXPIRED_ERROR,
+            }]],
+          },
+          { $ifNull: ['$attempts', []] },
+        ],
+      },
+      lastError: { $cond: [abandoned, LEASE_EXPIRED_ERROR, '$lastError'] },
+      status: JOB_STATUS.RUNNING,
+      lockedBy: { $literal: workerId },
+      lockedUntil: new Date(now.getTime() + leaseMs),
+      claimedAt: now,
+      updatedAt: now,
+    },
+  }];
+}
+
+// Whether a claimed job already used up its attempts on workers that died mid-run
+function isOutOfAttempts(job) {
+  return (job.attemptCount || 0) >= (job.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+}
+
+// Atomically claim the next due job. A running job whose lease expired is treated as
+// abandoned by a dead worker and is resumed from its persisted state.
+export async function claimJob(db, { types, workerId = getWorkerId(), leaseMs = DEFAULT_LEASE_MS } = {}) {
+  await ensureJobIndexes(db);
+  const now = new Date();
+
+  const query = {
+    $or: [
+      { status: JOB_STATUS.QUEUED, runAt: { $lte: now } },
+      { status: JOB_STATUS.RUNNING, lockedUntil: { $lt: now } },
+    ],
+  };
+  if (types && types.length > 0) {
+    query.type = { $in: types };
+  }
+
+  return db.collection('jobs').findOneAndUpdate(
+    query,
+    claimUpdate(workerId, now, leaseMs),
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Claim a specific job, e.g. when a provider callback reports that its work is done.
+// Returns null if the job is finished or currently held by a live worker.
+export async function claimJobById(db, jobId, { workerId = getWorkerId(), leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const now = new Date();
+
+  return db.collection('jobs').findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: JOB_STATUS.QUEUED },
+        { status: JOB_STATUS.RUNNING, lockedUntil: { $lt: now } },
+      ],
+    },
+    claimUpdate(workerId, now, leaseMs),
+    { returnDocument: 'after' }
+  );
+}
+
+// The job is still in progress (e.g. waiting on a remote provider). Release the lease
+// and check again later without counting it as a failed attempt.
+export async function rescheduleJob(db, job, { delayMs, state = {} }) {
+  const set = {
+    status: JOB_STATUS.QUEUED,
+    runAt: new Date(Date.now() + delayMs),
+    lockedBy: null,
+    lockedUntil: null,
+    lastCheckedAt: new Date(),
+    updatedAt: new Date(),
+  };
+  for (const [key, value] of Object.entries(state)) {
+    set[`state.${key}`] = value;
+  }
+
+  await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    { $set: set, $inc: { checks: 1 } }
+  );
+}
+
+// Outcomes are only recorded while this worker still holds the job, so a job cancelled (or
+// reclaimed after its lease expired) mid-run is left as it is.
+export async function completeJob(db, job, { startedAt, result = null } = {}) {
+  await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: JOB_STATUS.COMPLETED,
+        result,
+        lockedBy: null,
+        lockedUntil: null,
+        completedAt: new Date(),
+        updatedAt: new Date(),
+      },
+      $inc: { attemptCount: 1 },
+      $push: {
+        attempts: {
+          number: (job.attemptCount || 0) + 1,
+          workerId: job.lockedBy,
+          startedAt: startedAt || new Date(),
+          finishedAt: new Date(),
+          outcome: 'completed',
+        },
+      },
+    }
+  );
+}
+
+// Record a failed attempt. Retries with backoff until maxAttempts is reached;
+// errors flagged `retryable = false` fail the job straight away.
+export async function failJob(db, job, error, { startedAt } = {}) {
+  const attemptNumber = (job.attemptCount || 0) + 1;
+  const retryable = error.retryable !== false && attemptNumber < (job.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  const set = {
+    lastError: error.message,
+    lockedBy: null,
+    lockedUntil: null,
+    updatedAt: new Date(),
+  };
+
+  if (retryable) {
+    set.status = JOB_STATUS.QUEUED;
+    set.runAt = new Date(Date.now() + getBackoffDelay(attemptNumber));
+  } else {
+    set.status = JOB_STATUS.FAILED;
+    set.failedAt = new Date();
+  }
+
+  const update = await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: set,
+      $inc: { attemptCount: 1 },
+      $push: {
+        attempts: {
+          number: attemptNumber,
+          workerId: job.lockedBy,
+          startedAt: startedAt || new Date(),
+          finishedAt: new Date(),
+          outcome: 'error',
+          error: error.message,
+        },
+      },
+    }
+  );
+
+  if (update.matchedCount === 0) {
+    console.log(`⏹️ Job ${job._id} was cancelled or reclaimed while running, dropping its error: ${error.message}`);
+    return { willRetry: false, recorded: false };
+  }
+
+  if (retryable) {
+    console.log(`🔁 Job ${job._id} attempt ${attemptNumber} failed, retrying at ${set.runAt.toISOString()}: ${error.message}`);
+  } else {
+    console.error(`❌ Job ${job._id} failed permanently after ${attemptNumber} attempt(s): ${error.message}`);
+  }
+
+  return { willRetry: retryable, recorded: true };
+}
+
+// Fail a job reclaimed after its last allowed attempt died with its worker, without running it
+async function failAbandonedJob(db, job) {
+  const update = await db.collection('jobs').updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: JOB_STATUS.FAILED,
+        lockedBy: null,
+        lockedUntil: null,
+        failedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    }
+  );
+  if (update.matchedCount > 0) {
+    console.error(`❌ Job ${job._id} failed permanently: its worker stopped on all ${job.attemptCount} attempt(s)`);
+  }
+  return update.matchedCount > 0;
+}
+
+// Stop a queued or running job. A worker in the middle of it finishes its current step, but
+// can no longer reschedule, complete or fail it. Returns the cancelled job, or null if it had
+// already finished.
+export async function cancelJob(db, jobId) {
+  return db.collection('jobs').findOneAndUpdate(
+    { _id: jobId, status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] } },
+    {
+      $set: {
+        status: JOB_STATUS.CANCELLED,
+        lockedBy: null,
+        lockedUntil: null,
+        cancelledAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+export async function getActiveJobForFile(db, fileId) {
+  return db.collection('jobs').findOne(
+    { fileId, status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] } },
+    { sort: { createdAt: -1 } }
+  );
+}
+
+export async function getNextRunAt(db, types) {
+  const query = { status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] } };
+  if (types && types.length > 0) {
+    query.type = { $in: types };
+  }
+  const next = await db.collection('jobs').find(query).sort({ runAt: 1 }).limit(1).toArray();
+  if (next.length === 0) return null;
+  const job = next[0];
+  return job.status === JOB_STATUS.RUNNING ? job.lockedUntil : job.runAt;
+}
+
+async function notifyFailed(db, handler, job, error) {
+  if (!handler.onFailed) return;
+  try {
+    await handler.onFailed(job, error, db);
+  } catch (callbackError) {
+    console.error(`⚠️ onFailed handler error for job ${job._id}:`, callbackError);
+  }
+}
+
+// Run a claimed job through its handler and record the outcome.
+// `handlers` maps a job type to { run(job, db), onFailed(job, error, db) }.
+// `run` returns { done: true, result } when finished or { done: false, delayMs, state } to check again later.
+export async function processJob(db, handlers, job) {
+  const handler = handlers[job.type];
+  const startedAt = new Date();
+
+  if (isOutOfAttempts(job)) {
+    if (await failAbandonedJob(db, job)) {
+      await notifyFailed(db, handler, job, new Error(job.lastError || LEASE_EXPIRED_ERROR));
+    }
+    return 'failed';
+  }
+
+  try {
+    const outcome = await handler.run(job, db);
+    if (outcome && outcome.done === false) {
+      await rescheduleJob(db, job, { delayMs: outcome.delayMs, state: outcome.state });
+      return 'waiting';
+    }
+    await completeJob(db, job, { startedAt, result: outcome?.result || null });
+    return 'completed';
+  } catch (error) {
+    const { willRetry, recorded } = await failJob(db, job, error, { startedAt });
+    if (willRetry) {
+      return 'retried';
+    }
+    if (recorded) {
+      await notifyFailed(db, handler, job, error);
+    }
+    return 'failed';
+  }
+}
+
+// Claim and run due jobs until none are left or the time budget is spent.
+export async function runJobs(db, handlers, { maxJobs = 20, timeBudgetMs = 50 * 1000, workerId = getWorkerId() } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const types = Object.keys(handlers);
+  const summary = { processed: 0, completed: 0, waiting: 0, failed: 0, retried: 0 };
+
+  while (summary.processed < maxJobs && Date.now() < deadline) {
+    const job = await claimJob(db, { types, workerId });
+    if (!job) break;
+
+    summary.processed++;
+    const outcome = await processJob(db, handlers, job);
+    summary[outcome]++;
+  }
+
+  return summary;
+}
@@ -0,0 +1,68 @@
+// Spoken-language identification for uploads set to auto-detect.
+// Short samples from the start, middle and end of the recording are run through the provider's
+// language identification before the real transcription is submitted, so features are gated on
+// the detected language. Samples that disagree flag the recording as mixed-language.
+//
+// Stored on the file as `detectedLanguage`:
+//   { code, confidence, mixed, languages: [{ code, share }], samples: [{ startMs, endMs, language, confidence }] }
+
+export const LANGUAGE_SAMPLE_MS = 45 * 1000;
+export const LANGUAGE_DETECTION_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Samples below this confidence count towards the primary language but cannot flag a mix
+const MIN_SAMPLE_CONFIDENCE = 0.5;
+
+export function planLanguageSamples(durationSec) {
+  const durationMs = Number.isFinite(durationSec) ? Math.round(durationSec * 1000) : null;
+
+  if (!durationMs || durationMs <= LANGUAGE_SAMPLE_MS * 3) {
+    return [{ startMs: 0, endMs: durationMs ? Math.min(durationMs, LANGUAGE_SAMPLE_MS) : LANGUAGE_SAMPLE_MS }];
+  }
+
+  const middle = Math.round(durationMs / 2 - LANGUAGE_SAMPLE_MS / 2);
+  return [
+    { startMs: 0, endMs: LANGUAGE_SAMPLE_MS },
+    { startMs: middle, endMs: middle + LANGUAGE_SAMPLE_MS },
+    { startMs: durationMs - LANGUAGE_SAMPLE_MS, endMs: durationMs }
+  ];
+}
+
+// Combine finished samples into the stored detection. Returns null when no sample identified a language.
+export function summarizeLanguageSamples(samples) {
+  const identified = samples.filter(sample => sample.language);
+  if (identified.length === 0) return null;
+
+  const weights = new Map();
+  identified.forEach(sample => {
+    weights.set(sample.language, (weights.get(sample.language) || 0) + (sample.confidence ?? MIN_SAMPLE_CONFIDENCE));
+  });
+  const totalWeight = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+  const languages = [...weights.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, weight]) => ({ code, share: Math.round((weight / totalWeight) * 100) / 100 }));
+
+  const primary = languages[0].code;
+  const primarySamples = identified.filter(sample => sample.language === primary && typeof sample.confidence === 'number');
+  const confidence = primarySamples.length > 0
+    ? Math.round((primarySamples.reduce((sum, sample) => sum + sample.confidence, 0) / primarySamples.length) * 100) / 100
+    : null;
+
+  const confidentLanguages = new Set(
+    identified
+      .filter(sample => (sample.confidence ?? 0) >= MIN_SAMPLE_CONFIDENCE)
+      .map(sample => sample.language)
+  );
+
+  return {
+    code: primary,
+    confidence,
+    mixed: confidentLanguages.size > 1,
+    languages,
+    samples: samples.map(({ startMs, endMs, language, confidence: sampleConfidence }) => ({
+      startMs,
+      endMs,
+      language: language || null,
+      confidence: sampleConfidence ?? null
+    }))
+  };
+}
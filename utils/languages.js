@@ -113,6 +113,28 @@ export const SUPPORTED_LANGUAGES = [
   { code: 'zu', name: 'Zulu', assemblyCode: 'en', needsTranslation: true },
 ];
 
+// Upload setting that asks for the spoken language to be identified instead of chosen
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+export function isAutoDetectLanguage(languageCode) {
+  return languageCode === AUTO_DETECT_LANGUAGE;
+}
+
+// Map a language reported by a provider ('en', 'en_us', 'pt-BR' or a name like 'english')
+// onto one of our supported codes. Returns null when it is not a language we support.
+export function resolveLanguageCode(value) {
+  if (!value || typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+
+  const byCode = SUPPORTED_LANGUAGES.find(lang => lang.code === normalized)
+    || SUPPORTED_LANGUAGES.find(lang => lang.code === normalized.split(/[-_]/)[0]);
+  if (byCode) return byCode.code;
+
+  const byName = SUPPORTED_LANGUAGES.find(lang => lang.name.toLowerCase() === normalized)
+    || SUPPORTED_LANGUAGES.find(lang => lang.name.toLowerCase().split(' (')[0] === normalized);
+  return byName ? byName.code : null;
+}
+
 // Get AssemblyAI language code from our language code
 export function getAssemblyLanguageCode(languageCode) {
   const language = SUPPORTED_LANGUAGES.find(lang => lang.code === languageCode);
@@ -121,7 +143,8 @@ export function getAssemblyLanguageCode(languageCode) {
 
 // Get available AssemblyAI features for a specific language
 export function getAvailableFeatures(languageCode) {
-  const assemblyCode = getAssemblyLanguageCode(languageCode);
+  // Until the language is detected only the features every language supports are safe
+  const assemblyCode = isAutoDetectLanguage(languageCode) ? null : getAssemblyLanguageCode(languageCode);
   
   // Features available by language (based on AssemblyAI documentation)
   const featureSupport = {
@@ -221,6 +244,7 @@ export function languageNeedsTranslation(languageCode) {
 
 // Get language name from code
 export function getLanguageName(languageCode) {
+  if (isAutoDetectLanguage(languageCode)) return 'Auto-detect';
   const language = SUPPORTED_LANGUAGES.find(lang => lang.code === languageCode);
   return language?.name || 'English';
 }
@@ -0,0 +1,79 @@
+// Live transcription sessions. A session is opened before the microphone starts streaming and
+// saved when the recording stops; the saved transcript is then read back by the `live`
+// transcription provider so the file goes through the normal pipeline (summary, chapters...).
+//   { userId, provider, language, status, createdAt, expiresAt, fileId, result, savedAt }
+// Sessions that are never saved expire through a TTL index on `expiresAt`.
+import { ObjectId } from 'mongodb';
+import { getStreamingProvider, getStreamingProviderName } from './streamingProviders/index.js';
+import { MAX_LIVE_DURATION_SEC } from './liveTranscription.js';
+
+export const LIVE_SESSIONS_COLLECTION = 'liveSessions';
+
+export const LIVE_SESSION_STATUS = {
+  ACTIVE: 'active',
+  SAVED: 'saved',
+};
+
+// Long enough to finish the recording and upload it
+const SESSION_TTL_MS = (MAX_LIVE_DURATION_SEC + 60 * 60) * 1000;
+
+let indexesEnsured = false;
+
+async function ensureLiveSessionIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(LIVE_SESSIONS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create live session indexes:', error.message);
+  }
+}
+
+function toObjectId(sessionId) {
+  return ObjectId.isValid(sessionId) ? new ObjectId(sessionId) : null;
+}
+
+// Open a session with the configured streaming adapter. Returns { sessionId, provider, url }.
+export async function startLiveSession(db, { userId, language, maxDurationSec = MAX_LIVE_DURATION_SEC }) {
+  const providerName = getStreamingProviderName();
+  const { url } = await getStreamingProvider(providerName).createSession({ language, maxDurationSec });
+
+  await ensureLiveSessionIndexes(db);
+  const now = new Date();
+  const result = await db.collection(LIVE_SESSIONS_COLLECTION).insertOne({
+    userId,
+    provider: providerName,
+    language,
+    status: LIVE_SESSION_STATUS.ACTIVE,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+  });
+
+  return { sessionId: result.insertedId.toString(), provider: providerName, url };
+}
+
+export async function getLiveSession(db, sessionId, userId) {
+  const _id = toObjectId(sessionId);
+  return _id ? db.collection(LIVE_SESSIONS_COLLECTION).findOne({ _id, userId }) : null;
+}
+
+// Store the session's transcript and the file it became. Only an active session can be saved,
+// so a second save of the same session returns false.
+export async function saveLiveSession(db, sessionId, { fileId, result }) {
+  const saved = await db.collection(LIVE_SESSIONS_COLLECTION).findOneAndUpdate(
+    { _id: new ObjectId(sessionId), status: LIVE_SESSION_STATUS.ACTIVE },
+    {
+      $set: { status: LIVE_SESSION_STATUS.SAVED, fileId, result, savedAt: new Date() },
+      $unset: { expiresAt: '' }
+    }
+  );
+  return !!saved;
+}
+
+export async function getLiveSessionResult(db, sessionId) {
+  const _id = toObjectId(sessionId);
+  const session = _id
+    ? await db.collection(LIVE_SESSIONS_COLLECTION).findOne({ _id }, { projection: { result: 1 } })
+    : null;
+  return session?.result || null;
+}
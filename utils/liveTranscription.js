@@ -0,0 +1,123 @@
+// Live microphone transcription, shared by the live page and the API. Kept free of server-only
+// imports. The browser streams 16-bit PCM to the WebSocket handed out by a streaming adapter
+// (see utils/streamingProviders) and every adapter speaks AssemblyAI's v3 streaming protocol:
+//   client -> server   binary PCM frames, then { type: 'Terminate' }
+//   server -> client   { type: 'Begin' }, { type: 'Turn', turn_order, transcript, words,
+//                      end_of_turn, turn_is_formatted }, { type: 'Termination', audio_duration_seconds }
+// A turn is re-sent as it grows and is final once it ends and has been formatted.
+
+export const LIVE_SAMPLE_RATE = 16000;
+
+// Languages the streaming models transcribe
+export const LIVE_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt'];
+
+// Upper bounds on what a saved session can contain
+export const MAX_LIVE_TURNS = 5000;
+export const MAX_LIVE_DURATION_SEC = 4 * 60 * 60;
+
+// Float samples from the microphone, downsampled to the streaming rate, as little-endian PCM16
+export function encodePcm16(samples, inputRate) {
+  const ratio = inputRate / LIVE_SAMPLE_RATE;
+  const length = Math.floor(samples.length / ratio);
+  const view = new DataView(new ArrayBuffer(length * 2));
+
+  for (let i = 0; i < length; i++) {
+    // Average the input samples that fold into each output sample
+    const from = Math.floor(i * ratio);
+    const to = Math.min(samples.length, Math.floor((i + 1) * ratio)) || from + 1;
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += samples[j];
+    const sample = Math.max(-1, Math.min(1, sum / Math.max(1, to - from)));
+    view.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+  return view.buffer;
+}
+
+// One message from the streaming socket as { type: 'begin' | 'turn' | 'end' | 'error', ... }.
+// Turns come back as { order, text, words, final }, word times in ms from the session start.
+export function parseStreamingMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return { type: 'error', error: 'Unreadable message from the transcription service' };
+  }
+
+  switch (message.type) {
+    case 'Begin':
+      return { type: 'begin', id: message.id || null };
+    case 'Turn':
+      return {
+        type: 'turn',
+        turn: {
+          order: message.turn_order,
+          text: message.transcript || '',
+          words: (message.words || []).map(word => ({
+            text: word.text,
+            start: word.start,
+            end: word.end,
+            confidence: word.confidence ?? null
+          })),
+          final: !!message.end_of_turn && !!message.turn_is_formatted
+        }
+      };
+    case 'Termination':
+      return { type: 'end', duration: message.audio_duration_seconds ?? null };
+    default:
+      return message.error ? { type: 'error', error: message.error } : { type: 'ignored' };
+  }
+}
+
+// Final turns posted by the live page, checked before they become a transcript.
+// Returns { turns } or { error }.
+export function parseLiveTurns(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Nothing was transcribed in this session' };
+  }
+  if (input.length > MAX_LIVE_TURNS) {
+    return { error: `A live session can have at most ${MAX_LIVE_TURNS} turns` };
+  }
+
+  const isTime = value => Number.isFinite(value) && value >= 0;
+  const turns = [];
+  for (const turn of input) {
+    if (typeof turn?.text !== 'string' || !Array.isArray(turn.words)) {
+      return { error: 'Invalid live transcript' };
+    }
+    const words = turn.words.filter(word => typeof word?.text === 'string' && isTime(word.start) && isTime(word.end));
+    if (turn.text.trim() && words.length > 0) {
+      turns.push({
+        text: turn.text.trim(),
+        words: words.map(word => ({
+          text: word.text,
+          start: Math.round(word.start),
+          end: Math.round(word.end),
+          confidence: Number.isFinite(word.confidence) ? word.confidence : null
+        }))
+      });
+    }
+  }
+  if (turns.length === 0) {
+    return { error: 'Nothing was transcribed in this session' };
+  }
+  return { turns };
+}
+
+// A provider result (see utils/transcriptionProviders/index.js) from a session's final turns.
+// Streaming doesn't label speakers, so each turn becomes an utterance without one.
+export function buildLiveResult(turns, { duration = null, language = 'en' } = {}) {
+  const words = turns.flatMap(turn => turn.words.map(word => ({ ...word, speaker: null })));
+  const scored = words.filter(word => word.confidence !== null);
+  const lastEnd = words.length > 0 ? words[words.length - 1].end : 0;
+
+  return {
+    text: turns.map(turn => turn.text).join(' '),
+    words,
+    utterances: [],
+    speakers: [],
+    duration: Math.ceil(Math.max(duration || 0, lastEnd / 1000)),
+    confidence: scored.length > 0 ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length : null,
+    language,
+    languageConfidence: null
+  };
+}
@@ -0,0 +1,114 @@
+// One client for every language model request: summaries, chapters, sentiment, chat and
+// analytics all go through generateText().
+//   LLM_PROVIDER     gemini (default), openai (any OpenAI-compatible server, e.g. Ollama) or mock
+//   LLM_MODELS       comma separated models to try in order (default: the provider's own list)
+//   LLM_TIMEOUT_MS   how long one request may take before it is retried (default 60s)
+//
+// Each model gets a few attempts; overloads (503), rate limits, server errors and timeouts are
+// retried with exponential backoff before falling back to the next model. Requests someone is
+// waiting on pass INTERACTIVE_LLM_OPTIONS instead, so they fail in seconds rather than minutes.
+// Token counts are added to the `usage` counter a caller passes (see createLlmUsage()).
+import { DEFAULT_LLM_PROVIDER, getLlmProvider } from './llmProviders/index.js';
+import { llmError } from './llmProviders/errors.js';
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Chat replies and summary regeneration: one short attempt per model, no backoff
+export const INTERACTIVE_LLM_OPTIONS = { timeoutMs: 15 * 1000, maxAttempts: 1 };
+
+export function getLlmProviderName() {
+  return process.env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER;
+}
+
+export function getLlmModels(provider = getLlmProvider(getLlmProviderName())) {
+  const configured = (process.env.LLM_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  return configured.length > 0 ? configured : provider.defaultModels;
+}
+
+export function isLlmConfigured() {
+  try {
+    return getLlmProvider(getLlmProviderName()).isConfigured();
+  } catch {
+    return false;
+  }
+}
+
+// Running totals for the requests made on behalf of one transcription or chat message
+export function createLlmUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+// Worth another attempt on the same model: no answer at all, a timeout, a rate limit or a
+// server-side failure. Other client errors (unknown model, unsupported option) skip to the next.
+function shouldRetry(error) {
+  return !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+function toMessages(input) {
+  return typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+}
+
+async function generateWithTimeout(provider, request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await provider.generate({ ...request, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw llmError(`${provider.name} (${request.model}) timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Generate a reply to `input`, a prompt or a list of { role, content } messages.
+// Returns { text, provider, model, inputTokens, outputTokens }; throws the last error when every
+// model failed.
+export async function generateText(input, {
+  temperature = 0.7,
+  maxOutputTokens = 1024,
+  usage = null,
+  models = null,
+  timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+  maxAttempts = MAX_ATTEMPTS,
+} = {}) {
+  const provider = getLlmProvider(getLlmProviderName());
+  const messages = toMessages(input);
+  let lastError = null;
+
+  for (const model of models || getLlmModels(provider)) {
+    console.log(`🔄 Trying model: ${provider.name}/${model}`);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await generateWithTimeout(provider, { model, messages, temperature, maxOutputTokens }, timeoutMs);
+        console.log(`✅ ${provider.name} response received from ${model} (${result.inputTokens} in / ${result.outputTokens} out tokens)`);
+        if (usage) {
+          usage.calls++;
+          usage.inputTokens += result.inputTokens;
+          usage.outputTokens += result.outputTokens;
+        }
+        return { ...result, provider: provider.name, model };
+      } catch (error) {
+        lastError = error;
+        if (error.retryable === false) {
+          throw error;
+        }
+        if (!shouldRetry(error) || attempt === maxAttempts) {
+          console.log(`Model ${model} failed (${error.message}), trying next model...`);
+          break;
+        }
+        const delay = Math.min(error.retryAfterMs || BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1), MAX_RETRY_DELAY_MS);
+        console.log(`${provider.name} (${model}) error, retrying in ${delay}ms (attempt ${attempt}/${maxAttempts}):`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError || llmError(`No ${provider.name} models configured`, { retryable: false });
+}
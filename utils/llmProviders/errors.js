@@ -0,0 +1,22 @@
+// Errors thrown by LLM providers. `status` is the HTTP status when the provider answered;
+// `retryable: false` stops utils/llm.js from trying again or falling back to another model.
+
+export function llmError(message, { status = null, retryable = true, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Error for a provider's non-ok HTTP response
+export async function responseError(providerName, model, response) {
+  const body = await response.text().catch(() => '');
+  const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+  return llmError(`${providerName} (${model}) error: ${response.status} - ${body.slice(0, 500)}`, {
+    status: response.status,
+    // A wrong key fails the same way for every model
+    retryable: response.status !== 401 && response.status !== 403,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+  });
+}
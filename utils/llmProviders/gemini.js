@@ -0,0 +1,69 @@
+// Google Gemini adapter (generateContent on the v1 REST API).
+//   GEMINI_API_KEY  API key from Google AI Studio
+import { llmError, responseError } from './errors.js';
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1/models';
+
+// Gemini has no system role on v1: system messages lead the first user turn instead
+function toContents(messages) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content);
+  const contents = messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }],
+    }));
+
+  if (system.length > 0 && contents.length > 0) {
+    contents[0].parts.unshift({ text: system.join('\n\n') });
+  }
+  return contents;
+}
+
+const geminiProvider = {
+  name: 'gemini',
+  defaultModels: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-1.0-pro'],
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  async generate({ model, messages, temperature, maxOutputTokens, signal }) {
+    if (!process.env.GEMINI_API_KEY) {
+      throw llmError('GEMINI_API_KEY is not configured', { retryable: false });
+    }
+
+    // Sent as a header so the key stays out of request URLs and the logs that record them
+    const response = await fetch(`${GEMINI_API_URL}/${model}:generateContent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': process.env.GEMINI_API_KEY },
+      body: JSON.stringify({
+        contents: toContents(messages),
+        generationConfig: {
+          temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens,
+        },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await responseError('Gemini', model, response);
+    }
+
+    const data = await response.json();
+    if (data.promptFeedback?.blockReason) {
+      throw llmError(`Gemini blocked the prompt: ${data.promptFeedback.blockReason}`, { status: 400, retryable: false });
+    }
+
+    return {
+      text: data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+      inputTokens: data.usageMetadata?.promptTokenCount || 0,
+      outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+    };
+  },
+};
+
+export default geminiProvider;
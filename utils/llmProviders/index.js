@@ -0,0 +1,37 @@
+// Language model provider registry, used through utils/llm.js.
+//
+// Every provider exposes the same interface:
+//   name            LLM_PROVIDER value that selects it
+//   defaultModels   models tried in order when LLM_MODELS isn't set
+//   isConfigured()  whether the credentials or endpoint it needs are set
+//   generate({ model, messages, temperature, maxOutputTokens, signal })
+//                   -> { text, inputTokens, outputTokens }
+//
+// `messages` is [{ role: 'system' | 'user' | 'assistant', content }]. A failed request throws an
+// llmError (errors.js): `status` is the HTTP status when the provider answered, and
+// `retryable: false` marks failures no other model or attempt can fix (bad credentials, a
+// blocked prompt).
+import geminiProvider from './gemini.js';
+import openAICompatibleProvider from './openaiCompatible.js';
+import mockProvider from './mock.js';
+import { llmError } from './errors.js';
+
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openAICompatibleProvider.name]: openAICompatibleProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+export const DEFAULT_LLM_PROVIDER = 'gemini';
+
+export function getLlmProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw llmError(`Unknown LLM provider: ${name}`, { retryable: false });
+  }
+  return provider;
+}
+
+export function listLlmProviders() {
+  return Object.keys(providers);
+}
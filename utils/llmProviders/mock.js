@@ -0,0 +1,51 @@
+// Deterministic mock for tests and offline runs: the same messages always get the same reply and
+// no request leaves the machine. Prompts that spell out a "LABEL: [...]" answer template (the
+// summary prompt does) get that template back filled in, so callers' parsers see a real shape.
+// Tests can swap the reply with setMockResponder().
+import crypto from 'crypto';
+
+const TEMPLATE_LINE = /^([A-Z][A-Z0-9 ]*[A-Z0-9]):\s*\[[^\]]*\]\s*$/gm;
+
+// Providers count tokens differently; four characters a token is close enough for accounting
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function defaultResponder({ model, messages }) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const digest = crypto.createHash('sha1').update(`${model}\n${prompt}`).digest('hex').slice(0, 8);
+  const labels = [...new Set([...prompt.matchAll(TEMPLATE_LINE)].map(match => match[1]))];
+
+  if (labels.length === 0) {
+    return `Mock response ${digest}.`;
+  }
+  return labels
+    .map(label => `${label}: Mock ${label.toLowerCase()} ${digest}.`)
+    .join('\n');
+}
+
+let responder = defaultResponder;
+
+// Replace the reply for tests: fn({ model, messages, temperature, maxOutputTokens }) returns the
+// text (or throws an llmError to simulate a failure). Call without arguments to restore.
+export function setMockResponder(fn = defaultResponder) {
+  responder = fn;
+}
+
+const mockProvider = {
+  name: 'mock',
+  defaultModels: ['mock-1'],
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate({ model, messages, temperature, maxOutputTokens }) {
+    const text = String(await responder({ model, messages, temperature, maxOutputTokens }));
+    return {
+      text,
+      inputTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+      outputTokens: estimateTokens(text),
+    };
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,58 @@
+// Adapter for OpenAI-compatible chat completion servers: OpenAI itself, or a local Ollama,
+// vLLM or llama.cpp server.
+//   OPENAI_COMPATIBLE_BASE_URL  API base URL, e.g. http://localhost:11434/v1 for Ollama
+//   OPENAI_COMPATIBLE_API_KEY   bearer token, when the server requires one
+import { llmError, responseError } from './errors.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function getBaseUrl() {
+  return (process.env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+const openAICompatibleProvider = {
+  name: 'openai',
+  defaultModels: ['llama3.1'],
+
+  // Local servers need no key, so the (default) base URL is all it takes
+  isConfigured() {
+    return true;
+  },
+
+  async generate({ model, messages, temperature, maxOutputTokens, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_COMPATIBLE_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_COMPATIBLE_API_KEY}`;
+    }
+
+    const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxOutputTokens,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await responseError('OpenAI-compatible server', model, response);
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') {
+      throw llmError(`${model} filtered the response`, { status: 400, retryable: false });
+    }
+
+    return {
+      text: choice?.message?.content || '',
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0,
+    };
+  },
+};
+
+export default openAICompatibleProvider;
@@ -0,0 +1,188 @@
+// ffmpeg/ffprobe helpers for server-side audio processing.
+//   FFMPEG_PATH   ffmpeg binary (defaults to `ffmpeg` on the PATH)
+//   FFPROBE_PATH  ffprobe binary (defaults to `ffprobe` on the PATH)
+import fs from 'fs';
+import { spawn } from 'child_process';
+
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
+
+// ffmpeg opens whatever an input names: file: paths, concat: lists, internal URLs, or playlists
+// that point at other URLs. Inputs are limited to a plain local file or an http(s) URL, read by
+// the demuxers of the media types uploads accept (no hls or concat).
+const REMOTE_PROTOCOLS = 'http,https,tcp,tls';
+const MEDIA_DEMUXERS = 'mp3,wav,flac,aac,mov,matroska,ogg,avi,mpegts,mpeg,asf';
+
+function inputArgs(input) {
+  const remote = /^https?:\/\//i.test(input);
+  return [
+    '-protocol_whitelist', remote ? REMOTE_PROTOCOLS : 'file',
+    '-format_whitelist', MEDIA_DEMUXERS,
+    '-i', input
+  ];
+}
+
+function runProcess(command, args, { timeoutMs = DEFAULT_TIMEOUT_MS, stderrLimit = 4000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: timeoutMs, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    // ffmpeg logs progress to stderr; keep only the tail for error messages
+    child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-stderrLimit); });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        const missing = new Error(`${command} is not installed or not on the PATH`);
+        missing.retryable = false;
+        return reject(missing);
+      }
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        return resolve({ stdout, stderr });
+      }
+      const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+      reject(new Error(`${command} ${reason}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+    });
+  });
+}
+
+export function runFfmpeg(args, options) {
+  return runProcess(process.env.FFMPEG_PATH || 'ffmpeg', ['-hide_banner', '-nostdin', '-y', ...args], options);
+}
+
+// Duration of a local file or URL in seconds
+export async function probeDuration(input) {
+  const { stdout } = await runProcess(process.env.FFPROBE_PATH || 'ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    ...inputArgs(input)
+  ], { timeoutMs: 5 * 60 * 1000 });
+
+  const duration = parseFloat(stdout.trim());
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not determine media duration for ${input}`);
+  }
+  return duration;
+}
+
+// Number of channels in the first audio stream of a local file or URL
+export async function probeAudioChannels(input) {
+  const { stdout } = await runProcess(process.env.FFPROBE_PATH || 'ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'a:0',
+    '-show_entries', 'stream=channels',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    ...inputArgs(input)
+  ], { timeoutMs: 5 * 60 * 1000 });
+
+  const channels = parseInt(stdout.trim(), 10);
+  if (!Number.isInteger(channels)) {
+    throw new Error(`Could not determine audio channels for ${input}`);
+  }
+  return channels;
+}
+
+// Decode any audio/video input (local path or URL) into a compact mono speech track.
+// `channel` keeps a single input channel (0 = left) instead of downmixing all of them.
+export function extractAudio(input, outputPath, { sampleRate = 16000, bitrate = '48k', channel = null, timeoutMs } = {}) {
+  const mono = channel === null ? ['-ac', '1'] : ['-af', `pan=mono|c0=c${channel}`];
+  return runFfmpeg([
+    ...inputArgs(input),
+    '-vn',
+    ...mono,
+    '-ar', String(sampleRate),
+    '-c:a', 'libmp3lame',
+    '-b:a', bitrate,
+    outputPath
+  ], { timeoutMs });
+}
+
+// Copy a time range out of an mp3 without re-encoding
+export function cutAudio(inputPath, outputPath, startSec, durationSec) {
+  return runFfmpeg([
+    '-ss', startSec.toFixed(3),
+    ...inputArgs(inputPath),
+    '-t', durationSec.toFixed(3),
+    '-c', 'copy',
+    outputPath
+  ], { timeoutMs: 10 * 60 * 1000 });
+}
+
+// Replace the given time ranges (ms) with a 1kHz tone. The filter graph grows with the number
+// of ranges, so it is passed to ffmpeg as a script file rather than on the command line.
+export async function beepAudio(input, outputPath, intervals, { timeoutMs } = {}) {
+  const ranges = intervals.map(({ start, end }) => `between(t,${(start / 1000).toFixed(3)},${(end / 1000).toFixed(3)})`);
+  const enabled = ranges.length > 0 ? ranges.join('+') : '0';
+  const graph = [
+    `[0:a]volume=0:enable='${enabled}'[muted]`,
+    `[1:a]volume=0:enable='not(${enabled})'[tone]`,
+    '[muted][tone]amix=inputs=2:duration=first:normalize=0[out]'
+  ].join(';');
+
+  const scriptPath = `${outputPath}.filter`;
+  await fs.promises.writeFile(scriptPath, graph);
+  try {
+    return await runFfmpeg([
+      ...inputArgs(input),
+      '-f', 'lavfi', '-i', 'sine=frequency=1000:sample_rate=44100',
+      '-filter_complex_script', scriptPath,
+      '-map', '[out]',
+      '-c:a', 'libmp3lame',
+      '-b:a', '128k',
+      outputPath
+    ], { timeoutMs });
+  } finally {
+    await fs.promises.rm(scriptPath, { force: true });
+  }
+}
+
+// Silent stretches of at least `minSilenceSec` below `noiseDb`, as [{ start, end }] in seconds.
+// A silence running to the end of the recording has `end: null`.
+export async function detectSilences(input, { noiseDb = -35, minSilenceSec = 2, timeoutMs } = {}) {
+  const { stderr } = await runFfmpeg([
+    '-nostats',
+    ...inputArgs(input),
+    '-vn',
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilenceSec}`,
+    '-f', 'null',
+    '-'
+  ], { timeoutMs, stderrLimit: Infinity });
+
+  const silences = [];
+  for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      silences.push({ start: time, end: null });
+    } else if (silences.length > 0 && silences[silences.length - 1].end === null) {
+      silences[silences.length - 1].end = time;
+    }
+  }
+  return silences;
+}
+
+// Re-encode a recording through an audio filter chain. Like beepAudio, the chain is passed as a
+// script file since silence trimming can make it long.
+export async function processAudio(input, outputPath, filters, { mono = false, timeoutMs } = {}) {
+  const scriptPath = `${outputPath}.filter`;
+  if (filters.length > 0) {
+    await fs.promises.writeFile(scriptPath, filters.join(','));
+  }
+  try {
+    return await runFfmpeg([
+      ...inputArgs(input),
+      '-vn',
+      ...(filters.length > 0 ? ['-filter_script:a', scriptPath] : []),
+      ...(mono ? ['-ac', '1'] : []),
+      '-c:a', 'libmp3lame',
+      '-b:a', '128k',
+      outputPath
+    ], { timeoutMs });
+  } finally {
+    await fs.promises.rm(scriptPath, { force: true });
+  }
+}
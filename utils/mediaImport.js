@@ -0,0 +1,370 @@
+// Server-side import of recordings that are already online (podcast episodes, public links,
+// intranet files). The import endpoint creates the file record and a durable `mediaImport` job;
+// the job downloads the media to a temp file, checks its type, size and the plan quota, stores
+// it in R2 and hands the file to the transcription pipeline (see utils/transcription.js).
+//
+// Only http(s) URLs are fetched, and only from hosts that resolve to public addresses: the
+// check runs on every connection, redirects included. Intranet hosts have to be listed in
+// MEDIA_IMPORT_ALLOWED_HOSTS (comma separated).
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ObjectId } from 'mongodb';
+import { enqueueJob, extendJobLease, permanentError } from './jobQueue.js';
+import { uploadFileFromDisk, deleteFile, sanitizeFileName } from './storage.js';
+import { probeDuration } from './media.js';
+import { MAX_UPLOAD_SIZE, SUPPORTED_UPLOAD_TYPES, needsChunkedTranscription } from './transcriptionSettings.js';
+import { getUserQuota, recordUsage, USAGE_METRICS } from './usage.js';
+import { getTranscriptionQuotaError } from './plans.js';
+import { createProgress } from './progress.js';
+import { reportProgress } from './progressEvents.js';
+
+export const MEDIA_IMPORT_JOB = 'mediaImport';
+
+const MAX_REDIRECTS = 5;
+const IDLE_TIMEOUT_MS = 60 * 1000; // A download that sends nothing for a minute has stalled
+const IMPORT_LEASE_MS = 2 * 60 * 60 * 1000; // Downloading and storing a multi-GB recording
+const PROGRESS_INTERVAL_MS = 5000;
+const USER_AGENT = 'Ecouter-Import/1.0';
+
+// Addresses a user-supplied URL must never reach: loopback, private networks, link-local
+// (cloud metadata endpoints), carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Servers often label media as a generic or legacy type
+const TYPE_ALIASES = {
+  'audio/x-mpeg': 'audio/mpeg',
+  'audio/mpeg3': 'audio/mpeg',
+  'audio/x-m4a': 'audio/m4a',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-aac': 'audio/aac',
+  'video/quicktime': 'video/mov',
+  'video/x-msvideo': 'video/avi',
+  'video/x-matroska': 'video/mkv',
+};
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/binary'];
+const EXTENSION_TYPES = {
+  mp3: 'audio/mpeg', wav: 'audio/wav', m4a: 'audio/m4a', flac: 'audio/flac', aac: 'audio/aac',
+  ogg: 'audio/ogg', oga: 'audio/ogg', opus: 'audio/ogg', weba: 'audio/webm',
+  mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/mov', avi: 'video/avi', mkv: 'video/mkv', webm: 'video/webm',
+};
+
+function getAllowedHosts() {
+  return (process.env.MEDIA_IMPORT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isBlockedAddress(address, family) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it is
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for outgoing requests: refuses to connect to blocked addresses, so a
+// public name can't be re-pointed at an internal one between the check and the connection
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!getAllowedHosts().includes(hostname.toLowerCase())
+      && addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      return callback(permanentError(`${hostname} points to a private network address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Validate a URL typed by a user. Returns { url } (a URL object) or { error }.
+export function parseImportUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return { error: 'Enter a valid URL starting with http:// or https://' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'Only http:// and https:// URLs can be imported' };
+  }
+  if (url.username || url.password) {
+    return { error: 'URLs with embedded credentials are not supported' };
+  }
+
+  // Addresses typed as IPs never go through the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  if (family && !getAllowedHosts().includes(host.toLowerCase()) && isBlockedAddress(host, family)) {
+    return { error: 'Private network addresses cannot be imported' };
+  }
+  return { url };
+}
+
+// Open a GET request, following redirects. Resolves to { response, url } for a 2xx response;
+// the caller consumes or destroys the response.
+function openUrl(value, { redirects = 0 } = {}) {
+  const { url, error } = parseImportUrl(value);
+  if (error) return Promise.reject(permanentError(error));
+
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup: guardedLookup,
+      timeout: IDLE_TIMEOUT_MS,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': '*/*' },
+    }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(permanentError('The URL redirects too many times'));
+        }
+        return resolve(openUrl(new URL(headers.location, url).toString(), { redirects: redirects + 1 }));
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        const failure = new Error(`${url.hostname} responded with HTTP ${statusCode}`);
+        // Missing or forbidden stays that way; server errors and rate limits may pass
+        if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429) {
+          failure.retryable = false;
+        }
+        return reject(failure);
+      }
+      resolve({ response, url: url.toString() });
+    });
+    request.on('timeout', () => request.destroy(new Error(`${url.hostname} stopped responding`)));
+    request.on('error', reject);
+  });
+}
+
+// Copies a response to `destination`, failing once more than `maxBytes` have arrived
+async function streamWithLimit(response, destination, maxBytes, { onData = () => {}, tooLargeMessage }) {
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return callback(permanentError(tooLargeMessage));
+      }
+      onData(received);
+      callback(null, chunk);
+    },
+  });
+  await pipeline(response, limit, destination);
+  return received;
+}
+
+// Fetch a small text document such as an RSS feed
+export async function fetchUrlText(value, { maxBytes = 5 * 1024 * 1024 } = {}) {
+  const { response, url } = await openUrl(value);
+  const chunks = [];
+  const collect = new Transform({
+    transform(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  await streamWithLimit(response, collect, maxBytes, { tooLargeMessage: 'The document is too large' });
+  return { url, text: Buffer.concat(chunks).toString('utf8') };
+}
+
+// One of SUPPORTED_UPLOAD_TYPES for a response's Content-Type, falling back to the extension
+// of `fileName` (see getImportFileName) when the server only says "binary". Null when the
+// media isn't supported.
+export function resolveMediaType(contentType, fileName) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const normalized = TYPE_ALIASES[type] || type;
+  if (SUPPORTED_UPLOAD_TYPES.includes(normalized)) return normalized;
+  if (!GENERIC_TYPES.includes(type)) return null;
+
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+// A storage-safe file name from Content-Disposition or the URL path
+export function getImportFileName(url, contentDisposition = '') {
+  const fromHeader = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(contentDisposition || '')?.[1];
+  let name = fromHeader || '';
+  if (!name) {
+    try {
+      name = path.basename(new URL(url).pathname);
+    } catch {
+      name = '';
+    }
+  }
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the raw name
+  }
+  return sanitizeFileName(name, 'imported-media');
+}
+
+// Look at a URL before importing it: follows redirects and reads the headers only.
+// Returns { url, name, type, size } where size is null when the server doesn't say; throws an
+// error with `retryable === false` when the URL can't be imported.
+export async function inspectMediaUrl(value) {
+  const { response, url } = await openUrl(value);
+  response.destroy();
+
+  let name = getImportFileName(url, response.headers['content-disposition']);
+  const type = resolveMediaType(response.headers['content-type'], name);
+  if (!type) {
+    throw permanentError(`The URL does not point to a supported audio or video file (${response.headers['content-type'] || 'unknown type'})`);
+  }
+  const size = Number(response.headers['content-length']) || null;
+  if (size && size > MAX_UPLOAD_SIZE) {
+    throw permanentError('The file is larger than the 5GB import limit');
+  }
+
+  if (!path.extname(name)) {
+    const extension = Object.keys(EXTENSION_TYPES).find(key => EXTENSION_TYPES[key] === type);
+    name = extension ? `${name}.${extension}` : name;
+  }
+  return { url, name, type, size };
+}
+
+export async function loadImportUser(db, userId) {
+  const query = ObjectId.isValid(userId)
+    ? { $or: [{ _id: new ObjectId(userId) }, { id: userId }] }
+    : { $or: [{ _id: userId }, { id: userId }] };
+  return db.collection('users').findOne(query);
+}
+
+// Create the file record for an import and queue its download. `source` is 'url' or 'rss';
+// `origin` describes where it came from (e.g. the feed and episode). Returns { fileId, job }.
+export async function queueMediaImport(db, { userId, sourceUrl, name, type, size = null, settings, source = 'url', origin = null }) {
+  const fileRecord = {
+    userId,
+    name,
+    // The declared size counts towards storage until the download tells the real one
+    size: size || 0,
+    type,
+    source,
+    sourceUrl,
+    origin,
+    status: 'processing',
+    progress: createProgress('importing'),
+    settings,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const result = await db.collection('files').insertOne(fileRecord);
+  const fileId = result.insertedId.toString();
+  const job = await enqueueJob(db, {
+    type: MEDIA_IMPORT_JOB,
+    fileId,
+    userId,
+    payload: { sourceUrl, settings },
+    maxAttempts: 4,
+  });
+  await db.collection('files').updateOne({ _id: result.insertedId }, { $set: { jobId: job._id.toString() } });
+
+  console.log(`🌐 Queued import of ${sourceUrl} as file ${fileId}`);
+  return { fileId, job };
+}
+
+// Download one import into R2. Returns { url, key, size, type, duration, settings }, or
+// { skipped } when the file was deleted meanwhile. The settings are the requested ones with
+// chunking decided on the real size. A retry after the media was stored doesn't download it again.
+export async function runMediaImportJob(job, db) {
+  const fileId = job.fileId;
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) });
+  if (!file) {
+    console.log(`🗑️ File ${fileId} no longer exists, dropping import job ${job._id}`);
+    return { skipped: true };
+  }
+  if (file.key) {
+    return { url: file.url, key: file.key, size: file.size, type: file.type, duration: file.duration || null, settings: file.settings };
+  }
+
+  const user = await loadImportUser(db, job.userId);
+  if (!user) {
+    throw permanentError('The account that started this import no longer exists');
+  }
+
+  await extendJobLease(db, job, IMPORT_LEASE_MS);
+  await reportProgress(db, fileId, 'importing', { message: 'Downloading from the source URL' });
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ecouter-import-'));
+  try {
+    const { response, url } = await openUrl(job.payload.sourceUrl);
+    const type = resolveMediaType(response.headers['content-type'], getImportFileName(url, response.headers['content-disposition']));
+    if (!type) {
+      response.destroy();
+      throw permanentError(`The URL no longer points to a supported audio or video file (${response.headers['content-type'] || 'unknown type'})`);
+    }
+    const declaredSize = Number(response.headers['content-length']) || null;
+
+    let lastReport = Date.now();
+    const filePath = path.join(workDir, 'media');
+    const size = await streamWithLimit(response, fs.createWriteStream(filePath), MAX_UPLOAD_SIZE, {
+      tooLargeMessage: 'The file is larger than the 5GB import limit',
+      onData: (received) => {
+        if (!declaredSize || Date.now() - lastReport < PROGRESS_INTERVAL_MS) return;
+        lastReport = Date.now();
+        reportProgress(db, fileId, 'importing', { stageProgress: received / declaredSize, message: 'Downloading from the source URL' });
+      },
+    });
+    if (declaredSize && size !== declaredSize) {
+      throw new Error(`Download ended after ${size} of ${declaredSize} bytes`);
+    }
+    if (size === 0) {
+      throw permanentError('The URL returned an empty file');
+    }
+
+    let duration = null;
+    try {
+      duration = await probeDuration(filePath);
+    } catch (error) {
+      console.warn(`⚠️ Could not read the duration of imported file ${fileId}:`, error.message);
+    }
+
+    // The plan is checked against the real size; the record already counts the declared one
+    const quota = await getUserQuota(db, user);
+    const quotaError = getTranscriptionQuotaError(quota, size - (file.size || 0), duration);
+    if (quotaError) {
+      throw permanentError(quotaError);
+    }
+
+    const key = `${job.userId}/${Date.now()}_${file.name}`;
+    const upload = await uploadFileFromDisk(filePath, key, type, size);
+    if (!upload.success) {
+      throw new Error(`Failed to store the imported file: ${upload.error}`);
+    }
+
+    const settings = { ...job.payload.settings, chunked: needsChunkedTranscription(size) };
+    const stored = await db.collection('files').updateOne(
+      { _id: file._id },
+      { $set: { url: upload.url, key: upload.key, size, type, settings, ...(duration ? { duration } : {}), updatedAt: new Date() } }
+    );
+    if (stored.matchedCount === 0) {
+      // Deleted while downloading
+      await deleteFile(upload.key);
+      return { skipped: true };
+    }
+    await recordUsage(db, { userId: job.userId, metric: USAGE_METRICS.STORAGE_BYTES, quantity: size, fileId, source: 'import' });
+
+    console.log(`✅ Imported ${url} (${size} bytes) as file ${fileId}`);
+    return { url: upload.url, key: upload.key, size, type, duration, settings };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,140 @@
+// Multichannel transcription for call recordings with one speaker per channel.
+// Each channel is extracted into its own mono track, transcribed like a chunk of a chunked job,
+// and the results are merged into one time-ordered transcript with a speaker per channel.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadFile } from './storage.js';
+import { extractAudio, probeAudioChannels, probeDuration } from './media.js';
+import { permanentError } from './jobQueue.js';
+import { MAX_CHANNELS, getChannelName } from './transcriptionSettings.js';
+
+const EXTRACT_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour per channel
+const TURN_GAP_MS = 1500; // A pause this long on a channel starts a new turn
+
+function channelKey(fileId, channel) {
+  return `chunks/${fileId}/channel-${channel + 1}.mp3`;
+}
+
+function channelSpeaker(channel) {
+  return String.fromCharCode(65 + channel);
+}
+
+// Extract and upload one track per channel. Returns the same { chunks, durationSec } shape as
+// splitIntoChunks so the chunked job can submit and poll the channels.
+export async function splitIntoChannels(fileUrl, fileId) {
+  const channelCount = await probeAudioChannels(fileUrl);
+  if (channelCount < 2) {
+    throw permanentError('Multichannel transcription needs a recording with at least two audio channels');
+  }
+  if (channelCount > MAX_CHANNELS) {
+    throw permanentError(`Multichannel transcription supports at most ${MAX_CHANNELS} channels, this recording has ${channelCount}`);
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ecouter-channels-'));
+  try {
+    console.log(`🎚️ Splitting file ${fileId} into ${channelCount} channels...`);
+    const chunks = [];
+    let durationSec = null;
+
+    for (let channel = 0; channel < channelCount; channel++) {
+      const channelPath = path.join(workDir, `channel-${channel}.mp3`);
+      await extractAudio(fileUrl, channelPath, { channel, timeoutMs: EXTRACT_TIMEOUT_MS });
+      if (durationSec === null) {
+        durationSec = await probeDuration(channelPath);
+      }
+
+      const key = channelKey(fileId, channel);
+      const upload = await uploadFile(await fs.promises.readFile(channelPath), key, 'audio/mpeg');
+      if (!upload.success) {
+        throw new Error(`Failed to upload channel ${channel + 1}: ${upload.error}`);
+      }
+      await fs.promises.rm(channelPath, { force: true });
+
+      chunks.push({
+        index: channel,
+        channel,
+        offsetMs: 0,
+        durationMs: Math.round(durationSec * 1000),
+        key,
+        url: upload.url,
+        transcriptId: null,
+        status: 'pending',
+        submitAttempts: 0
+      });
+    }
+
+    return { chunks, durationSec };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Group one channel's words into turns separated by pauses
+function channelTurns(result, speaker) {
+  const words = (result.words || []).filter(word => word.text);
+  if (words.length === 0) {
+    return (result.utterances || []).map(utterance => ({ ...utterance, speaker, words: [] }));
+  }
+
+  const turns = [];
+  let current = null;
+  words.forEach(word => {
+    if (!current || word.start - current.end >= TURN_GAP_MS) {
+      current = { speaker, start: word.start, end: word.end, words: [] };
+      turns.push(current);
+    }
+    current.words.push({ ...word, speaker });
+    current.end = word.end;
+  });
+
+  return turns.map(turn => {
+    const scored = turn.words.filter(word => typeof word.confidence === 'number');
+    return {
+      ...turn,
+      text: turn.words.map(word => word.text).join(' '),
+      confidence: scored.length > 0 ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length : null
+    };
+  });
+}
+
+// Merge per-channel results into one normalized result. Turns are ordered by start time, so a
+// short interjection on one channel follows the turn it interrupted rather than splitting it.
+export function mergeChannelResults(chunks, results, { channelNames = [], durationSec = null } = {}) {
+  const speakerNames = {};
+  const turns = [];
+  const sentiments = [];
+
+  chunks.forEach((chunk, i) => {
+    const result = results[i] || {};
+    const speaker = channelSpeaker(chunk.channel);
+    speakerNames[speaker] = getChannelName(channelNames, chunk.channel);
+    turns.push(...channelTurns(result, speaker));
+    (result.sentiments || []).forEach(sentence => sentiments.push({ ...sentence, speaker }));
+  });
+
+  turns.sort((a, b) => a.start - b.start || a.end - b.end);
+  sentiments.sort((a, b) => a.start - b.start);
+
+  const words = turns.flatMap(turn => turn.words);
+  const utterances = turns.map(({ words: turnWords, ...utterance }) => utterance);
+
+  const scored = words.filter(word => typeof word.confidence === 'number');
+  const channelConfidences = results.map(result => result?.confidence).filter(value => typeof value === 'number');
+  const confidence = scored.length > 0
+    ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+    : (channelConfidences.length > 0 ? channelConfidences.reduce((sum, value) => sum + value, 0) / channelConfidences.length : null);
+
+  return {
+    text: utterances.map(utterance => utterance.text).join(' '),
+    words,
+    utterances,
+    sentiments,
+    speakers: [...new Set(utterances.map(utterance => utterance.speaker))],
+    speakerNames,
+    duration: durationSec ?? Math.max(0, ...results.map(result => result?.duration || 0)),
+    confidence,
+    language: results.find(result => result?.language)?.language || null,
+    languageConfidence: results.find(result => result?.language)?.languageConfidence ?? null
+  };
+}
@@ -0,0 +1,130 @@
+// Plan entitlements and the billing-period arithmetic shared by the usage ledger, the upload
+// endpoints, the dashboard and the pricing page. Kept free of server-only imports.
+// Limits are per billing period except storage, which is the total kept at any time.
+// A null limit is unlimited.
+
+export const DEFAULT_PLAN = 'free';
+export const OVERAGE_RATE_PER_HOUR = 2; // USD per transcribed hour past the plan allowance
+
+const GB = 1024 * 1024 * 1024;
+
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    transcriptionMinutes: 2 * 60,
+    storageBytes: 1 * GB,
+    // AI chat and summary regeneration are paid features; the summary written with each
+    // transcription doesn't count against this
+    aiCalls: 0,
+    // Free accounts stop at their allowance instead of running into paid overage
+    overage: false,
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    transcriptionMinutes: 20 * 60,
+    storageBytes: 25 * GB,
+    aiCalls: 2000,
+    overage: true,
+  },
+  business: {
+    id: 'business',
+    name: 'Business',
+    transcriptionMinutes: 100 * 60,
+    storageBytes: 100 * GB,
+    aiCalls: 10000,
+    overage: true,
+  },
+  enterprise: {
+    id: 'enterprise',
+    name: 'Enterprise',
+    transcriptionMinutes: null,
+    storageBytes: null,
+    aiCalls: null,
+    overage: false,
+  },
+};
+
+export function getPlan(planId) {
+  return PLANS[planId] || PLANS[DEFAULT_PLAN];
+}
+
+// Billing periods are calendar months in UTC, keyed `YYYY-MM`
+export function getBillingPeriod(date = new Date()) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+export function getPeriodBounds(period) {
+  const [year, month] = period.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, month - 1, 1)),
+    end: new Date(Date.UTC(year, month, 1)),
+  };
+}
+
+function meter(used, limit) {
+  if (limit === null) {
+    return { used, limit: null, remaining: null, percentage: 0 };
+  }
+  return {
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    percentage: limit > 0 ? Math.min(100, Math.round((used / limit) * 100)) : 100,
+  };
+}
+
+// Remaining quota for a plan given the period's usage:
+//   usage = { transcriptionSeconds, aiCalls, storageBytes }
+export function summarizeQuota(plan, usage, period = getBillingPeriod()) {
+  const minutesUsed = Math.ceil((usage.transcriptionSeconds || 0) / 60);
+  const minutes = meter(minutesUsed, plan.transcriptionMinutes);
+  const overageMinutes = plan.overage && plan.transcriptionMinutes !== null
+    ? Math.max(0, minutesUsed - plan.transcriptionMinutes)
+    : 0;
+
+  return {
+    plan: { id: plan.id, name: plan.name, overage: plan.overage },
+    period,
+    resetsAt: getPeriodBounds(period).end,
+    minutes: {
+      ...minutes,
+      overage: overageMinutes,
+      overageCost: Math.round(overageMinutes * OVERAGE_RATE_PER_HOUR / 60 * 100) / 100,
+    },
+    storage: meter(usage.storageBytes || 0, plan.storageBytes),
+    aiCalls: meter(usage.aiCalls || 0, plan.aiCalls),
+  };
+}
+
+// Why a new transcription of `fileSize` bytes and `mediaDuration` seconds can't start, or null
+// when it can. Without a known duration only an exhausted allowance stops it.
+export function getTranscriptionQuotaError(quota, fileSize = 0, mediaDuration = null) {
+  const { minutes, storage } = quota;
+  if (storage.limit !== null && storage.used + fileSize > storage.limit) {
+    return `This upload would exceed the ${quota.plan.name} plan's storage limit. Delete some files or upgrade your plan.`;
+  }
+  if (minutes.limit === null || quota.plan.overage) {
+    return null;
+  }
+  if (minutes.remaining === 0) {
+    return `You have used all ${minutes.limit} transcription minutes of the ${quota.plan.name} plan this month. Upgrade your plan to keep transcribing.`;
+  }
+  const neededMinutes = mediaDuration ? Math.ceil(mediaDuration / 60) : 0;
+  if (minutes.used + neededMinutes > minutes.limit) {
+    return `This recording is ${neededMinutes} minutes long but only ${minutes.remaining} transcription minutes of the ${quota.plan.name} plan are left this month. Upgrade your plan to transcribe it.`;
+  }
+  return null;
+}
+
+export function getAiQuotaError(quota) {
+  const { aiCalls } = quota;
+  if (aiCalls.limit === 0) {
+    return `AI requests aren't included in the ${quota.plan.name} plan. Upgrade your plan to use them.`;
+  }
+  if (aiCalls.limit !== null && aiCalls.remaining === 0) {
+    return `You have used all ${aiCalls.limit} AI requests of the ${quota.plan.name} plan this month. Upgrade your plan for more.`;
+  }
+  return null;
+}
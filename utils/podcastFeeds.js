@@ -0,0 +1,283 @@
+// Podcast (RSS) subscriptions. Subscribing imports the newest episodes right away; after that a
+// recurring `feedPoll` job per subscription checks the feed every hour and imports episodes it
+// hasn't seen, through the same path as a URL import (utils/mediaImport.js).
+//   { userId, feedUrl, title, settings, seenGuids, jobId, lastCheckedAt, lastError,
+//     importedCount, createdAt, updatedAt }
+// `seenGuids` holds the episodes already imported or skipped; claiming a guid with an atomic
+// update is what keeps two polls from importing the same episode twice.
+import { ObjectId } from 'mongodb';
+import { enqueueJob, cancelJob, permanentError } from './jobQueue.js';
+import { fetchUrlText, resolveMediaType, getImportFileName, queueMediaImport, loadImportUser } from './mediaImport.js';
+import { getUserQuota } from './usage.js';
+import { getTranscriptionQuotaError } from './plans.js';
+
+export const FEED_SUBSCRIPTIONS_COLLECTION = 'feedSubscriptions';
+export const FEED_POLL_JOB = 'feedPoll';
+
+export const MAX_SUBSCRIPTIONS = 20;
+export const MAX_IMPORT_LATEST = 5;
+const FEED_POLL_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_EPISODES_PER_POLL = 10;
+// Only the newest episodes of a feed are considered; the seen list is kept well above that
+const MAX_FEED_EPISODES = 500;
+const MAX_SEEN_GUIDS = 2000;
+
+let indexesEnsured = false;
+
+async function ensureFeedIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).createIndex({ userId: 1, feedUrl: 1 }, { unique: true });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create feed subscription indexes:', error.message);
+  }
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+      if (code[0] !== '#') return XML_ENTITIES[code.toLowerCase()];
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    })
+    .trim();
+}
+
+function readTag(xml, tag) {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+function readAttribute(element, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(element);
+  return match ? decodeXml(match[2] ?? match[3]) : null;
+}
+
+// Read an RSS 2.0 feed. Returns { title, episodes } with episodes newest first as
+// { guid, title, url, type, size, publishedAt }, or { error } when it isn't an RSS feed.
+// Items without an audio or video enclosure are left out.
+export function parseFeed(xml) {
+  if (typeof xml !== 'string' || !/<rss[\s>]/i.test(xml) || !/<channel[\s>]/i.test(xml)) {
+    return { error: 'The URL is not an RSS feed' };
+  }
+
+  const channel = xml.split(/<item[\s>]/i)[0];
+  const episodes = [];
+  for (const [item] of xml.matchAll(/<item[\s>][\s\S]*?<\/item>/gi)) {
+    const enclosure = /<enclosure\b[^>]*>/i.exec(item)?.[0];
+    const url = enclosure ? readAttribute(enclosure, 'url') : null;
+    const type = url ? resolveMediaType(readAttribute(enclosure, 'type'), getImportFileName(url)) : null;
+    if (!type) continue;
+
+    const publishedAt = new Date(readTag(item, 'pubDate') || NaN);
+    episodes.push({
+      guid: readTag(item, 'guid') || url,
+      title: readTag(item, 'title') || getImportFileName(url),
+      url,
+      type,
+      size: Number(readAttribute(enclosure, 'length')) || null,
+      publishedAt: Number.isNaN(publishedAt.getTime()) ? null : publishedAt,
+    });
+  }
+
+  // Feeds list newest first by convention, but not all of them do
+  if (episodes.every(episode => episode.publishedAt)) {
+    episodes.sort((a, b) => b.publishedAt - a.publishedAt);
+  }
+  return { title: readTag(channel, 'title') || 'Untitled podcast', episodes };
+}
+
+async function loadFeed(feedUrl) {
+  const { text } = await fetchUrlText(feedUrl);
+  const feed = parseFeed(text);
+  if (feed.error) {
+    throw permanentError(feed.error);
+  }
+  return { ...feed, episodes: feed.episodes.slice(0, MAX_FEED_EPISODES) };
+}
+
+function getEpisodeFileName(episode) {
+  const extension = getImportFileName(episode.url).match(/\.\w+$/)?.[0] || '';
+  const title = episode.title.replace(/[^\w.\- ]+/g, '_').trim().slice(0, 150) || 'episode';
+  return title.endsWith(extension) ? title : `${title}${extension}`;
+}
+
+// Claim the episode on the subscription and queue its import; false when it was already seen
+async function importEpisode(db, subscription, episode) {
+  const claimed = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).updateOne(
+    { _id: subscription._id, seenGuids: { $ne: episode.guid } },
+    { $push: { seenGuids: { $each: [episode.guid], $slice: -MAX_SEEN_GUIDS } }, $inc: { importedCount: 1 } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  await queueMediaImport(db, {
+    userId: subscription.userId,
+    sourceUrl: episode.url,
+    name: getEpisodeFileName(episode),
+    type: episode.type,
+    size: episode.size,
+    settings: subscription.settings,
+    source: 'rss',
+    origin: {
+      feedId: subscription._id.toString(),
+      feedTitle: subscription.title,
+      episodeGuid: episode.guid,
+      episodeTitle: episode.title,
+      publishedAt: episode.publishedAt,
+    },
+  });
+  return true;
+}
+
+// Import `episodes` (newest first) oldest first, unless the plan has no room left
+async function importEpisodes(db, subscription, episodes) {
+  if (episodes.length === 0) return 0;
+
+  const user = await loadImportUser(db, subscription.userId);
+  if (!user) return 0;
+  const quotaError = getTranscriptionQuotaError(await getUserQuota(db, user), 0);
+  if (quotaError) {
+    // Left unseen, so they are picked up once the plan has room again
+    throw new Error(quotaError);
+  }
+
+  let imported = 0;
+  for (const episode of [...episodes].reverse()) {
+    if (await importEpisode(db, subscription, episode)) {
+      imported++;
+    }
+  }
+  return imported;
+}
+
+export function toSubscriptionResponse(subscription) {
+  return {
+    id: subscription._id.toString(),
+    feedUrl: subscription.feedUrl,
+    title: subscription.title,
+    importedCount: subscription.importedCount || 0,
+    lastCheckedAt: subscription.lastCheckedAt || null,
+    lastError: subscription.lastError || null,
+    createdAt: subscription.createdAt,
+  };
+}
+
+export async function listSubscriptions(db, userId) {
+  const subscriptions = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION)
+    .find({ userId }, { projection: { seenGuids: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return subscriptions.map(toSubscriptionResponse);
+}
+
+// Subscribe to a feed and import its `importLatest` newest episodes. Everything older is marked
+// seen, so only episodes published from now on are picked up by the polls.
+// Returns { subscription, imported } or { error, status } for a request the user can fix.
+export async function subscribeToFeed(db, { userId, feedUrl, settings, importLatest = 1 }) {
+  await ensureFeedIndexes(db);
+
+  const existing = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).findOne({ userId, feedUrl });
+  if (existing) {
+    return { error: 'You are already subscribed to this feed', status: 409 };
+  }
+  const count = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).countDocuments({ userId });
+  if (count >= MAX_SUBSCRIPTIONS) {
+    return { error: `You can follow up to ${MAX_SUBSCRIPTIONS} feeds`, status: 400 };
+  }
+
+  const feed = await loadFeed(feedUrl);
+  const latest = feed.episodes.slice(0, Math.min(Math.max(importLatest, 0), MAX_IMPORT_LATEST));
+  const now = new Date();
+
+  const subscription = {
+    userId,
+    feedUrl,
+    title: feed.title,
+    settings,
+    // Oldest first, like the guids pushed later, so trimming the list drops the oldest
+    seenGuids: feed.episodes.slice(latest.length).map(episode => episode.guid).reverse(),
+    jobId: null,
+    lastCheckedAt: now,
+    lastError: null,
+    importedCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).insertOne(subscription);
+  subscription._id = result.insertedId;
+
+  const job = await enqueueJob(db, {
+    type: FEED_POLL_JOB,
+    userId,
+    payload: { subscriptionId: result.insertedId.toString() },
+    runAt: new Date(now.getTime() + FEED_POLL_INTERVAL_MS),
+  });
+  subscription.jobId = job._id.toString();
+  await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).updateOne({ _id: result.insertedId }, { $set: { jobId: subscription.jobId } });
+
+  let imported = 0;
+  try {
+    imported = await importEpisodes(db, subscription, latest);
+  } catch (error) {
+    await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).updateOne({ _id: result.insertedId }, { $set: { lastError: error.message } });
+    subscription.lastError = error.message;
+  }
+  subscription.importedCount = imported;
+
+  console.log(`📻 ${userId} subscribed to ${feed.title} (${feedUrl}), importing ${imported} episode(s)`);
+  return { subscription: toSubscriptionResponse(subscription), imported };
+}
+
+// Returns false when the subscription doesn't exist or isn't the user's
+export async function unsubscribeFromFeed(db, userId, subscriptionId) {
+  if (!ObjectId.isValid(subscriptionId)) return false;
+  const subscription = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).findOneAndDelete({ _id: new ObjectId(subscriptionId), userId });
+  if (!subscription) return false;
+
+  if (subscription.jobId) {
+    await cancelJob(db, new ObjectId(subscription.jobId));
+  }
+  console.log(`📻 ${userId} unsubscribed from ${subscription.feedUrl}`);
+  return true;
+}
+
+// One poll of a subscription. Always schedules the next poll: a feed that is down or a plan
+// that is full is recorded on the subscription and tried again an hour later.
+export async function runFeedPollJob(job, db) {
+  const subscription = await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).findOne({ _id: new ObjectId(job.payload.subscriptionId) });
+  if (!subscription) {
+    return { done: true, result: { skipped: true } };
+  }
+
+  const update = { lastCheckedAt: new Date(), lastError: null, updatedAt: new Date() };
+  try {
+    const feed = await loadFeed(subscription.feedUrl);
+    update.title = feed.title;
+
+    const seen = new Set(subscription.seenGuids || []);
+    const unseen = feed.episodes.filter(episode => !seen.has(episode.guid));
+    const imported = await importEpisodes(db, subscription, unseen.slice(0, MAX_EPISODES_PER_POLL));
+
+    // A feed that republishes its back catalogue only brings in its newest episodes
+    const skipped = unseen.slice(MAX_EPISODES_PER_POLL).map(episode => episode.guid);
+    if (skipped.length > 0) {
+      await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).updateOne(
+        { _id: subscription._id },
+        { $push: { seenGuids: { $each: skipped, $slice: -MAX_SEEN_GUIDS } } }
+      );
+    }
+    if (imported > 0) {
+      console.log(`📻 ${imported} new episode(s) of ${feed.title} queued for import`);
+    }
+  } catch (error) {
+    console.error(`⚠️ Polling feed ${subscription.feedUrl} failed:`, error.message);
+    update.lastError = error.message;
+  }
+
+  await db.collection(FEED_SUBSCRIPTIONS_COLLECTION).updateOne({ _id: subscription._id }, { $set: update });
+  return { done: false, delayMs: FEED_POLL_INTERVAL_MS };
+}
@@ -0,0 +1,170 @@
+// Processing time estimates learned from finished runs. Every completed run records how long
+// each stage took in the `processingTimes` collection:
+//   { fileId, provider, language, profile, mediaDuration, fileSize, fileType, stages: { stage: ms }, totalMs, createdAt }
+// A new run is estimated from recent runs most like it (same provider, language and features),
+// widening the match until there is enough history, and from built-in rates before there is any.
+import { languageNeedsTranslation, isAutoDetectLanguage } from './languages.js';
+
+export const PROCESSING_TIMES_COLLECTION = 'processingTimes';
+
+const ESTIMATE_STAGES = ['queued', 'preparing', 'transcribing', 'translating', 'summarizing'];
+// Waiting in the queue doesn't depend on the recording; every other stage scales with its length
+const FIXED_STAGES = ['queued'];
+
+const MIN_SAMPLES = 5;
+const HISTORY_LIMIT = 200;
+const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const FALLBACK_BYTES_PER_SECOND = 16000; // 128 kbps, for recordings of unknown length
+
+// Used until enough runs have been recorded: ms fixed, ms per second of audio
+const DEFAULT_STAGE_RATES = {
+  queued: { fixed: 5000, perSecond: 0 },
+  preparing: { fixed: 0, perSecond: 20 },
+  transcribing: { fixed: 15000, perSecond: 250 },
+  translating: { fixed: 0, perSecond: 30 },
+  summarizing: { fixed: 10000, perSecond: 15 },
+};
+
+const MAX_MEDIA_DURATION_SEC = 48 * 60 * 60;
+
+let indexesEnsured = false;
+
+async function ensureEstimateIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(PROCESSING_TIMES_COLLECTION).createIndex({ provider: 1, createdAt: -1 });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create processing time indexes:', error.message);
+  }
+}
+
+// Recording length reported by the uploading browser, in seconds, or null when missing or implausible
+export function parseMediaDuration(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds > 0 && seconds <= MAX_MEDIA_DURATION_SEC ? seconds : null;
+}
+
+// The settings that change how long a run takes
+export function getEstimateProfile(settings = {}) {
+  return {
+    autoDetect: isAutoDetectLanguage(settings.language),
+    translated: languageNeedsTranslation(settings.language),
+    chunked: !!settings.chunked,
+    multichannel: !!settings.multichannel,
+    preprocessing: !!settings.preprocessing,
+    redaction: !!settings.redaction,
+    speakerIdentification: !!settings.speakerIdentification,
+  };
+}
+
+// Milliseconds spent in each stage of a finished run, from its progress history
+export function getStageDurations(progress) {
+  const stages = {};
+  (progress?.history || []).forEach(({ stage, startedAt, endedAt }) => {
+    if (!ESTIMATE_STAGES.includes(stage) || !startedAt || !endedAt) return;
+    stages[stage] = (stages[stage] || 0) + Math.max(0, new Date(endedAt) - new Date(startedAt));
+  });
+  return stages;
+}
+
+export async function recordProcessingTimes(db, { fileId, provider, settings, mediaDuration, file, progress }) {
+  const stages = getStageDurations(progress);
+  if (!mediaDuration || Object.keys(stages).length === 0) return;
+
+  try {
+    await ensureEstimateIndexes(db);
+    await db.collection(PROCESSING_TIMES_COLLECTION).insertOne({
+      fileId,
+      provider,
+      language: settings.language,
+      profile: getEstimateProfile(settings),
+      mediaDuration,
+      fileSize: file?.size || null,
+      fileType: file?.type || null,
+      stages,
+      totalMs: Object.values(stages).reduce((sum, ms) => sum + ms, 0),
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to record processing times for file ${fileId}:`, error.message);
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function sameProfile(a = {}, b = {}) {
+  return Object.keys(b).every(key => a[key] === b[key]);
+}
+
+// Narrowest group of recent runs with enough history: provider, language and features first
+function pickComparableRuns(history, { provider, language, profile }) {
+  const tiers = [
+    { basis: 'provider, language and features', match: run => run.provider === provider && run.language === language && sameProfile(run.profile, profile) },
+    { basis: 'provider and features', match: run => run.provider === provider && sameProfile(run.profile, profile) },
+    { basis: 'provider', match: run => run.provider === provider },
+    { basis: 'all recent runs', match: () => true },
+  ];
+  for (const tier of tiers) {
+    const runs = history.filter(tier.match);
+    if (runs.length >= MIN_SAMPLES) {
+      return { basis: tier.basis, runs };
+    }
+  }
+  return { basis: 'default rates', runs: [] };
+}
+
+// Recordings of unknown length are sized from how many bytes per second recent runs had
+function estimateMediaDuration(history, fileSize, fileType) {
+  const rates = history
+    .filter(run => run.fileSize && run.mediaDuration && (!fileType || run.fileType === fileType))
+    .map(run => run.fileSize / run.mediaDuration);
+  const bytesPerSecond = rates.length >= MIN_SAMPLES ? median(rates) : FALLBACK_BYTES_PER_SECOND;
+  return fileSize ? fileSize / bytesPerSecond : null;
+}
+
+// Expected seconds per stage and in total for a run:
+//   { totalSeconds, stages: { stage: seconds }, mediaDuration, basis, samples }
+// `mediaDuration` is the recording length in seconds when known, otherwise it's derived from size.
+export async function estimateProcessingTime(db, { provider, settings, mediaDuration = null, fileSize = null, fileType = null }) {
+  const profile = getEstimateProfile(settings);
+  const history = await db.collection(PROCESSING_TIMES_COLLECTION)
+    .find({ createdAt: { $gt: new Date(Date.now() - HISTORY_MAX_AGE_MS) } })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .toArray();
+
+  const duration = mediaDuration || estimateMediaDuration(history, fileSize, fileType) || 0;
+  const { basis, runs } = pickComparableRuns(history, { provider, language: settings.language, profile });
+
+  const stages = {};
+  ESTIMATE_STAGES.forEach(stage => {
+    if (stage === 'translating' && !profile.translated) return;
+    if (stage === 'preparing' && !(profile.preprocessing || profile.autoDetect || profile.chunked || profile.multichannel)) return;
+
+    let ms;
+    if (runs.length > 0) {
+      ms = FIXED_STAGES.includes(stage)
+        ? median(runs.map(run => run.stages[stage] || 0))
+        : median(runs.map(run => (run.stages[stage] || 0) / run.mediaDuration)) * duration;
+    } else {
+      const rate = DEFAULT_STAGE_RATES[stage];
+      ms = rate.fixed + rate.perSecond * duration;
+    }
+    stages[stage] = Math.round(ms / 1000);
+  });
+
+  return {
+    totalSeconds: Object.values(stages).reduce((sum, seconds) => sum + seconds, 0),
+    stages,
+    mediaDuration: duration ? Math.round(duration) : null,
+    basis,
+    samples: runs.length,
+    createdAt: new Date(),
+  };
+}
@@ -0,0 +1,83 @@
+// Processing stages of a file and how far along it is. The pipeline records the raw stage on the
+// file as `progress`; describeProgress() turns it into what the UI shows. Kept free of
+// server-only imports so pages can describe progress events themselves.
+//   { stage, stageProgress, message, startedAt, stageStartedAt, updatedAt, history }
+// `stageProgress` is 0-1 when a stage can measure itself (chunks done), otherwise null.
+// `history` lists the stages already finished in this run as { stage, startedAt, endedAt }.
+
+// `start`/`end` place each stage on the overall 0-100 bar
+export const PROGRESS_STAGES = [
+  { id: 'importing', label: 'Downloading', start: 0, end: 5 },
+  { id: 'uploaded', label: 'Uploaded', start: 0, end: 5 },
+  { id: 'queued', label: 'Waiting in queue', start: 5, end: 10 },
+  { id: 'preparing', label: 'Preparing audio', start: 10, end: 20 },
+  { id: 'transcribing', label: 'Transcribing', start: 20, end: 75 },
+  { id: 'translating', label: 'Translating', start: 75, end: 85 },
+  { id: 'summarizing', label: 'Summarizing', start: 85, end: 99 },
+  { id: 'completed', label: 'Completed', start: 100, end: 100 },
+  { id: 'error', label: 'Failed', start: 100, end: 100 },
+  { id: 'cancelled', label: 'Cancelled', start: 100, end: 100 }
+];
+
+export const FINAL_STAGES = ['completed', 'error', 'cancelled'];
+
+export function getStage(id) {
+  return PROGRESS_STAGES.find(stage => stage.id === id) || PROGRESS_STAGES.find(stage => stage.id === 'uploaded');
+}
+
+export function createProgress(stage, { message = null, now = new Date() } = {}) {
+  return { stage, stageProgress: null, message, startedAt: now, stageStartedAt: now, updatedAt: now, history: [] };
+}
+
+// Seconds left in the run. The current stage's measured part (chunks done) is extrapolated
+// when there is one; otherwise the run's estimate (see utils/processingEstimates.js) says how
+// long the stage should take. Later stages count at their estimated length.
+function estimateRemainingSeconds(progress, estimate, now) {
+  const elapsed = progress.stageStartedAt ? (now - new Date(progress.stageStartedAt).getTime()) / 1000 : 0;
+  const measured = progress.stageProgress > 0 && progress.stageProgress < 1
+    ? elapsed * (1 - progress.stageProgress) / progress.stageProgress
+    : null;
+
+  if (!estimate?.stages) {
+    return measured === null ? null : Math.max(0, Math.round(measured));
+  }
+
+  const order = PROGRESS_STAGES.map(stage => stage.id);
+  const current = order.indexOf(progress.stage);
+  const expected = estimate.stages[progress.stage];
+  const currentLeft = measured ?? Math.max((expected || 0) - elapsed, 0);
+  const laterStages = Object.entries(estimate.stages)
+    .filter(([stage]) => order.indexOf(stage) > current)
+    .reduce((sum, [, seconds]) => sum + seconds, 0);
+
+  return Math.max(0, Math.round(currentLeft + laterStages));
+}
+
+// What a progress bar needs: { stage, label, message, stageProgress, percent, eta } where eta
+// is in seconds (null when it can't be estimated yet). Files without progress count as uploaded.
+export function describeProgress(progress, { estimate = null, now = Date.now() } = {}) {
+  const current = progress || createProgress('uploaded', { now: new Date(now) });
+  const stage = getStage(current.stage);
+  const within = typeof current.stageProgress === 'number' ? Math.min(1, Math.max(0, current.stageProgress)) : 0;
+
+  return {
+    stage: stage.id,
+    label: stage.label,
+    message: current.message || null,
+    stageProgress: current.stageProgress ?? null,
+    percent: Math.round(stage.start + (stage.end - stage.start) * within),
+    eta: FINAL_STAGES.includes(stage.id) ? 0 : estimateRemainingSeconds(current, estimate, now),
+    startedAt: current.startedAt || null,
+    updatedAt: current.updatedAt || null
+  };
+}
+
+export function formatEta(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return 'less than a minute';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `about ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `about ${hours}h${rest > 0 ? ` ${rest}m` : ''}`;
+}
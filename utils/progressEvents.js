@@ -0,0 +1,97 @@
+// Server side of live progress: the pipeline reports stage changes here, they are stored on the
+// file and published to the SSE connections of its owner (pages/api/files/events.js).
+// Reports made in this process reach subscribers at once; connections served by another
+// instance pick them up from the file on their next sweep (see getProgressChangedSince).
+import { EventEmitter } from 'events';
+import { ObjectId } from 'mongodb';
+
+const PROGRESS_EVENT = 'progress';
+
+// Shared across hot reloads in development so old listeners aren't orphaned
+const emitter = globalThis.__fileProgressEmitter || (globalThis.__fileProgressEmitter = new EventEmitter());
+emitter.setMaxListeners(0);
+
+const EVENT_PROJECTION = { userId: 1, name: 1, status: 1, error: 1, progress: 1, estimate: 1 };
+
+// Events carry the stored stage data and estimate; clients describe them with describeProgress()
+// so the ETA keeps counting down between events
+export function toProgressEvent(file) {
+  return {
+    fileId: file._id.toString(),
+    name: file.name,
+    status: file.status,
+    error: file.error || null,
+    progress: file.progress || null,
+    estimate: file.estimate || null
+  };
+}
+
+// Record the file's current stage and publish it. The run's start time is kept across stages,
+// the stage's start time only moves when the stage changes and the stage being left is added
+// to the run's history, which is what processing estimates learn from.
+// Progress is informational: a failed report is logged and never fails the job.
+// Returns the file's updated progress, or null.
+export async function reportProgress(db, fileId, stage, { stageProgress = null, message = null } = {}) {
+  const now = new Date();
+  const history = { $ifNull: ['$progress.history', []] };
+  const leavingStage = { $and: [{ $ne: ['$progress.stage', stage] }, { $ne: [{ $type: '$progress.stage' }, 'missing'] }] };
+  try {
+    const file = await db.collection('files').findOneAndUpdate(
+      { _id: new ObjectId(fileId) },
+      [{
+        $set: {
+          progress: {
+            stage,
+            stageProgress,
+            message: { $literal: message },
+            startedAt: stage === 'queued' ? now : { $ifNull: ['$progress.startedAt', now] },
+            stageStartedAt: { $cond: [{ $eq: ['$progress.stage', stage] }, '$progress.stageStartedAt', now] },
+            updatedAt: now,
+            // A new run starts with an empty history
+            history: stage === 'queued' ? [] : {
+              $cond: [
+                leavingStage,
+                { $concatArrays: [history, [{ stage: '$progress.stage', startedAt: '$progress.stageStartedAt', endedAt: now }]] },
+                history
+              ]
+            }
+          }
+        }
+      }],
+      { returnDocument: 'after', projection: EVENT_PROJECTION }
+    );
+
+    if (!file) return null;
+    emitter.emit(PROGRESS_EVENT, file.userId, toProgressEvent(file));
+    return file.progress;
+  } catch (error) {
+    console.error(`⚠️ Failed to report ${stage} progress for file ${fileId}:`, error.message);
+    return null;
+  }
+}
+
+// Listen to the progress of one user's files. Returns the unsubscribe function.
+export function subscribeToProgress(userId, listener) {
+  const handler = (ownerId, event) => {
+    if (ownerId === userId) listener(event);
+  };
+  emitter.on(PROGRESS_EVENT, handler);
+  return () => emitter.off(PROGRESS_EVENT, handler);
+}
+
+// Files whose progress changed after `since`, for connections to catch reports from other instances
+export async function getProgressChangedSince(db, userId, since) {
+  const files = await db.collection('files')
+    .find({ userId, 'progress.updatedAt': { $gt: since } }, { projection: EVENT_PROJECTION })
+    .toArray();
+  return files.map(toProgressEvent);
+}
+
+// Every file of the user that is still processing, sent when a connection opens
+export async function getProcessingSnapshot(db, userId) {
+  const files = await db.collection('files')
+    .find({ userId, status: 'processing' }, { projection: EVENT_PROJECTION })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return files.map(toProgressEvent);
+}
@@ -0,0 +1,220 @@
+// PII redaction for transcripts. Detected spans are replaced with `[CATEGORY]` tokens in the
+// words, utterances and text of a normalized provider result, and their time ranges are
+// returned so the audio can be beeped over the same spans.
+// Kept free of server-only imports so the upload page can list the categories.
+
+export const PII_CATEGORIES = [
+  {
+    id: 'credit_card',
+    label: 'Card numbers',
+    token: 'CREDIT_CARD',
+    assemblyaiPolicies: ['credit_card_number', 'credit_card_cvv', 'credit_card_expiration'],
+    patterns: [/\b(?:\d[ -]?){12,18}\d\b/g]
+  },
+  {
+    id: 'ssn',
+    label: 'Social security numbers',
+    token: 'SSN',
+    assemblyaiPolicies: ['us_social_security_number'],
+    patterns: [/\b\d{3}[ -]?\d{2}[ -]?\d{4}\b/g]
+  },
+  {
+    id: 'phone_number',
+    label: 'Phone numbers',
+    token: 'PHONE_NUMBER',
+    assemblyaiPolicies: ['phone_number'],
+    patterns: [
+      /(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)|\b\d{3})[ .-]?\d{3}[ .-]?\d{4}\b/g,
+      /\+\d[\d ().-]{7,}\d\b/g
+    ]
+  },
+  {
+    id: 'email_address',
+    label: 'Email addresses',
+    token: 'EMAIL_ADDRESS',
+    assemblyaiPolicies: ['email_address'],
+    patterns: [
+      /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+      // Dictated addresses: "jane dot doe at example dot com"
+      /\b[\w.+-]+(?: dot [\w-]+)* at [\w-]+(?: dot [\w-]+)+\b/gi
+    ]
+  },
+  {
+    id: 'address',
+    label: 'Street addresses',
+    token: 'ADDRESS',
+    assemblyaiPolicies: ['location'],
+    patterns: [
+      /\b\d{1,6}(?: [A-Za-z][\w'-]*){1,4} (?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|highway|hwy|parkway|pkwy)\b\.?(?:,? (?:apartment|apt|suite|unit|#) ?\w+)?/gi
+    ]
+  }
+];
+
+const CATEGORY_IDS = PII_CATEGORIES.map(category => category.id);
+const REDACTED_TOKEN = /^\[[A-Z_]+\][.,!?]?$/;
+const BEEP_PADDING_MS = 100;
+
+function getCategories(ids) {
+  return PII_CATEGORIES.filter(category => ids.includes(category.id));
+}
+
+// Normalize redaction options from form fields or a JSON body.
+// Returns { settings } with `redaction` set to null when redaction is off, or { error }.
+export function parseRedactionSettings({ redactPii, piiCategories, deleteOriginal } = {}) {
+  if (!(redactPii === true || redactPii === 'true')) {
+    return { settings: { redaction: null } };
+  }
+
+  const requested = Array.isArray(piiCategories)
+    ? piiCategories
+    : String(piiCategories || '').split(',');
+  const categories = [...new Set(requested.map(id => String(id).trim()).filter(Boolean))];
+
+  const unknown = categories.filter(id => !CATEGORY_IDS.includes(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown PII categories: ${unknown.join(', ')}. Use any of: ${CATEGORY_IDS.join(', ')}` };
+  }
+  if (categories.length === 0) {
+    return { error: 'Choose at least one PII category to redact' };
+  }
+
+  return {
+    settings: {
+      redaction: {
+        categories,
+        deleteOriginal: deleteOriginal === true || deleteOriginal === 'true'
+      }
+    }
+  };
+}
+
+export function getAssemblyAIPolicies(categoryIds) {
+  return getCategories(categoryIds).flatMap(category => category.assemblyaiPolicies);
+}
+
+// Character ranges in `text` to redact, earliest first, without overlaps
+function findMatches(text, categories) {
+  const matches = [];
+  categories.forEach(category => {
+    category.patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        matches.push({ start: match.index, end: match.index + match[0].length, token: category.token });
+      }
+    });
+  });
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return matches.filter((match, i) => !matches.slice(0, i).some(other => match.start < other.end && other.start < match.end));
+}
+
+export function redactText(text, categoryIds) {
+  if (!text) return text;
+  const matches = findMatches(text, getCategories(categoryIds));
+
+  let redacted = '';
+  let position = 0;
+  matches.forEach(match => {
+    redacted += text.slice(position, match.start) + `[${match.token}]`;
+    position = match.end;
+  });
+  return redacted + text.slice(position);
+}
+
+// Replace every run of words that overlaps a match with a single `[TOKEN]` word
+function redactWords(words, categories) {
+  const offsets = [];
+  let joined = '';
+  words.forEach((word, i) => {
+    if (i > 0) joined += ' ';
+    offsets.push(joined.length);
+    joined += word.text;
+  });
+
+  const tokenByWord = new Array(words.length).fill(null);
+  findMatches(joined, categories).forEach(match => {
+    words.forEach((word, i) => {
+      const start = offsets[i];
+      if (start < match.end && start + word.text.length > match.start) {
+        tokenByWord[i] = match.token;
+      }
+    });
+  });
+
+  const redacted = [];
+  words.forEach((word, i) => {
+    const token = tokenByWord[i];
+    if (!token) {
+      redacted.push(word);
+      return;
+    }
+    const previous = redacted[redacted.length - 1];
+    if (previous?.redacted && previous.text === `[${token}]` && tokenByWord[i - 1] === token && previous.speaker === (word.speaker || null)) {
+      previous.end = word.end;
+      return;
+    }
+    redacted.push({ text: `[${token}]`, start: word.start, end: word.end, confidence: null, speaker: word.speaker || null, redacted: true });
+  });
+  return redacted;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged;
+}
+
+// Redact a normalized provider result. Words the provider already replaced with `[ENTITY]`
+// tokens are kept and beeped too. Returns { result, intervals } with intervals in ms.
+export function redactResult(result, categoryIds) {
+  const categories = getCategories(categoryIds);
+  const sourceWords = result.words || [];
+  const words = sourceWords.length > 0 ? redactWords(sourceWords, categories) : [];
+
+  const utterances = (result.utterances || []).map((utterance, index, all) => {
+    const nextStart = all[index + 1]?.start ?? Infinity;
+    // Multichannel turns can overlap, so words with a speaker are matched to their own turn
+    const utteranceWords = words.filter(word => (word.speaker && utterance.speaker)
+      ? word.speaker === utterance.speaker && word.start >= utterance.start && word.start <= utterance.end
+      : word.start >= utterance.start && word.start < nextStart);
+    return {
+      ...utterance,
+      text: utteranceWords.length > 0
+        ? utteranceWords.map(word => word.text).join(' ')
+        : redactText(utterance.text, categoryIds)
+    };
+  });
+
+  const text = words.length > 0
+    ? words.map(word => word.text).join(' ')
+    : redactText(result.text, categoryIds);
+
+  const intervals = mergeIntervals(
+    words
+      .filter(word => word.redacted || REDACTED_TOKEN.test(word.text))
+      .map(word => ({ start: Math.max(0, word.start - BEEP_PADDING_MS), end: word.end + BEEP_PADDING_MS }))
+  );
+
+  const chapters = result.chapters?.map(chapter => ({
+    ...chapter,
+    title: redactText(chapter.title, categoryIds),
+    gist: redactText(chapter.gist, categoryIds),
+    summary: redactText(chapter.summary, categoryIds)
+  }));
+
+  return { result: { ...result, text, words, utterances, ...(chapters ? { chapters } : {}) }, intervals };
+}
+
+// `recordings/call.wav` -> `recordings/call.redacted.mp3`; re-runs get their own copy
+// (`recordings/call.redacted.v2.mp3`) so earlier transcript versions keep theirs
+export function getRedactedAudioKey(key, version = 1) {
+  const base = key.replace(/(\.redacted(\.v\d+)?)?\.[^./]+$/, '');
+  return version > 1 ? `${base}.redacted.v${version}.mp3` : `${base}.redacted.mp3`;
+}
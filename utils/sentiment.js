@@ -0,0 +1,128 @@
+// Per-utterance sentiment timeline stored on completed files as `sentimentTimeline`:
+//   [{ segmentId, start, end, speaker, sentiment: 'positive' | 'neutral' | 'negative', score, confidence }]
+// One entry per transcript model segment, times in milliseconds, score in [-1, 1].
+// Provider sentence-level results are mapped onto segments; otherwise the LLM labels them.
+// Kept free of server-only imports so the analytics dashboard can use the same helpers.
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const SENTIMENT_SCORES = { positive: 1, neutral: 0, negative: -1 };
+const SCORE_THRESHOLD = 0.25; // |score| below this reads as neutral
+const MAX_SEGMENT_PROMPT_LENGTH = 500;
+
+function labelForScore(score) {
+  if (score >= SCORE_THRESHOLD) return 'positive';
+  if (score <= -SCORE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+function normalizeSentiment(value) {
+  const sentiment = String(value || '').toLowerCase();
+  return SENTIMENTS.includes(sentiment) ? sentiment : null;
+}
+
+// Weight each provider sentence by how much of it falls inside the segment and by its confidence
+export function timelineFromSentences(model, sentences) {
+  const timeline = [];
+  let s = 0;
+
+  model.segments.forEach(segment => {
+    while (s < sentences.length && sentences[s].end <= segment.start) s++;
+
+    let weighted = 0;
+    let totalWeight = 0;
+    let totalOverlap = 0;
+    let confidence = 0;
+    for (let i = s; i < sentences.length && sentences[i].start < segment.end; i++) {
+      const sentence = sentences[i];
+      const sentiment = normalizeSentiment(sentence.sentiment);
+      const overlap = Math.min(segment.end, sentence.end) - Math.max(segment.start, sentence.start);
+      if (!sentiment || overlap <= 0) continue;
+
+      const weight = overlap * (sentence.confidence ?? 1);
+      weighted += SENTIMENT_SCORES[sentiment] * weight;
+      totalWeight += weight;
+      totalOverlap += overlap;
+      confidence += (sentence.confidence ?? 1) * overlap;
+    }
+    if (totalWeight === 0) return;
+
+    const score = weighted / totalWeight;
+    timeline.push({
+      segmentId: segment.id,
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker,
+      sentiment: labelForScore(score),
+      score: Math.round(score * 100) / 100,
+      confidence: Math.round((confidence / totalOverlap) * 100) / 100
+    });
+  });
+
+  return timeline;
+}
+
+export function buildSentimentPrompt(segments) {
+  const lines = segments
+    .map(segment => `${segment.id}: ${segment.text.slice(0, MAX_SEGMENT_PROMPT_LENGTH)}`)
+    .join('\n');
+
+  return `Classify the sentiment of each numbered utterance from a conversation transcript as positive, neutral or negative.\n\n${lines}\n\nReturn only a JSON array with one item per utterance, like:\n[{"id": 0, "sentiment": "neutral", "confidence": 0.8}]`;
+}
+
+// Parse the LLM's answer for one batch of segments; unknown ids and labels are dropped
+export function parseSentimentResponse(text, segments) {
+  const match = (text || '').match(/\[[\s\S]*\]/);
+  if (!match) return [];
+
+  let items;
+  try {
+    items = JSON.parse(match[0]);
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  const byId = new Map(segments.map(segment => [segment.id, segment]));
+  return items
+    .map(item => {
+      const segment = byId.get(Number(item.id));
+      const sentiment = normalizeSentiment(item.sentiment);
+      if (!segment || !sentiment) return null;
+
+      const confidence = Number.isFinite(Number(item.confidence)) ? Math.min(Math.max(Number(item.confidence), 0), 1) : null;
+      return {
+        segmentId: segment.id,
+        start: segment.start,
+        end: segment.end,
+        speaker: segment.speaker,
+        sentiment,
+        score: SENTIMENT_SCORES[sentiment],
+        confidence
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+// Share of speaking time per sentiment, in whole percentages
+export function summarizeSentiment(timeline) {
+  const totals = { positive: 0, neutral: 0, negative: 0 };
+  (timeline || []).forEach(entry => {
+    totals[entry.sentiment] += Math.max(entry.end - entry.start, 1);
+  });
+
+  const total = totals.positive + totals.neutral + totals.negative;
+  if (total === 0) {
+    return { overall: 'neutral', positive: 0, neutral: 0, negative: 0 };
+  }
+
+  const positive = Math.round((totals.positive / total) * 100);
+  const negative = Math.round((totals.negative / total) * 100);
+  return {
+    overall: labelForScore((totals.positive - totals.negative) / total),
+    positive,
+    neutral: 100 - positive - negative,
+    negative
+  };
+}
@@ -0,0 +1,242 @@
+// Browser-side upload manager for large recordings. Files go straight to R2 as a multipart upload
+// (pages/api/upload/multipart): parts are uploaded several at a time, failed parts are retried,
+// and the upload is remembered in localStorage so selecting the same file again after a reload
+// resumes it instead of starting over. The caller confirms the upload afterwards with the
+// returned key and URL (e.g. /api/upload/confirm).
+//
+// The R2 bucket's CORS policy must expose the ETag header, which identifies each uploaded part.
+
+const STORAGE_PREFIX = 'smartUpload:';
+const PART_CONCURRENCY = 4;
+const MAX_PART_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const SIGN_BATCH_SIZE = 20;
+// R2 discards unfinished multipart uploads after a week
+const RESUME_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+
+function storageKey(file) {
+  return `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function loadState(file) {
+  try {
+    const state = JSON.parse(localStorage.getItem(storageKey(file)));
+    return state && Date.now() - state.createdAt < RESUME_MAX_AGE_MS ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveState(file, state) {
+  try {
+    localStorage.setItem(storageKey(file), JSON.stringify(state));
+  } catch (error) {
+    // Storage full or disabled: the upload still works, it just can't resume
+    console.warn('⚠️ Could not save upload progress:', error.message);
+  }
+}
+
+function clearState(file) {
+  localStorage.removeItem(storageKey(file));
+}
+
+// Whether part of this file was already uploaded and smartUpload() would resume it
+export function hasResumableUpload(file) {
+  return !!loadState(file);
+}
+
+async function callApi(action, token, body, signal) {
+  const response = await fetch(`/api/upload/multipart/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.details || data.error || `Upload request failed (${response.status})`);
+    error.status = response.status;
+    error.errorType = data.errorType;
+    throw error;
+  }
+  return data;
+}
+
+function abortError() {
+  const error = new Error('Upload cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+// PUT one part; resolves to its ETag. XHR rather than fetch for upload progress.
+function putPart(url, blob, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const settle = (callback, value) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    xhr.upload.addEventListener('progress', (event) => onProgress(event.loaded));
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const error = new Error(`Part upload failed with status ${xhr.status}`);
+        error.status = xhr.status;
+        return settle(reject, error);
+      }
+      const etag = xhr.getResponseHeader('ETag');
+      if (!etag) {
+        return settle(reject, new Error('Storage did not return an ETag; check that the bucket CORS policy exposes it'));
+      }
+      settle(resolve, etag);
+    };
+    xhr.onerror = () => settle(reject, new Error('Network error during part upload'));
+    xhr.onabort = () => settle(reject, abortError());
+
+    xhr.open('PUT', url, true);
+    xhr.send(blob);
+  });
+}
+
+// Picks up a saved upload, keeping only the parts R2 confirms it has in full
+async function resumeUpload(file, token, signal) {
+  const saved = loadState(file);
+  if (!saved) return null;
+
+  try {
+    const { parts } = await callApi('list-parts', token, { key: saved.key, uploadId: saved.uploadId }, signal);
+    const expectedSize = partNumber => Math.min(saved.partSize, file.size - (partNumber - 1) * saved.partSize);
+    const uploaded = parts.filter(part => part.size === expectedSize(part.partNumber));
+    console.log(`🔁 Resuming upload of ${file.name}: ${uploaded.length}/${saved.partCount} parts already uploaded`);
+    return { ...saved, parts: Object.fromEntries(uploaded.map(part => [part.partNumber, part.etag])) };
+  } catch (error) {
+    if (error.status === 404 || error.status === 403) {
+      // Gone (completed, aborted or expired) or not ours: start over
+      clearState(file);
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Uploads `file` to R2. Resolves to { key, publicUrl, resumed }.
+//   onProgress({ loaded, total, percent })  bytes R2 has, including parts still in flight
+//   signal                                   AbortSignal; aborting cancels the upload for good
+export async function smartUpload(file, { token, onProgress = () => {}, signal = null, concurrency = PART_CONCURRENCY } = {}) {
+  let state = await resumeUpload(file, token, signal);
+  const resumed = !!state;
+
+  if (!state) {
+    const started = await callApi('initiate', token, { fileName: file.name, fileType: file.type, fileSize: file.size }, signal);
+    state = {
+      key: started.key,
+      uploadId: started.uploadId,
+      partSize: started.partSize,
+      partCount: started.partCount,
+      parts: {},
+      createdAt: Date.now(),
+    };
+    saveState(file, state);
+  }
+
+  const { key, uploadId, partSize, partCount } = state;
+  const partBytes = partNumber => Math.min(partSize, file.size - (partNumber - 1) * partSize);
+
+  const inFlight = {};
+  const report = () => {
+    const done = Object.keys(state.parts).reduce((sum, partNumber) => sum + partBytes(Number(partNumber)), 0);
+    const loaded = Math.min(file.size, done + Object.values(inFlight).reduce((sum, bytes) => sum + bytes, 0));
+    onProgress({ loaded, total: file.size, percent: file.size ? (loaded / file.size) * 100 : 100 });
+  };
+
+  const queue = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!state.parts[partNumber]) queue.push(partNumber);
+  }
+
+  // URLs are signed for a batch of upcoming parts at once; a retry signs its part again
+  const urls = new Map();
+  const getPartUrl = (partNumber, refresh) => {
+    if (refresh || !urls.has(partNumber)) {
+      const batch = [partNumber, ...queue.filter(next => !urls.has(next))].slice(0, SIGN_BATCH_SIZE);
+      const signing = callApi('sign-parts', token, { key, uploadId, partNumbers: batch }, signal).then(data => data.urls);
+      batch.forEach(next => urls.set(next, signing.then(signed => signed[next])));
+      // Parts of a failed batch fail when they are awaited and re-sign on retry
+      signing.catch(() => {});
+    }
+    return urls.get(partNumber);
+  };
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    const blob = file.slice(start, start + partSize);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const url = await getPartUrl(partNumber, attempt > 1);
+        const etag = await putPart(url, blob, {
+          signal,
+          onProgress: (bytes) => {
+            inFlight[partNumber] = bytes;
+            report();
+          },
+        });
+        delete inFlight[partNumber];
+        state.parts[partNumber] = etag;
+        saveState(file, state);
+        report();
+        return;
+      } catch (error) {
+        delete inFlight[partNumber];
+        if (signal?.aborted || attempt >= MAX_PART_ATTEMPTS) throw error;
+        console.warn(`⚠️ Part ${partNumber} of ${file.name} failed (attempt ${attempt}), retrying:`, error.message);
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+      }
+    }
+  };
+
+  try {
+    report();
+    let failed = false;
+    const worker = async () => {
+      while (queue.length > 0 && !failed) {
+        try {
+          await uploadPart(queue.shift());
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    const parts = Object.entries(state.parts).map(([partNumber, etag]) => ({ partNumber: Number(partNumber), etag }));
+    const completed = await callApi('complete', token, { key, uploadId, parts }, signal);
+    clearState(file);
+    return { key: completed.key, publicUrl: completed.publicUrl, resumed };
+  } catch (error) {
+    if (signal?.aborted) {
+      // Cancelled on purpose: discard the parts rather than keep them for a resume
+      clearState(file);
+      await callApi('abort', token, { key, uploadId }).catch(() => {});
+      throw abortError();
+    }
+    // Anything else keeps the saved progress so the next attempt resumes
+    throw error;
+  }
+}
@@ -1,7 +1,23 @@
 import dotenv from 'dotenv';
 dotenv.config({ path: '.env.local' });
 
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import fs from 'fs';
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const REQUIRED_ENV_VARS = ['R2_ACCOUNT_ID', 'R2_ACCESS_KEY_ID', 'R2_SECRET_ACCESS_KEY', 'R2_BUCKET_NAME', 'R2_PUBLIC_URL'];
 
 const s3Client = new S3Client({
   region: 'auto',
@@ -55,6 +71,259 @@ export async function deleteFile(fileName) {
   }
 }
 
+// Size in bytes of a stored object, or null when nothing is stored under `fileName`
+export async function getStoredFileSize(fileName) {
+  try {
+    const head = await s3Client.send(new HeadObjectCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: fileName,
+    }));
+    return head.ContentLength ?? null;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
 export async function getFileUrl(fileName) {
   return `${process.env.R2_PUBLIC_URL}/${encodeURIComponent(fileName)}`;
 }
+
+// A storage-safe version of a user- or server-supplied file name for the last part of a key
+export function sanitizeFileName(name, fallback = 'upload') {
+  const safe = String(name || '').replace(/[^\w.\- ]+/g, '_').replace(/^[.\s]+/, '').slice(-150);
+  return safe || fallback;
+}
+
+// Upload endpoints only take keys under the user's own prefix, as handed out by
+// /api/upload/presigned-url and /api/upload/multipart/initiate
+export function isUserFileKey(key, userId) {
+  return typeof key === 'string'
+    && key.startsWith(`${userId}/`)
+    && key.length > `${userId}/`.length
+    && !key.split('/').includes('..')
+    && !/[\u0000-\u001f]/.test(key);
+}
+
+// R2 variables that aren't set, for endpoints that hand out upload URLs
+export function getMissingStorageConfig() {
+  return REQUIRED_ENV_VARS.filter(varName => !process.env[varName]);
+}
+
+// Multipart uploads let the browser send a large recording straight to R2 in parts, several at
+// a time, and pick up where it left off after a reload (see utils/smartUpload.js).
+
+const MIN_PART_SIZE = 8 * 1024 * 1024; // R2 needs 5MB parts, except the last
+const MAX_PARTS = 10000;
+
+export function getMultipartPartSize(fileSize) {
+  return Math.max(MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+}
+
+export async function createMultipartUpload(fileName, contentType) {
+  try {
+    const result = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: fileName,
+      ContentType: contentType,
+    }));
+    return { success: true, uploadId: result.UploadId, key: fileName };
+  } catch (error) {
+    console.error('Error starting multipart upload in R2:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Presigned PUT URLs for the given part numbers, as { partNumber: url }
+export async function getPartUploadUrls(fileName, uploadId, partNumbers, expiresIn = 3600) {
+  try {
+    const urls = {};
+    for (const partNumber of partNumbers) {
+      urls[partNumber] = await getSignedUrl(s3Client, new UploadPartCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: fileName,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+      }), { expiresIn });
+    }
+    return { success: true, urls, expiresIn };
+  } catch (error) {
+    console.error('Error signing multipart upload parts:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Parts R2 already has, as [{ partNumber, etag, size }]. `notFound` is set when the upload no
+// longer exists (completed, aborted or expired).
+export async function listUploadedParts(fileName, uploadId) {
+  try {
+    const parts = [];
+    let marker;
+    do {
+      const result = await s3Client.send(new ListPartsCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: fileName,
+        UploadId: uploadId,
+        PartNumberMarker: marker,
+      }));
+      (result.Parts || []).forEach(part => parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size }));
+      marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+    } while (marker);
+    return { success: true, parts };
+  } catch (error) {
+    console.error('Error listing multipart upload parts:', error);
+    return { success: false, error: error.message, notFound: error.name === 'NoSuchUpload' };
+  }
+}
+
+// `parts` = [{ partNumber, etag }] for every part of the file
+export async function completeMultipartUpload(fileName, uploadId, parts) {
+  try {
+    await s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: fileName,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map(part => ({ PartNumber: part.partNumber, ETag: part.etag })),
+      },
+    }));
+    return {
+      success: true,
+      url: `${process.env.R2_PUBLIC_URL}/${encodeURIComponent(fileName)}`,
+      key: fileName,
+    };
+  } catch (error) {
+    console.error('Error completing multipart upload in R2:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function abortMultipartUpload(fileName, uploadId) {
+  try {
+    await s3Client.send(new AbortMultipartUploadCommand({
+      Bucket: process.env.R2_BUCKET_NAME,
+      Key: fileName,
+      UploadId: uploadId,
+    }));
+    return { success: true };
+  } catch (error) {
+    console.error('Error aborting multipart upload in R2:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Server-side uploads of files on disk (e.g. formidable temp files) are streamed to R2 part by
+// part instead of being read into memory. Each upload sends a few parts at a time, and all
+// uploads in the process share a cap on parts in flight so concurrent requests stay bounded.
+const UPLOAD_CONCURRENCY = 4;
+const MAX_ACTIVE_PART_UPLOADS = 8;
+const PART_UPLOAD_ATTEMPTS = 3;
+
+let activePartUploads = 0;
+const waitingPartUploads = [];
+
+async function acquirePartUploadSlot() {
+  if (activePartUploads < MAX_ACTIVE_PART_UPLOADS) {
+    activePartUploads++;
+    return;
+  }
+  await new Promise(resolve => waitingPartUploads.push(resolve));
+}
+
+function releasePartUploadSlot() {
+  const next = waitingPartUploads.shift();
+  if (next) {
+    next();
+  } else {
+    activePartUploads--;
+  }
+}
+
+// A fresh stream per attempt: a stream that failed halfway can't be replayed
+async function sendFileRange(createCommand, filePath, start, end) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await s3Client.send(createCommand(fs.createReadStream(filePath, { start, end: end - 1 }), end - start));
+    } catch (error) {
+      if (attempt >= PART_UPLOAD_ATTEMPTS) throw error;
+      console.warn(`⚠️ R2 upload of bytes ${start}-${end} failed (attempt ${attempt}), retrying:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+}
+
+// Same result as uploadFile(), for a file on disk of `size` bytes
+export async function uploadFileFromDisk(filePath, fileName, contentType, size) {
+  const partSize = getMultipartPartSize(size);
+  const url = `${process.env.R2_PUBLIC_URL}/${encodeURIComponent(fileName)}`;
+
+  // One part's worth or less goes up in a single request
+  if (size <= partSize) {
+    await acquirePartUploadSlot();
+    try {
+      await sendFileRange((Body, ContentLength) => new PutObjectCommand({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: fileName,
+        Body,
+        ContentLength,
+        ContentType: contentType,
+      }), filePath, 0, size);
+      return { success: true, url, key: fileName };
+    } catch (error) {
+      console.error('Error uploading to R2:', error);
+      return { success: false, error: error.message };
+    } finally {
+      releasePartUploadSlot();
+    }
+  }
+
+  const upload = await createMultipartUpload(fileName, contentType);
+  if (!upload.success) {
+    return upload;
+  }
+
+  const partCount = Math.ceil(size / partSize);
+  const queue = Array.from({ length: partCount }, (_, index) => index + 1);
+  const parts = [];
+  let failed = false;
+
+  const worker = async () => {
+    while (queue.length > 0 && !failed) {
+      const partNumber = queue.shift();
+      const start = (partNumber - 1) * partSize;
+      await acquirePartUploadSlot();
+      try {
+        const result = await sendFileRange((Body, ContentLength) => new UploadPartCommand({
+          Bucket: process.env.R2_BUCKET_NAME,
+          Key: fileName,
+          UploadId: upload.uploadId,
+          PartNumber: partNumber,
+          Body,
+          ContentLength,
+        }), filePath, start, Math.min(start + partSize, size));
+        parts.push({ partNumber, etag: result.ETag });
+      } catch (error) {
+        failed = true;
+        throw error;
+      } finally {
+        releasePartUploadSlot();
+      }
+    }
+  };
+
+  console.log(`📦 Streaming ${fileName} to R2 in ${partCount} parts`);
+  // Every worker settles before an abort, so no part is still uploading into an aborted upload
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, partCount) }, worker));
+  const failure = outcomes.find(outcome => outcome.status === 'rejected');
+  if (failure) {
+    console.error('Error uploading to R2:', failure.reason);
+    await abortMultipartUpload(fileName, upload.uploadId);
+    return { success: false, error: failure.reason?.message || String(failure.reason) };
+  }
+
+  return completeMultipartUpload(fileName, upload.uploadId, parts);
+}
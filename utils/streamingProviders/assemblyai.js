@@ -0,0 +1,41 @@
+// AssemblyAI real-time (v3 streaming) adapter. The browser connects to AssemblyAI directly with a
+// short-lived token, so the API key never leaves the server.
+import { LIVE_SAMPLE_RATE } from '../liveTranscription.js';
+
+const STREAMING_TOKEN_URL = 'https://streaming.assemblyai.com/v3/token';
+const STREAMING_WS_URL = 'wss://streaming.assemblyai.com/v3/ws';
+const TOKEN_TTL_SEC = 60; // Only needs to last until the socket opens
+
+const assemblyAIStreamingProvider = {
+  name: 'assemblyai',
+
+  async createSession({ language, maxDurationSec }) {
+    if (!process.env.ASSEMBLYAI_API_KEY) {
+      throw new Error('Missing environment variables: ASSEMBLYAI_API_KEY');
+    }
+
+    const tokenParams = new URLSearchParams({ expires_in_seconds: TOKEN_TTL_SEC });
+    if (maxDurationSec) {
+      tokenParams.set('max_session_duration_seconds', Math.max(60, Math.floor(maxDurationSec)));
+    }
+    const response = await fetch(`${STREAMING_TOKEN_URL}?${tokenParams}`, {
+      headers: { 'Authorization': process.env.ASSEMBLYAI_API_KEY },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.token) {
+      throw new Error(`AssemblyAI streaming token request failed: ${data.error || response.statusText} (Status: ${response.status})`);
+    }
+
+    const params = new URLSearchParams({
+      sample_rate: LIVE_SAMPLE_RATE,
+      encoding: 'pcm_s16le',
+      format_turns: 'true',
+      // The English model is faster; the multilingual one covers the other live languages
+      speech_model: language === 'en' ? 'universal-streaming-english' : 'universal-streaming-multilingual',
+      token: data.token,
+    });
+    return { url: `${STREAMING_WS_URL}?${params}` };
+  },
+};
+
+export default assemblyAIStreamingProvider;
@@ -0,0 +1,28 @@
+// Streaming (live) speech-to-text adapters.
+//
+// Every adapter exposes:
+//   name                                         stored on the live session
+//   createSession({ language, maxDurationSec })  -> { url }
+// `url` is a WebSocket the browser opens itself and that speaks the protocol described in
+// utils/liveTranscription.js. Credentials in it must be short-lived.
+import assemblyAIStreamingProvider from './assemblyai.js';
+import localStreamingProvider from './local.js';
+
+const providers = {
+  [assemblyAIStreamingProvider.name]: assemblyAIStreamingProvider,
+  [localStreamingProvider.name]: localStreamingProvider,
+};
+
+export const DEFAULT_STREAMING_PROVIDER = 'assemblyai';
+
+export function getStreamingProviderName() {
+  return process.env.LIVE_TRANSCRIPTION_PROVIDER || DEFAULT_STREAMING_PROVIDER;
+}
+
+export function getStreamingProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown streaming transcription provider: ${name}`);
+  }
+  return provider;
+}
@@ -0,0 +1,20 @@
+// Stand-in streaming server for development (live-transcription-server.js). It speaks the same
+// protocol as AssemblyAI and replays a scripted meeting at the pace audio arrives.
+import crypto from 'crypto';
+import { LIVE_SAMPLE_RATE } from '../liveTranscription.js';
+
+const DEFAULT_LOCAL_URL = 'ws://localhost:4001';
+
+const localStreamingProvider = {
+  name: 'local',
+
+  async createSession() {
+    const params = new URLSearchParams({
+      sample_rate: LIVE_SAMPLE_RATE,
+      token: crypto.randomBytes(16).toString('hex'),
+    });
+    return { url: `${process.env.LIVE_TRANSCRIPTION_LOCAL_URL || DEFAULT_LOCAL_URL}?${params}` };
+  },
+};
+
+export default localStreamingProvider;
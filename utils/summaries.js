@@ -0,0 +1,230 @@
+// Transcript summaries: { summary, topics, topic, insights, sections }, the sections following
+// the summary template the user picked (summaryTemplates.js).
+// A transcript that fits one prompt is summarized in a single request. Longer ones are
+// summarized map-reduce style: the transcript is split into chunks at utterance boundaries, each
+// chunk is summarized on its own and the chunk summaries are combined into the final answer.
+// Chunk summaries are kept on the file as `summaryChunks`:
+//   [{ hash, start, end, summary }]
+// with start/end in milliseconds (null for plain-text transcripts). `hash` covers the chunk text,
+// the language and the prompt, so regenerating only re-summarizes chunks that changed.
+import crypto from 'crypto';
+import { generateText } from './llm.js';
+import { getLanguageForAI } from './languages.js';
+import { hasSpeakerTurns, renderSegmentLine, formatTimestamp } from './transcriptModel.js';
+import { DEFAULT_SUMMARY_TEMPLATE } from './summaryTemplates.js';
+
+const MAX_SINGLE_PASS_LENGTH = 32000; // Transcripts up to this many characters need no chunking
+const CHUNK_LENGTH = 12000;
+// Timed transcripts are chunked on a fixed grid, so an edit only changes the chunk it falls in
+const CHUNK_WINDOW_MS = 8 * 60 * 1000;
+const CHUNK_CONCURRENCY = 3;
+const CHUNK_PROMPT_VERSION = 1; // Bump when the chunk prompt changes so stored summaries are redone
+
+// The transcript as ordered units that are never split across chunks: one per segment of the
+// transcript model, or one per line of a plain-text transcript
+function getTranscriptUnits(model, text) {
+  if (model?.segments?.length > 0) {
+    const speakers = hasSpeakerTurns(model);
+    return model.segments
+      .map(segment => ({
+        text: speakers
+          ? renderSegmentLine(model, segment)
+          : `${formatTimestamp(segment.start)}    ${segment.translation || segment.text}`,
+        start: segment.start,
+        end: segment.end,
+      }))
+      .filter(unit => unit.text.trim());
+  }
+
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && line !== '[END]')
+    .map(line => ({ text: line, start: null, end: null }));
+}
+
+// A unit too long for any chunk (a transcript without segment timings) is cut at sentence ends
+function splitLongUnit(unit) {
+  if (unit.text.length <= CHUNK_LENGTH) return [unit];
+
+  const pieces = [];
+  let current = '';
+  for (const sentence of unit.text.split(/(?<=[.!?])\s+/)) {
+    for (let offset = 0; offset < sentence.length; offset += CHUNK_LENGTH) {
+      const part = sentence.slice(offset, offset + CHUNK_LENGTH);
+      if (current && current.length + part.length + 1 > CHUNK_LENGTH) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${part}` : part;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces.map(piece => ({ text: piece, start: unit.start, end: unit.end }));
+}
+
+export function chunkTranscript({ model = null, text = '' }, { maxLength = CHUNK_LENGTH } = {}) {
+  const chunks = [];
+  let current = null;
+
+  for (const unit of getTranscriptUnits(model, text).flatMap(splitLongUnit)) {
+    const slot = unit.start !== null ? Math.floor(unit.start / CHUNK_WINDOW_MS) : 0;
+    if (current && (current.slot !== slot || current.text.length + unit.text.length + 1 > maxLength)) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { text: unit.text, start: unit.start, end: unit.end, slot };
+    } else {
+      current.text += `\n${unit.text}`;
+      current.end = unit.end ?? current.end;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks.map(({ slot, ...chunk }) => chunk);
+}
+
+function hashChunk(chunkText, languageName) {
+  return crypto.createHash('sha1')
+    .update(`${CHUNK_PROMPT_VERSION}\n${languageName}\n${chunkText}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// The answer format shared by the single-pass and combine prompts. Template sections are asked
+// for as numbered SECTION labels so titles in any language or wording parse the same way.
+function buildAnswerFormat(languageName, summaryLength, template) {
+  const sections = template?.sections || [];
+  const asks = [
+    `SUMMARY: A ${summaryLength} sentence summary.`,
+    'TOPICS: 3-5 main topics, comma-separated.',
+    'INSIGHTS: 1-2 key insights.',
+    ...sections.map((section, i) => `SECTION ${i + 1}: ${section.title}${section.instructions ? ` - ${section.instructions}` : ''} Write "None" if the transcript has nothing for it.`),
+  ];
+  const format = [
+    'SUMMARY: [Your summary]',
+    'TOPICS: [topic1, topic2]',
+    'INSIGHTS: [Your insights]',
+    ...sections.map((section, i) => `SECTION ${i + 1}: [${section.title}]`),
+  ];
+  const intro = sections.length > 0 ? `This summary uses the "${template.name}" template. ` : '';
+  return `${intro}Provide your response in ${languageName} with:\n${asks.map((ask, i) => `${i + 1}. ${ask}`).join('\n')}\n\nFormat your response exactly like this:\n${format.join('\n')}`;
+}
+
+function buildSummaryPrompt(transcript, languageName, template) {
+  return `Analyze this transcript and respond in ${languageName}:\n\n"${transcript}"\n\n${buildAnswerFormat(languageName, '2-3', template)}`;
+}
+
+function buildChunkPrompt(chunk, index, total, languageName) {
+  return `This is part ${index + 1} of ${total} of a long transcript. Summarize what is said in this part in ${languageName}, in 4-6 sentences. Keep names, decisions, figures and open questions; do not add an introduction.\n\n"${chunk.text}"`;
+}
+
+// The reduce step works from the ordered part summaries instead of the transcript itself
+function buildCombinePrompt(partSummaries, languageName, template) {
+  const parts = partSummaries
+    .map((part, i) => `Part ${i + 1}${part.start !== null ? ` (from ${formatTimestamp(part.start)})` : ''}:\n${part.summary}`)
+    .join('\n\n');
+  return `These are summaries of consecutive parts of one long transcript, in order. Respond in ${languageName} about the transcript as a whole, not part by part:\n\n${parts}\n\n${buildAnswerFormat(languageName, '3-5', template)}`;
+}
+
+// Template sections come back as `SECTION n:` blocks, in the template's order
+function parseSections(generatedText, template) {
+  return (template?.sections || []).map((section, i) => {
+    const match = generatedText.match(new RegExp(`SECTION ${i + 1}:\\s*(.+?)(?=SECTION \\d+:|$)`, 's'));
+    const content = match ? match[1].trim() : '';
+    return { id: section.id, title: section.title, content: /^none\.?$/i.test(content) ? '' : content };
+  });
+}
+
+export function parseSummaryResponse(generatedText, template = null) {
+  const summaryMatch = generatedText.match(/SUMMARY:\s*(.+?)(?=TOPICS:|INSIGHTS:|SECTION \d+:|$)/s);
+  const topicsMatch = generatedText.match(/TOPICS:\s*(.+?)(?=INSIGHTS:|SECTION \d+:|$)/s);
+  const insightsMatch = generatedText.match(/INSIGHTS:\s*(.+?)(?=SECTION \d+:|$)/s);
+
+  return {
+    summary: summaryMatch ? summaryMatch[1].trim() : 'Summary not available.',
+    topics: topicsMatch ? topicsMatch[1].trim().split(",").map(t => t.trim()).filter(Boolean) : [],
+    topic: topicsMatch ? topicsMatch[1].trim().split(",")[0].trim() : 'General',
+    insights: insightsMatch ? insightsMatch[1].trim() : 'No insights generated.',
+    sections: parseSections(generatedText, template),
+  };
+}
+
+// Summarize each chunk, reusing stored summaries whose hash still matches
+async function summarizeChunks(chunks, languageName, { usage, cachedChunks, onProgress, llmOptions }) {
+  const cached = new Map((cachedChunks || []).map(chunk => [chunk.hash, chunk.summary]));
+  const results = new Array(chunks.length);
+  let done = 0;
+  let reused = 0;
+
+  for (let i = 0; i < chunks.length; i += CHUNK_CONCURRENCY) {
+    await Promise.all(chunks.slice(i, i + CHUNK_CONCURRENCY).map(async (chunk, offset) => {
+      const index = i + offset;
+      const hash = hashChunk(chunk.text, languageName);
+      let summary = cached.get(hash);
+      if (summary) {
+        reused++;
+      } else {
+        const { text } = await generateText(buildChunkPrompt(chunk, index, chunks.length, languageName), { ...llmOptions, temperature: 0.3, usage });
+        summary = text.trim();
+      }
+      results[index] = { hash, start: chunk.start, end: chunk.end, summary };
+      done++;
+      if (onProgress) await onProgress(done, chunks.length);
+    }));
+  }
+
+  console.log(`🧩 Summarized ${chunks.length} transcript chunks (${reused} reused)`);
+  return results;
+}
+
+// Part summaries too long for one combine prompt are merged a level up first
+async function condenseSummaries(partSummaries, languageName, usage, llmOptions) {
+  let parts = partSummaries;
+  while (parts.reduce((length, part) => length + part.summary.length, 0) > MAX_SINGLE_PASS_LENGTH) {
+    const groups = [];
+    for (const part of parts) {
+      const group = groups[groups.length - 1];
+      if (group && group.text.length + part.summary.length + 1 <= CHUNK_LENGTH) {
+        group.text += `\n${part.summary}`;
+      } else {
+        groups.push({ text: part.summary, start: part.start });
+      }
+    }
+    if (groups.length === parts.length) break;
+
+    parts = await Promise.all(groups.map(async (group, i) => {
+      const { text } = await generateText(buildChunkPrompt(group, i, groups.length, languageName), { ...llmOptions, temperature: 0.3, usage });
+      return { summary: text.trim(), start: group.start };
+    }));
+    console.log(`🧩 Condensed part summaries into ${parts.length}`);
+  }
+  return parts;
+}
+
+// Summarize a transcript from its model (preferred: chunks follow utterances) or its text, in
+// the sections of `template` (see summaryTemplates.js; the general summary when null).
+// Returns { summary, topics, topic, insights, sections, templateId, chunks }; `chunks` is empty
+// when the transcript was summarized in one pass. Chunk summaries don't depend on the template, so
+// switching templates only reruns the final step. `llmOptions` go to every request (e.g. the
+// interactive retry budget). Throws when the LLM fails.
+export async function summarizeTranscript({ model = null, text = '', language = 'en', template = null, usage = null, cachedChunks = [], onProgress = null, llmOptions = {} }) {
+  const languageName = getLanguageForAI(language);
+  const chunks = chunkTranscript({ model, text });
+  const length = chunks.reduce((total, chunk) => total + chunk.text.length + 1, 0);
+  // Every section adds to the answer, so templated summaries get more room
+  const maxOutputTokens = template?.sections?.length > 0 ? 2048 : 1024;
+  const templateId = template?.id || DEFAULT_SUMMARY_TEMPLATE;
+
+  if (chunks.length <= 1 || length <= MAX_SINGLE_PASS_LENGTH) {
+    console.log(`Generating AI summary in ${languageName} (${templateId} template)`);
+    const { text: generatedText } = await generateText(buildSummaryPrompt(text || chunks.map(chunk => chunk.text).join('\n'), languageName, template), { ...llmOptions, usage, maxOutputTokens });
+    return { ...parseSummaryResponse(generatedText, template), templateId, chunks: [] };
+  }
+
+  console.log(`Generating AI summary in ${languageName} (${templateId} template) from ${chunks.length} chunks`);
+  const chunkSummaries = await summarizeChunks(chunks, languageName, { usage, cachedChunks, onProgress, llmOptions });
+  const parts = await condenseSummaries(chunkSummaries, languageName, usage, llmOptions);
+  const { text: generatedText } = await generateText(buildCombinePrompt(parts, languageName, template), { ...llmOptions, usage, maxOutputTokens });
+  return { ...parseSummaryResponse(generatedText, template), templateId, chunks: chunkSummaries };
+}
@@ -0,0 +1,185 @@
+// Summary templates: the sections an AI summary is written in, on top of the short summary,
+// topics and insights every summary has.
+//   { id, name, description, sections: [{ id, title, instructions }] }
+// Built-in templates live here; users define their own in their profile (`user.summaryTemplates`,
+// ids starting with "custom-"). A file stores the template id it was summarized with
+// (`summaryTemplateId`) and the sections as written (`summarySections: [{ id, title, content }]`),
+// so it still renders after its template is edited or deleted.
+// Kept free of server-only imports so pages can use the same templates and validation.
+
+export const DEFAULT_SUMMARY_TEMPLATE = 'general';
+export const MAX_CUSTOM_SUMMARY_TEMPLATES = 20;
+export const MAX_TEMPLATE_SECTIONS = 8;
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 300;
+const TEMPLATE_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+export const BUILT_IN_SUMMARY_TEMPLATES = [
+  {
+    id: 'general',
+    name: 'General',
+    description: 'A short summary with the main topics and insights',
+    sections: [],
+  },
+  {
+    id: 'meeting-minutes',
+    name: 'Meeting minutes',
+    description: 'Discussion, decisions, risks and next steps',
+    sections: [
+      { id: 'attendees', title: 'Attendees', instructions: 'Who took part, by name or role where it is mentioned.' },
+      { id: 'discussion', title: 'Discussion', instructions: 'The main points discussed, as short bullet points.' },
+      { id: 'decisions', title: 'Decisions', instructions: 'Each decision that was made, as a bullet point.' },
+      { id: 'risks', title: 'Risks and blockers', instructions: 'Risks, blockers and open issues that were raised, as bullet points.' },
+      { id: 'next-steps', title: 'Next steps', instructions: 'Action items as bullet points, with the owner and due date when they are mentioned.' },
+    ],
+  },
+  {
+    id: 'interview',
+    name: 'Interview',
+    description: 'Background, strengths, concerns and a candidate assessment',
+    sections: [
+      { id: 'background', title: 'Candidate background', instructions: 'The candidate\'s experience and background as they describe it.' },
+      { id: 'strengths', title: 'Strengths', instructions: 'Strengths the candidate showed, as bullet points with examples from the conversation.' },
+      { id: 'concerns', title: 'Concerns', instructions: 'Gaps or concerns that came up, as bullet points.' },
+      { id: 'assessment', title: 'Candidate assessment', instructions: 'An overall assessment of the candidate against what the interviewers were looking for.' },
+      { id: 'follow-up', title: 'Follow-up questions', instructions: 'Questions worth asking in a next round, as bullet points.' },
+    ],
+  },
+  {
+    id: 'lecture',
+    name: 'Lecture',
+    description: 'Key concepts, examples and study notes',
+    sections: [
+      { id: 'concepts', title: 'Key concepts', instructions: 'The concepts taught, each with a one-line definition.' },
+      { id: 'examples', title: 'Examples', instructions: 'Examples and explanations the speaker used, as bullet points.' },
+      { id: 'questions', title: 'Questions raised', instructions: 'Questions asked by the audience or left open, as bullet points.' },
+      { id: 'study-notes', title: 'Study notes', instructions: 'What a student should remember from this lecture, as bullet points.' },
+    ],
+  },
+  {
+    id: 'sales-call',
+    name: 'Sales call',
+    description: 'Needs, objections, budget and next steps',
+    sections: [
+      { id: 'needs', title: 'Customer needs', instructions: 'The customer\'s goals and pain points, as bullet points.' },
+      { id: 'objections', title: 'Objections', instructions: 'Objections and hesitations the customer raised, with how they were answered.' },
+      { id: 'budget', title: 'Budget and timeline', instructions: 'Budget, pricing, decision makers and timeline, where they were discussed.' },
+      { id: 'competitors', title: 'Competitors', instructions: 'Competitors or alternatives that were mentioned.' },
+      { id: 'next-steps', title: 'Next steps', instructions: 'Agreed next steps as bullet points, with owners and dates when they are mentioned.' },
+    ],
+  },
+];
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+function slugify(value) {
+  return value.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+function uniqueId(base, used) {
+  let id = base;
+  for (let index = 2; used.has(id); index++) {
+    id = `${base}-${index}`;
+  }
+  used.add(id);
+  return id;
+}
+
+// Validate the user's own templates. Templates keep the id they were saved with so files
+// summarized with them still point at them; new ones get an id from their name.
+// Returns { templates } or { error } with a message suitable for a 400 response.
+export function normalizeSummaryTemplates(entries) {
+  if (!Array.isArray(entries)) {
+    return { error: 'Summary templates must be a list' };
+  }
+  if (entries.length > MAX_CUSTOM_SUMMARY_TEMPLATES) {
+    return { error: `You can save at most ${MAX_CUSTOM_SUMMARY_TEMPLATES} summary templates` };
+  }
+
+  // Saved ids are claimed first so a new template named like an old one can't take its id
+  const isSavedId = (id) => typeof id === 'string' && id.startsWith('custom-') && TEMPLATE_ID_PATTERN.test(id);
+  const usedIds = new Set(entries.map(entry => entry?.id).filter(isSavedId));
+  const keptIds = new Set();
+
+  const templates = [];
+  const usedNames = new Set();
+  for (const entry of entries) {
+    const name = cleanText(entry?.name, MAX_NAME_LENGTH);
+    if (!name) {
+      return { error: 'Every summary template needs a name' };
+    }
+    if (usedNames.has(name.toLowerCase())) {
+      return { error: `There is already a summary template called "${name}"` };
+    }
+    usedNames.add(name.toLowerCase());
+
+    const rawSections = Array.isArray(entry.sections) ? entry.sections : [];
+    if (rawSections.length === 0 || rawSections.length > MAX_TEMPLATE_SECTIONS) {
+      return { error: `"${name}" needs between 1 and ${MAX_TEMPLATE_SECTIONS} sections` };
+    }
+
+    const sectionIds = new Set();
+    const sections = [];
+    for (const rawSection of rawSections) {
+      const title = cleanText(rawSection?.title, MAX_NAME_LENGTH);
+      if (!title) {
+        return { error: `Every section of "${name}" needs a title` };
+      }
+      sections.push({
+        id: uniqueId(slugify(title) || `section-${sections.length + 1}`, sectionIds),
+        title,
+        instructions: cleanText(rawSection.instructions, MAX_INSTRUCTIONS_LENGTH),
+      });
+    }
+
+    const keepId = isSavedId(entry.id) && !keptIds.has(entry.id);
+    if (keepId) keptIds.add(entry.id);
+    templates.push({
+      id: keepId ? entry.id : uniqueId(`custom-${slugify(name) || 'template'}`, usedIds),
+      name,
+      description: cleanText(entry.description, MAX_DESCRIPTION_LENGTH),
+      sections,
+    });
+  }
+
+  return { templates };
+}
+
+// The template to summarize with, given as an upload setting.
+// Returns { settings } or { error } with a message suitable for a 400 response.
+export function parseSummaryTemplateSetting(summaryTemplate) {
+  const id = summaryTemplate || DEFAULT_SUMMARY_TEMPLATE;
+  if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+    return { error: 'Invalid summary template' };
+  }
+  return { settings: { summaryTemplate: id } };
+}
+
+export function listSummaryTemplates(customTemplates = []) {
+  return [...BUILT_IN_SUMMARY_TEMPLATES, ...(customTemplates || [])];
+}
+
+// The template with `id`, or null when it doesn't exist (any more)
+export function findSummaryTemplate(id, customTemplates = []) {
+  return listSummaryTemplates(customTemplates).find(template => template.id === (id || DEFAULT_SUMMARY_TEMPLATE)) || null;
+}
+
+export function getDefaultSummaryTemplate() {
+  return BUILT_IN_SUMMARY_TEMPLATES[0];
+}
+
+// What a file's AI summary shows and exports, in order: the short summary, then the template's
+// sections. Empty sections are left out.
+export function getSummaryBlocks(file) {
+  const blocks = [];
+  if (file?.summary) {
+    blocks.push({ id: 'summary', title: 'Summary', content: file.summary });
+  }
+  (file?.summarySections || [])
+    .filter(section => section.content && section.content.trim())
+    .forEach(section => blocks.push({ id: section.id, title: section.title, content: section.content }));
+  return blocks;
+}
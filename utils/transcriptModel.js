@@ -0,0 +1,284 @@
+// Canonical transcript model stored on completed files as `transcriptModel`.
+// The formatted `transcript` text, timelines, exports and analytics are all derived from it.
+// Kept free of server-only imports so pages can render from the same model.
+//
+//   {
+//     version, source, language, duration (sec), confidence,
+//     speakers: [{ id: 'A', label: 'Speaker 0' }],
+//     segments: [{ id, speaker, start, end, text, confidence, translation?, words: [{ text, start, end, confidence }] }],
+//     translatedText?   whole-transcript translation when there are no speaker turns
+//   }
+// Segment and word times are in milliseconds.
+
+export const TRANSCRIPT_MODEL_VERSION = 1;
+
+const MAX_SEGMENT_MS = 30000; // Without speaker turns, split paragraphs at 30s...
+const SEGMENT_GAP_MS = 1500; // ...or at a pause
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+function average(values) {
+  const scored = values.filter(value => typeof value === 'number');
+  return scored.length > 0 ? scored.reduce((sum, value) => sum + value, 0) / scored.length : null;
+}
+
+function toWord(word) {
+  return { text: word.text, start: word.start, end: word.end, confidence: word.confidence ?? null };
+}
+
+function isOwnWord(word, utterance) {
+  return !!word.speaker && word.speaker === utterance.speaker && word.start <= utterance.end;
+}
+
+function segmentsFromUtterances(utterances, words) {
+  let w = 0;
+  return utterances.map((utterance, index) => {
+    const segmentWords = [];
+    // Words that start before the next utterance belong to this one. Multichannel turns can
+    // overlap, so a word of this speaker that starts inside this utterance stays with it too.
+    const nextStart = utterances[index + 1]?.start ?? Infinity;
+    while (w < words.length && (words[w].start < nextStart || isOwnWord(words[w], utterance))) {
+      segmentWords.push(toWord(words[w++]));
+    }
+    return {
+      id: index,
+      speaker: utterance.speaker || null,
+      start: utterance.start,
+      end: utterance.end,
+      text: utterance.text,
+      confidence: utterance.confidence ?? average(segmentWords.map(word => word.confidence)),
+      words: segmentWords
+    };
+  });
+}
+
+function segmentsFromWords(words) {
+  const segments = [];
+  let current = null;
+
+  words.forEach((word, i) => {
+    const previous = words[i - 1];
+    const startNew = !current
+      || (word.speaker || null) !== current.speaker
+      || word.start - previous.end >= SEGMENT_GAP_MS
+      || (word.start - current.start >= MAX_SEGMENT_MS && SENTENCE_END.test(previous.text))
+      || word.start - current.start >= MAX_SEGMENT_MS * 2;
+
+    if (startNew) {
+      current = { id: segments.length, speaker: word.speaker || null, start: word.start, end: word.end, words: [] };
+      segments.push(current);
+    }
+    current.words.push(toWord(word));
+    current.end = word.end;
+  });
+
+  return segments.map(segment => ({
+    ...segment,
+    text: segment.words.map(word => word.text).join(' '),
+    confidence: average(segment.words.map(word => word.confidence))
+  }));
+}
+
+// Providers number speakers; multichannel results name them after their channel
+function speakersFromSegments(segments, speakerNames = {}) {
+  const ids = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+  return ids.map((id, index) => ({ id, label: speakerNames[id] || `Speaker ${index}` }));
+}
+
+// Build the model from a normalized provider result (see utils/transcriptionProviders/index.js)
+export function buildTranscriptModel(result, { source = 'provider' } = {}) {
+  const words = (result.words || []).filter(word => word.text);
+  const utterances = result.utterances || [];
+
+  let segments;
+  if (utterances.length > 0) {
+    segments = segmentsFromUtterances(utterances, words);
+  } else if (words.length > 0) {
+    segments = segmentsFromWords(words);
+  } else if (result.text) {
+    const end = result.duration ? Math.round(result.duration * 1000) : 0;
+    segments = [{ id: 0, speaker: null, start: 0, end, text: result.text, confidence: result.confidence ?? null, words: [] }];
+  } else {
+    segments = [];
+  }
+
+  return {
+    version: TRANSCRIPT_MODEL_VERSION,
+    source,
+    language: result.language || null,
+    duration: result.duration ?? null,
+    confidence: result.confidence ?? average(words.map(word => word.confidence)),
+    speakers: speakersFromSegments(segments, result.speakerNames),
+    segments
+  };
+}
+
+export function hasSpeakerTurns(model) {
+  return !!model && model.speakers.length > 0 && model.segments.some(segment => segment.speaker);
+}
+
+export function formatTimestamp(milliseconds) {
+  const totalSeconds = Math.floor((milliseconds || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+export function getSpeakerLabel(model, speakerId) {
+  return model.speakers.find(speaker => speaker.id === speakerId)?.label || 'Speaker';
+}
+
+// `Speaker 0    00:01:02    text`
+export function renderSegmentLine(model, segment, { translated = true } = {}) {
+  const text = (translated && segment.translation) || segment.text;
+  return `${getSpeakerLabel(model, segment.speaker)}    ${formatTimestamp(segment.start)}    ${text}`;
+}
+
+export function renderSegmentLines(model, { translated = true } = {}) {
+  return model.segments
+    .map(segment => renderSegmentLine(model, segment, { translated }))
+    .join('\n');
+}
+
+// The segment being spoken at `milliseconds`, or the last one that started before it
+export function findSegmentAt(model, milliseconds) {
+  if (!model) return null;
+  let found = null;
+  for (const segment of model.segments) {
+    if (segment.start > milliseconds) break;
+    found = segment;
+  }
+  return found || model.segments[0] || null;
+}
+
+// The stored `transcript` text: speaker-attributed lines when diarization ran, plain text otherwise
+export function renderTranscriptText(model, { translated = true } = {}) {
+  if (!model) return '';
+  if (hasSpeakerTurns(model)) {
+    return renderSegmentLines(model, { translated }) + '\n\n[END]';
+  }
+  if (translated && model.translatedText) {
+    return model.translatedText;
+  }
+  return model.segments.map(segment => segment.text).join(' ').trim();
+}
+
+export function getModelWords(model) {
+  if (!model) return [];
+  return model.segments.flatMap(segment =>
+    segment.words.map(word => ({ ...word, speaker: segment.speaker }))
+  );
+}
+
+export function getWordCount(model) {
+  if (!model) return 0;
+  return model.segments.reduce((sum, segment) =>
+    sum + (segment.words.length || segment.text.split(/\s+/).filter(Boolean).length), 0);
+}
+
+// Segment-level timeline entries for exports: { start, end, speaker, text }.
+// Older files without a model fall back to their stored word `timestamps`.
+export function getTimelineEntries(file) {
+  const model = file?.transcriptModel;
+  if (model && model.segments.length > 0) {
+    return model.segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker ? getSpeakerLabel(model, segment.speaker) : null,
+      text: segment.translation || segment.text
+    }));
+  }
+  return file?.timestamps || [];
+}
+
+// Per-speaker totals measured from segment timings
+export function getSpeakerStats(model) {
+  const stats = {};
+  if (!model) return stats;
+
+  model.segments.forEach(segment => {
+    if (!segment.speaker) return;
+    const label = getSpeakerLabel(model, segment.speaker);
+    const wordCount = segment.words.length || segment.text.split(/\s+/).filter(Boolean).length;
+    const entry = stats[label] || (stats[label] = { wordCount: 0, speakingTimeMs: 0, segments: 0, longestSegment: 0 });
+    entry.wordCount += wordCount;
+    entry.speakingTimeMs += Math.max(0, segment.end - segment.start);
+    entry.segments += 1;
+    entry.longestSegment = Math.max(entry.longestSegment, wordCount);
+  });
+
+  return stats;
+}
+
+// Rebuild a model for files completed before the model existed, from the word timings they
+// stored in `timestamps`. Returns null when the file has no raw timing data.
+export function buildModelFromTimestamps(file) {
+  const timestamps = (file.timestamps || []).filter(entry => entry.text && typeof entry.start === 'number');
+  if (timestamps.length === 0) return null;
+
+  const words = timestamps.map(entry => ({
+    text: entry.text,
+    start: entry.start,
+    end: entry.end ?? entry.start,
+    confidence: entry.confidence ?? null,
+    speaker: entry.speaker || null
+  }));
+
+  // Consecutive words from the same speaker form one turn
+  const utterances = [];
+  if (words.some(word => word.speaker)) {
+    words.forEach(word => {
+      const last = utterances[utterances.length - 1];
+      if (last && last.speaker === word.speaker) {
+        last.end = word.end;
+        last.text += ` ${word.text}`;
+      } else {
+        utterances.push({ speaker: word.speaker, start: word.start, end: word.end, text: word.text });
+      }
+    });
+  }
+
+  return buildTranscriptModel(
+    { words, utterances, duration: file.duration ?? null, confidence: file.confidence ?? null, language: file.language || null },
+    { source: 'backfill:timestamps' }
+  );
+}
+
+const SEGMENT_LINE = /^(.+?)\s{2,}(\d{2}:\d{2}:\d{2})\s{2,}(.*)$/;
+
+// Apply a hand-edited transcript text back onto the model. Edits are matched line by line to
+// segments; edited segments drop their word timings since those no longer match the text.
+// Returns the updated model, or null when the text no longer lines up with the segments.
+export function applyTranscriptEdits(model, text) {
+  if (!model || !hasSpeakerTurns(model)) return null;
+
+  const lines = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && line !== '[END]');
+  if (lines.length !== model.segments.length) return null;
+
+  const parsed = lines.map(line => line.match(SEGMENT_LINE));
+  if (parsed.some(match => !match)) return null;
+
+  const speakerByLabel = new Map(model.speakers.map(speaker => [speaker.label, speaker.id]));
+  const segments = model.segments.map((segment, i) => {
+    const [, label, , editedText] = parsed[i];
+    const speaker = speakerByLabel.get(label.trim()) || segment.speaker;
+    const field = segment.translation ? 'translation' : 'text';
+
+    if (editedText === segment[field] && speaker === segment.speaker) {
+      return segment;
+    }
+    return {
+      ...segment,
+      speaker,
+      [field]: editedText,
+      words: editedText === segment[field] ? segment.words : [],
+      edited: true
+    };
+  });
+
+  return { ...model, segments };
+}
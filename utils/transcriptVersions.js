@@ -0,0 +1,264 @@
+// Every transcription run of a file is kept as a numbered transcript version in the
+// `transcriptVersions` collection, so re-runs with different settings can be compared and an
+// older run promoted back to current. The file document holds a copy of its current version.
+//   { fileId, userId, version, jobId, settings, status, error, createdAt, completedAt, ...VERSIONED_FIELDS }
+import { ObjectId } from 'mongodb';
+
+export const TRANSCRIPT_VERSIONS_COLLECTION = 'transcriptVersions';
+
+export const VERSION_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  // An unredacted run whose text was removed when the file's original recording was deleted
+  PURGED: 'purged',
+};
+
+// Fields a completed run sets on the file; promoting a version copies them back
+export const VERSIONED_FIELDS = [
+  'transcript',
+  'transcriptModel',
+  'summary',
+  'topic',
+  'topics',
+  'insights',
+  'summaryTemplateId',
+  'summarySections',
+  'summaryChunks',
+  'chapters',
+  'chaptersSource',
+  'sentimentTimeline',
+  'sentimentSource',
+  'speakers',
+  'duration',
+  'confidence',
+  'wordCount',
+  'language',
+  'detectedLanguage',
+  'provider',
+  'redactedAudio',
+  'preprocessing',
+];
+
+// Everything in a version that carries what was said; an unredacted run loses these once the
+// file's original recording is deleted
+const CONTENT_FIELDS = [
+  'transcript',
+  'transcriptModel',
+  'summary',
+  'topic',
+  'topics',
+  'insights',
+  'summarySections',
+  'summaryChunks',
+  'chapters',
+  'sentimentTimeline',
+];
+
+// Large fields left out of version lists
+const LIST_PROJECTION = { transcript: 0, transcriptModel: 0, sentimentTimeline: 0, chapters: 0, insights: 0, summarySections: 0, summaryChunks: 0 };
+
+let indexesEnsured = false;
+
+async function ensureVersionIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(TRANSCRIPT_VERSIONS_COLLECTION).createIndex({ fileId: 1, version: -1 }, { unique: true });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create transcript version indexes:', error.message);
+  }
+}
+
+function versions(db) {
+  return db.collection(TRANSCRIPT_VERSIONS_COLLECTION);
+}
+
+function pickVersionedFields(source) {
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, source[field] ?? null]));
+}
+
+// Numbers are handed out by the file so concurrent runs never share one
+async function allocateVersion(db, fileId) {
+  const file = await db.collection('files').findOneAndUpdate(
+    { _id: new ObjectId(fileId) },
+    { $inc: { versionCount: 1 } },
+    { returnDocument: 'after', projection: { versionCount: 1 } }
+  );
+  if (!file) {
+    throw new Error(`File ${fileId} not found`);
+  }
+  return file.versionCount;
+}
+
+// Record a new run before its job is queued. Returns the version number.
+export async function createTranscriptVersion(db, { fileId, userId, settings }) {
+  await ensureVersionIndexes(db);
+  const version = await allocateVersion(db, fileId);
+
+  await versions(db).insertOne({
+    fileId,
+    userId,
+    version,
+    jobId: null,
+    settings,
+    status: VERSION_STATUS.PROCESSING,
+    error: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  return version;
+}
+
+export async function setTranscriptVersionJob(db, fileId, version, jobId) {
+  await versions(db).updateOne({ fileId, version }, { $set: { jobId, updatedAt: new Date() } });
+}
+
+// Store a finished run. Returns false when the run was cancelled in the meantime.
+export async function completeTranscriptVersion(db, fileId, version, fields) {
+  const result = await versions(db).updateOne(
+    { fileId, version, status: VERSION_STATUS.PROCESSING },
+    { $set: { ...pickVersionedFields(fields), status: VERSION_STATUS.COMPLETED, completedAt: new Date(), updatedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+}
+
+// Mark a run that is still processing as failed or cancelled
+export async function endTranscriptVersion(db, fileId, version, status, error = null) {
+  await versions(db).updateOne(
+    { fileId, version, status: VERSION_STATUS.PROCESSING },
+    { $set: { status, error, endedAt: new Date(), updatedAt: new Date() } }
+  );
+}
+
+// Files transcribed before versioning have no versions; keep their transcript as the first one
+export async function snapshotFileVersion(db, file) {
+  if (file.currentVersion || !file.transcript) {
+    return file.currentVersion || null;
+  }
+
+  await ensureVersionIndexes(db);
+  const version = await allocateVersion(db, file._id.toString());
+  await versions(db).insertOne({
+    fileId: file._id.toString(),
+    userId: file.userId,
+    version,
+    jobId: file.jobId || null,
+    settings: file.settings || {},
+    status: VERSION_STATUS.COMPLETED,
+    error: null,
+    ...pickVersionedFields(file),
+    createdAt: file.createdAt || new Date(),
+    completedAt: file.updatedAt || new Date(),
+    updatedAt: new Date(),
+  });
+  await db.collection('files').updateOne({ _id: file._id }, { $set: { currentVersion: version } });
+  return version;
+}
+
+export async function listTranscriptVersions(db, fileId) {
+  return versions(db).find({ fileId }, { projection: LIST_PROJECTION }).sort({ version: -1 }).toArray();
+}
+
+export async function getTranscriptVersion(db, fileId, version) {
+  return versions(db).findOne({ fileId, version });
+}
+
+// Runs made from the original recording can't come back once it was deleted for redaction
+export function isRestorableVersion(file, stored) {
+  if (!stored || stored.status !== VERSION_STATUS.COMPLETED) return false;
+  if (!file?.originalDeletedAt || stored.settings?.redaction) return true;
+  return new Date(stored.createdAt) > new Date(file.originalDeletedAt);
+}
+
+// Make a completed version the file's current transcript
+export async function restoreFileVersion(db, fileId, version, extra = {}) {
+  const stored = await getTranscriptVersion(db, fileId, version);
+  if (!stored || stored.status !== VERSION_STATUS.COMPLETED) {
+    throw new Error(`Version ${version} of file ${fileId} is not a completed transcript`);
+  }
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { originalDeletedAt: 1 } });
+  if (!isRestorableVersion(file, stored)) {
+    throw new Error(`Version ${version} of file ${fileId} is unredacted and its original recording was deleted`);
+  }
+
+  const update = {
+    ...pickVersionedFields(stored),
+    settings: stored.settings,
+    currentVersion: version,
+    // Analytics are derived from the transcript and are rebuilt on the next view
+    analytics: null,
+    status: 'completed',
+    error: null,
+    jobId: null,
+    updatedAt: new Date(),
+    ...extra,
+  };
+  await db.collection('files').updateOne({ _id: new ObjectId(fileId) }, { $set: update });
+  return update;
+}
+
+// Drop the text of every unredacted run once the file's original recording is deleted for
+// redaction. The runs stay listed with their settings and numbers. Returns how many were purged.
+export async function purgeUnredactedVersions(db, fileId) {
+  const result = await versions(db).updateMany(
+    { fileId, status: VERSION_STATUS.COMPLETED, 'settings.redaction': { $in: [null, false] } },
+    {
+      $set: { status: VERSION_STATUS.PURGED, purgedAt: new Date(), updatedAt: new Date() },
+      $unset: Object.fromEntries(CONTENT_FIELDS.map(field => [field, ''])),
+    }
+  );
+  return result.modifiedCount;
+}
+
+// Remove every version of a deleted file. Returns the R2 keys of their redacted audio copies.
+export async function deleteTranscriptVersions(db, fileId) {
+  const stored = await versions(db)
+    .find({ fileId, 'redactedAudio.key': { $ne: null } }, { projection: { 'redactedAudio.key': 1 } })
+    .toArray();
+  await versions(db).deleteMany({ fileId });
+  return [...new Set(stored.map(version => version.redactedAudio.key))];
+}
+
+function wordCounts(text) {
+  const counts = new Map();
+  (text || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(word => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return counts;
+}
+
+function settingsDifferences(a = {}, b = {}) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return keys
+    .filter(key => JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null))
+    .map(key => ({ key, from: a[key] ?? null, to: b[key] ?? null }));
+}
+
+// Side-by-side summary of two versions: what changed in the settings, the headline numbers and
+// how much of the wording the two transcripts share (0-1, ignoring word order)
+export function compareTranscriptVersions(a, b) {
+  const wordsA = wordCounts(a.transcriptModel?.segments?.map(segment => segment.text).join(' ') ?? a.transcript);
+  const wordsB = wordCounts(b.transcriptModel?.segments?.map(segment => segment.text).join(' ') ?? b.transcript);
+
+  let shared = 0;
+  wordsA.forEach((count, word) => { shared += Math.min(count, wordsB.get(word) || 0); });
+  const totalA = [...wordsA.values()].reduce((sum, count) => sum + count, 0);
+  const totalB = [...wordsB.values()].reduce((sum, count) => sum + count, 0);
+
+  const stat = (field) => ({ from: a[field] ?? null, to: b[field] ?? null });
+
+  return {
+    from: a.version,
+    to: b.version,
+    settings: settingsDifferences(a.settings, b.settings),
+    provider: stat('provider'),
+    language: stat('language'),
+    wordCount: stat('wordCount'),
+    confidence: stat('confidence'),
+    speakers: { from: a.speakers?.length ?? 0, to: b.speakers?.length ?? 0 },
+    chapters: { from: a.chapters?.length ?? 0, to: b.chapters?.length ?? 0 },
+    wordOverlap: Math.max(totalA, totalB) > 0 ? Math.round((shared / Math.max(totalA, totalB)) * 100) / 100 : 1,
+  };
+}
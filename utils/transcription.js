@@ -0,0 +1,1274 @@
+// Shared transcription pipeline: provider submission, completion handling and AI summaries.
+// Transcriptions run as durable jobs (see utils/jobQueue.js) instead of in-process polling loops.
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import { connectDB } from '../lib/mongodb.js';
+import {
+  languageNeedsTranslation,
+  translateText,
+  getLanguageForAI,
+  isAutoDetectLanguage,
+  resolveLanguageCode
+} from './languages.js';
+import {
+  enqueueJob,
+  runJobs,
+  getNextRunAt,
+  claimJobById,
+  processJob,
+  extendJobLease,
+  permanentError,
+  getBackoffDelay,
+  getActiveJobForFile,
+  cancelJob,
+  JOB_STATUS
+} from './jobQueue.js';
+import {
+  VERSION_STATUS,
+  createTranscriptVersion,
+  setTranscriptVersionJob,
+  completeTranscriptVersion,
+  endTranscriptVersion,
+  snapshotFileVersion,
+  restoreFileVersion,
+  purgeUnredactedVersions
+} from './transcriptVersions.js';
+import { getProvider, getProviderName } from './transcriptionProviders/index.js';
+import { buildVocabulary, applyVocabulary } from './vocabulary.js';
+import { redactResult, redactText, getRedactedAudioKey } from './redaction.js';
+import { beepAudio, probeDuration, detectSilences, processAudio } from './media.js';
+import {
+  SILENCE_NOISE_DB,
+  MIN_SILENCE_SEC,
+  getProcessedAudioKey,
+  planSilenceCuts,
+  buildFilterChain,
+  restoreOriginalTimeline
+} from './audioPreprocessing.js';
+import {
+  LANGUAGE_DETECTION_TIMEOUT_MS,
+  planLanguageSamples,
+  summarizeLanguageSamples
+} from './languageDetection.js';
+import { uploadFile, deleteFile, getFileUrl, isUserFileKey } from './storage.js';
+import {
+  buildTranscriptModel,
+  buildModelFromTimestamps,
+  renderTranscriptText,
+  hasSpeakerTurns,
+  getWordCount
+} from './transcriptModel.js';
+import {
+  MIN_CHAPTER_AUDIO_MS,
+  chaptersEnabled,
+  finalizeChapters,
+  getModelEndMs,
+  buildChapterPrompt,
+  parseChapterResponse
+} from './chapters.js';
+import { timelineFromSentences, buildSentimentPrompt, parseSentimentResponse } from './sentiment.js';
+import {
+  CHUNK_CONCURRENCY,
+  splitIntoChunks,
+  mapWithConcurrency,
+  saveChunkResult,
+  loadChunkResults,
+  cleanupChunks,
+  stitchChunkResults
+} from './chunkedTranscription.js';
+import { splitIntoChannels, mergeChannelResults } from './multichannel.js';
+import { recordUsage, USAGE_METRICS } from './usage.js';
+import { reportProgress } from './progressEvents.js';
+import { estimateProcessingTime, recordProcessingTimes } from './processingEstimates.js';
+import { MEDIA_IMPORT_JOB, runMediaImportJob } from './mediaImport.js';
+import { FEED_POLL_JOB, runFeedPollJob } from './podcastFeeds.js';
+import { generateText, createLlmUsage, getLlmProviderName } from './llm.js';
+import { summarizeTranscript } from './summaries.js';
+import { DEFAULT_SUMMARY_TEMPLATE, findSummaryTemplate, getDefaultSummaryTemplate } from './summaryTemplates.js';
+
+export const TRANSCRIPTION_JOB = 'transcription';
+
+const POLL_INTERVAL_MS = 5000; // 5 seconds
+const MAX_POLL_INTERVAL_MS = 30000; // 30 seconds
+const MAX_TRANSCRIPTION_WAIT_MS = 3 * 60 * 60 * 1000; // 3 hours
+const WEBHOOK_FALLBACK_POLL_MS = 5 * 60 * 1000; // Safety net in case a webhook never arrives
+const SYNCHRONOUS_PROVIDER_LEASE_MS = 60 * 60 * 1000; // Local providers transcribe inside submit()
+const CHUNKING_LEASE_MS = 3 * 60 * 60 * 1000; // Extracting and splitting an all-day recording
+const MAX_CHUNK_SUBMIT_ATTEMPTS = 3;
+const SENTIMENT_BATCH_SIZE = 80; // Segments classified per LLM request
+const COMPLETION_LEASE_MS = 30 * 60 * 1000; // Summary, chapters and sentiment for a long recording
+const REDACTION_LEASE_MS = 60 * 60 * 1000; // Re-encoding the beeped copy of a long recording
+const PREPROCESSING_LEASE_MS = 2 * 60 * 60 * 1000; // Silence detection plus a filtered re-encode
+
+// AssemblyAI can only call us back on a publicly reachable URL
+function getWebhookBaseUrl() {
+  const baseUrl = process.env.ASSEMBLYAI_WEBHOOK_BASE_URL || process.env.NEXTAUTH_URL;
+  if (!baseUrl || /localhost|127\.0\.0\.1/.test(baseUrl)) {
+    return null;
+  }
+  return baseUrl.replace(/\/$/, '');
+}
+
+function hashWebhookSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+export function verifyWebhookSecret(job, secret) {
+  const expected = job.state?.webhookSecretHash;
+  if (!expected || !secret) return false;
+  const actual = hashWebhookSecret(secret);
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// Turn a normalized provider result into the stored file record: build the transcript model,
+// translate if needed, render the transcript text, generate the AI summary and save it all.
+export async function completeTranscription(db, fileId, providerResult, requestedSettings, { provider = null, vocabulary = null, job = null } = {}) {
+  if (job) {
+    await extendJobLease(db, job, COMPLETION_LEASE_MS);
+  }
+
+  // Trimmed silences are put back so timestamps match the original recording
+  const preprocessing = job?.state?.preprocessing;
+  if (preprocessing?.removedRanges?.length > 0) {
+    providerResult = restoreOriginalTimeline(providerResult, preprocessing.removedRanges, preprocessing.originalDuration);
+  }
+
+  // Auto-detect without a sampled detection: take the language the provider reported
+  let settings = requestedSettings;
+  let detectedLanguage = null;
+  if (isAutoDetectLanguage(settings.language)) {
+    const code = resolveLanguageCode(providerResult.language) || 'en';
+    detectedLanguage = { code, confidence: providerResult.languageConfidence ?? null, mixed: false, languages: [{ code, share: 1 }], samples: [] };
+    settings = { ...settings, language: code };
+    console.log(`🔎 Provider detected language ${code} for file ${fileId}`);
+  }
+
+  // Providers without word boost get the glossary as a replacement pass instead
+  const correctedResult = provider && !getProvider(provider).supportsWordBoost
+    ? applyVocabulary(providerResult, vocabulary)
+    : providerResult;
+
+  // Redact before anything derived from the text (model, translation, summary, chapters) is built
+  const redaction = settings.redaction ? redactResult(correctedResult, settings.redaction.categories) : null;
+  const result = redaction ? redaction.result : correctedResult;
+
+  // Multichannel results are labeled by channel, so their speakers are kept without diarization
+  const keepSpeakers = settings.speakerIdentification || settings.multichannel;
+  const model = buildTranscriptModel(keepSpeakers ? result : withoutSpeakers(result));
+
+  // Apply translation if the target language needs translation
+  if (languageNeedsTranslation(settings.language)) {
+    await reportProgress(db, fileId, 'translating', { message: `Translating to ${getLanguageForAI(settings.language)}` });
+    console.log(`🌐 Translating transcript from English to ${settings.language}...`);
+    try {
+      await translateTranscriptModel(model, settings.language);
+      // Segment text and word timings are kept in the original language for accuracy
+      console.log('✅ Translation completed successfully');
+    } catch (translationError) {
+      console.error('❌ Translation failed:', translationError);
+      console.log('📝 Using original English transcript');
+    }
+  }
+
+  // LLM requests made for this run are metered as part of the transcription
+  const aiUsage = createLlmUsage();
+  const transcriptText = renderTranscriptText(model);
+  await reportProgress(db, fileId, 'summarizing', { stageProgress: 0, message: 'Writing summary' });
+  // Chunk summaries of an earlier run are reused where the transcript is unchanged
+  const previous = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { summaryChunks: 1 } });
+  const summaryResult = await generateSummary(transcriptText, settings.language, {
+    usage: aiUsage,
+    model,
+    template: await loadSummaryTemplate(db, job?.userId, settings.summaryTemplate),
+    cachedChunks: previous?.summaryChunks || [],
+    onProgress: (done, total) => reportProgress(db, fileId, 'summarizing', {
+      stageProgress: 0.3 * (done / total),
+      message: `Summarizing part ${done} of ${total}`
+    }),
+  });
+
+  let chapters = [];
+  let chaptersSource = null;
+  if (chaptersEnabled(settings)) {
+    // Provider chapters are in the spoken language, so translated transcripts get the LLM's
+    if (result.chapters && result.chapters.length > 0 && !languageNeedsTranslation(settings.language)) {
+      chapters = finalizeChapters(result.chapters, getModelEndMs(model));
+      chaptersSource = provider;
+    } else {
+      await reportProgress(db, fileId, 'summarizing', { stageProgress: 0.4, message: 'Finding chapters' });
+      chapters = await generateChapters(model, settings.language, { usage: aiUsage });
+      chaptersSource = chapters.length > 0 ? getLlmProviderName() : null;
+    }
+  }
+
+  // Provider sentiment when it was returned, the LLM's for languages the provider doesn't cover
+  let sentimentTimeline = [];
+  let sentimentSource = null;
+  if (result.sentiments && result.sentiments.length > 0) {
+    sentimentTimeline = timelineFromSentences(model, result.sentiments);
+    sentimentSource = provider;
+  } else {
+    await reportProgress(db, fileId, 'summarizing', { stageProgress: 0.7, message: 'Analyzing sentiment' });
+    sentimentTimeline = await generateSentimentTimeline(model, { usage: aiUsage });
+    sentimentSource = sentimentTimeline.length > 0 ? getLlmProviderName() : null;
+  }
+
+  const redactedAudio = redaction
+    ? await createRedactedAudio(db, fileId, redaction.intervals, job)
+    : null;
+
+  const fields = {
+    transcript: transcriptText,
+    transcriptModel: model,
+    summary: redaction ? redactText(summaryResult.summary, settings.redaction.categories) : summaryResult.summary,
+    topic: summaryResult.topic,
+    topics: summaryResult.topics,
+    insights: summaryResult.insights,
+    summaryTemplateId: summaryResult.templateId,
+    summarySections: redaction
+      ? summaryResult.sections.map(section => ({ ...section, content: redactText(section.content, settings.redaction.categories) }))
+      : summaryResult.sections,
+    summaryChunks: redaction
+      ? summaryResult.chunks.map(chunk => ({ ...chunk, summary: redactText(chunk.summary, settings.redaction.categories) }))
+      : summaryResult.chunks,
+    chapters,
+    chaptersSource,
+    sentimentTimeline,
+    sentimentSource,
+    speakers: model.speakers.map(speaker => speaker.id),
+    duration: result.duration,
+    confidence: model.confidence,
+    wordCount: getWordCount(model),
+    language: settings.language,
+    provider,
+  };
+
+  // Jobs queued before transcript versioning complete straight onto the file
+  const version = job?.payload?.version ?? null;
+  if (version !== null) {
+    Object.assign(fields, {
+      redactedAudio,
+      detectedLanguage: detectedLanguage || job.state?.languageDetection?.result || null,
+      preprocessing: job.state?.preprocessing || null,
+    });
+
+    const recorded = await completeTranscriptVersion(db, fileId, version, fields);
+    if (!recorded) {
+      console.log(`⏹️ Run ${version} of file ${fileId} was cancelled, discarding its transcript`);
+      if (redactedAudio) {
+        await deleteFile(redactedAudio.key);
+      }
+      return;
+    }
+  } else {
+    Object.assign(fields, {
+      ...(redactedAudio ? { redactedAudio } : {}),
+      ...(detectedLanguage ? { detectedLanguage } : {}),
+    });
+  }
+
+  await db.collection('files').updateOne(
+    { _id: new ObjectId(fileId) },
+    {
+      $set: {
+        status: 'completed',
+        ...fields,
+        // A re-run replaces the transcript that cached analytics were built from
+        ...(version !== null ? { currentVersion: version, settings: job.payload.settings, analytics: null } : {}),
+        error: null,
+        updatedAt: new Date(),
+      }
+    }
+  );
+
+  // Only drop the original once the redacted copy is safely recorded on the file
+  if (redactedAudio && settings.redaction.deleteOriginal) {
+    await deleteUnredactedOriginal(db, fileId);
+  }
+
+  const progress = await reportProgress(db, fileId, 'completed');
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { size: 1, type: 1 } });
+  // Profiled on the settings the run was queued with, as its estimate was
+  await recordProcessingTimes(db, { fileId, provider, settings: job?.payload?.settings || settings, mediaDuration: result.duration, file, progress });
+
+  const userId = job?.userId;
+  await recordUsage(db, { userId, metric: USAGE_METRICS.TRANSCRIPTION_SECONDS, quantity: Math.round(result.duration || 0), fileId, source: provider });
+  await recordUsage(db, { userId, metric: USAGE_METRICS.AI_CALLS, quantity: aiUsage.calls, fileId, source: 'transcription', included: true });
+  await recordUsage(db, { userId, metric: USAGE_METRICS.AI_TOKENS, quantity: aiUsage.inputTokens + aiUsage.outputTokens, fileId, source: 'transcription', included: true });
+
+  console.log('✅ Transcription completed for file:', fileId);
+}
+
+// The URL ffmpeg and the providers read a stored recording from, built from its R2 key. Records
+// saved before upload keys were checked may hold a URL the client sent, so `file.url` is not used.
+export async function getRecordingUrl(file) {
+  return file?.key && isUserFileKey(file.key, file.userId) ? getFileUrl(file.key) : null;
+}
+
+// Beep the redacted spans in a copy of the recording and store it in R2 next to the original
+async function createRedactedAudio(db, fileId, intervals, job) {
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) });
+  const recordingUrl = await getRecordingUrl(file);
+  if (!recordingUrl) {
+    throw permanentError('Cannot create redacted audio: the original recording is missing');
+  }
+
+  if (job) {
+    await extendJobLease(db, job, REDACTION_LEASE_MS);
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ecouter-redact-'));
+  try {
+    const outputPath = path.join(workDir, 'redacted.mp3');
+    console.log(`🔇 Beeping ${intervals.length} redacted spans in file ${fileId}`);
+    await beepAudio(recordingUrl, outputPath, intervals, { timeoutMs: REDACTION_LEASE_MS });
+
+    const key = getRedactedAudioKey(file.key, job?.payload?.version);
+    const upload = await uploadFile(await fs.promises.readFile(outputPath), key, 'audio/mpeg');
+    if (!upload.success) {
+      throw new Error(`Failed to upload redacted audio: ${upload.error}`);
+    }
+
+    return { key, url: upload.url, redactedSpans: intervals.length, createdAt: new Date() };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Delete the unredacted recording from R2 and point the file at its redacted copy
+export async function deleteUnredactedOriginal(db, fileId) {
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) });
+  if (!file?.redactedAudio) {
+    throw new Error('File has no redacted audio copy');
+  }
+  if (file.originalDeletedAt) {
+    return file;
+  }
+
+  const deletion = await deleteFile(file.key);
+  if (!deletion.success) {
+    throw new Error(`Failed to delete original recording: ${deletion.error}`);
+  }
+
+  const update = {
+    url: file.redactedAudio.url,
+    key: file.redactedAudio.key,
+    originalDeletedAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  // The pre-processed copy is unredacted audio too
+  if (file.preprocessing?.key) {
+    const processedDeletion = await deleteFile(file.preprocessing.key);
+    if (!processedDeletion.success) {
+      throw new Error(`Failed to delete pre-processed recording: ${processedDeletion.error}`);
+    }
+    update.preprocessing = { ...file.preprocessing, key: null, url: null };
+  }
+  await db.collection('files').updateOne({ _id: file._id }, { $set: update });
+
+  // Earlier runs were transcribed from the original and still hold what it redacts
+  const purged = await purgeUnredactedVersions(db, fileId);
+  console.log(`🗑️ Deleted unredacted original for file ${fileId} (${purged} unredacted versions purged)`);
+  return { ...file, ...update };
+}
+
+function withoutSpeakers(result) {
+  return {
+    ...result,
+    utterances: [],
+    words: (result.words || []).map(word => ({ ...word, speaker: null }))
+  };
+}
+
+async function translateTranscriptModel(model, targetLanguage) {
+  if (hasSpeakerTurns(model)) {
+    for (const segment of model.segments) {
+      segment.translation = await translateText(segment.text, targetLanguage, 'en');
+    }
+  } else {
+    model.translatedText = await translateText(renderTranscriptText(model, { translated: false }), targetLanguage, 'en');
+  }
+  model.translationLanguage = targetLanguage;
+}
+
+// Build transcript models for files completed before the model existed. The provider's raw
+// result is re-fetched where it is still available, otherwise stored word timestamps are used.
+// Existing transcript text is left untouched since it may carry translations or manual edits.
+export async function backfillTranscriptModels(db, { limit = 25 } = {}) {
+  const files = await db.collection('files').find({
+    status: 'completed',
+    transcriptModel: { $exists: false },
+    transcriptModelBackfill: { $exists: false }
+  }).limit(limit).toArray();
+
+  const results = [];
+  for (const file of files) {
+    const fileId = file._id.toString();
+    try {
+      let model = null;
+      const settings = file.settings || {};
+      const provider = file.transcriptId ? getProvider(file.provider || 'assemblyai') : null;
+
+      if (provider && !provider.synchronous) {
+        const status = await provider.getStatus(file.transcriptId, settings);
+        if (status.status === 'completed') {
+          const result = settings.speakerIdentification ? status.result : withoutSpeakers(status.result);
+          model = buildTranscriptModel(result, { source: `backfill:${provider.name}` });
+        }
+      }
+      if (!model) {
+        model = buildModelFromTimestamps(file);
+      }
+
+      if (!model) {
+        await db.collection('files').updateOne(
+          { _id: file._id },
+          { $set: { transcriptModelBackfill: 'no-raw-data' } }
+        );
+        results.push({ fileId, status: 'skipped' });
+        continue;
+      }
+
+      model.detached = renderTranscriptText(model) !== file.transcript;
+      await db.collection('files').updateOne(
+        { _id: file._id },
+        { $set: { transcriptModel: model, transcriptModelBackfill: model.source } }
+      );
+      results.push({ fileId, status: 'backfilled', source: model.source });
+    } catch (error) {
+      console.error(`Failed to backfill transcript model for file ${fileId}:`, error);
+      results.push({ fileId, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+export async function markTranscriptionFailed(db, fileId, message, { version = null } = {}) {
+  if (version !== null) {
+    await endTranscriptVersion(db, fileId, version, VERSION_STATUS.FAILED, message);
+  }
+
+  // A failed re-run leaves the file on the transcript it already had
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { currentVersion: 1 } });
+  if (file?.currentVersion) {
+    await restoreFileVersion(db, fileId, file.currentVersion, { lastRunError: { version, message, at: new Date() } });
+  } else {
+    await db.collection('files').updateOne(
+      { _id: new ObjectId(fileId) },
+      { $set: { status: 'error', error: message, updatedAt: new Date() } }
+    );
+  }
+  await reportProgress(db, fileId, 'error', { message });
+}
+
+// Persist a transcription job for the file. The caller should kick the worker afterwards.
+// Every run is recorded as a new transcript version (see utils/transcriptVersions.js).
+// `mediaDuration` (seconds) sharpens the processing estimate when the uploader knows it.
+// Returns the job with the run's processing estimate as `job.estimate`.
+export async function queueTranscription(db, { fileId, userId, fileUrl, settings, mediaDuration = null }) {
+  const version = await createTranscriptVersion(db, { fileId, userId, settings });
+  const job = await enqueueJob(db, {
+    type: TRANSCRIPTION_JOB,
+    fileId,
+    userId,
+    payload: { fileUrl, settings, version },
+  });
+  await setTranscriptVersionJob(db, fileId, version, job._id.toString());
+
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { size: 1, type: 1, duration: 1 } });
+  let estimate = null;
+  try {
+    estimate = await estimateProcessingTime(db, {
+      provider: getProviderName(settings),
+      settings,
+      // A re-run knows the length from the previous transcript
+      mediaDuration: mediaDuration || file?.duration || null,
+      fileSize: file?.size || null,
+      fileType: file?.type || null,
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not estimate processing time for file ${fileId}:`, error.message);
+  }
+
+  await db.collection('files').updateOne(
+    { _id: new ObjectId(fileId) },
+    { $set: { status: 'processing', jobId: job._id.toString(), lastRunError: null, estimate, updatedAt: new Date() } }
+  );
+  await reportProgress(db, fileId, 'queued');
+
+  return { ...job, estimate };
+}
+
+// Re-transcribe a stored recording with new settings. The current transcript stays on the file
+// until the new run completes and becomes the current version.
+export async function rerunTranscription(db, file, settings) {
+  await snapshotFileVersion(db, file);
+  return queueTranscription(db, {
+    fileId: file._id.toString(),
+    userId: file.userId,
+    fileUrl: await getRecordingUrl(file),
+    settings,
+  });
+}
+
+// Stop the file's active run. The file goes back to its current version, or is marked
+// cancelled when it has none yet. Returns false when there was nothing to cancel.
+export async function cancelTranscription(db, fileId) {
+  const active = await getActiveJobForFile(db, fileId);
+  const job = active ? await cancelJob(db, active._id) : null;
+  if (!job) {
+    return false;
+  }
+
+  if (job.payload?.version) {
+    await endTranscriptVersion(db, fileId, job.payload.version, VERSION_STATUS.CANCELLED);
+  }
+  if (job.state?.chunks) {
+    await cleanupChunks(db, job._id, job.state.chunks);
+  }
+
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { currentVersion: 1 } });
+  if (file?.currentVersion) {
+    await restoreFileVersion(db, fileId, file.currentVersion);
+  } else {
+    await db.collection('files').updateOne(
+      { _id: new ObjectId(fileId) },
+      { $set: { status: 'cancelled', jobId: null, error: null, updatedAt: new Date() } }
+    );
+  }
+
+  await reportProgress(db, fileId, 'cancelled');
+  console.log(`⏹️ Cancelled transcription job ${job._id} for file ${fileId}`);
+  return true;
+}
+
+async function findJobUser(db, userId, projection) {
+  if (!userId) return null;
+  const query = ObjectId.isValid(userId)
+    ? { $or: [{ _id: new ObjectId(userId) }, { id: userId }] }
+    : { $or: [{ _id: userId }, { id: userId }] };
+  return db.collection('users').findOne(query, { projection });
+}
+
+async function loadUserGlossary(db, userId) {
+  const user = await findJobUser(db, userId, { glossary: 1 });
+  return user?.glossary || [];
+}
+
+// A custom template deleted since the upload falls back to the general summary
+async function loadSummaryTemplate(db, userId, templateId) {
+  const user = templateId?.startsWith('custom-') ? await findJobUser(db, userId, { summaryTemplates: 1 }) : null;
+  return findSummaryTemplate(templateId, user?.summaryTemplates) || getDefaultSummaryTemplate();
+}
+
+function getPollDelay(checks) {
+  // Check often during the first minute, then back off for long recordings
+  return checks < 12 ? POLL_INTERVAL_MS : Math.min(POLL_INTERVAL_MS * 2 + checks * 500, MAX_POLL_INTERVAL_MS);
+}
+
+// One step of a transcription job: submit if not yet submitted, otherwise check status once.
+// Progress lives in job.state, so a job resumed by another worker never resubmits the audio.
+async function runTranscriptionJob(job, db) {
+  const fileId = job.fileId;
+
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { _id: 1 } });
+  if (!file) {
+    console.log(`🗑️ File ${fileId} no longer exists, dropping transcription job ${job._id}`);
+    return { done: true, result: { skipped: true } };
+  }
+
+  // Resumed jobs keep the provider they were submitted to
+  const providerName = job.state?.provider || getProviderName(job.payload.settings);
+  const provider = getProvider(providerName);
+  const transcriptId = job.state?.transcriptId;
+
+  // Pre-processing runs first so language detection and transcription both hear the cleaned-up audio
+  if (job.payload.settings.preprocessing && !job.state?.preprocessing) {
+    return runPreprocessing(job, db, provider);
+  }
+  const fileUrl = getSourceUrl(job);
+
+  // Auto-detect identifies the language first so features are gated on the detected language
+  if (isAutoDetectLanguage(job.payload.settings.language) && provider.supportsLanguageDetection && !job.state?.languageDetection?.done) {
+    return runLanguageDetection(job, db, provider);
+  }
+  const settings = getEffectiveSettings(job);
+
+  if (settings.chunked || settings.multichannel) {
+    return runChunkedTranscriptionJob(job, db, provider, settings);
+  }
+
+  if (!transcriptId) {
+    // A fresh secret per job: only this job's callback can complete it
+    const webhookBaseUrl = provider.supportsWebhook ? getWebhookBaseUrl() : null;
+    const webhookSecret = webhookBaseUrl ? crypto.randomBytes(32).toString('hex') : null;
+    const webhook = webhookBaseUrl
+      ? { url: `${webhookBaseUrl}/api/webhooks/${provider.name}?jobId=${job._id}`, secret: webhookSecret }
+      : null;
+
+    if (provider.synchronous) {
+      await extendJobLease(db, job, SYNCHRONOUS_PROVIDER_LEASE_MS);
+    }
+
+    // Resolved once at submission so the completion pass uses the same glossary
+    const glossary = await loadUserGlossary(db, job.userId);
+    const vocabulary = buildVocabulary(glossary, settings.customVocabulary || []);
+
+    await reportProgress(db, fileId, 'transcribing', { message: `Transcribing with ${provider.name}` });
+    const submission = await provider.submit(fileUrl, settings, { webhook, vocabulary });
+    await db.collection('files').updateOne(
+      { _id: new ObjectId(fileId) },
+      { $set: { transcriptId: submission.id, provider: provider.name, updatedAt: new Date() } }
+    );
+
+    if (submission.status === 'completed') {
+      await completeTranscription(db, fileId, submission.result, settings, { provider: provider.name, vocabulary, job });
+      return { done: true, result: { transcriptId: submission.id, provider: provider.name } };
+    }
+
+    return {
+      done: false,
+      delayMs: webhook ? WEBHOOK_FALLBACK_POLL_MS : POLL_INTERVAL_MS,
+      state: {
+        provider: provider.name,
+        transcriptId: submission.id,
+        submittedAt: new Date(),
+        webhook: !!webhook,
+        webhookSecretHash: webhook ? hashWebhookSecret(webhookSecret) : null,
+        vocabulary
+      }
+    };
+  }
+
+  const status = await provider.getStatus(transcriptId, settings);
+  console.log(`Transcription status check ${(job.checks || 0) + 1} for file ${fileId} (${provider.name}): ${status.status}`);
+
+  if (status.status === 'completed') {
+    await completeTranscription(db, fileId, status.result, settings, { provider: provider.name, vocabulary: job.state?.vocabulary, job });
+    return { done: true, result: { transcriptId, provider: provider.name } };
+  }
+
+  if (status.status === 'error') {
+    throw permanentError(status.error || `${provider.name} transcription failed`);
+  }
+
+  const submittedAt = job.state?.submittedAt ? new Date(job.state.submittedAt).getTime() : Date.now();
+  if (Date.now() - submittedAt > MAX_TRANSCRIPTION_WAIT_MS) {
+    throw permanentError('Transcription timeout - processing took too long');
+  }
+
+  return { done: false, delayMs: job.state?.webhook ? WEBHOOK_FALLBACK_POLL_MS : getPollDelay(job.checks || 0) };
+}
+
+// The pre-processed derivative once it exists, otherwise the uploaded recording
+function getSourceUrl(job) {
+  return job.state?.preprocessing?.url || job.payload.fileUrl;
+}
+
+// Pre-processing phase: clean up the recording with ffmpeg, store the derivative in R2 and
+// record its settings on the file. Later phases read the derivative through getSourceUrl().
+async function runPreprocessing(job, db, provider) {
+  const fileId = job.fileId;
+  const { settings } = job.payload;
+
+  const file = await db.collection('files').findOne({ _id: new ObjectId(fileId) }, { projection: { key: 1 } });
+  if (!file?.key) {
+    throw permanentError('Cannot pre-process audio: the original recording is missing');
+  }
+
+  // Multichannel recordings have to keep their channels to be split by speaker
+  const steps = settings.multichannel
+    ? settings.preprocessing.steps.filter(step => step !== 'downmix')
+    : settings.preprocessing.steps;
+
+  await extendJobLease(db, job, PREPROCESSING_LEASE_MS);
+  await reportProgress(db, fileId, 'preparing', { message: 'Cleaning up audio' });
+  const preprocessing = await createProcessedAudio(job.payload.fileUrl, file.key, steps, fileId);
+
+  await db.collection('files').updateOne(
+    { _id: new ObjectId(fileId) },
+    { $set: { preprocessing, updatedAt: new Date() } }
+  );
+
+  return { done: false, delayMs: 0, state: { provider: provider.name, preprocessing } };
+}
+
+async function createProcessedAudio(fileUrl, fileKey, steps, fileId) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ecouter-preprocess-'));
+  try {
+    let removedRanges = [];
+    let originalDuration = null;
+    if (steps.includes('trimSilence')) {
+      originalDuration = await probeDuration(fileUrl);
+      const silences = await detectSilences(fileUrl, {
+        noiseDb: SILENCE_NOISE_DB,
+        minSilenceSec: MIN_SILENCE_SEC,
+        timeoutMs: PREPROCESSING_LEASE_MS
+      });
+      removedRanges = planSilenceCuts(silences, originalDuration);
+    }
+
+    const outputPath = path.join(workDir, 'processed.mp3');
+    console.log(`🎛️ Pre-processing file ${fileId}: ${steps.join(', ')}`);
+    await processAudio(fileUrl, outputPath, buildFilterChain(steps, removedRanges), {
+      mono: steps.includes('downmix'),
+      timeoutMs: PREPROCESSING_LEASE_MS
+    });
+
+    const key = getProcessedAudioKey(fileKey);
+    const upload = await uploadFile(await fs.promises.readFile(outputPath), key, 'audio/mpeg');
+    if (!upload.success) {
+      throw new Error(`Failed to upload pre-processed audio: ${upload.error}`);
+    }
+
+    return {
+      steps,
+      key,
+      url: upload.url,
+      removedRanges,
+      removedSilenceMs: removedRanges.reduce((sum, range) => sum + range.end - range.start, 0),
+      originalDuration,
+      createdAt: new Date()
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Upload settings with the detected language filled in once language detection has finished
+function getEffectiveSettings(job) {
+  const { settings } = job.payload;
+  const detected = job.state?.languageDetection?.result;
+  return detected ? { ...settings, language: detected.code } : settings;
+}
+
+// Language detection phase: submit a few short samples, then poll them until all are done.
+// The summary is stored on the file and in job.state; an inconclusive detection leaves the
+// language on auto so the provider identifies it during the full transcription instead.
+async function runLanguageDetection(job, db, provider) {
+  const fileUrl = getSourceUrl(job);
+  const fileId = job.fileId;
+  const detection = job.state?.languageDetection;
+
+  if (!detection) {
+    await reportProgress(db, fileId, 'preparing', { message: 'Detecting language' });
+    let durationSec = null;
+    try {
+      durationSec = await probeDuration(fileUrl);
+    } catch (error) {
+      console.warn(`⚠️ Could not probe duration of file ${fileId}, sampling only the start:`, error.message);
+    }
+
+    const samples = [];
+    for (const window of planLanguageSamples(durationSec)) {
+      const submission = await provider.submitLanguageDetection(fileUrl, window);
+      samples.push({ ...window, id: submission.id, status: 'processing', language: null, confidence: null });
+    }
+
+    console.log(`🔎 Detecting language of file ${fileId} from ${samples.length} samples`);
+    return {
+      done: false,
+      delayMs: POLL_INTERVAL_MS,
+      state: { provider: provider.name, languageDetection: { samples, startedAt: new Date(), done: false } }
+    };
+  }
+
+  const samples = await Promise.all(detection.samples.map(async (sample) => {
+    if (sample.status !== 'processing') return sample;
+    try {
+      const status = await provider.getStatus(sample.id, { language: job.payload.settings.language });
+      if (status.status === 'completed') {
+        return {
+          ...sample,
+          status: 'completed',
+          language: resolveLanguageCode(status.result.language),
+          confidence: status.result.languageConfidence ?? null
+        };
+      }
+      if (status.status === 'error') {
+        console.warn(`⚠️ Language sample ${sample.startMs}-${sample.endMs}ms failed for file ${fileId}: ${status.error}`);
+        return { ...sample, status: 'error' };
+      }
+    } catch (error) {
+      // Status requests that fail are retried on the next check
+      console.warn(`⚠️ Language sample status check failed for file ${fileId}:`, error.message);
+    }
+    return sample;
+  }));
+
+  const timedOut = Date.now() - new Date(detection.startedAt).getTime() > LANGUAGE_DETECTION_TIMEOUT_MS;
+  if (samples.some(sample => sample.status === 'processing') && !timedOut) {
+    return { done: false, delayMs: getPollDelay(job.checks || 0), state: { languageDetection: { ...detection, samples } } };
+  }
+
+  const result = summarizeLanguageSamples(samples);
+  if (result) {
+    await db.collection('files').updateOne(
+      { _id: new ObjectId(fileId) },
+      { $set: { detectedLanguage: result, language: result.code, updatedAt: new Date() } }
+    );
+    console.log(`🔎 Detected ${result.code} (${result.confidence ?? 'unknown'} confidence${result.mixed ? ', mixed languages' : ''}) for file ${fileId}`);
+  } else {
+    console.warn(`⚠️ Language detection was inconclusive for file ${fileId}; the provider will identify it`);
+  }
+
+  return {
+    done: false,
+    delayMs: 0,
+    state: { languageDetection: { ...detection, samples, done: true, result } }
+  };
+}
+
+// Chunked jobs move through three phases tracked in job.state: split the audio into chunks,
+// submit every chunk, then poll until all chunks are done and stitch them together.
+// Multichannel jobs run the same phases with one chunk per channel, merged by time instead.
+async function runChunkedTranscriptionJob(job, db, provider, settings) {
+  const fileUrl = getSourceUrl(job);
+  const fileId = job.fileId;
+
+  if (!job.state?.chunks) {
+    await extendJobLease(db, job, CHUNKING_LEASE_MS);
+    await reportProgress(db, fileId, 'preparing', { message: settings.multichannel ? 'Separating channels' : 'Splitting audio into chunks' });
+
+    const glossary = await loadUserGlossary(db, job.userId);
+    const vocabulary = buildVocabulary(glossary, settings.customVocabulary || []);
+    const { chunks, durationSec } = settings.multichannel
+      ? await splitIntoChannels(fileUrl, fileId)
+      : await splitIntoChunks(fileUrl, fileId);
+
+    await db.collection('files').updateOne(
+      { _id: new ObjectId(fileId) },
+      { $set: { provider: provider.name, chunkCount: chunks.length, updatedAt: new Date() } }
+    );
+
+    return {
+      done: false,
+      delayMs: 0,
+      state: { provider: provider.name, chunks, durationSec, submittedAt: new Date(), vocabulary }
+    };
+  }
+
+  const vocabulary = job.state.vocabulary;
+  let chunks = job.state.chunks;
+  // Each channel holds a single speaker, so diarizing it would only split that speaker up
+  const chunkSettings = settings.multichannel ? { ...settings, speakerIdentification: false } : settings;
+
+  const pending = chunks.filter(chunk => !chunk.transcriptId);
+  if (pending.length > 0) {
+    if (provider.synchronous) {
+      await extendJobLease(db, job, SYNCHRONOUS_PROVIDER_LEASE_MS);
+    }
+
+    const outcomes = await mapWithConcurrency(pending, CHUNK_CONCURRENCY, async (chunk) => {
+      const submission = await provider.submit(chunk.url, chunkSettings, { vocabulary });
+      if (submission.status === 'completed') {
+        await saveChunkResult(db, job._id, chunk.index, submission.result);
+      }
+      return submission;
+    });
+
+    let maxAttempts = 0;
+    chunks = chunks.map(chunk => {
+      const i = pending.indexOf(chunk);
+      if (i === -1) return chunk;
+
+      const outcome = outcomes[i];
+      if (outcome.status === 'fulfilled') {
+        return {
+          ...chunk,
+          transcriptId: outcome.value.id,
+          status: outcome.value.status === 'completed' ? 'completed' : 'processing'
+        };
+      }
+
+      const submitAttempts = (chunk.submitAttempts || 0) + 1;
+      if (outcome.reason?.retryable === false || submitAttempts >= MAX_CHUNK_SUBMIT_ATTEMPTS) {
+        throw permanentError(`Chunk ${chunk.index + 1} of ${chunks.length} could not be submitted: ${outcome.reason?.message}`);
+      }
+      maxAttempts = Math.max(maxAttempts, submitAttempts);
+      console.warn(`⚠️ Chunk ${chunk.index + 1} submission failed (attempt ${submitAttempts}):`, outcome.reason?.message);
+      return { ...chunk, submitAttempts };
+    });
+
+    console.log(`📝 Submitted ${pending.length} chunks for file ${fileId} to ${provider.name}`);
+    await reportProgress(db, fileId, 'transcribing', {
+      stageProgress: chunks.filter(chunk => chunk.status === 'completed').length / chunks.length,
+      message: `Transcribing ${chunks.length} ${settings.multichannel ? 'channels' : 'chunks'} with ${provider.name}`
+    });
+    return {
+      done: false,
+      delayMs: maxAttempts > 0 ? getBackoffDelay(maxAttempts) : POLL_INTERVAL_MS,
+      state: { chunks }
+    };
+  }
+
+  const processing = chunks.filter(chunk => chunk.status === 'processing');
+  const outcomes = await mapWithConcurrency(processing, CHUNK_CONCURRENCY, async (chunk) => {
+    const status = await provider.getStatus(chunk.transcriptId, chunkSettings);
+    if (status.status === 'completed') {
+      await saveChunkResult(db, job._id, chunk.index, status.result);
+    }
+    return status;
+  });
+
+  chunks = chunks.map(chunk => {
+    const i = processing.indexOf(chunk);
+    const outcome = i === -1 ? null : outcomes[i];
+    // Failed status requests are simply retried on the next check
+    if (!outcome || outcome.status !== 'fulfilled') return chunk;
+
+    if (outcome.value.status === 'error') {
+      throw permanentError(`Chunk ${chunk.index + 1} of ${chunks.length} failed: ${outcome.value.error || 'unknown error'}`);
+    }
+    return outcome.value.status === 'completed' ? { ...chunk, status: 'completed' } : chunk;
+  });
+
+  const completed = chunks.filter(chunk => chunk.status === 'completed').length;
+  console.log(`Chunked transcription check ${(job.checks || 0) + 1} for file ${fileId}: ${completed}/${chunks.length} chunks done`);
+  if (completed > job.state.chunks.filter(chunk => chunk.status === 'completed').length) {
+    await reportProgress(db, fileId, 'transcribing', {
+      stageProgress: completed / chunks.length,
+      message: `${completed} of ${chunks.length} ${settings.multichannel ? 'channels' : 'chunks'} transcribed`
+    });
+  }
+
+  if (completed === chunks.length) {
+    const results = await loadChunkResults(db, job._id);
+    if (results.length !== chunks.length) {
+      throw new Error(`Expected ${chunks.length} chunk results but found ${results.length}`);
+    }
+
+    const result = settings.multichannel
+      ? mergeChannelResults(chunks, results, { channelNames: settings.channelNames, durationSec: job.state.durationSec })
+      : stitchChunkResults(chunks, results, { durationSec: job.state.durationSec });
+    await completeTranscription(db, fileId, result, settings, { provider: provider.name, vocabulary, job });
+    await cleanupChunks(db, job._id, chunks);
+    return { done: true, result: { provider: provider.name, chunks: chunks.length } };
+  }
+
+  const submittedAt = job.state.submittedAt ? new Date(job.state.submittedAt).getTime() : Date.now();
+  if (Date.now() - submittedAt > MAX_TRANSCRIPTION_WAIT_MS) {
+    throw permanentError('Transcription timeout - processing took too long');
+  }
+
+  return { done: false, delayMs: getPollDelay(job.checks || 0), state: { chunks } };
+}
+
+const transcriptionHandlers = {
+  [TRANSCRIPTION_JOB]: {
+    run: runTranscriptionJob,
+    onFailed: async (job, error, db) => {
+      if (job.state?.chunks) {
+        await cleanupChunks(db, job._id, job.state.chunks);
+      }
+      await markTranscriptionFailed(db, job.fileId, error.message, { version: job.payload?.version ?? null });
+    },
+  },
+  // Imports download the media into R2, then continue as a normal transcription of the file
+  [MEDIA_IMPORT_JOB]: {
+    run: async (job, db) => {
+      const imported = await runMediaImportJob(job, db);
+      if (imported.skipped) {
+        return { done: true, result: imported };
+      }
+      await queueTranscription(db, {
+        fileId: job.fileId,
+        userId: job.userId,
+        fileUrl: imported.url,
+        settings: imported.settings,
+        mediaDuration: imported.duration,
+      });
+      return { done: true, result: imported };
+    },
+    onFailed: async (job, error, db) => {
+      await markTranscriptionFailed(db, job.fileId, `Import failed: ${error.message}`);
+    },
+  },
+  [FEED_POLL_JOB]: {
+    run: runFeedPollJob,
+  },
+};
+
+// Job types the in-process worker waits for; feed polls are hours apart and left to the
+// next kick or /api/process-pending
+const WORKER_WAIT_TYPES = [TRANSCRIPTION_JOB, MEDIA_IMPORT_JOB];
+
+export async function runTranscriptionWorker(options = {}) {
+  const { db } = await connectDB();
+  return runJobs(db, transcriptionHandlers, options);
+}
+
+// Handle an AssemblyAI completion callback: verify the per-job secret, then run the job's
+// normal completion step right away instead of waiting for the next status check.
+export async function handleTranscriptionWebhook({ jobId, secret, transcriptId }) {
+  const { db } = await connectDB();
+
+  let jobObjectId;
+  try {
+    jobObjectId = new ObjectId(jobId);
+  } catch (error) {
+    return { status: 'not_found' };
+  }
+
+  const job = await db.collection('jobs').findOne({ _id: jobObjectId, type: TRANSCRIPTION_JOB });
+  if (!job) {
+    return { status: 'not_found' };
+  }
+  if (!verifyWebhookSecret(job, secret) || (transcriptId && transcriptId !== job.state?.transcriptId)) {
+    return { status: 'unauthorized' };
+  }
+  if ([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+    return { status: 'already_finished' };
+  }
+
+  const claimed = await claimJobById(db, jobObjectId, { workerId: 'assemblyai-webhook' });
+  if (!claimed) {
+    // Another worker holds the job right now; AssemblyAI retries failed deliveries
+    return { status: 'busy' };
+  }
+
+  const outcome = await processJob(db, transcriptionHandlers, claimed);
+  return { status: outcome };
+}
+
+let workerLoop = null;
+
+// Drain the job queue in this process while there is pending work. Safe to call repeatedly;
+// jobs left behind by a restart are resumed by the next kick or by /api/process-pending.
+export function kickTranscriptionWorker() {
+  if (workerLoop) return workerLoop;
+
+  workerLoop = (async () => {
+    const { db } = await connectDB();
+    while (true) {
+      await runJobs(db, transcriptionHandlers);
+      const nextRunAt = await getNextRunAt(db, WORKER_WAIT_TYPES);
+      if (!nextRunAt) break;
+      const waitMs = Math.min(Math.max(new Date(nextRunAt).getTime() - Date.now(), 1000), MAX_POLL_INTERVAL_MS);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  })()
+    .catch(error => {
+      console.error('❌ Transcription worker error:', error);
+    })
+    .finally(() => {
+      workerLoop = null;
+    });
+
+  return workerLoop;
+}
+
+// Label every segment's sentiment with the LLM, a batch of segments per request. Batches that
+// fail are left out of the timeline rather than failing the transcription.
+export async function generateSentimentTimeline(model, { usage = null } = {}) {
+  const segments = model.segments.filter(segment => segment.text && segment.text.trim());
+  if (segments.length === 0) return [];
+
+  const timeline = [];
+  for (let i = 0; i < segments.length; i += SENTIMENT_BATCH_SIZE) {
+    const batch = segments.slice(i, i + SENTIMENT_BATCH_SIZE);
+    try {
+      const { text: generatedText } = await generateText(buildSentimentPrompt(batch), { temperature: 0.1, maxOutputTokens: 4096, usage });
+      timeline.push(...parseSentimentResponse(generatedText, batch));
+    } catch (error) {
+      console.error(`⚠️ Sentiment analysis failed for segments ${i}-${i + batch.length - 1}:`, error);
+    }
+  }
+
+  console.log(`😊 Labelled sentiment for ${timeline.length}/${segments.length} segments`);
+  return timeline;
+}
+
+// Chapters for providers that don't detect them. Returns [] when the recording is short
+// or the LLM is unavailable; chapters are optional and never fail the transcription.
+export async function generateChapters(model, targetLanguage = 'en', { usage = null } = {}) {
+  if (model.segments.length < 4 || getModelEndMs(model) < MIN_CHAPTER_AUDIO_MS) {
+    return [];
+  }
+
+  try {
+    const languageName = getLanguageForAI(targetLanguage);
+    console.log(`📑 Generating chapters in ${languageName}`);
+    const { text: generatedText } = await generateText(buildChapterPrompt(model, languageName), { temperature: 0.3, maxOutputTokens: 2048, usage });
+    const chapters = parseChapterResponse(generatedText, model);
+    console.log(`📑 Generated ${chapters.length} chapters`);
+    return chapters;
+  } catch (error) {
+    console.error('⚠️ Chapter generation failed:', error);
+    return [];
+  }
+}
+
+// The summary of a finished transcript (see utils/summaries.js), or a locally built one when the
+// LLM is unavailable (which has no template sections)
+export async function generateSummary(text, targetLanguage = 'en', { usage = null, model = null, template = null, cachedChunks = [], onProgress = null } = {}) {
+  try {
+    return await summarizeTranscript({ model, text, language: targetLanguage, template, usage, cachedChunks, onProgress });
+  } catch (error) {
+    // If all models failed, use fallback
+    console.error('⚠️ Summary generation failed after all retries, using improved fallback summary:', error.message);
+    return { ...generateFallbackSummary(text, getLanguageForAI(targetLanguage)), sections: [], templateId: DEFAULT_SUMMARY_TEMPLATE, chunks: [] };
+  }
+}
+
+// Fallback summary generation when the LLM is unavailable
+export function generateFallbackSummary(text, languageName) {
+  try {
+    console.log('🔄 Using intelligent fallback summary generation');
+    
+    // Clean and prepare the text
+    const cleanText = text.replace(/\s+/g, ' ').trim();
+    const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 15);
+    const words = cleanText.toLowerCase().split(/\s+/).filter(w => w.length > 2);
+    
+    // Enhanced stop words list
+    const stopWords = new Set([
+      'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'mine', 'yours', 'hers', 'ours', 'theirs', 'a', 'an', 'as', 'so', 'than', 'too', 'very', 'just', 'now', 'then', 'here', 'there', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same', 'also', 'well', 'even', 'still', 'back', 'get', 'go', 'come', 'make', 'take', 'see', 'know', 'think', 'say', 'tell', 'ask', 'work', 'seem', 'feel', 'try', 'leave', 'call', 'good', 'new', 'first', 'last', 'long', 'great', 'little', 'own', 'other', 'old', 'right', 'big', 'high', 'different', 'small', 'large', 'next', 'early', 'young', 'important', 'few', 'public', 'bad', 'same', 'able'
+    ]);
+    
+    // Analyze word frequency and importance
+    const wordCount = {};
+    const wordPositions = {};
+    
+    words.forEach((word, index) => {
+      const cleanWord = word.replace(/[^\w]/g, '').toLowerCase();
+      if (cleanWord.length > 2 && !stopWords.has(cleanWord)) {
+        wordCount[cleanWord] = (wordCount[cleanWord] || 0) + 1;
+        if (!wordPositions[cleanWord]) wordPositions[cleanWord] = [];
+        wordPositions[cleanWord].push(index);
+      }
+    });
+    
+    // Get meaningful topics (words that appear multiple times and are not just noise)
+    const meaningfulWords = Object.entries(wordCount)
+      .filter(([word, count]) => count > 1 && word.length > 3)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 6)
+      .map(([word]) => word);
+    
+    // Find the most representative sentence (contains most key topics)
+    let bestSentence = '';
+    let bestScore = 0;
+    
+    sentences.forEach(sentence => {
+      const sentenceWords = sentence.toLowerCase().split(/\s+/);
+      let score = 0;
+      let topicCount = 0;
+      
+      meaningfulWords.forEach(topic => {
+        if (sentenceWords.some(word => word.includes(topic))) {
+          score += wordCount[topic] || 1;
+          topicCount++;
+        }
+      });
+      
+      // Prefer sentences with multiple topics and good length
+      if (topicCount > 0 && sentence.length > 30 && sentence.length < 200) {
+        const finalScore = score * topicCount;
+        if (finalScore > bestScore) {
+          bestScore = finalScore;
+          bestSentence = sentence.trim();
+        }
+      }
+    });
+    
+    // If no good sentence found, use the first substantial sentence
+    if (!bestSentence && sentences.length > 0) {
+      bestSentence = sentences[0].trim();
+    }
+    
+    // Generate intelligent summary
+    let summary = '';
+    const wordCountTotal = words.length;
+    const sentenceCount = sentences.length;
+    const avgWordsPerSentence = sentenceCount > 0 ? Math.round(wordCountTotal / sentenceCount) : 0;
+    
+    if (bestSentence) {
+      // Start with the most representative sentence
+      summary = bestSentence;
+      
+      // Add context about key topics if they exist
+      if (meaningfulWords.length > 0) {
+        const primaryTopics = meaningfulWords.slice(0, 3);
+        summary = `The discussion centers around ${primaryTopics.join(', ')}. ${summary}`;
+      }
+      
+      // Add meaningful context about the conversation
+      if (sentenceCount > 1) {
+        summary += ` The conversation includes ${sentenceCount} distinct exchanges`;
+        if (avgWordsPerSentence > 12) {
+          summary += ` with detailed responses`;
+        } else if (avgWordsPerSentence < 8) {
+          summary += ` with brief interactions`;
+        }
+        summary += `.`;
+      }
+    } else {
+      // Fallback for very short content
+      summary = `This transcript contains ${wordCountTotal} words`;
+      if (meaningfulWords.length > 0) {
+        summary += ` discussing ${meaningfulWords.slice(0, 2).join(' and ')}`;
+      }
+      summary += `.`;
+    }
+    
+    // Generate intelligent insights
+    let insights = '';
+    
+    if (meaningfulWords.length > 0) {
+      insights = `Key themes: ${meaningfulWords.slice(0, 4).join(', ')}. `;
+    }
+    
+    // Analyze conversation characteristics
+    if (sentenceCount > 10) {
+      insights += `Extended discussion with ${sentenceCount} exchanges`;
+    } else if (sentenceCount > 5) {
+      insights += `Moderate conversation with ${sentenceCount} exchanges`;
+    } else {
+      insights += `Brief conversation with ${sentenceCount} exchanges`;
+    }
+    
+    if (avgWordsPerSentence > 15) {
+      insights += ` featuring detailed responses`;
+    } else if (avgWordsPerSentence < 8) {
+      insights += ` with concise exchanges`;
+    }
+    
+    insights += `. Content analysis indicates `;
+    
+    // Determine conversation type based on content analysis
+    const uniqueWords = new Set(words).size;
+    const vocabularyDiversity = uniqueWords / wordCountTotal;
+    
+    if (vocabularyDiversity > 0.6) {
+      insights += `diverse vocabulary suggesting formal or technical discussion`;
+    } else if (meaningfulWords.some(word => word.length > 6)) {
+      insights += `specialized terminology indicating professional content`;
+    } else {
+      insights += `casual conversation style`;
+    }
+    
+    insights += `. Generated using intelligent text analysis.`;
+    
+    return {
+      summary: summary,
+      topics: meaningfulWords.slice(0, 5),
+      topic: meaningfulWords[0] || 'Conversation',
+      insights: insights
+    };
+    
+  } catch (error) {
+    console.error('⚠️ Intelligent fallback summary generation failed:', error);
+    return {
+      summary: 'Summary generation temporarily unavailable. Please try again later.',
+      topics: [],
+      topic: 'General',
+      insights: 'Content analysis temporarily unavailable.'
+    };
+  }
+}
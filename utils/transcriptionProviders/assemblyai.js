@@ -0,0 +1,219 @@
+// AssemblyAI speech-to-text adapter
+import { getAssemblyLanguageCode, getAvailableFeatures, isAutoDetectLanguage } from '../languages.js';
+import { permanentError } from '../jobQueue.js';
+import { getAssemblyAIPolicies } from '../redaction.js';
+
+const ASSEMBLYAI_API_URL = 'https://api.assemblyai.com/v2/transcript';
+
+export const WEBHOOK_SECRET_HEADER = 'X-Ecouter-Webhook-Secret';
+
+function validateAudioUrl(fileUrl) {
+  // Validate the URL before handing it to AssemblyAI
+  try {
+    new URL(fileUrl);
+  } catch (urlError) {
+    throw permanentError(`Invalid audio URL format: ${urlError.message}`);
+  }
+}
+
+export function buildTranscriptionRequest(fileUrl, settings, vocabulary = null) {
+  const autoDetect = isAutoDetectLanguage(settings.language);
+  const assemblyLanguageCode = autoDetect ? null : getAssemblyLanguageCode(settings.language);
+  const availableFeatures = getAvailableFeatures(settings.language);
+
+  validateAudioUrl(fileUrl);
+
+  // Build request body with only supported features (per AssemblyAI docs)
+  const requestBody = {
+    audio_url: fileUrl, // URL is already properly encoded
+  };
+  if (autoDetect) {
+    // Only reached when the sampled detection found nothing; let AssemblyAI identify it
+    requestBody.language_detection = true;
+  } else if (assemblyLanguageCode) {
+    requestBody.language_code = assemblyLanguageCode;
+  }
+  if (availableFeatures.speaker_labels && settings.speakerIdentification) {
+    requestBody.speaker_labels = true;
+    // Diarization hints: an exact count, or a min/max range for the model to choose within
+    if (settings.speakerCountMode === 'exact' && settings.speakersExpected) {
+      requestBody.speakers_expected = settings.speakersExpected;
+    } else if (settings.speakerCountMode === 'range') {
+      requestBody.speaker_options = {
+        min_speakers_expected: settings.minSpeakers,
+        max_speakers_expected: settings.maxSpeakers
+      };
+    }
+  }
+  if (availableFeatures.filter_profanity && settings.filterProfanity) {
+    requestBody.filter_profanity = true;
+  }
+  if (availableFeatures.punctuate && settings.autoPunctuation) {
+    requestBody.punctuate = true;
+  }
+  if (availableFeatures.sentiment_analysis) {
+    requestBody.sentiment_analysis = true;
+  }
+  if (availableFeatures.auto_chapters && settings.autoChapters !== false) {
+    // Chapter detection relies on punctuated text
+    requestBody.auto_chapters = true;
+    requestBody.punctuate = true;
+  }
+  // PII is replaced with [ENTITY_NAME] tokens; our own redaction pass catches anything missed
+  if (settings.redaction?.categories?.length > 0) {
+    requestBody.redact_pii = true;
+    requestBody.redact_pii_policies = getAssemblyAIPolicies(settings.redaction.categories);
+    requestBody.redact_pii_sub = 'entity_name';
+  }
+  // AssemblyAI returns word-level timestamps by default; do not send unsupported fields
+  if (settings.quality === 'enhanced') {
+    requestBody.speech_model = 'best';
+  }
+  // Custom vocabulary: boost glossary/upload terms and map known misspellings
+  if (vocabulary?.boost?.length > 0) {
+    requestBody.word_boost = vocabulary.boost;
+    requestBody.boost_param = 'high';
+  }
+  if (vocabulary?.spellings?.length > 0) {
+    requestBody.custom_spelling = vocabulary.spellings;
+  }
+
+  return requestBody;
+}
+
+// Map an AssemblyAI transcript onto the provider-neutral result shape
+export function normalizeResult(data) {
+  const words = (data.words || []).map(word => ({
+    text: word.text,
+    start: word.start,
+    end: word.end,
+    confidence: word.confidence ?? null,
+    speaker: word.speaker || null
+  }));
+
+  const utterances = (data.utterances || []).map(utterance => ({
+    speaker: utterance.speaker,
+    start: utterance.start,
+    end: utterance.end,
+    text: utterance.text,
+    confidence: utterance.confidence ?? null
+  }));
+
+  const chapters = (data.chapters || []).map(chapter => ({
+    title: chapter.headline,
+    gist: chapter.gist,
+    summary: chapter.summary,
+    start: chapter.start,
+    end: chapter.end
+  }));
+
+  // Sentence-level sentiment; text is left out since only the timings and labels are kept
+  const sentiments = (data.sentiment_analysis_results || []).map(sentence => ({
+    start: sentence.start,
+    end: sentence.end,
+    sentiment: (sentence.sentiment || '').toLowerCase(),
+    confidence: sentence.confidence ?? null,
+    speaker: sentence.speaker || null
+  }));
+
+  return {
+    text: data.text || '',
+    words,
+    utterances,
+    chapters,
+    sentiments,
+    speakers: [...new Set(utterances.map(u => u.speaker).filter(Boolean))],
+    duration: data.audio_duration ?? null,
+    confidence: data.confidence ?? null,
+    language: data.language_code || null,
+    languageConfidence: data.language_confidence ?? null
+  };
+}
+
+async function postTranscript(requestBody) {
+  const response = await fetch(ASSEMBLYAI_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+  });
+  const transcriptData = await response.json();
+
+  if (!response.ok || !transcriptData.id) {
+    console.error('[ERROR] AssemblyAI submission failed:', transcriptData);
+    const error = new Error(`Failed to submit to AssemblyAI: ${transcriptData.error || transcriptData.message || 'Unknown error'} (Status: ${response.status})`);
+    // Client errors (bad request, bad key) will not fix themselves on retry
+    error.retryable = response.status >= 500 || response.status === 429;
+    throw error;
+  }
+
+  return transcriptData;
+}
+
+const assemblyAIProvider = {
+  name: 'assemblyai',
+  supportsWebhook: true,
+  synchronous: false,
+  supportsWordBoost: true,
+  supportsLanguageDetection: true,
+
+  // `webhook` = { url, secret } asks AssemblyAI to call us when the transcript is ready
+  async submit(fileUrl, settings, { webhook = null, vocabulary = null } = {}) {
+    if (!process.env.ASSEMBLYAI_API_KEY) {
+      throw permanentError('Missing environment variables: ASSEMBLYAI_API_KEY');
+    }
+
+    const requestBody = buildTranscriptionRequest(fileUrl, settings, vocabulary);
+    console.log('[DEBUG] AssemblyAI request body:', JSON.stringify(requestBody));
+
+    if (webhook) {
+      requestBody.webhook_url = webhook.url;
+      requestBody.webhook_auth_header_name = WEBHOOK_SECRET_HEADER;
+      requestBody.webhook_auth_header_value = webhook.secret;
+    }
+
+    const transcriptData = await postTranscript(requestBody);
+    console.log(`📝 AssemblyAI job submitted with ID: ${transcriptData.id}`);
+    return { id: transcriptData.id };
+  },
+
+  // Language identification on a short slice of the audio; poll it with getStatus()
+  async submitLanguageDetection(fileUrl, { startMs, endMs }) {
+    if (!process.env.ASSEMBLYAI_API_KEY) {
+      throw permanentError('Missing environment variables: ASSEMBLYAI_API_KEY');
+    }
+    validateAudioUrl(fileUrl);
+
+    const transcriptData = await postTranscript({
+      audio_url: fileUrl,
+      language_detection: true,
+      audio_start_from: startMs,
+      audio_end_at: endMs,
+    });
+    console.log(`🔎 AssemblyAI language detection submitted with ID: ${transcriptData.id} (${startMs}-${endMs}ms)`);
+    return { id: transcriptData.id };
+  },
+
+  async getStatus(transcriptId) {
+    const response = await fetch(`${ASSEMBLYAI_API_URL}/${transcriptId}`, {
+      headers: { 'Authorization': `Bearer ${process.env.ASSEMBLYAI_API_KEY}` },
+    });
+
+    if (!response.ok) {
+      throw new Error(`AssemblyAI status check failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.status === 'completed') {
+      return { status: 'completed', result: normalizeResult(data) };
+    }
+    if (data.status === 'error') {
+      return { status: 'error', error: `AssemblyAI transcription failed: ${data.error}` };
+    }
+    return { status: 'processing' };
+  },
+};
+
+export default assemblyAIProvider;
@@ -0,0 +1,109 @@
+// Deterministic fixture provider for running the whole pipeline offline.
+// The same audio URL always yields the same transcript. Set TRANSCRIPTION_FIXTURE_FILE to a JSON
+// file with a normalized result ({ text, words, utterances, ... }) to replay a recorded transcript.
+import fs from 'fs';
+import crypto from 'crypto';
+import { permanentError } from '../jobQueue.js';
+import { isAutoDetectLanguage } from '../languages.js';
+
+const FIXTURE_SCRIPT = [
+  ['A', 'Good morning everyone, thanks for joining the weekly project sync.'],
+  ['B', 'Morning. The upload pipeline is stable and the new queue is handling retries.'],
+  ['A', 'Great. What is left before we can ship the release?'],
+  ['B', 'We need to finish the export formats and review the summary prompts.'],
+  ['C', 'I can take the export formats and have them ready by Thursday.'],
+  ['A', 'Perfect. Let us meet again on Friday to confirm the release date.'],
+];
+
+const WORD_MS = 350;
+const PAUSE_MS = 800;
+
+// Fold the scripted speakers into the requested count so diarization hints are visible offline
+function fixtureSpeaker(speaker, settings) {
+  const index = speaker.charCodeAt(0) - 65;
+  const count = settings.speakerCountMode === 'exact' ? settings.speakersExpected
+    : settings.speakerCountMode === 'range' ? settings.maxSpeakers
+    : null;
+  return count ? String.fromCharCode(65 + (index % count)) : speaker;
+}
+
+function fixtureId(fileUrl) {
+  return `fixture-${crypto.createHash('sha1').update(fileUrl).digest('hex').slice(0, 16)}`;
+}
+
+// Stable pseudo-confidence in [0.85, 1) derived from the word position
+function wordConfidence(index) {
+  return 0.85 + ((index * 37) % 15) / 100;
+}
+
+export function buildFixtureResult(settings = {}) {
+  const words = [];
+  const utterances = [];
+  let cursor = 0;
+
+  FIXTURE_SCRIPT.forEach(([scriptSpeaker, text]) => {
+    const speaker = fixtureSpeaker(scriptSpeaker, settings);
+    const utteranceStart = cursor;
+    text.split(' ').forEach(token => {
+      words.push({
+        text: token,
+        start: cursor,
+        end: cursor + WORD_MS - 50,
+        confidence: wordConfidence(words.length),
+        speaker: settings.speakerIdentification ? speaker : null
+      });
+      cursor += WORD_MS;
+    });
+    utterances.push({ speaker, start: utteranceStart, end: cursor - 50, text, confidence: 0.93 });
+    cursor += PAUSE_MS;
+  });
+
+  return {
+    text: FIXTURE_SCRIPT.map(([, text]) => text).join(' '),
+    words,
+    utterances: settings.speakerIdentification ? utterances : [],
+    speakers: settings.speakerIdentification ? [...new Set(utterances.map(u => u.speaker))] : [],
+    duration: Math.ceil(cursor / 1000),
+    confidence: 0.93,
+    language: settings.language && !isAutoDetectLanguage(settings.language) ? settings.language : 'en',
+    languageConfidence: 0.99
+  };
+}
+
+function loadFixtureFile() {
+  const fixturePath = process.env.TRANSCRIPTION_FIXTURE_FILE;
+  if (!fixturePath) return null;
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (error) {
+    throw permanentError(`Failed to read transcription fixture ${fixturePath}: ${error.message}`);
+  }
+}
+
+const fixtureProvider = {
+  name: 'fixture',
+  supportsWebhook: false,
+  synchronous: false,
+  supportsWordBoost: false,
+  // Every sample is identified as English
+  supportsLanguageDetection: true,
+
+  async submit(fileUrl) {
+    const id = fixtureId(fileUrl);
+    console.log(`🧪 Fixture transcription submitted with ID: ${id}`);
+    return { id };
+  },
+
+  async submitLanguageDetection(fileUrl, { startMs, endMs }) {
+    return { id: fixtureId(`${fileUrl}#${startMs}-${endMs}`) };
+  },
+
+  async getStatus(id, settings = {}) {
+    return {
+      status: 'completed',
+      result: loadFixtureFile() || buildFixtureResult(settings)
+    };
+  },
+};
+
+export default fixtureProvider;
@@ -0,0 +1,50 @@
+// Speech-to-text provider registry.
+//
+// Every provider exposes the same interface:
+//   name               stored on the job and the file record
+//   supportsWebhook    whether submit() accepts a { url, secret } completion callback
+//   synchronous        whether submit() already returns the finished transcript
+//   supportsWordBoost  whether submit() applies { vocabulary } itself; otherwise the glossary is
+//                      applied as a replacement pass after transcription
+//   supportsLanguageDetection  whether submitLanguageDetection() can identify the language of a
+//                      slice of audio before transcription; otherwise auto-detect relies on the
+//                      language the provider reports with the transcript
+//   submit(fileUrl, settings, { webhook, vocabulary })  -> { id, status?, result? }
+//   submitLanguageDetection(fileUrl, { startMs, endMs }) -> { id }, polled with getStatus()
+//   getStatus(id, settings)                             -> { status: 'processing' | 'completed' | 'error', result?, error? }
+//
+// A result is normalized to { text, words, utterances, speakers, duration, confidence, language,
+// languageConfidence },
+// plus optional chapters [{ title, gist, summary, start, end }] and sentence-level
+// sentiments [{ start, end, sentiment, confidence, speaker }] when the provider detects them.
+// Word, utterance and chapter times are in milliseconds.
+import assemblyAIProvider from './assemblyai.js';
+import whisperProvider from './whisper.js';
+import fixtureProvider from './fixture.js';
+import liveProvider from './live.js';
+import { permanentError } from '../jobQueue.js';
+
+const providers = {
+  [assemblyAIProvider.name]: assemblyAIProvider,
+  [whisperProvider.name]: whisperProvider,
+  [fixtureProvider.name]: fixtureProvider,
+  [liveProvider.name]: liveProvider,
+};
+
+export const DEFAULT_PROVIDER = 'assemblyai';
+
+export function getProviderName(settings = {}) {
+  return settings.provider || process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER;
+}
+
+export function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw permanentError(`Unknown transcription provider: ${name}`);
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return Object.keys(providers);
+}
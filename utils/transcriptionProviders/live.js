@@ -0,0 +1,34 @@
+// Transcripts streamed from the microphone on the live page. The text already exists when the
+// job runs, so "transcribing" reads the saved session back (see utils/liveSessions.js).
+import { connectDB } from '../../lib/mongodb.js';
+import { getLiveSessionResult } from '../liveSessions.js';
+import { permanentError } from '../jobQueue.js';
+
+async function loadLiveResult(sessionId) {
+  const { db } = await connectDB();
+  const result = await getLiveSessionResult(db, sessionId);
+  if (!result) {
+    throw permanentError(`Live session ${sessionId} has no saved transcript`);
+  }
+  return result;
+}
+
+const liveProvider = {
+  name: 'live',
+  supportsWebhook: false,
+  synchronous: true,
+  supportsWordBoost: false,
+  supportsLanguageDetection: false,
+
+  async submit(fileUrl, settings) {
+    const result = await loadLiveResult(settings.liveSessionId);
+    console.log(`🎙️ Live transcript loaded from session ${settings.liveSessionId}`);
+    return { id: settings.liveSessionId, status: 'completed', result };
+  },
+
+  async getStatus(id) {
+    return { status: 'completed', result: await loadLiveResult(id) };
+  },
+};
+
+export default liveProvider;
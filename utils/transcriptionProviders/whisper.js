@@ -0,0 +1,141 @@
+// Local Whisper adapter for a self-hosted whisper.cpp or faster-whisper HTTP server.
+//   WHISPER_API_URL      base URL of the server, e.g. http://localhost:8080
+//   WHISPER_SERVER_TYPE  'whispercpp' (POST /inference) or 'openai' (POST /v1/audio/transcriptions,
+//                        used by faster-whisper-server and other OpenAI-compatible servers)
+//   WHISPER_MODEL        model name sent to OpenAI-compatible servers
+import crypto from 'crypto';
+import { permanentError } from '../jobQueue.js';
+import { isAutoDetectLanguage, resolveLanguageCode } from '../languages.js';
+
+const toMs = (seconds) => Math.round((seconds || 0) * 1000);
+
+// Whisper has no diarization: every segment is attributed to a single speaker
+const SINGLE_SPEAKER = 'A';
+
+export function normalizeResult(data, settings = {}) {
+  const segments = data.segments || data.transcription || [];
+
+  const rawWords = data.words && data.words.length > 0
+    ? data.words
+    : segments.flatMap(segment => segment.words || []);
+
+  const words = rawWords
+    .map(word => ({
+      text: (word.word ?? word.text ?? '').trim(),
+      start: toMs(word.start),
+      end: toMs(word.end),
+      confidence: word.probability ?? word.p ?? null,
+      speaker: settings.speakerIdentification ? SINGLE_SPEAKER : null
+    }))
+    .filter(word => word.text);
+
+  const utterances = settings.speakerIdentification
+    ? segments
+        .map(segment => ({
+          speaker: SINGLE_SPEAKER,
+          start: toMs(segment.start),
+          end: toMs(segment.end),
+          text: (segment.text || '').trim(),
+          confidence: null
+        }))
+        .filter(utterance => utterance.text)
+    : [];
+
+  const scored = words.filter(word => typeof word.confidence === 'number');
+  const confidence = scored.length > 0
+    ? scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length
+    : null;
+
+  const text = (data.text || segments.map(segment => segment.text).join(' ')).trim();
+  const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : null;
+
+  return {
+    text,
+    words,
+    utterances,
+    speakers: utterances.length > 0 ? [SINGLE_SPEAKER] : [],
+    duration: data.duration ?? lastEnd ?? null,
+    confidence,
+    // OpenAI-compatible servers report the language by name ("english"), whisper.cpp by code
+    language: resolveLanguageCode(data.language || data.detected_language)
+      || (isAutoDetectLanguage(settings.language) ? null : settings.language || null),
+    languageConfidence: data.language_probability ?? null
+  };
+}
+
+async function downloadAudio(fileUrl) {
+  const response = await fetch(fileUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download audio for Whisper: ${response.status} ${response.statusText}`);
+  }
+  const contentType = response.headers.get('content-type') || 'application/octet-stream';
+  const buffer = await response.arrayBuffer();
+  return new Blob([buffer], { type: contentType });
+}
+
+const whisperProvider = {
+  name: 'whisper',
+  supportsWebhook: false,
+  // The server answers with the finished transcript, so submit does all the work
+  synchronous: true,
+  // Terms are passed as an initial prompt, which only nudges spelling; the glossary pass still runs
+  supportsWordBoost: false,
+  // Whisper identifies the language itself when none is sent
+  supportsLanguageDetection: false,
+
+  async submit(fileUrl, settings, { vocabulary = null } = {}) {
+    const baseUrl = process.env.WHISPER_API_URL;
+    if (!baseUrl) {
+      throw permanentError('Missing environment variables: WHISPER_API_URL');
+    }
+
+    const serverType = process.env.WHISPER_SERVER_TYPE || 'whispercpp';
+    const audio = await downloadAudio(fileUrl);
+    const fileName = decodeURIComponent(new URL(fileUrl).pathname.split('/').pop() || 'audio');
+
+    const formData = new FormData();
+    formData.append('file', audio, fileName);
+    formData.append('response_format', 'verbose_json');
+    formData.append('temperature', '0');
+    if (settings.language && !isAutoDetectLanguage(settings.language)) {
+      formData.append('language', settings.language);
+    }
+    if (vocabulary?.boost?.length > 0) {
+      formData.append('prompt', `Glossary: ${vocabulary.boost.join(', ')}.`);
+    }
+
+    let endpoint;
+    if (serverType === 'openai') {
+      endpoint = `${baseUrl.replace(/\/$/, '')}/v1/audio/transcriptions`;
+      formData.append('model', process.env.WHISPER_MODEL || 'Systran/faster-whisper-small');
+      formData.append('timestamp_granularities[]', 'word');
+      formData.append('timestamp_granularities[]', 'segment');
+    } else {
+      endpoint = `${baseUrl.replace(/\/$/, '')}/inference`;
+    }
+
+    console.log(`🎙️ Sending audio to local Whisper server (${serverType}): ${endpoint}`);
+
+    const response = await fetch(endpoint, { method: 'POST', body: formData });
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Whisper server error: ${response.status} - ${errorText}`);
+      error.retryable = response.status >= 500;
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      id: `whisper-${crypto.randomUUID()}`,
+      status: 'completed',
+      result: normalizeResult(data, settings)
+    };
+  },
+
+  async getStatus() {
+    // Results are returned from submit; there is nothing to poll
+    throw permanentError('Whisper transcripts are returned synchronously and cannot be polled');
+  },
+};
+
+export default whisperProvider;
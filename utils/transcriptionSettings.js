@@ -0,0 +1,182 @@
+// Transcription options shared by the upload page and the upload APIs.
+// Kept free of server-only imports so pages can use the same constants and validation.
+import { parseVocabularyInput } from './vocabulary.js';
+import { parseRedactionSettings } from './redaction.js';
+import { parsePreprocessingSettings } from './audioPreprocessing.js';
+import { parseSummaryTemplateSetting } from './summaryTemplates.js';
+
+export const SPEAKER_COUNT_MODES = ['auto', 'exact', 'range'];
+export const MAX_SPEAKERS = 10;
+
+// Direct uploads go to R2 in a single PUT, which R2 caps at 5GB. Anything above the
+// chunking threshold is split with ffmpeg and transcribed in overlapping chunks.
+export const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+export const CHUNKED_TRANSCRIPTION_THRESHOLD = 500 * 1024 * 1024; // 500MB
+
+// Types accepted for uploads that go straight to R2
+export const SUPPORTED_UPLOAD_TYPES = [
+  'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/m4a', 'audio/flac', 'audio/aac',
+  // Browser recordings from the live page
+  'audio/webm', 'audio/ogg', 'audio/mp4',
+  'video/mp4', 'video/mov', 'video/avi', 'video/mkv', 'video/webm'
+];
+
+export function needsChunkedTranscription(fileSize) {
+  return Number(fileSize) > CHUNKED_TRANSCRIPTION_THRESHOLD;
+}
+
+function toCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) ? count : NaN;
+}
+
+function isValidCount(count) {
+  return Number.isInteger(count) && count >= 1 && count <= MAX_SPEAKERS;
+}
+
+// Normalize speaker count hints (auto / exact / min-max) from form fields or a JSON body.
+// Returns { settings } or { error } with a message suitable for a 400 response.
+export function parseSpeakerSettings({ speakerCountMode = 'auto', speakersExpected, minSpeakers, maxSpeakers } = {}) {
+  const mode = speakerCountMode || 'auto';
+
+  if (!SPEAKER_COUNT_MODES.includes(mode)) {
+    return { error: `Invalid speaker count mode "${mode}". Use one of: ${SPEAKER_COUNT_MODES.join(', ')}` };
+  }
+
+  if (mode === 'exact') {
+    const expected = toCount(speakersExpected);
+    if (!isValidCount(expected)) {
+      return { error: `Expected speakers must be a number between 1 and ${MAX_SPEAKERS}` };
+    }
+    return { settings: { speakerCountMode: 'exact', speakersExpected: expected, minSpeakers: null, maxSpeakers: null } };
+  }
+
+  if (mode === 'range') {
+    const min = toCount(minSpeakers) ?? 1;
+    const max = toCount(maxSpeakers) ?? MAX_SPEAKERS;
+    if (!isValidCount(min) || !isValidCount(max)) {
+      return { error: `Speaker range must be between 1 and ${MAX_SPEAKERS}` };
+    }
+    if (min > max) {
+      return { error: 'Minimum speakers cannot be greater than maximum speakers' };
+    }
+    return { settings: { speakerCountMode: 'range', speakersExpected: null, minSpeakers: min, maxSpeakers: max } };
+  }
+
+  return { settings: { speakerCountMode: 'auto', speakersExpected: null, minSpeakers: null, maxSpeakers: null } };
+}
+
+export const MAX_CHANNELS = 8;
+const MAX_CHANNEL_NAME_LENGTH = 40;
+
+// Normalize multichannel options. Channel names are matched to audio channels in order
+// (left, right, ...); channels without a name are labelled "Channel N".
+// Returns { settings } or { error } with a message suitable for a 400 response.
+export function parseMultichannelSettings({ multichannel, channelNames } = {}) {
+  if (!(multichannel === true || multichannel === 'true')) {
+    return { settings: { multichannel: false, channelNames: [] } };
+  }
+
+  const names = (Array.isArray(channelNames) ? channelNames : String(channelNames || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  if (names.length > MAX_CHANNELS) {
+    return { error: `At most ${MAX_CHANNELS} channel names can be given` };
+  }
+  if (names.some(name => name.length > MAX_CHANNEL_NAME_LENGTH)) {
+    return { error: `Channel names must be at most ${MAX_CHANNEL_NAME_LENGTH} characters` };
+  }
+  if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+    return { error: 'Channel names must be unique' };
+  }
+
+  return { settings: { multichannel: true, channelNames: names } };
+}
+
+export function getChannelName(channelNames, channel) {
+  return channelNames?.[channel] || `Channel ${channel + 1}`;
+}
+
+function toBoolean(value) {
+  return value === true || value === 'true';
+}
+
+// Validate and normalize the settings of a JSON request (upload confirmation, re-run).
+// Returns { settings } or { error } with a message suitable for a 400 response.
+export function parseTranscriptionSettings({
+  language = 'en',
+  quality = 'standard',
+  speakerIdentification = false,
+  includeTimestamps = true,
+  filterProfanity = false,
+  autoPunctuation = true,
+  autoChapters = true,
+  speakerCountMode,
+  speakersExpected,
+  minSpeakers,
+  maxSpeakers,
+  customVocabulary,
+  redactPii,
+  piiCategories,
+  deleteOriginal,
+  multichannel,
+  channelNames,
+  preprocess,
+  preprocessSteps,
+  summaryTemplate
+} = {}, { fileSize } = {}) {
+  const options = [
+    parseSpeakerSettings({ speakerCountMode, speakersExpected, minSpeakers, maxSpeakers }),
+    parseRedactionSettings({ redactPii, piiCategories, deleteOriginal }),
+    parseMultichannelSettings({ multichannel, channelNames }),
+    parsePreprocessingSettings({ preprocess, preprocessSteps }),
+    parseSummaryTemplateSetting(summaryTemplate),
+  ];
+  const failed = options.find(option => option.error);
+  if (failed) {
+    return { error: failed.error };
+  }
+
+  const [speakerOptions, redactionOptions, multichannelOptions, preprocessingOptions, summaryTemplateOptions] = options;
+  return {
+    settings: {
+      language,
+      quality,
+      speakerIdentification: toBoolean(speakerIdentification),
+      includeTimestamps: toBoolean(includeTimestamps),
+      filterProfanity: toBoolean(filterProfanity),
+      autoPunctuation: toBoolean(autoPunctuation),
+      autoChapters: toBoolean(autoChapters),
+      ...speakerOptions.settings,
+      customVocabulary: parseVocabularyInput(customVocabulary),
+      ...redactionOptions.settings,
+      ...multichannelOptions.settings,
+      ...preprocessingOptions.settings,
+      ...summaryTemplateOptions.settings,
+      // Recordings above the single-request limit are split and transcribed in chunks
+      chunked: needsChunkedTranscription(fileSize),
+    }
+  };
+}
+
+// Stored settings in the request form parseTranscriptionSettings() takes, so a re-run can start
+// from the settings of an earlier run
+export function toSettingsInput(settings = {}) {
+  const {
+    redaction,
+    preprocessing,
+    chunked,
+    ...rest
+  } = settings;
+
+  return {
+    ...rest,
+    redactPii: !!redaction,
+    piiCategories: redaction?.categories || [],
+    deleteOriginal: redaction?.deleteOriginal || false,
+    preprocess: !!preprocessing,
+    preprocessSteps: preprocessing?.steps || [],
+  };
+}
@@ -0,0 +1,89 @@
+// Usage ledger: one entry per metered event in the `usageLedger` collection.
+//   { userId, period, metric, quantity, fileId, source, included, createdAt }
+// Transcribed audio is metered in seconds, storage in bytes (negative when a file is deleted) and
+// AI calls one per LLM request, with the tokens those requests used metered alongside. AI calls
+// made inside the transcription pipeline are `included` in the transcribed minutes and don't
+// count against the plan's AI allowance.
+import { getPlan, getBillingPeriod, summarizeQuota } from './plans.js';
+
+export const USAGE_LEDGER_COLLECTION = 'usageLedger';
+
+export const USAGE_METRICS = {
+  TRANSCRIPTION_SECONDS: 'transcriptionSeconds',
+  STORAGE_BYTES: 'storageBytes',
+  AI_CALLS: 'aiCalls',
+  AI_TOKENS: 'aiTokens',
+};
+
+let indexesEnsured = false;
+
+async function ensureUsageIndexes(db) {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(USAGE_LEDGER_COLLECTION).createIndex({ userId: 1, period: 1, metric: 1 });
+    indexesEnsured = true;
+  } catch (error) {
+    console.error('⚠️ Failed to create usage ledger indexes:', error.message);
+  }
+}
+
+// Metering never fails the request that caused it; a lost entry is logged instead
+export async function recordUsage(db, { userId, metric, quantity, fileId = null, source = null, included = false }) {
+  if (!userId || !quantity) return;
+  try {
+    await ensureUsageIndexes(db);
+    await db.collection(USAGE_LEDGER_COLLECTION).insertOne({
+      userId,
+      period: getBillingPeriod(),
+      metric,
+      quantity,
+      fileId,
+      source,
+      included,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to record ${quantity} ${metric} for user ${userId}:`, error.message);
+  }
+}
+
+// Totals per metric for a billing period. `aiCalls` counts only the calls charged to the
+// allowance; `includedAiCalls` are the ones made while transcribing.
+export async function getPeriodUsage(db, userId, period = getBillingPeriod()) {
+  const totals = await db.collection(USAGE_LEDGER_COLLECTION).aggregate([
+    { $match: { userId, period } },
+    { $group: { _id: { metric: '$metric', included: '$included' }, quantity: { $sum: '$quantity' } } },
+  ]).toArray();
+
+  const usage = { transcriptionSeconds: 0, storageBytes: 0, aiCalls: 0, includedAiCalls: 0, aiTokens: 0 };
+  totals.forEach(({ _id, quantity }) => {
+    if (_id.metric === USAGE_METRICS.AI_CALLS && _id.included) {
+      usage.includedAiCalls += quantity;
+    } else if (_id.metric in usage) {
+      usage[_id.metric] += quantity;
+    }
+  });
+  return usage;
+}
+
+// Storage held right now. Files uploaded before metering have no ledger entries, so this is
+// measured from the files themselves rather than summed from storage entries.
+export async function getStorageUsed(db, userId) {
+  const [total] = await db.collection('files').aggregate([
+    { $match: { userId } },
+    { $group: { _id: null, bytes: { $sum: { $ifNull: ['$size', 0] } } } },
+  ]).toArray();
+  return total?.bytes || 0;
+}
+
+// The user's plan limits against this period's usage
+export async function getUserQuota(db, user) {
+  const userId = user.id || user._id.toString();
+  const period = getBillingPeriod();
+  const [usage, storageBytes] = await Promise.all([
+    getPeriodUsage(db, userId, period),
+    getStorageUsed(db, userId),
+  ]);
+
+  return summarizeQuota(getPlan(user.plan), { ...usage, storageBytes }, period);
+}
@@ -0,0 +1,170 @@
+// Custom vocabulary: a per-user glossary plus optional per-upload terms.
+// Providers that support it get the terms as word boost / custom spelling; for the others
+// the same glossary is applied as a replacement pass over the finished transcript.
+
+export const MAX_GLOSSARY_ENTRIES = 200;
+export const MAX_UPLOAD_TERMS = 100;
+const MAX_TERM_LENGTH = 60;
+
+function cleanTerm(term) {
+  return typeof term === 'string' ? term.replace(/\s+/g, ' ').trim().slice(0, MAX_TERM_LENGTH) : '';
+}
+
+function uniqueTerms(terms) {
+  const seen = new Set();
+  return terms.filter(term => {
+    const key = term.toLowerCase();
+    if (!term || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Accepts "Acme, Jira\nKubernetes" or an array of terms
+export function parseVocabularyInput(input) {
+  if (!input) return [];
+  const parts = Array.isArray(input) ? input : String(input).split(/[,\n]/);
+  return uniqueTerms(parts.map(cleanTerm)).slice(0, MAX_UPLOAD_TERMS);
+}
+
+// Glossary entries look like { term: 'Ecouter', soundsLike: ['a cooter', 'ecoutay'] }.
+// Returns { glossary } or { error }.
+export function normalizeGlossary(entries) {
+  if (!Array.isArray(entries)) {
+    return { error: 'Glossary must be a list of terms' };
+  }
+  if (entries.length > MAX_GLOSSARY_ENTRIES) {
+    return { error: `Glossary can contain at most ${MAX_GLOSSARY_ENTRIES} terms` };
+  }
+
+  const glossary = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    const term = cleanTerm(typeof entry === 'string' ? entry : entry?.term);
+    if (!term || seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+
+    const soundsLike = uniqueTerms(parseVocabularyInput(entry?.soundsLike))
+      .filter(variant => variant.toLowerCase() !== term.toLowerCase());
+    glossary.push({ term, soundsLike });
+  }
+
+  return { glossary };
+}
+
+// Merge the user's glossary with the upload's own terms into what providers consume
+export function buildVocabulary(glossary = [], uploadTerms = []) {
+  const boost = uniqueTerms([
+    ...glossary.map(entry => entry.term),
+    ...uploadTerms
+  ]);
+  const spellings = glossary
+    .filter(entry => entry.soundsLike && entry.soundsLike.length > 0)
+    .map(entry => ({ from: entry.soundsLike, to: entry.term }));
+
+  return { boost, spellings };
+}
+
+export function hasVocabulary(vocabulary) {
+  return !!vocabulary && (vocabulary.boost.length > 0 || vocabulary.spellings.length > 0);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildReplacements(vocabulary) {
+  const replacements = [];
+  vocabulary.spellings.forEach(({ from, to }) => {
+    from.forEach(variant => replacements.push({ pattern: variant, to }));
+  });
+  // Known terms also get their canonical casing ("ecouter" -> "Ecouter")
+  vocabulary.boost.forEach(term => replacements.push({ pattern: term, to: term }));
+
+  // Longest first so multi-word variants win over their parts
+  return replacements
+    .sort((a, b) => b.pattern.length - a.pattern.length)
+    .map(({ pattern, to }) => ({
+      regex: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}])`, 'giu'),
+      to
+    }));
+}
+
+export function applyVocabularyToText(text, vocabulary) {
+  if (!text || !hasVocabulary(vocabulary)) return text;
+  return buildReplacements(vocabulary).reduce((result, { regex, to }) => result.replace(regex, to), text);
+}
+
+// A word as compared against glossary variants: lower case, without surrounding punctuation
+function wordKey(text) {
+  return (text || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// Multi-word variants ("a cooter") as word sequences, longest first
+function buildPhrases(vocabulary) {
+  const phrases = [];
+  vocabulary.spellings.forEach(({ from, to }) => {
+    from.forEach(variant => phrases.push({ keys: variant.split(' ').map(wordKey), to }));
+  });
+  vocabulary.boost.forEach(term => phrases.push({ keys: term.split(' ').map(wordKey), to: term }));
+
+  return phrases
+    .filter(phrase => phrase.keys.length > 1 && phrase.keys.every(Boolean))
+    .sort((a, b) => b.keys.length - a.keys.length);
+}
+
+function matchPhrase(words, index, phrases) {
+  return phrases.find(({ keys }) => {
+    const run = words.slice(index, index + keys.length);
+    return run.length === keys.length
+      && run.every((word, i) => wordKey(word.text) === keys[i] && (word.speaker || null) === (words[index].speaker || null));
+  });
+}
+
+// Word-level pass. Words spelling out a multi-word variant become one corrected word spanning
+// them (first start to last end), keeping the punctuation around the run; other words are
+// corrected one by one.
+export function applyVocabularyToWords(words, vocabulary) {
+  if (!words || !hasVocabulary(vocabulary)) return words;
+  const phrases = buildPhrases(vocabulary);
+  const corrected = [];
+
+  for (let i = 0; i < words.length;) {
+    const phrase = matchPhrase(words, i, phrases);
+    if (!phrase) {
+      corrected.push({ ...words[i], text: applyVocabularyToText(words[i].text, vocabulary) });
+      i++;
+      continue;
+    }
+
+    const run = words.slice(i, i + phrase.keys.length);
+    const first = run[0];
+    const last = run[run.length - 1];
+    const confidences = run.map(word => word.confidence).filter(confidence => typeof confidence === 'number');
+    corrected.push({
+      ...first,
+      text: `${first.text.match(/^[^\p{L}\p{N}]*/u)[0]}${phrase.to}${last.text.match(/[^\p{L}\p{N}]*$/u)[0]}`,
+      end: last.end,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : first.confidence,
+    });
+    i += run.length;
+  }
+
+  return corrected;
+}
+
+// Replacement pass over a normalized provider result (text, utterances and their words)
+export function applyVocabulary(result, vocabulary) {
+  if (!hasVocabulary(vocabulary)) return result;
+
+  return {
+    ...result,
+    text: applyVocabularyToText(result.text, vocabulary),
+    utterances: (result.utterances || []).map(utterance => ({
+      ...utterance,
+      text: applyVocabularyToText(utterance.text, vocabulary),
+      ...(utterance.words ? { words: applyVocabularyToWords(utterance.words, vocabulary) } : {})
+    })),
+    words: applyVocabularyToWords(result.words || [], vocabulary)
+  };
+}